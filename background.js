@@ -1,127 +1,385 @@
-export const RULES_URL = "https://rules2.clearurls.xyz/data.minify.json";
-export const HASH_URL = "https://rules2.clearurls.xyz/rules.minify.hash";
-export const STORAGE_KEY = "clearurls_rules_v1"; // where the rules JSON + metadata live
+import { ext } from "./browser-api.js";
+import { buildDnrRules, buildRestoreRule, collectRegexFilters, DEFAULT_MAX_REGEX_RULES } from "./dnr-rules.js";
+import { loadCompiledRules, loadMergedRules, applyClearUrls } from "./clearurls-apply.js";
+import { loadOptions, toCleanOptions } from "./settings.js";
+import { findUrls } from "./url-text.js";
+import { USER_RULES_KEY } from "./user-rules.js";
+import { REWRITE_SITES_KEY, loadRewriteSites, rewriterMatches } from "./link-rewrite-sites.js";
+import { PASTE_SITES_KEY, loadPasteSites, pasteCleanerMatches } from "./paste-sites.js";
+import { formatAge, loadHistory, recordAttempt, rulesStaleness } from "./rule-health.js";
+import { diffRules } from "./rule-diff.js";
+import { clearLinkHistory, loadLinkHistory, matchedProvider, recordCleaning } from "./link-history.js";
+import { recordStats } from "./privacy-stats.js";
+import {
+  ERROR_CODES,
+  MESSAGE_TYPES,
+  EXTERNAL_API_VERSION,
+  apiInfo,
+  callerKey,
+  createRateLimiter,
+  errorResponse,
+  isCallerAllowed,
+  loadExternalCallers,
+  parseExternalRequest,
+  toCleanResult,
+} from "./external-api.js";
+import {
+  cachedResolution,
+  clearResolveCache,
+  isShortLink,
+  resolveShortLink,
+  saveResolution,
+  watchRedirects,
+} from "./shortener-resolver.js";
+import { RULES_KEY, inspectRulesStorage, loadRulesPayload, repairRulesStorage, saveRulesPayload } from "./rule-store.js";
+import {
+  DEFAULT_REFRESH_MIN,
+  SOURCES_KEY,
+  SOURCE_CACHE_KEY,
+  fetchSourceRules,
+  loadSources,
+  mergeSources,
+  needsFallback,
+} from "./rule-sources.js";
+
+export { RULES_URL, HASH_URL, sha256Hex, fetchText } from "./rule-sources.js";
+
+export const STORAGE_KEY = RULES_KEY; // where the rules JSON + metadata live (see rule-store.js)
 export const STATE_KEY = "nudelink_refresh_state_v1"; // tracks retry/backoff state
-export const DAILY_ALARM = "nudelink_alarm_daily"; // periodic daily refresh
+export const PENDING_KEY = "nudelink_rules_pending_v1"; // new rules awaiting approval (or rolled back)
+export const PREVIOUS_KEY = "nudelink_rules_previous_v1"; // snapshot replaced by the last update
+export const CHANGES_KEY = "nudelink_rule_changes_v1"; // recent rule diffs, newest first
+export const DAILY_ALARM = "nudelink_alarm_daily"; // periodic refresh (shortest source interval)
 export const RETRY_ALARM = "nudelink_alarm_retry"; // one-shot retry alarm
+export const OFFSCREEN_URL = "offscreen.html"; // clipboard writer for the context menu
+
+// Context menu entries → the chrome.contextMenus contexts they appear in
+export const MENU_ITEMS = Object.freeze({
+  "nudelink-copy-link": { title: "Copy clean link", contexts: ["link"] },
+  "nudelink-copy-image": { title: "Copy clean image address", contexts: ["image"] },
+  "nudelink-copy-selection": { title: "Copy clean links in selection", contexts: ["selection"] },
+  "nudelink-copy-page": { title: "Copy clean page link", contexts: ["page", "frame"] },
+});
 
 // Progressive retry delays (minutes) when we fail to fetch (e.g., offline)
 const RETRY_DELAYS_MIN = [1, 5, 15, 30, 60]; // 1m → 1h
-const ONE_DAY_MIN = 60 * 24;
+
+const CHANGES_LIMIT = 10;
+
+// Session DNR rule letting a restored original through auto-clean (one at a time)
+const RESTORE_RULE_ID = 1;
 
 
 /* =========================
    2) Small Utilities
    ========================= */
 
-/**
- * Compute SHA-256 hex digest of a text string.
- * @param {string} text
- * @returns {Promise<string>} hex-encoded sha256
- */
-export const sha256Hex = async (text) => {
-  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
-  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
-};
+// Storage helpers (rules + state + per-source cache). Rules go through rule-store.js,
+// which validates them and keeps a last-known-good copy.
+const saveRules = saveRulesPayload;
+const loadRules = loadRulesPayload;
 
-/**
- * Fetch plain text with cache disabled; throws on non-2xx.
- * @param {string} url
- * @returns {Promise<string>}
- */
-export const fetchText = async (url) => {
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-  return await res.text();
-};
+// Migrate or repair the stored rules once per service-worker start; refreshes wait for it.
+const storageReady = repairRulesStorage().catch((e) =>
+  console.warn("[Nudelink] Rules storage repair failed:", e?.message || e)
+);
+
+const saveState = async (s) => ext.storage.local.set({ [STATE_KEY]: s });
+const loadState = async () => (await ext.storage.local.get(STATE_KEY))?.[STATE_KEY] ?? { backoffIndex: 0 };
 
-// Storage helpers (rules + state)
-const saveRules = async (payload) => chrome.storage.local.set({ [STORAGE_KEY]: payload });
-const loadRules = async () => (await chrome.storage.local.get(STORAGE_KEY))?.[STORAGE_KEY] ?? null;
+const loadLocal = async (key) => (await ext.storage.local.get(key))?.[key] ?? null;
 
-const saveState = async (s) => chrome.storage.local.set({ [STATE_KEY]: s });
-const loadState = async () => (await chrome.storage.local.get(STATE_KEY))?.[STATE_KEY] ?? { backoffIndex: 0 };
+const saveSourceCache = async (c) => ext.storage.local.set({ [SOURCE_CACHE_KEY]: c });
+const loadSourceCache = async () =>
+  (await ext.storage.local.get(SOURCE_CACHE_KEY))?.[SOURCE_CACHE_KEY] ?? {};
 
 
 /* =========================
    3) Core: download + verify + persist
    ========================= */
 
+/** Whether a source's refresh interval has elapsed since its last check. */
+const isDue = (source, entry, now) =>
+  !entry?.checkedTs || now - entry.checkedTs >= (source.refreshMinutes ?? DEFAULT_REFRESH_MIN) * 60_000;
+
+/**
+ * Refresh one source into the cache; returns the error message on failure.
+ * A failed source keeps its previous rules (if any).
+ */
+const refreshSource = async (source, cache, now) => {
+  const entry = cache[source.id];
+  try {
+    const { rules, hash, updated } = await fetchSourceRules(source, entry?.hash ?? null);
+    if (updated) {
+      cache[source.id] = { rules, hash, ts: now, checkedTs: now };
+    } else {
+      const { error: _previous, ...rest } = entry;
+      cache[source.id] = { ...rest, checkedTs: now };
+    }
+    return null;
+  } catch (e) {
+    const error = e?.message || String(e);
+    cache[source.id] = { ...entry, error };
+    return `${source.label || source.id}: ${error}`;
+  }
+};
+
+const refreshAllSources = async ({ force }) => {
+  await storageReady;
+  const [sources, cache, cached] = await Promise.all([loadSources(), loadSourceCache(), loadRules()]);
+  const now = Date.now();
+  const errors = [];
 
-// Assumes these already exist in your file:
-/// const RULES_URL  = "https://rules2.clearurls.xyz/data.minify.json";
-/// const HASH_URL   = "https://rules2.clearurls.xyz/rules.minify.hash";
-/// const STORAGE_KEY = "clearurls_rules_v1";
-/// const fetchText, sha256Hex, saveRules defined as earlier
+  for (const source of sources) {
+    if (!source.enabled || source.type === "bundled") continue;
+    if (!force && !isDue(source, cache[source.id], now)) continue;
+    const error = await refreshSource(source, cache, now);
+    if (error) errors.push(error);
+  }
 
-/** Load currently cached rules metadata if any. */
-const loadCached = async () =>
-  (await chrome.storage.local.get(STORAGE_KEY))?.[STORAGE_KEY] ?? null;
+  // Offline fallback: only touch the bundled snapshot when nothing else is available.
+  if (needsFallback(sources, cache)) {
+    for (const source of sources.filter((s) => s.enabled && s.type === "bundled")) {
+      const error = await refreshSource(source, cache, now);
+      if (error) errors.push(error);
+    }
+  }
+
+  // Drop cache entries of sources that no longer exist.
+  const ids = new Set(sources.map((s) => s.id));
+  for (const id of Object.keys(cache)) if (!ids.has(id)) delete cache[id];
+  await saveSourceCache(cache);
+
+  const merged = mergeSources(sources, cache);
+  let updated = false;
+  if (merged && merged.hash !== cached?.hash) {
+    const next = { rules: merged.rules, ts: now, hash: merged.hash, sources: merged.sources };
+    updated = await stageRules(next, cached);
+  }
+
+  if (errors.length) throw Object.assign(new Error(errors.join("; ")), { updated });
+  return { rules: updated ? merged.rules : cached?.rules ?? null, updated };
+};
+
+// Refreshes, approvals and rollbacks read-modify-write the same keys, so
+// overlapping runs (alarm + manual refresh + source edits) would drop each
+// other's results; queue them.
+let rulesQueue = Promise.resolve();
+
+const enqueueRulesTask = (task) => {
+  const run = rulesQueue.then(task);
+  rulesQueue = run.catch(() => {});
+  return run;
+};
 
 /**
- * Download ClearURLs rules if (and only if) the upstream hash differs.
- * 1) Read cached {hash}
- * 2) GET upstream hash
- * 3) If same → return cached rules (updated:false)
- * 4) Else GET rules, verify SHA-256 matches upstream hash
- * 5) Persist {rules, hash, ts} and return (updated:true)
+ * Refresh the enabled rule sources (see rule-sources.js) and persist their
+ * merge under STORAGE_KEY, which is what the popup, menus and auto-clean read.
+ * 1) For each enabled remote source (when due, or always with force):
+ *    GET its hash, and only on change GET + verify + parse its rules
+ * 2) If no remote source has rules, load the bundled snapshot instead
+ * 3) Merge in source order; persist {rules, hash, ts, sources} if it changed
+ *
+ * A failing source doesn't block the others: the merge is persisted first,
+ * then the failures are thrown together so the caller can back off.
  *
+ * @param {{force?: boolean}} [opts] - force: ignore per-source refresh intervals
  * @returns {Promise<{rules: object|null, updated: boolean}>}
  * @throws {Error} on network/HTTP errors, hash mismatch, or JSON parse issues
+ *   (with `updated` set when other sources still changed the merge)
+ */
+export const downloadAndCacheRules = ({ force = true } = {}) =>
+  enqueueRulesTask(() => refreshAllSources({ force }));
+
+
+/* =========================
+   3b) Rule changes: diff, pending approval, rollback
+   ========================= */
+
+/** Prepend a change-log entry ({ts, from, to, status, diff}), keeping the newest few. */
+const logChange = async (entry) => {
+  const changes = (await loadLocal(CHANGES_KEY)) ?? [];
+  await ext.storage.local.set({ [CHANGES_KEY]: [entry, ...changes].slice(0, CHANGES_LIMIT) });
+};
+
+/** Make `next` the active rules, keeping `active` as the rollback snapshot. */
+const activateRules = async (next, active) => {
+  await saveRules(next); // throws (and changes nothing) if `next` fails validation
+  if (active?.rules) await ext.storage.local.set({ [PREVIOUS_KEY]: active });
+  await ext.storage.local.remove(PENDING_KEY);
+};
+
+/**
+ * Apply a newly merged rule set, or hold it for approval.
+ * - first rules ever, or only the bundled fallback active → apply (nothing to review)
+ * - same hash already pending after a rollback, or while holding → keep waiting
+ * - holdRuleUpdates on → store as pending with its diff
+ * - otherwise → apply, keep the old set for rollback, log the diff
+ *
+ * @returns {Promise<boolean>} true if the active rules changed
  */
-export const downloadAndCacheRules = async () => {
-  // A) read what we have
-  const cached = await loadCached();
-  const cachedHash = cached?.hash ?? null;
+const stageRules = async (next, active) => {
+  const fromFallback = !active?.rules || active.sources?.every((id) => id === "bundled");
+  const [pending, { holdRuleUpdates }] = await Promise.all([loadLocal(PENDING_KEY), loadOptions()]);
+  const hold = holdRuleUpdates && !fromFallback;
 
-  // B) fetch upstream hash only (small, fast)
-  const upstreamHashRaw = await fetchText(HASH_URL);
-  const upstreamHash = upstreamHashRaw.trim().toLowerCase();
+  if (pending?.hash === next.hash && (hold || pending.reason === "rollback")) return false;
 
-  // C) if hashes match and we have rules, no need to fetch rules again
-  if (cachedHash === upstreamHash) {
-    return { rules: cached.rules, updated: false };
+  const diff = active?.rules ? diffRules(active.rules, next.rules) : null;
+  const change = { ts: next.ts, from: active?.hash ?? null, to: next.hash, diff };
+  if (hold) {
+    await ext.storage.local.set({ [PENDING_KEY]: { ...next, diff, reason: "hold" } });
+    await logChange({ ...change, status: "pending" });
+    console.info("[Nudelink] New rules held for approval.");
+    return false;
   }
 
-  // D) hashes differ (or first run) → fetch rules text
-  const rulesText = await fetchText(RULES_URL);
+  await activateRules(next, active);
+  if (diff) await logChange({ ...change, status: "applied" });
+  console.info(`[Nudelink] Rules updated and persisted (sources: ${next.sources.join(", ")}).`);
+  return true;
+};
+
+/**
+ * Activate the pending rule set (held update, or a rolled-back one).
+ * @returns {Promise<{hash: string}>}
+ * @throws {Error} if nothing is pending
+ */
+export const approvePendingRules = () =>
+  enqueueRulesTask(async () => {
+    const pending = await loadLocal(PENDING_KEY);
+    if (!pending) throw new Error("No pending rule update");
+    const { diff, reason: _reason, ...payload } = pending;
+    const active = await loadRules();
+    await activateRules({ ...payload, ts: Date.now() }, active);
+    await logChange({ ts: Date.now(), from: active?.hash ?? null, to: payload.hash, status: "approved", diff });
+    return { hash: payload.hash };
+  });
+
+/**
+ * Restore the rules replaced by the last update. The rolled-back set becomes
+ * pending, so refreshes don't re-apply it until approved or superseded.
+ * @returns {Promise<{hash: string}>}
+ * @throws {Error} if there is no previous snapshot
+ */
+export const rollbackRules = () =>
+  enqueueRulesTask(async () => {
+    const [active, previous] = await Promise.all([loadRules(), loadLocal(PREVIOUS_KEY)]);
+    if (!previous?.rules) throw new Error("No previous rule set to roll back to");
+    const diff = diffRules(active?.rules, previous.rules);
+
+    await saveRules({ ...previous, ts: Date.now() });
+    await ext.storage.local.remove(PREVIOUS_KEY);
+    if (active?.rules) {
+      await ext.storage.local.set({
+        [PENDING_KEY]: { ...active, diff: diffRules(previous.rules, active.rules), reason: "rollback" },
+      });
+    }
+    await logChange({ ts: Date.now(), from: active?.hash ?? null, to: previous.hash, status: "rolled-back", diff });
+    return { hash: previous.hash };
+  });
+
 
-  // E) verify integrity
-  const actualHash = await sha256Hex(rulesText);
-  if (actualHash !== upstreamHash) {
-    // Do not cache; something’s off (partial download/MITM)
-    throw new Error("Rules hash mismatch after download — integrity check failed");
+/* =========================
+   4) Auto-clean (declarativeNetRequest)
+   ========================= */
+
+/**
+ * Ask Chrome which of our regexes it can run (RE2 syntax + memory cap).
+ * Browsers without isRegexSupported get every regex back.
+ * @param {object} rules - ClearURLs rules JSON
+ * @returns {Promise<Set<string>>}
+ */
+const findSupportedRegexes = async (rules) => {
+  const candidates = collectRegexFilters(rules);
+  const dnr = ext.declarativeNetRequest;
+  if (typeof dnr.isRegexSupported !== "function") return new Set(candidates);
+
+  const supported = new Set();
+  for (const regex of candidates) {
+    const res = await dnr.isRegexSupported({ regex, isCaseSensitive: false });
+    if (res?.isSupported) supported.add(regex);
   }
+  return supported;
+};
 
-  // F) parse JSON safely
-  let rules;
-  try {
-    rules = JSON.parse(rulesText);
-  } catch (e) {
-    throw new Error(`Rules JSON parse error: ${e?.message || String(e)}`);
+const writeAutoCleanRules = async () => {
+  const dnr = ext.declarativeNetRequest;
+  const opts = await loadOptions();
+  const removeRuleIds = (await dnr.getDynamicRules()).map((r) => r.id);
+
+  const source = opts.autoClean ? (await loadMergedRules()).rules : null;
+  if (!source) {
+    if (removeRuleIds.length) await dnr.updateDynamicRules({ removeRuleIds });
+    return { enabled: false, count: 0 };
   }
 
-  // G) persist new payload
-  await saveRules({ rules, ts: Date.now(), hash: actualHash });
-  console.info("[Nudelink] Rules updated and persisted (hash changed).");
+  const supported = await findSupportedRegexes(source);
+  const { rules: addRules, skipped, partial } = buildDnrRules(source, {
+    allowReferral: !opts.removeReferral,
+    isRegexSupported: (re) => supported.has(re),
+    maxRegexRules: dnr.MAX_NUMBER_OF_REGEX_RULES ?? DEFAULT_MAX_REGEX_RULES,
+    maxRules: dnr.MAX_NUMBER_OF_DYNAMIC_RULES ?? dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES,
+  });
 
-  return { rules, updated: true };
+  await dnr.updateDynamicRules({ removeRuleIds, addRules });
+  if (skipped.length || partial.length) {
+    console.info(
+      `[Nudelink] Auto-clean over DNR limits — skipped: ${skipped.join(", ") || "none"}; ` +
+        `without unwrapping: ${partial.join(", ") || "none"}`
+    );
+  }
+  return { enabled: true, count: addRules.length, skipped, partial };
 };
 
+// Syncs read-then-replace the dynamic rules, so overlapping runs (option toggle
+// + rules update) would collide on rule ids; queue them instead.
+let autoCleanQueue = Promise.resolve();
 
+/**
+ * Regenerate the auto-clean dynamic rules from the cached ClearURLs providers
+ * (merged with the user's rules and allowlist), or remove them when auto-clean
+ * is off / no rules are cached.
+ *
+ * @returns {Promise<{enabled: boolean, count: number, skipped?: string[], partial?: string[]}>}
+ */
+export const syncAutoCleanRules = () => {
+  const run = autoCleanQueue.then(writeAutoCleanRules);
+  autoCleanQueue = run.catch(() => {});
+  return run;
+};
+
+/** Fire-and-log wrapper: auto-clean problems must never fail a rules refresh. */
+const refreshAutoClean = async () => {
+  try {
+    await syncAutoCleanRules();
+  } catch (e) {
+    console.warn("[Nudelink] syncAutoCleanRules error:", e?.message || e);
+  }
+};
 
 
 /* =========================
-   4) Scheduling + Backoff
+   5) Scheduling + Backoff
    ========================= */
 
-const scheduleDaily = () => chrome.alarms.create(DAILY_ALARM, { periodInMinutes: ONE_DAY_MIN });
+/** Periodic alarm at the shortest refresh interval among the enabled remote sources. */
+const scheduleRefresh = async () => {
+  const intervals = (await loadSources())
+    .filter((s) => s.enabled && s.type !== "bundled")
+    .map((s) => s.refreshMinutes ?? DEFAULT_REFRESH_MIN);
+  const periodInMinutes = intervals.length ? Math.min(...intervals) : DEFAULT_REFRESH_MIN;
+  const current = await ext.alarms.get(DAILY_ALARM);
+  if (current?.periodInMinutes !== periodInMinutes) {
+    ext.alarms.create(DAILY_ALARM, { periodInMinutes });
+  }
+};
 const scheduleRetryIn = (mins) =>
-  chrome.alarms.create(RETRY_ALARM, { when: Date.now() + mins * 60_000 });
+  ext.alarms.create(RETRY_ALARM, { when: Date.now() + mins * 60_000 });
 
 const handleSuccess = async () => {
   await saveState({ backoffIndex: 0 });
-  scheduleDaily(); // ensure we have a daily refresh running
+  await scheduleRefresh(); // ensure we have a periodic refresh running
 };
 
 
@@ -136,49 +394,670 @@ const handleFailure = async () => {
   scheduleRetryIn(delay);
 };
 
+/**
+ * Toolbar badge + title reflecting rule staleness ("old" in amber when stale).
+ * Per-tab badges (copy feedback) override it only while they are shown.
+ */
+const updateHealthBadge = async () => {
+  try {
+    const { stale, ageMin } = rulesStaleness(await loadHistory());
+    await ext.action.setBadgeBackgroundColor({ color: "#d90" });
+    await ext.action.setBadgeText({ text: stale ? "old" : "" });
+    await ext.action.setTitle({
+      title: stale ? `Nudelink — rules not updated for ${formatAge(ageMin)}` : "Nudelink",
+    });
+  } catch (e) {
+    console.warn("[Nudelink] badge update failed:", e?.message || e);
+  }
+};
+
+/** Log an attempt in the update history and refresh the staleness badge. */
+const recordRefresh = async (ok, updated, error) => {
+  try {
+    await recordAttempt({
+      ts: Date.now(),
+      ok,
+      updated: Boolean(updated),
+      hash: (await loadRules())?.hash ?? null,
+      ...(error ? { error } : {}),
+    });
+  } catch (e) {
+    console.warn("[Nudelink] Failed to record update attempt:", e?.message || e);
+  }
+  await updateHealthBadge();
+};
+
 /**
  * Try to refresh rules *now* and set appropriate future alarms.
+ * @param {{force?: boolean}} [opts] - force: refresh every source, even if not due
  * @returns {Promise<boolean>} true on success, false on failure
  */
-export const ensureFreshRules = async () => {
+export const ensureFreshRules = async ({ force = true } = {}) => {
   try {
-    await downloadAndCacheRules();
+    const { updated } = await downloadAndCacheRules({ force });
     await handleSuccess();
+    await recordRefresh(true, updated);
+    if (updated) await rulesChanged();
     return true;
   } catch (e) {
     console.warn("[Nudelink] ensureFreshRules error:", e?.message || e);
     await handleFailure();
+    await recordRefresh(false, e?.updated, e?.message || String(e));
+    if (e?.updated) await rulesChanged();
     return false;
   }
 };
 
 /* =========================
-   5) Lifecycle Hooks
+   6) Lifecycle Hooks
    ========================= */
 
 // On first install or extension update: fetch immediately and set daily alarm.
-chrome.runtime.onInstalled.addListener(() => {
-  ensureFreshRules();
+// Auto-clean rules are rebuilt too, since the translation may have changed, and
+// the content scripts are registered again with the current files.
+ext.runtime.onInstalled.addListener(() => {
+  ensureFreshRules().then(() => refreshAutoClean());
+  refreshLinkRewriter();
+  refreshPasteCleaner();
 });
 
-// Every time the browser starts up: fetch immediately (no fallback) and schedule accordingly.
-chrome.runtime.onStartup.addListener(() => {
-  ensureFreshRules();
+// Every time the browser starts up: refresh the sources that are due and schedule accordingly.
+// The badge isn't persisted across restarts, so restore the staleness flag first.
+ext.runtime.onStartup.addListener(() => {
+  updateHealthBadge();
+  ensureFreshRules({ force: false });
 });
 
-// Alarms: either our daily refresh or a one-shot retry triggers a refresh attempt.
-chrome.alarms.onAlarm.addListener((alarm) => {
+// Alarms: either our periodic refresh or a one-shot retry refreshes the sources that are due.
+ext.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === DAILY_ALARM || alarm.name === RETRY_ALARM) {
-    ensureFreshRules();
+    ensureFreshRules({ force: false });
+  }
+});
+
+// Editing the rule sources re-fetches and re-merges them right away.
+ext.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && SOURCES_KEY in changes) ensureFreshRules();
+});
+
+// Switching the link history off deletes what was recorded; likewise resolved short links.
+ext.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.keepHistory?.newValue === false) clearLinkHistory();
+  if (area === "sync" && changes.resolveShorteners?.newValue === false) clearResolveCache();
+});
+
+
+// Toggling auto-clean or the referral option, or editing user rules, rebuilds the rules.
+ext.storage.onChanged.addListener((changes, area) => {
+  if (area !== "sync") return;
+  if ("autoClean" in changes || "removeReferral" in changes || USER_RULES_KEY in changes) {
+    refreshAutoClean();
+  }
+});
+
+// The content scripts' sites follow their options and lists; tabs running them
+// pick up cleaning options and user rules right away.
+ext.storage.onChanged.addListener((changes, area) => {
+  if (area !== "sync") return;
+  if ("rewriteLinks" in changes || REWRITE_SITES_KEY in changes) refreshLinkRewriter();
+  if ("cleanPastedLinks" in changes || PASTE_SITES_KEY in changes) refreshPasteCleaner();
+  if (["removeReferral", "cleanHash", "canonicalize", USER_RULES_KEY].some((key) => key in changes)) {
+    pushRulesUpdate();
+  }
+});
+
+// A policy change (chrome.storage.managed) can touch any option, the rule
+// source and the organization rules: re-apply everything that depends on them.
+ext.storage.onChanged.addListener(async (_changes, area) => {
+  if (area !== "managed") return;
+  try {
+    const opts = await loadOptions();
+    if (!opts.keepHistory) clearLinkHistory();
+    if (!opts.resolveShorteners) clearResolveCache();
+    await ensureFreshRules();
+    refreshAutoClean();
+    refreshLinkRewriter();
+    refreshPasteCleaner();
+    pushRulesUpdate();
+  } catch (e) {
+    console.warn("[Nudelink] applying policy change failed:", e?.message || e);
+  }
+});
+
+
+/* =========================
+   7) Context menu: copy clean link
+   ========================= */
+
+/**
+ * Clean a batch of URLs with the cached rules and the user's saved options.
+ * @param {string[]} urls
+ * @returns {Promise<Array<{url:string, changed:boolean, error?:string}>>}
+ */
+export const cleanWithSavedOptions = async (urls) => {
+  const [rules, opts] = await Promise.all([loadCompiledRules(), loadOptions()]);
+  return urls.map((u) => applyClearUrls(u, rules, { ...toCleanOptions(opts), explain: true }));
+};
+
+/** Add the links a menu click changed to the link history (if it's on) and the stats. */
+const recordMenuCleanings = async (urls, results) => {
+  await recordStats(urls.map((original, i) => ({ original, result: results[i] })));
+  const opts = await loadOptions();
+  for (const [i, r] of results.entries()) {
+    if (!r.changed) continue;
+    await recordCleaning({ original: urls[i], cleaned: r.url, provider: matchedProvider(r.trace), via: "menu" }, opts);
+  }
+};
+
+/** URLs a context-menu click refers to (link, image, selection, page/frame). */
+const urlsForMenuClick = (info) => {
+  switch (info.menuItemId) {
+    case "nudelink-copy-link":
+      return info.linkUrl ? [info.linkUrl] : [];
+    case "nudelink-copy-image":
+      return info.srcUrl ? [info.srcUrl] : [];
+    case "nudelink-copy-selection":
+      return findUrls(info.selectionText).map((m) => m.url);
+    case "nudelink-copy-page":
+      return [info.frameUrl || info.pageUrl].filter(Boolean);
+    default:
+      return [];
+  }
+};
+
+let creatingOffscreen = null; // in-flight createDocument, so parallel clicks share it
+
+const ensureOffscreenDocument = async () => {
+  if (await ext.offscreen.hasDocument()) return;
+  creatingOffscreen ??= ext.offscreen
+    .createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ["CLIPBOARD"],
+      justification: "Copy cleaned links to the clipboard",
+    })
+    .finally(() => {
+      creatingOffscreen = null;
+    });
+  await creatingOffscreen;
+};
+
+/**
+ * Write text to the clipboard through the offscreen document. Firefox has no
+ * offscreen API, but its background page can write to the clipboard itself.
+ * @param {string} text
+ * @throws {Error} if the offscreen copy fails
+ */
+export const copyViaOffscreen = async (text) => {
+  if (!ext.offscreen) return navigator.clipboard.writeText(text);
+  await ensureOffscreenDocument();
+  const res = await ext.runtime.sendMessage({
+    target: "offscreen",
+    type: "NUDELINK_OFFSCREEN_COPY",
+    text,
+  });
+  if (!res?.ok) throw new Error(res?.error || "Clipboard write failed");
+};
+
+/** Briefly show a toolbar badge (✓ on success, ! on failure). */
+const flashBadge = async (text, color, tabId) => {
+  try {
+    await ext.action.setBadgeBackgroundColor({ color, tabId });
+    await ext.action.setBadgeText({ text, tabId });
+    // null hands a tab back to the global (staleness) badge
+    setTimeout(() => (tabId == null ? updateHealthBadge() : ext.action.setBadgeText({ text: null, tabId })), 2000);
+  } catch (e) {
+    console.warn("[Nudelink] badge update failed:", e?.message || e);
+  }
+};
+
+/**
+ * Handle a context-menu click: clean the referenced URL(s) and copy them,
+ * one per line.
+ * @param {chrome.contextMenus.OnClickData} info
+ * @param {chrome.tabs.Tab} [tab]
+ * @returns {Promise<{ok: boolean, text?: string, error?: string}>}
+ */
+export const handleMenuClick = async (info, tab) => {
+  try {
+    const urls = urlsForMenuClick(info);
+    if (!urls.length) throw new Error("No link found");
+
+    const results = await cleanWithSavedOptions(urls);
+    const failed = results.find((r) => r.error);
+    if (failed) throw new Error(failed.error);
+
+    const text = results.map((r) => r.url).join("\n");
+    await copyViaOffscreen(text);
+    await flashBadge("✓", "#0a7", tab?.id);
+    await recordMenuCleanings(urls, results);
+    return { ok: true, text };
+  } catch (e) {
+    console.warn("[Nudelink] copy clean link failed:", e?.message || e);
+    await flashBadge("!", "#c33", tab?.id);
+    return { ok: false, error: e?.message || String(e) };
+  }
+};
+
+const createContextMenus = async () => {
+  await ext.contextMenus.removeAll();
+  for (const [id, { title, contexts }] of Object.entries(MENU_ITEMS)) {
+    ext.contextMenus.create({ id, title, contexts });
+  }
+};
+
+// Menu entries persist across restarts; (re)create them on install/update only.
+ext.runtime.onInstalled.addListener(() => {
+  createContextMenus();
+});
+
+ext.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId in MENU_ITEMS) handleMenuClick(info, tab);
+});
+
+
+/* =========================
+   7b) Opening originals from the link history
+   ========================= */
+
+/**
+ * Load the original of a cleaned link, in a tab or a new one. With auto-clean on,
+ * a session rule lets exactly that URL through, or it would be cleaned again.
+ * Only originals in the link history can be opened this way.
+ *
+ * @param {{url: string, tabId?: number}} target
+ * @returns {Promise<{tabId: number|undefined}>}
+ * @throws {Error} if the URL isn't in the link history
+ */
+export const openOriginal = async ({ url, tabId }) => {
+  if (!(await loadLinkHistory()).some((e) => e.original === url)) {
+    throw new Error("Not in the link history");
+  }
+  const { autoClean } = await loadOptions();
+  if (autoClean) {
+    await ext.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: [RESTORE_RULE_ID],
+      addRules: [buildRestoreRule(RESTORE_RULE_ID, url, tabId)],
+    });
+  }
+  const tab = tabId === undefined ? await ext.tabs.create({ url }) : await ext.tabs.update(tabId, { url });
+  return { tabId: tab?.id ?? tabId };
+};
+
+
+/* =========================
+   7c) Keyboard shortcuts and the omnibox keyword
+   ========================= */
+
+// chrome.commands ids; manifest.json declares them with their default keys
+export const COMMANDS = Object.freeze({
+  COPY_TAB: "nudelink-copy-tab", // copy the active tab's clean link
+  CLEAN_TAB: "nudelink-clean-tab", // load the clean link in the active tab
+});
+
+/** Clean one URL with the saved options and add it to the link history if it changed. */
+const cleanAndRecord = async (url, via) => {
+  const [result] = await cleanWithSavedOptions([url]);
+  if (result.error) throw new Error(result.error);
+  await recordStats([{ original: url, result }]);
+  if (result.changed) {
+    await recordCleaning({ original: url, cleaned: result.url, provider: matchedProvider(result.trace), via }, await loadOptions());
+  }
+  return result;
+};
+
+/**
+ * Handle a keyboard shortcut on the active tab. CLEAN_TAB leaves a tab that is
+ * already clean alone.
+ * @param {string} command - one of COMMANDS
+ * @param {chrome.tabs.Tab} [tab] - passed by Chrome; queried when missing
+ * @returns {Promise<{ok: boolean, url?: string, changed?: boolean, error?: string}>}
+ */
+export const handleCommand = async (command, tab) => {
+  const target = tab ?? (await ext.tabs.query({ active: true, currentWindow: true }))[0];
+  try {
+    if (!target?.url) throw new Error("No tab URL");
+    const result = await cleanAndRecord(target.url, "shortcut");
+    if (command === COMMANDS.COPY_TAB) await copyViaOffscreen(result.url);
+    else if (result.changed) await ext.tabs.update(target.id, { url: result.url });
+    await flashBadge("✓", "#0a7", target.id);
+    return { ok: true, url: result.url, changed: result.changed };
+  } catch (e) {
+    console.warn(`[Nudelink] ${command} failed:`, e?.message || e);
+    await flashBadge("!", "#c33", target?.id);
+    return { ok: false, error: e?.message || String(e) };
+  }
+};
+
+/** The link typed or pasted after the keyword; "example.com/a?x=1" gets https://. */
+const omniboxUrl = (text) => {
+  const trimmed = String(text ?? "").trim();
+  const [found] = findUrls(trimmed);
+  if (found) return found.url;
+  return /^[^\s/]+\.[^\s/]+(\/\S*)?$/.test(trimmed) ? (findUrls(`https://${trimmed}`)[0]?.url ?? null) : null;
+};
+
+const escapeXml = (text) =>
+  text.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+
+const OMNIBOX_HINT = "Paste a link to open it without tracking";
+
+/**
+ * Preview the clean link as the omnibox's default suggestion.
+ * @param {string} text - what follows the keyword
+ */
+export const handleOmniboxInput = async (text) => {
+  const url = omniboxUrl(text);
+  const [result] = url ? await cleanWithSavedOptions([url]) : [];
+  ext.omnibox.setDefaultSuggestion({
+    description: result && !result.error ? `Open <url>${escapeXml(result.url)}</url>` : OMNIBOX_HINT,
+  });
+};
+
+/**
+ * Open the clean version of a link entered after the `nude` keyword.
+ * @param {string} text
+ * @param {chrome.omnibox.OnInputEnteredDisposition} [disposition]
+ * @returns {Promise<{ok: boolean, url?: string, error?: string}>}
+ */
+export const handleOmniboxEntered = async (text, disposition = "currentTab") => {
+  try {
+    const url = omniboxUrl(text);
+    if (!url) throw new Error("No link found");
+    const { url: cleaned } = await cleanAndRecord(url, "omnibox");
+    if (disposition === "currentTab") await ext.tabs.update({ url: cleaned });
+    else await ext.tabs.create({ url: cleaned, active: disposition === "newForegroundTab" });
+    return { ok: true, url: cleaned };
+  } catch (e) {
+    console.warn("[Nudelink] omnibox open failed:", e?.message || e);
+    return { ok: false, error: e?.message || String(e) };
   }
+};
+
+ext.commands.onCommand.addListener((command, tab) => {
+  if (Object.values(COMMANDS).includes(command)) handleCommand(command, tab);
+});
+
+ext.omnibox.setDefaultSuggestion({ description: OMNIBOX_HINT });
+ext.omnibox.onInputChanged.addListener((text) => {
+  handleOmniboxInput(text);
+});
+ext.omnibox.onInputEntered.addListener((text, disposition) => {
+  handleOmniboxEntered(text, disposition);
 });
 
 
 /* =========================
-   6) Messages (manual refresh + debug)
+   7d) In-page link rewriting (content script)
    ========================= */
 
-chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+export const LINK_REWRITER_ID = "nudelink-link-rewriter";
+
+/**
+ * Replace a registered content script: unregister it, then register it again
+ * for `target` (nothing, when target is null).
+ * @param {object} script - registerContentScripts() entry without the matches
+ * @param {{matches: string[], excludeMatches?: string[]}|null} target
+ */
+const replaceContentScript = async (script, target) => {
+  const registered = await ext.scripting.getRegisteredContentScripts({ ids: [script.id] });
+  if (registered.length) await ext.scripting.unregisterContentScripts({ ids: [script.id] });
+  if (!target) return { enabled: false };
+
+  await ext.scripting.registerContentScripts([{ ...script, persistAcrossSessions: true, ...target }]);
+  return { enabled: true, ...target };
+};
+
+const writeLinkRewriter = async () => {
+  const [opts, sites] = await Promise.all([loadOptions(), loadRewriteSites()]);
+  return replaceContentScript(
+    { id: LINK_REWRITER_ID, js: ["content-links.js"], runAt: "document_idle" },
+    rewriterMatches(opts.rewriteLinks, sites)
+  );
+};
+
+// Same read-then-replace pattern as the auto-clean rules, so queue it too.
+let linkRewriterQueue = Promise.resolve();
+
+/**
+ * Register the link-rewriting content script for the sites the rewriteLinks
+ * option and the per-site lists enable (see link-rewrite-sites.js), or
+ * unregister it when it runs nowhere. Tabs already open keep their state until
+ * they reload.
+ *
+ * @returns {Promise<{enabled: boolean, matches?: string[], excludeMatches?: string[]}>}
+ */
+export const syncLinkRewriter = () => {
+  const run = linkRewriterQueue.then(writeLinkRewriter);
+  linkRewriterQueue = run.catch(() => {});
+  return run;
+};
+
+const refreshLinkRewriter = async () => {
+  try {
+    await syncLinkRewriter();
+  } catch (e) {
+    console.warn("[Nudelink] syncLinkRewriter error:", e?.message || e);
+  }
+};
+
+/**
+ * Tell open tabs the rules or cleaning options changed, so the content scripts
+ * (link rewriter, paste cleaner) reload them. Tabs without them just don't answer.
+ * @returns {Promise<number>} tabs notified
+ */
+export const pushRulesUpdate = async () => {
+  const [opts, rewriteSites, pasteSites] = await Promise.all([loadOptions(), loadRewriteSites(), loadPasteSites()]);
+  if (!rewriterMatches(opts.rewriteLinks, rewriteSites) && !pasteCleanerMatches(opts.cleanPastedLinks, pasteSites)) {
+    return 0;
+  }
+  const tabs = (await ext.tabs.query({})).filter((t) => /^https?:/i.test(t.url ?? ""));
+  const sent = await Promise.all(
+    tabs.map((t) =>
+      ext.tabs.sendMessage(t.id, { type: "NUDELINK_RULES_UPDATED" }).then(
+        () => true,
+        () => false
+      )
+    )
+  );
+  return sent.filter(Boolean).length;
+};
+
+/** The active rules changed (update, approval, rollback): refresh what depends on them. */
+const rulesChanged = async () => {
+  await refreshAutoClean();
+  await pushRulesUpdate().catch((e) => console.warn("[Nudelink] pushRulesUpdate error:", e?.message || e));
+};
+
+
+/* =========================
+   7e) Short links (opt-in resolution)
+   ========================= */
+
+/**
+ * Resolve a short link (bit.ly, t.co…) to its cleaned target: from the cache
+ * while it's fresh, otherwise by following its redirects (see
+ * shortener-resolver.js). Every hop and the target are cleaned with the
+ * saved options. Needs the resolveShorteners option; the popup asks before
+ * sending a link here.
+ *
+ * @param {string} url
+ * @param {{cachedOnly?: boolean}} [opts] - cachedOnly: never contact the shortener
+ * @returns {Promise<{url: string, hops: string[], stopped: string|null, cached: boolean}|null>}
+ *   null when the link isn't a short link, or cachedOnly and nothing is cached
+ */
+export const resolveShortener = async (url, { cachedOnly = false } = {}) => {
+  const [rules, opts] = await Promise.all([loadCompiledRules(), loadOptions()]);
+  if (!opts.resolveShorteners) throw new Error("Short-link resolution is off");
+  const cleanOpts = toCleanOptions(opts);
+  const clean = (u) => {
+    const r = rules ? applyClearUrls(u, rules, cleanOpts) : null;
+    return r && !r.error ? r.url : u;
+  };
+
+  const start = clean(url);
+  if (!isShortLink(start)) return null;
+  const hit = await cachedResolution(start);
+  // Rules may have changed since: clean the cached target again.
+  if (hit) return { ...hit, url: clean(hit.url), cached: true };
+  if (cachedOnly) return null;
+
+  // fetch hides manual redirects in browsers; webRequest reports them
+  const redirects = watchRedirects();
+  let resolution;
+  try {
+    resolution = await resolveShortLink(start, { clean, redirects });
+  } finally {
+    redirects?.stop();
+  }
+  await saveResolution(start, resolution);
+  return { ...resolution, cached: false };
+};
+
+
+/* =========================
+   7f) External API (other extensions and approved pages)
+   ========================= */
+
+// Per-caller budget of URLs; in memory, like the rest of the worker's state
+const externalLimiter = createRateLimiter();
+
+/**
+ * Answer a chrome.runtime.onMessageExternal message (see external-api.js for
+ * the schema). Callers must be on the user's allowlist; URLs are cleaned with
+ * the saved options and rules, but not added to the history or the stats.
+ *
+ * @param {unknown} msg
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {number} [now]
+ * @returns {Promise<object>} a versioned response: {ok: true, version, …} or errorResponse()
+ */
+export const handleExternalMessage = async (msg, sender, now = Date.now()) => {
+  const caller = callerKey(sender);
+  if (!isCallerAllowed(caller, await loadExternalCallers())) {
+    return errorResponse(ERROR_CODES.FORBIDDEN, "Caller is not allowed; add it on the Nudelink options page");
+  }
+  const { request, error } = parseExternalRequest(msg);
+  if (error) return error;
+  const echo = request.requestId === undefined ? {} : { requestId: request.requestId };
+  const response = { ok: true, version: EXTERNAL_API_VERSION, type: request.type, ...echo };
+  if (request.type === MESSAGE_TYPES.API_INFO) return { ...response, ...apiInfo() };
+
+  const { ok, retryAfterMs } = externalLimiter.take(caller, request.urls.length, now);
+  if (!ok) return { ...errorResponse(ERROR_CODES.RATE_LIMITED, "Too many URLs; try again later", { retryAfterMs }), ...echo };
+
+  const results = (await cleanWithSavedOptions(request.urls)).map((r, i) => toCleanResult(request.urls[i], r));
+  return request.batch ? { ...response, results } : { ...response, result: results[0] };
+};
+
+
+/* =========================
+   7g) Paste-time cleaning (content script)
+   ========================= */
+
+export const PASTE_CLEANER_ID = "nudelink-paste-cleaner";
+
+const writePasteCleaner = async () => {
+  const [opts, sites] = await Promise.all([loadOptions(), loadPasteSites()]);
+  return replaceContentScript(
+    { id: PASTE_CLEANER_ID, js: ["content-paste.js"], runAt: "document_idle", allFrames: true },
+    pasteCleanerMatches(opts.cleanPastedLinks, sites)
+  );
+};
+
+let pasteCleanerQueue = Promise.resolve();
+
+/**
+ * Register the paste-cleaning content script for the sites the
+ * cleanPastedLinks option and the per-site lists enable (see paste-sites.js),
+ * or unregister it. Like the link rewriter, open tabs follow after a reload.
+ *
+ * @returns {Promise<{enabled: boolean, matches?: string[], excludeMatches?: string[]}>}
+ */
+export const syncPasteCleaner = () => {
+  const run = pasteCleanerQueue.then(writePasteCleaner);
+  pasteCleanerQueue = run.catch(() => {});
+  return run;
+};
+
+const refreshPasteCleaner = async () => {
+  try {
+    await syncPasteCleaner();
+  } catch (e) {
+    console.warn("[Nudelink] syncPasteCleaner error:", e?.message || e);
+  }
+};
+
+
+/* =========================
+   8) Messages (manual refresh, rule approval/rollback, originals, short links, diagnostics, external API)
+   ========================= */
+
+/** Soonest pending refresh alarm (periodic or retry), or null. */
+const nextRefreshAlarm = async () => {
+  const alarms = (await Promise.all([DAILY_ALARM, RETRY_ALARM].map((n) => ext.alarms.get(n)))).filter(Boolean);
+  const next = alarms.sort((a, b) => a.scheduledTime - b.scheduledTime)[0];
+  return next ? { name: next.name, scheduledTime: next.scheduledTime } : null;
+};
+
+/** Everything the diagnostics page shows, in one response. */
+const collectDiagnostics = async () => {
+  const [payload, state, history, sources, sourceCache, nextAlarm, pending, previous, changes, storage] =
+    await Promise.all([
+    loadRules(), // payload = { rules, ts, hash, sources } | null
+    loadState(),
+    loadHistory(),
+    loadSources(),
+    loadSourceCache(),
+    nextRefreshAlarm(),
+    loadLocal(PENDING_KEY),
+    loadLocal(PREVIOUS_KEY),
+    loadLocal(CHANGES_KEY),
+    inspectRulesStorage(),
+  ]);
+  const lastFailure = history.attempts.find((a) => !a.ok);
+  return {
+    hasRules: Boolean(payload?.rules),
+    state,
+    lastUpdated: payload?.ts || null,
+    hash: payload?.hash || null,
+    sources: payload?.sources || [],
+    providerCount: Object.keys(payload?.rules?.providers ?? {}).length,
+    lastSuccess: history.lastSuccess,
+    lastError: lastFailure ? { ts: lastFailure.ts, message: lastFailure.error } : null,
+    nextAlarm,
+    ...rulesStaleness(history),
+    history: history.attempts,
+    sourceStatus: sources.map(({ id, label, enabled }) => ({
+      id,
+      label,
+      enabled,
+      ts: sourceCache[id]?.ts ?? null,
+      checkedTs: sourceCache[id]?.checkedTs ?? null,
+      hash: sourceCache[id]?.hash ?? null,
+      error: sourceCache[id]?.error ?? null,
+    })),
+    pending: pending ? { hash: pending.hash, ts: pending.ts, reason: pending.reason, diff: pending.diff } : null,
+    previousHash: previous?.hash ?? null,
+    changes: changes ?? [],
+    storage,
+  };
+};
+
+/**
+ * Whether a runtime message comes from one of our own pages (popup, options,
+ * history…), directly or open in a tab. Content scripts share the runtime but
+ * run in web pages, so they can't send privileged commands.
+ * @param {{url?: string, tab?: {url?: string}}} sender - runtime.MessageSender
+ * @returns {boolean}
+ */
+export const isExtensionPage = (sender) => {
+  const base = ext.runtime.getURL("");
+  const ours = (url) => typeof url === "string" && url.startsWith(base);
+  return ours(sender?.url) && (!sender.tab || ours(sender.tab.url));
+};
+
+ext.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (!isExtensionPage(sender)) return false;
   (async () => {
     try {
       switch (msg?.type) {
@@ -187,16 +1066,28 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
           sendResponse({ ok });
           break;
         }
+        case "NUDELINK_APPROVE_RULES": {
+          const { hash } = await approvePendingRules();
+          await rulesChanged();
+          sendResponse({ ok: true, hash });
+          break;
+        }
+        case "NUDELINK_ROLLBACK_RULES": {
+          const { hash } = await rollbackRules();
+          await rulesChanged();
+          sendResponse({ ok: true, hash });
+          break;
+        }
+        case "NUDELINK_OPEN_ORIGINAL": {
+          sendResponse({ ok: true, ...(await openOriginal({ url: msg.url, tabId: msg.tabId })) });
+          break;
+        }
+        case "NUDELINK_RESOLVE_SHORT_LINK": {
+          sendResponse({ ok: true, resolution: await resolveShortener(msg.url, { cachedOnly: msg.cachedOnly }) });
+          break;
+        }
         case "NUDELINK_DEBUG_STATE": {
-          const payload = await loadRules(); // payload = { rules, ts, hash } | null
-          const state = await loadState();
-          sendResponse({
-            ok: true,
-            hasRules: Boolean(payload?.rules),
-            state,
-            lastUpdated: payload?.ts || null,
-            hash: payload?.hash || null,
-          });
+          sendResponse({ ok: true, ...(await collectDiagnostics()) });
           break;
         }
         default:
@@ -214,4 +1105,12 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   })();
   // Return true to keep the channel open for async sendResponse.
   return true;
-});
\ No newline at end of file
+});
+
+ext.runtime.onMessageExternal.addListener((msg, sender, sendResponse) => {
+  handleExternalMessage(msg, sender).then(sendResponse, (err) => {
+    console.warn("[Nudelink] External request failed:", err?.message || err);
+    sendResponse(errorResponse(ERROR_CODES.INTERNAL, "Cleaning failed"));
+  });
+  return true;
+});
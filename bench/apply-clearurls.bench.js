@@ -0,0 +1,83 @@
+// bench/apply-clearurls.bench.js
+// Compares cleaning a batch of URLs with rules compiled once (compileRules)
+// against rebuilding every regex for each URL.
+//
+//   npm run bench [-- <rounds>]
+//
+// The vendored fixture is only a handful of providers, so it is widened to
+// roughly the size of the full ClearURLs dataset by cloning providers under
+// different host labels.
+
+import { performance } from "node:perf_hooks";
+
+import { applyClearUrls, compileRules } from "../clearurls-engine.js";
+import { loadRulesFixture } from "../test/helpers/rules-fixture.js";
+
+const PROVIDER_TARGET = 250;
+const ROUNDS = Number(process.argv[2]) || 20;
+
+/** Clone non-global providers under fresh labels until we reach PROVIDER_TARGET. */
+const widenRules = (rules) => {
+  const base = Object.entries(rules.providers).filter(([name]) => name !== "globalRules");
+  const providers = {};
+  for (let i = 0; Object.keys(providers).length < PROVIDER_TARGET - 1; i++) {
+    for (const [name, p] of base) {
+      const label = `${name}${i}`;
+      const swap = (src) => String(src).replaceAll(name, label);
+      providers[label] = {
+        ...p,
+        urlPattern: swap(p.urlPattern),
+        exceptions: (p.exceptions || []).map(swap),
+        redirections: (p.redirections || []).map(swap),
+      };
+    }
+  }
+  providers.globalRules = rules.providers.globalRules;
+  return { providers };
+};
+
+const URLS = [
+  "https://example.com/page?utm_source=news&utm_medium=email&id=7",
+  "https://www.google.com/url?sa=t&url=https%3A%2F%2Fexample.org%2Fa%3Futm_source%3Dgoogle&ved=abc",
+  "https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.org%2Fnews%3Ffbclid%3DXYZ&h=AT0",
+  "https://www.amazon.com/Some-Product/dp/B000123/ref=sr_1_1?keywords=foo&qid=1&sr=8-1&tag=aff-20",
+  "https://shop.example.net/item/42?gclid=abc&gbraid=def&color=red",
+  "https://docs.example.io/guide#section-2",
+  "https://www.amazon42.de/dp/B0001?pd_rd_w=1&pf_rd_p=2",
+  "https://news.example.org/story?mc_cid=1&mc_eid=2&page=3",
+];
+
+const time = (fn) => {
+  const start = performance.now();
+  fn();
+  return performance.now() - start;
+};
+
+const rules = widenRules(loadRulesFixture());
+const batch = Array.from({ length: ROUNDS }, () => URLS).flat();
+
+let compiled;
+const compileMs = time(() => {
+  compiled = compileRules(rules);
+});
+
+// Warm up both paths so the JIT doesn't skew the first measurement
+for (const url of URLS) {
+  applyClearUrls(url, compiled);
+  applyClearUrls(url, compileRules(rules));
+}
+
+const compiledMs = time(() => {
+  for (const url of batch) applyClearUrls(url, compiled);
+});
+const perUrlMs = time(() => {
+  for (const url of batch) applyClearUrls(url, compileRules(rules));
+});
+
+const fmt = (ms) => `${ms.toFixed(2)} ms`;
+console.log(`providers:              ${compiled.providers.length}`);
+console.log(`urls:                   ${batch.length}`);
+console.log(`compileRules (once):    ${fmt(compileMs)}`);
+console.log(`compiled once:          ${fmt(compiledMs)} (${fmt(compiledMs / batch.length)}/url)`);
+console.log(`recompiled per url:     ${fmt(perUrlMs)} (${fmt(perUrlMs / batch.length)}/url)`);
+console.log(`speedup:                ${(perUrlMs / compiledMs).toFixed(1)}x`);
@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+// bin/nudelink.js — executable entry for the `nudelink` CLI (see cli.js).
+
+import { runCli } from "../cli.js";
+
+process.exitCode = await runCli(process.argv.slice(2));
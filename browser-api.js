@@ -0,0 +1,19 @@
+// browser-api.js
+// One handle on the WebExtension APIs for Chrome and Firefox. Firefox exposes
+// the promise-based `browser` namespace, Chrome `chrome` (promise-based in MV3
+// too); `ext.storage`, `ext.alarms`, `ext.runtime`, `ext.tabs`… resolve to
+// whichever exists at call time, so modules (and test shims) never pick one
+// at import.
+//
+// APIs only one browser has (chrome.offscreen) are feature-checked where used.
+
+/** The WebExtension namespace: Firefox's `browser`, else `chrome`. */
+export const extensionApi = () => globalThis.browser ?? globalThis.chrome;
+
+/** `ext.<namespace>` → the current browser's namespace (undefined if it has none). */
+export const ext = new Proxy(Object.freeze({}), {
+  get: (_target, name) => extensionApi()?.[name],
+});
+
+/** True in Firefox (its `runtime` has getBrowserInfo; Chrome's doesn't). */
+export const isFirefox = () => typeof globalThis.browser?.runtime?.getBrowserInfo === "function";
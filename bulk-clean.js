@@ -0,0 +1,100 @@
+// bulk-clean.js
+// Clean every URL inside a block of text (messages, Markdown, HTML, CSV
+// columns) and describe what changed per link. Pure: used by bulk.js.
+
+import { applyClearUrls } from "./clearurls-engine.js";
+import { findUrls } from "./url-text.js";
+
+/** Providers that did something, in the order they acted. */
+export const actingProviders = ({ redirections, params, rawRules }) => [
+  ...new Set([...redirections, ...params, ...rawRules].map((step) => step.provider)),
+];
+
+/**
+ * @typedef {object} LinkRow
+ * @property {string} original - URL as found in the text (HTML entities decoded)
+ * @property {string} cleaned - cleaned URL (same as original if unchanged or on error)
+ * @property {boolean} changed
+ * @property {string[]} removedParams - param names dropped (query + hash)
+ * @property {string[]} providers - ClearURLs providers that changed the link
+ * @property {import("./clearurls-engine.js").CleanTrace} [trace] - full explain trace
+ * @property {number} count - occurrences in the text
+ * @property {string} [error]
+ */
+
+/**
+ * Replace every URL in text with its cleaned form.
+ * Handles Markdown links, HTML href/src attributes (including &amp;-escaped
+ * query strings), angle-bracketed URLs and trailing punctuation.
+ *
+ * @param {string} text
+ * @param {object} rules - ClearURLs rules JSON or compileRules() output
+ * @param {{allowReferral?: boolean, cleanHash?: boolean}} [options] - applyClearUrls options
+ * @returns {{text: string, links: LinkRow[]}} links: one row per distinct URL
+ */
+export const cleanLinksInText = (text, rules, options = {}) => {
+  const source = String(text ?? "");
+  const rows = new Map();
+  let out = "";
+  let last = 0;
+
+  for (const { url: raw, start, end } of findUrls(source)) {
+    // HTML escapes "&" in attributes/text; clean the real URL and escape it back
+    const htmlEscaped = raw.includes("&amp;");
+    const original = htmlEscaped ? raw.replaceAll("&amp;", "&") : raw;
+
+    let row = rows.get(original);
+    if (row) {
+      row.count += 1;
+    } else {
+      const result = applyClearUrls(original, rules, { ...options, explain: true });
+      row = {
+        original,
+        cleaned: result.error ? original : result.url,
+        changed: result.changed,
+        removedParams: result.trace ? [...new Set(result.trace.params.map((p) => p.name))] : [],
+        providers: result.trace ? actingProviders(result.trace) : [],
+        count: 1,
+        ...(result.trace ? { trace: result.trace } : {}),
+        ...(result.error ? { error: result.error } : {}),
+      };
+      rows.set(original, row);
+    }
+
+    // Unchanged links keep their exact original spelling
+    const replacement = !row.changed ? raw : htmlEscaped ? row.cleaned.replaceAll("&", "&amp;") : row.cleaned;
+    out += source.slice(last, start) + replacement;
+    last = end;
+  }
+
+  return { text: out + source.slice(last), links: [...rows.values()] };
+};
+
+/** Quote a CSV field (RFC 4180). */
+const csvField = (value) => {
+  const s = String(value ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+};
+
+/**
+ * Render link rows as CSV with a header line.
+ * @param {LinkRow[]} links
+ * @returns {string}
+ */
+export const linksToCsv = (links) => {
+  const header = ["original", "cleaned", "changed", "removed_params", "providers", "count", "error"];
+  const lines = links.map((l) =>
+    [
+      l.original,
+      l.cleaned,
+      l.changed,
+      l.removedParams.join(" "),
+      l.providers.join(" "),
+      l.count,
+      l.error ?? "",
+    ]
+      .map(csvField)
+      .join(",")
+  );
+  return [header.join(","), ...lines].join("\r\n") + "\r\n";
+};
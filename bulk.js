@@ -0,0 +1,117 @@
+import { loadCompiledRules } from "./clearurls-apply.js";
+import { cleanLinksInText, linksToCsv } from "./bulk-clean.js";
+import { loadOptions, toCleanOptions } from "./settings.js";
+import { recordStats } from "./privacy-stats.js";
+
+/** DOM refs */
+const inputField = document.getElementById("input");
+const outputField = document.getElementById("output");
+const statusLabel = document.getElementById("status");
+const linksTable = document.getElementById("links");
+const linksBody = linksTable.querySelector("tbody");
+const copyButton = document.getElementById("copy");
+const downloadTextButton = document.getElementById("download-text");
+const downloadCsvButton = document.getElementById("download-csv");
+
+/** Latest result, for copy/download */
+let lastResult = { text: "", links: [] };
+/** Whether lastResult went into the stats already */
+let counted = false;
+
+/** Rules + options are loaded once per page; reload the page after changing options */
+const ready = Promise.all([loadCompiledRules(), loadOptions()]);
+
+/** Tiny status helper */
+const setStatus = (text, good = false) => {
+  statusLabel.textContent = text;
+  statusLabel.className = good ? "muted good" : "muted";
+};
+
+/** Build a <td> with plain text content */
+const cell = (text, className) => {
+  const td = document.createElement("td");
+  td.textContent = text;
+  if (className) td.className = className;
+  return td;
+};
+
+/** Render the per-link diff table */
+const renderLinks = (links) => {
+  linksBody.replaceChildren(
+    ...links.map((link) => {
+      const tr = document.createElement("tr");
+      if (!link.changed) tr.className = "unchanged";
+      tr.append(
+        cell(link.count > 1 ? `${link.original} (×${link.count})` : link.original),
+        cell(link.error ? `— ${link.error}` : link.cleaned),
+        cell(link.removedParams.join(", "), "removed"),
+        cell(link.providers.join(", "))
+      );
+      return tr;
+    })
+  );
+  linksTable.hidden = links.length === 0;
+};
+
+/** Clean the input and render output + table */
+const runClean = async () => {
+  const [rules, opts] = await ready;
+  if (!rules) {
+    setStatus("Rules not loaded yet. Please wait and reload this page.");
+    return;
+  }
+
+  lastResult = cleanLinksInText(inputField.value, rules, toCleanOptions(opts));
+  counted = false;
+  outputField.value = lastResult.text;
+  renderLinks(lastResult.links);
+
+  const changed = lastResult.links.filter((l) => l.changed).length;
+  const total = lastResult.links.length;
+  setStatus(
+    total ? `${changed} of ${total} link${total === 1 ? "" : "s"} cleaned.` : "No links found.",
+    changed > 0
+  );
+};
+
+/** Save a string as a file via a temporary object URL */
+const download = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Count the current result in the stats, once: when it's copied or downloaded
+ * (the text is re-cleaned on every keystroke).
+ */
+const countResult = () => {
+  if (counted || !lastResult.links.length) return;
+  counted = true;
+  recordStats(lastResult.links.map((link) => ({ original: link.original, result: link })));
+};
+
+/** Wire events */
+inputField.addEventListener("input", runClean);
+
+copyButton.addEventListener("click", async () => {
+  countResult();
+  try {
+    await navigator.clipboard.writeText(outputField.value);
+    setStatus("Copied to clipboard.", true);
+  } catch (e) {
+    setStatus(`Copy failed: ${e?.message || e}`);
+  }
+});
+
+downloadTextButton.addEventListener("click", () => {
+  countResult();
+  download("nudelink-cleaned.txt", lastResult.text, "text/plain");
+});
+
+downloadCsvButton.addEventListener("click", () => {
+  download("nudelink-links.csv", linksToCsv(lastResult.links), "text/csv");
+});
@@ -0,0 +1,146 @@
+// canonicalize.js
+// Optional canonicalization stage run after the ClearURLs rules (see
+// applyClearUrls): AMP pages → the original article, mobile hosts → the desktop
+// host, tracking segments embedded in paths removed, or the page's own
+// <link rel=canonical> when the caller read one from the tab.
+//
+// Everything URL-shaped lives in CANONICAL_RULES below; add a row there rather
+// than code. Environment-neutral like the engine.
+
+/**
+ * @typedef {object} CanonicalRule
+ * @property {string} id - shown in the "Why?" panel
+ * @property {"amp"|"mobile"|"path"} kind
+ * @property {string} pattern - regex matched against the whole URL (case-insensitive);
+ *   "path" rules only see the URL up to its query or fragment
+ * @property {string} replacement - String.prototype.replace template ($1, $2…)
+ */
+
+// Hosts that are only a public suffix once the mobile label goes: a country's
+// second level (co.uk) or a host whose subdomains belong to different owners.
+const SUFFIX_HOSTS = [
+  "(?:ac|co|com|edu|gov|net|org)\\.[a-z]{2}",
+  "github\\.io",
+  "gitlab\\.io",
+  "blogspot\\.com",
+  "netlify\\.app",
+  "vercel\\.app",
+  "pages\\.dev",
+  "web\\.app",
+  "herokuapp\\.com",
+].join("|");
+
+/** @type {ReadonlyArray<CanonicalRule>} */
+export const CANONICAL_RULES = Object.freeze([
+  // Google AMP viewer: google.com/amp/s/example.com/a → https://example.com/a ("s/" = https)
+  { id: "google-amp", kind: "amp", pattern: "^https?:\\/\\/(?:www\\.)?google\\.[a-z.]+\\/amp\\/s\\/(.+)$", replacement: "https://$1" },
+  { id: "google-amp-http", kind: "amp", pattern: "^https?:\\/\\/(?:www\\.)?google\\.[a-z.]+\\/amp\\/(?!s\\/)(.+)$", replacement: "http://$1" },
+  // AMP cache: example-com.cdn.ampproject.org/c/s/example.com/a → https://example.com/a
+  { id: "ampproject-cache", kind: "amp", pattern: "^https?:\\/\\/[^/]+\\.cdn\\.ampproject\\.org\\/[a-z]\\/s\\/(.+)$", replacement: "https://$1" },
+  { id: "ampproject-cache-http", kind: "amp", pattern: "^https?:\\/\\/[^/]+\\.cdn\\.ampproject\\.org\\/[a-z]\\/(?!s\\/)(.+)$", replacement: "http://$1" },
+  // AMP versions on the publisher's own site: /some-article/amp, /article.amp, ?amp=1
+  // (/amp only after a slug, so /docs/amp or /guitar/amp stay)
+  { id: "amp-path", kind: "amp", pattern: "^(https?:\\/\\/[^/?#]+\\/(?:[^?#]*\\/)?[^/?#]*-[^/?#]*)\\/amp\\/?(?=[?#]|$)", replacement: "$1" },
+  { id: "amp-extension", kind: "amp", pattern: "^(https?:\\/\\/[^?#]+?)\\.amp(?:\\.html)?(?=[?#]|$)", replacement: "$1" },
+  { id: "amp-param", kind: "amp", pattern: "([?&])(?:amp|outputType=amp)(?:=(?:1|true))?(?:&|(?=#|$))", replacement: "$1" },
+  // m.example.com / mobile.example.com / en.m.wikipedia.org → desktop host: only the
+  // m./mobile. label goes, and never when a public suffix (co.uk, github.io) is left
+  {
+    id: "mobile-host",
+    kind: "mobile",
+    pattern: `^(https?:\\/\\/(?:[a-z]{2,3}(?:-[a-z]+)?\\.)?)(?:m|mobile)\\.(?!(?:m|mobile)\\.)(?!(?:${SUFFIX_HOSTS})(?:[/:?#]|$))([^./:]+\\.[^/:?#]+)`,
+    replacement: "$1$2",
+  },
+  // Amazon path tracking: /dp/B01/ref=sr_1_1 → /dp/B01
+  { id: "amazon-ref-path", kind: "path", pattern: "^(https?:\\/\\/(?:[a-z0-9-]+\\.)*amazon\\.[a-z.]+\\/[^?#]*?)\\/ref=[^/?#]*", replacement: "$1" },
+  // Session ids embedded as matrix params: /page;jsessionid=ABC → /page
+  { id: "jsessionid", kind: "path", pattern: ";jsessionid=[^/?#]*", replacement: "" },
+]);
+
+/** Rounds of rule application (an AMP cache URL can unwrap to an AMP path). */
+const MAX_ROUNDS = 4;
+
+const compiledRules = new WeakMap();
+
+/** Rules with their regexes compiled once per table. */
+const compile = (rules) => {
+  if (!compiledRules.has(rules)) {
+    compiledRules.set(rules, rules.map((r) => ({ ...r, re: new RegExp(r.pattern, "i") })));
+  }
+  return compiledRules.get(rules);
+};
+
+/** Apply one rule to a URL string; "path" rules leave the query and fragment alone. */
+const applyRule = (rule, url) => {
+  if (rule.kind !== "path") return url.replace(rule.re, rule.replacement);
+  const end = url.search(/[?#]|$/);
+  return url.slice(0, end).replace(rule.re, rule.replacement) + url.slice(end);
+};
+
+/** Parse an http(s) URL, or null */
+const httpUrl = (str) => {
+  try {
+    const url = new URL(str);
+    return /^https?:$/.test(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Host as compared for rel=canonical: lower case, without a trailing dot or a
+ * leading "www.". Sibling subdomains don't count as the same site: on shared
+ * hosts (*.github.io, *.co.uk) they belong to someone else.
+ * @param {string} host
+ * @returns {string}
+ */
+export const canonicalHost = (host) => host.toLowerCase().replace(/\.$/, "").replace(/^www\./, "");
+
+/**
+ * A page's rel=canonical, if it's usable: http(s) and on the same host as the
+ * page (pages can't send users elsewhere through it).
+ * @param {string} pageUrl
+ * @param {string|null} [canonicalLink]
+ * @returns {URL|null}
+ */
+export const acceptCanonicalLink = (pageUrl, canonicalLink) => {
+  const page = httpUrl(pageUrl);
+  const canonical = canonicalLink ? httpUrl(canonicalLink) : null;
+  if (!page || !canonical) return null;
+  return canonicalHost(page.hostname) === canonicalHost(canonical.hostname) ? canonical : null;
+};
+
+/**
+ * Canonicalize a (cleaned) URL.
+ * 1) the page's rel=canonical, when given and on the same host
+ * 2) CANONICAL_RULES, repeated until nothing changes
+ *
+ * @param {string} inputUrl
+ * @param {object} [opts]
+ * @param {string|null} [opts.canonicalLink] - href of the page's <link rel=canonical>
+ * @param {ReadonlyArray<CanonicalRule>} [opts.rules]
+ * @returns {{url: string, changed: boolean, steps: Array<{rule: string, kind: string, from: string, to: string}>}}
+ */
+export const canonicalizeUrl = (inputUrl, { canonicalLink = null, rules = CANONICAL_RULES } = {}) => {
+  const steps = [];
+  let url = String(inputUrl);
+
+  const linked = acceptCanonicalLink(url, canonicalLink);
+  if (linked && linked.href !== url) {
+    steps.push({ rule: "rel-canonical", kind: "link", from: url, to: linked.href });
+    url = linked.href;
+  }
+
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    let changedThisRound = false;
+    for (const rule of compile(rules)) {
+      const next = httpUrl(applyRule(rule, url).replace(/[?&]$/, ""))?.href;
+      if (!next || next === url) continue;
+      steps.push({ rule: rule.id, kind: rule.kind, from: url, to: next });
+      url = next;
+      changedThisRound = true;
+    }
+    if (!changedThisRound) break;
+  }
+  return { url, changed: steps.length > 0, steps };
+};
@@ -0,0 +1,537 @@
+// clearurls-engine.js
+// Minimal interpreter for ClearURLs rules. Focuses on:
+// - provider matching via urlPattern
+// - exceptions
+// - redirections (capture group 1 -> real URL), unwrapped hop by hop with a hop
+//   limit and loop detection; percent-, double- and base64-encoded targets
+// - parameter removal (rules + referralMarketing)
+// - the same parameter removal on query-like hash fragments (opt-in)
+// - canonicalization afterwards: AMP, mobile hosts, rel=canonical (opt-in, see
+//   canonicalize.js)
+//
+// Rules are compiled once (compileRules) into an indexed matcher; applyClearUrls
+// accepts either the compiled form or raw rules JSON (compiled + memoized).
+//
+// Environment-neutral (no chrome.*, no Node built-ins): shared by the extension,
+// the `nudelink` CLI and anything importing the npm package.
+
+import { canonicalizeUrl } from "./canonicalize.js";
+
+/** Marks objects produced by compileRules(). */
+const COMPILED = Symbol("nudelink.compiledRules");
+
+/** Raw rules JSON → compiled form, so repeated calls with the same object are cheap. */
+const compiledByRules = new WeakMap();
+
+/** Default cap on nested redirects unwrapped for one URL. */
+export const MAX_REDIRECT_HOPS = 10;
+
+/** How many decoding layers (percent / base64) a redirect target may have. */
+const MAX_DECODE_ROUNDS = 4;
+
+/** Safely compile a regex or return null on error. */
+function safeRegExp(source, flags = "i") {
+  try {
+    return new RegExp(source, flags);
+  } catch {
+    return null;
+  }
+}
+
+/** Normalize a cleaned URL: remove empty ?/# */
+function normalizeUrl(u) {
+  return u.toString().replace(/\?$/, "").replace(/#$/, "");
+}
+
+/**
+ * Split rule entries into plain names (Map lookup) and compiled regexes,
+ * keeping each entry's source so explain mode can report it.
+ * @param {unknown} entries - provider.rules / provider.referralMarketing
+ * @returns {{names: Map<string, string>, regexes: Array<{re: RegExp, source: string}>}}
+ */
+function splitParamEntries(entries) {
+  const names = new Map(); // lower-cased name → original entry
+  const regexes = [];
+
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const s = String(entry);
+    // Treat as plain name if no regex metachars
+    if (
+      !/[.*+?^${}()|[\]\\]/.test(s) &&
+      !s.includes("=") &&
+      !s.includes("[") &&
+      !s.includes("\\b")
+    ) {
+      names.set(s.toLowerCase(), s);
+    } else {
+      const re = safeRegExp(s, "i");
+      if (re) regexes.push({ re, source: s });
+    }
+  }
+
+  return { names, regexes };
+}
+
+/** Entry (from one split list) that matches a lower-cased key, or null. */
+function findEntry(lower, { names, regexes }) {
+  // exact name match
+  if (names.has(lower)) return names.get(lower);
+
+  // regex matches (try both "key" and "key=" to satisfy different rule styles)
+  const hit = regexes.find(({ re }) => re.test(lower) || re.test(`${lower}=`));
+  return hit ? hit.source : null;
+}
+
+/**
+ * Rule entry of a compiled provider that removes a param key, or null.
+ * @param {string} key
+ * @param {{rules: object, referral: object}} params - compiled provider.params
+ * @param {boolean} allowReferral - keep referralMarketing params if true
+ * @returns {{rule: string, list: "rules"|"referralMarketing"}|null}
+ */
+function findParamRule(key, params, allowReferral) {
+  const lower = key.toLowerCase();
+  const rule = findEntry(lower, params.rules);
+  if (rule !== null) return { rule, list: "rules" };
+  if (allowReferral) return null;
+  const referral = findEntry(lower, params.referral);
+  return referral !== null ? { rule: referral, list: "referralMarketing" } : null;
+}
+
+/**
+ * Split a hash fragment into a route prefix and a query part.
+ * Returns null for ordinary anchors like "#section-2".
+ *
+ *   "#a=b&c=d"            → { prefix: "",          query: "a=b&c=d" }
+ *   "#!/path?x=y"         → { prefix: "!/path?",   query: "x=y" }
+ *   "#/route?utm_source=" → { prefix: "/route?",   query: "utm_source=" }
+ *
+ * @param {string} hash - URL#hash (with or without the leading "#")
+ * @returns {{prefix:string, query:string}|null}
+ */
+function splitHashQuery(hash) {
+  const frag = hash.startsWith("#") ? hash.slice(1) : hash;
+  if (!frag) return null;
+
+  const q = frag.indexOf("?");
+  if (q !== -1) return { prefix: frag.slice(0, q + 1), query: frag.slice(q + 1) };
+
+  // No "?": only treat it as a query if it reads like key=value pairs
+  if (/^[^/!#]/.test(frag) && frag.includes("=")) return { prefix: "", query: frag };
+  return null;
+}
+
+/** Decode a raw "key=value" pair's key the way URLSearchParams would. */
+function pairKey(pair) {
+  const rawKey = pair.split("=")[0].replace(/\+/g, " ");
+  try {
+    return decodeURIComponent(rawKey);
+  } catch {
+    return rawKey;
+  }
+}
+
+/**
+ * Remove tracking params from a query-like hash fragment. Raw pairs are kept
+ * verbatim so we don't re-encode values the site relies on.
+ * @returns {string|null} new fragment (without "#"), or null if nothing changed
+ */
+function cleanHashFragment(hash, shouldRemove) {
+  const parts = splitHashQuery(hash);
+  if (!parts) return null;
+
+  const pairs = parts.query.split("&");
+  const kept = pairs.filter((pair) => !pair || !shouldRemove(pairKey(pair)));
+  if (kept.length === pairs.length) return null;
+
+  const query = kept.filter(Boolean).join("&");
+  if (query) return parts.prefix + query;
+  // Drop the dangling "?" of a route prefix ("#/route?" → "#/route")
+  return parts.prefix.replace(/\?$/, "");
+}
+
+/** Absolute http(s) URL, or null (other schemes are never redirect targets). */
+function toHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return /^https?:$/.test(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Decode a base64 / base64url string that encodes an http(s) URL, or null. */
+function decodeBase64Url(value) {
+  if (!/^[A-Za-z0-9+/_-]{12,}={0,2}$/.test(value)) return null;
+  try {
+    const decoded = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+    return /^https?(?::|%3A)/i.test(decoded) ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn a captured redirect target into a URL, peeling up to MAX_DECODE_ROUNDS
+ * layers of percent-encoding (incl. double-encoding like "https%253A…") or
+ * base64 as used by email click trackers.
+ * @param {string} raw - capture group 1 of a redirections entry
+ * @returns {URL|null}
+ */
+function decodeRedirectTarget(raw) {
+  let value = raw;
+  for (let round = 0; round <= MAX_DECODE_ROUNDS; round++) {
+    const url = toHttpUrl(value);
+    if (url) return url;
+
+    let next = null;
+    if (/%[0-9a-f]{2}/i.test(value)) {
+      try {
+        next = decodeURIComponent(value);
+      } catch {
+        /* malformed escapes: try base64 below */
+      }
+    }
+    next ??= decodeBase64Url(value);
+    if (next === null || next === value) return null;
+    value = next;
+  }
+  return null;
+}
+
+/** Compile a list of regex sources, dropping invalid ones. */
+function compileList(list, flags = "i") {
+  return (Array.isArray(list) ? list : [])
+    .map((source) => ({ re: safeRegExp(source, flags), source: String(source) }))
+    .filter(({ re }) => re);
+}
+
+/**
+ * Pull the first literal host label out of a ClearURLs urlPattern, e.g.
+ * "^https?:\/\/(?:[a-z0-9-]+\.)*?amazon(?:\.[a-z]{2,}){1,}" → "amazon".
+ * Only the canonical shape is recognised; anything else returns null and the
+ * provider is checked against every URL.
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+function hostLabelOf(pattern) {
+  const m = /^\^https\?:\\\/\\\/(?:\(\?:\[a-z0-9-\]\+\\\.\)\*\??)?([a-z0-9-]+)(?:\\\.|\(\?:\\\.|\\\/)/i.exec(
+    String(pattern)
+  );
+  return m ? m[1].toLowerCase() : null;
+}
+
+/**
+ * Compile ClearURLs rules JSON into a reusable matcher: every regex is built
+ * once, param entries are pre-split into plain names vs regexes, and providers
+ * are indexed by the host label their urlPattern requires.
+ *
+ * @param {object} rulesJson - ClearURLs rules JSON ({providers: {...}})
+ * @returns {object|null} compiled rules, or null if rulesJson has no providers
+ */
+export function compileRules(rulesJson) {
+  if (isCompiledRules(rulesJson)) return rulesJson;
+  if (!rulesJson || typeof rulesJson !== "object" || !rulesJson.providers) return null;
+
+  const providers = [];
+  const byLabel = new Map(); // host label → provider indexes
+  const generic = []; // providers that must be tested against every URL
+
+  for (const [name, provider] of Object.entries(rulesJson.providers)) {
+    const urlRe = safeRegExp(provider?.urlPattern, "i");
+    if (!urlRe) continue; // never matches anything
+
+    const index = providers.length;
+    providers.push({
+      name,
+      urlRe,
+      exceptions: compileList(provider.exceptions),
+      redirections: compileList(provider.redirections),
+      rawRules: compileList(provider.rawRules, "ig"),
+      params: {
+        rules: splitParamEntries(provider.rules),
+        referral: splitParamEntries(provider.referralMarketing),
+      },
+    });
+
+    const label = hostLabelOf(provider.urlPattern);
+    if (label) {
+      if (!byLabel.has(label)) byLabel.set(label, []);
+      byLabel.get(label).push(index);
+    } else {
+      generic.push(index);
+    }
+  }
+
+  return { [COMPILED]: true, providers, byLabel, generic };
+}
+
+/** True if the value came from compileRules(). */
+export function isCompiledRules(value) {
+  return Boolean(value && value[COMPILED]);
+}
+
+/**
+ * Providers that could match a URL, in original rules order.
+ * @param {object} compiled - compileRules() output
+ * @param {URL} url
+ */
+function candidateProviders(compiled, url) {
+  const indexes = new Set(compiled.generic);
+  for (const label of url.hostname.toLowerCase().split(".")) {
+    for (const i of compiled.byLabel.get(label) ?? []) indexes.add(i);
+  }
+  return [...indexes].sort((a, b) => a - b).map((i) => compiled.providers[i]);
+}
+
+/** Source of the first exception matching the URL, or null. */
+function exceptionFor(provider, urlStr) {
+  const hit = provider.exceptions.find(({ re }) => re.test(urlStr));
+  return hit ? hit.source : null;
+}
+
+/** Resolve raw JSON or compiled rules to the compiled form (memoized). */
+function toCompiled(rules) {
+  if (isCompiledRules(rules)) return rules;
+  if (!rules || typeof rules !== "object" || !rules.providers) return null;
+  let compiled = compiledByRules.get(rules);
+  if (!compiled) {
+    compiled = compileRules(rules);
+    compiledByRules.set(rules, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * @typedef {object} CleanTrace
+ * @property {Array<{provider:string, pattern:string, from:string, to:string}>} redirections
+ *   each redirect unwrapped, in hop order (pattern = the redirections entry that matched)
+ * @property {"loop"|"limit"|null} unwrapStopped
+ *   why unwrapping stopped early (redirect cycle / hop limit), if it did
+ * @property {Array<{provider:string, name:string, where:"query"|"hash", rule:string, list:"rules"|"referralMarketing"}>} params
+ *   each param removed, with the exact rules/referralMarketing entry that matched
+ * @property {Array<{provider:string, name:string, where:"query"|"hash", rule:string}>} keptReferral
+ *   referralMarketing params left in place because allowReferral is on
+ * @property {Array<{provider:string, pattern:string, before:string, after:string}>} rawRules
+ *   each rawRules rewrite applied
+ * @property {Array<{provider:string, exception:string, stage:"redirect"|"params"}>} excepted
+ *   providers whose urlPattern matched but were skipped because of an exception
+ * @property {Array<{rule:string, kind:"link"|"amp"|"mobile"|"path", from:string, to:string}>} canonical
+ *   each canonicalization step (canonicalize option), in order
+ */
+
+/**
+ * Apply ClearURLs rules to an input URL string.
+ *
+ * @param {string} inputUrl - The URL to clean
+ * @param {object} rulesJson - ClearURLs rules JSON, or the output of compileRules()
+ * @param {{allowReferral?: boolean, cleanHash?: boolean, explain?: boolean, maxHops?: number, canonicalize?: boolean, canonicalLink?: string|null}} [options]
+ *   allowReferral - keep referralMarketing params
+ *   cleanHash - also clean query-like hash fragments (#a=b, #!/path?x=y, #/route?x=y)
+ *   explain - also return a step-by-step trace of what was removed and why
+ *   maxHops - most nested redirects to unwrap (default MAX_REDIRECT_HOPS)
+ *   canonicalize - afterwards rewrite to the canonical URL (see canonicalize.js);
+ *     the result is cleaned once more, since it can carry its own tracking
+ *   canonicalLink - the page's <link rel=canonical>, preferred when on the same site
+ * @returns {{url:string, changed:boolean, error?:string, hops?: string[], trace?: CleanTrace}}
+ *   hops - the redirect chain from the input to the unwrapped target, when any
+ *   redirect was unwrapped (parameters are cleaned on the final target only)
+ */
+export function applyClearUrls(
+  inputUrl,
+  rulesJson,
+  {
+    allowReferral = false,
+    cleanHash = false,
+    explain = false,
+    maxHops = MAX_REDIRECT_HOPS,
+    canonicalize = false,
+    canonicalLink = null,
+  } = {}
+) {
+  const compiled = toCompiled(rulesJson);
+  if (!compiled) {
+    return { url: inputUrl, changed: false, error: "Rules not available" };
+  }
+
+  // Parse early so we have a canonical string to match against
+  let workingUrl;
+  try {
+    workingUrl = new URL(String(inputUrl).trim());
+  } catch {
+    return { url: inputUrl, changed: false, error: "Invalid URL" };
+  }
+
+  let wasChanged = false;
+  const trace = explain
+    ? { redirections: [], params: [], keptReferral: [], rawRules: [], excepted: [], unwrapStopped: null, canonical: [] }
+    : null;
+
+  /** urlPattern + exceptions check that records skipped providers when explaining */
+  const applies = (provider, str, stage) => {
+    if (!provider.urlRe.test(str)) return false;
+    const exception = exceptionFor(provider, str);
+    if (exception === null) return true;
+    trace?.excepted.push({ provider: provider.name, exception, stage });
+    return false;
+  };
+
+  /** First provider redirection matching the URL, with its decoded target */
+  const nextHop = (url) => {
+    const str = url.toString();
+    for (const provider of candidateProviders(compiled, url)) {
+      if (!applies(provider, str, "redirect")) continue;
+      for (const { re, source } of provider.redirections) {
+        const target = re.exec(str)?.[1];
+        const to = target ? decodeRedirectTarget(target) : null;
+        if (to) return { provider: provider.name, pattern: source, to };
+      }
+    }
+    return null;
+  };
+
+  // 1) Redirections: unwrap to the target URL (capture group 1), hop by hop,
+  //    until nothing matches, a target repeats, or maxHops is reached
+  const hops = [workingUrl.toString()];
+  let unwrapStopped = null;
+  for (let hop = nextHop(workingUrl); hop; hop = nextHop(workingUrl)) {
+    const to = hop.to.toString();
+    if (hops.includes(to)) {
+      unwrapStopped = "loop";
+      break;
+    }
+    if (hops.length > maxHops) {
+      unwrapStopped = "limit";
+      break;
+    }
+    trace?.redirections.push({ provider: hop.provider, pattern: hop.pattern, from: hops.at(-1), to });
+    hops.push(to);
+    workingUrl = hop.to;
+    wasChanged = true;
+  }
+  if (trace) trace.unwrapStopped = unwrapStopped;
+
+  // 2) Parameter removal: rules + referralMarketing
+  for (const provider of candidateProviders(compiled, workingUrl)) {
+    if (!applies(provider, workingUrl.toString(), "params")) continue;
+
+    const shouldRemove = (key, where) => {
+      const hit = findParamRule(key, provider.params, allowReferral);
+      if (hit) trace?.params.push({ provider: provider.name, name: key, where, ...hit });
+      else if (trace && allowReferral) {
+        const kept = findParamRule(key, provider.params, false);
+        if (kept) trace.keptReferral.push({ provider: provider.name, name: key, where, rule: kept.rule });
+      }
+      return hit !== null;
+    };
+
+    // query string
+    for (const key of new Set(workingUrl.searchParams.keys())) {
+      if (shouldRemove(key, "query")) {
+        workingUrl.searchParams.delete(key);
+        wasChanged = true;
+      }
+    }
+
+    // hash fragment (only when it looks like a query: #a=b, #!/path?x=y, #/route?x=y)
+    if (cleanHash) {
+      const cleanedHash = cleanHashFragment(workingUrl.hash, (key) => shouldRemove(key, "hash"));
+      if (cleanedHash !== null) {
+        workingUrl.hash = cleanedHash;
+        wasChanged = true;
+      }
+    }
+
+    // rawRules: full-URL regex replacements
+    for (const { re, source } of provider.rawRules) {
+      const before = workingUrl.toString();
+      const after = before.replace(re, "");
+      if (after !== before) {
+        try {
+          workingUrl = new URL(after);
+          wasChanged = true;
+          trace?.rawRules.push({ provider: provider.name, pattern: source, before, after: workingUrl.toString() });
+        } catch {
+          /* ignore */
+        }
+      }
+    }
+  }
+
+  // 3) Normalize; an untouched URL keeps its exact query encoding
+  const result = { url: wasChanged ? normalizeUrl(workingUrl) : workingUrl.toString(), changed: wasChanged };
+  if (hops.length > 1) result.hops = hops;
+  if (trace) result.trace = trace;
+
+  // 4) Canonicalize (opt-in), then clean the canonical URL once more
+  if (canonicalize) {
+    const canonical = canonicalizeUrl(result.url, { canonicalLink });
+    if (canonical.changed) {
+      const again = applyClearUrls(canonical.url, compiled, { allowReferral, cleanHash, explain, maxHops });
+      result.url = again.url;
+      result.changed = true;
+      if (again.hops) result.hops = [...hops, ...again.hops];
+      if (trace) {
+        for (const key of ["redirections", "params", "keptReferral", "rawRules", "excepted"]) {
+          trace[key].push(...again.trace[key]);
+        }
+        trace.unwrapStopped ??= again.trace.unwrapStopped;
+        trace.canonical = canonical.steps;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Human-readable lines for an explain trace (popup "Why?" panel).
+ * @param {CleanTrace} trace
+ * @returns {Array<{kind: "redirect"|"param"|"raw"|"canonical"|"skip", text: string}>}
+ */
+export function describeTrace(trace) {
+  if (!trace) return [];
+  const seenSkips = new Set();
+  return [
+    ...trace.redirections.map((r) => ({
+      kind: "redirect",
+      text: `Unwrapped redirect to ${new URL(r.to).host} via ${r.provider} (${r.pattern})`,
+    })),
+    ...(trace.unwrapStopped
+      ? [
+          {
+            kind: "skip",
+            text:
+              trace.unwrapStopped === "loop"
+                ? "Stopped unwrapping — redirect loop"
+                : "Stopped unwrapping — too many nested redirects",
+          },
+        ]
+      : []),
+    ...trace.params.map((p) => ({
+      kind: "param",
+      text: `Removed ${p.where === "hash" ? "#" : "?"}${p.name} — ${p.provider} ${p.list}: ${p.rule}`,
+    })),
+    ...trace.rawRules.map((r) => ({
+      kind: "raw",
+      text: `Rewrote URL via ${r.provider} rawRule (${r.pattern})`,
+    })),
+    ...(trace.canonical ?? []).map((c) => ({
+      kind: "canonical",
+      text:
+        c.kind === "link"
+          ? `Used the page's canonical link (${new URL(c.to).host})`
+          : `Canonicalized ${c.kind === "mobile" ? "mobile host" : c.kind === "amp" ? "AMP page" : "path"} (${c.rule})`,
+    })),
+    ...trace.excepted
+      .filter((e) => {
+        const key = `${e.provider}\n${e.exception}`;
+        if (seenSkips.has(key)) return false;
+        seenSkips.add(key);
+        return true;
+      })
+      .map((e) => ({
+        kind: "skip",
+        text: `Skipped ${e.provider} — exception ${e.exception}`,
+      })),
+  ];
+}
@@ -0,0 +1,125 @@
+// cli.js
+// `nudelink` command line: clean URLs from arguments or stdin with the same
+// engine and defaults as the popup. bin/nudelink.js is the executable wrapper.
+
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+
+import { applyClearUrls, compileRules } from "./clearurls-engine.js";
+import { loadNodeRules, loadRulesFile } from "./node-rules.js";
+import { DEFAULT_OPTS, toCleanOptions } from "./settings.js";
+
+export const USAGE = `Usage: nudelink [options] [url...]
+
+Cleans each URL (or each line of stdin when no URL is given) and prints the
+result, one per line.
+
+Options:
+  --json             print a JSON array of {input, url, changed, hops?, error?}
+  --allow-referral   keep referral/affiliate params (popup: "Remove referral" off)
+  --keep-hash        leave hash fragments alone (popup: "Clean hash" off)
+  --canonical        also rewrite AMP pages, mobile hosts and path tracking to
+                     the canonical URL (popup: "Canonical links")
+  --refresh          check for new rules even if the cached copy is fresh
+  --offline          never download; use the cached or bundled rules
+  --rules <file>     use a local ClearURLs rules file instead
+  --cache-dir <dir>  where downloaded rules are cached
+                     (default: $XDG_CACHE_HOME/nudelink or ~/.cache/nudelink)
+  -h, --help         show this help
+  -v, --version      show the version`;
+
+const OPTIONS = {
+  json: { type: "boolean" },
+  "allow-referral": { type: "boolean" },
+  "keep-hash": { type: "boolean" },
+  canonical: { type: "boolean" },
+  refresh: { type: "boolean" },
+  offline: { type: "boolean" },
+  rules: { type: "string" },
+  "cache-dir": { type: "string" },
+  help: { type: "boolean", short: "h" },
+  version: { type: "boolean", short: "v" },
+};
+
+/** Read a whole stream as text. */
+const readAll = async (stream) => {
+  let text = "";
+  stream.setEncoding?.("utf8");
+  for await (const chunk of stream) text += chunk;
+  return text;
+};
+
+const version = async () =>
+  JSON.parse(await readFile(new URL("./package.json", import.meta.url), "utf8")).version;
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - arguments after the executable
+ * @param {{stdin?: NodeJS.ReadableStream & {isTTY?: boolean}, stdout?: NodeJS.WritableStream, stderr?: NodeJS.WritableStream}} [io]
+ * @returns {Promise<number>} exit code: 0 ok, 1 some URL failed, 2 usage or rules error
+ */
+export const runCli = async (argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) => {
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    stderr.write(`[Nudelink] ${e?.message || e}\n\n${USAGE}\n`);
+    return 2;
+  }
+  const { values: flags, positionals } = args;
+
+  if (flags.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (flags.version) {
+    stdout.write(`${await version()}\n`);
+    return 0;
+  }
+
+  let inputs = positionals;
+  if (!inputs.length) {
+    if (stdin.isTTY) {
+      stderr.write(`${USAGE}\n`);
+      return 2;
+    }
+    inputs = (await readAll(stdin)).split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  }
+
+  let rules;
+  try {
+    if (flags.rules) {
+      rules = await loadRulesFile(flags.rules);
+    } else {
+      const loaded = await loadNodeRules({
+        cacheDir: flags["cache-dir"],
+        refresh: flags.refresh,
+        offline: flags.offline,
+      });
+      if (loaded.warning) stderr.write(`[Nudelink] ${loaded.warning}\n`);
+      rules = loaded.rules;
+    }
+  } catch (e) {
+    stderr.write(`[Nudelink] No rules available: ${e?.message || e}\n`);
+    return 2;
+  }
+
+  const compiled = compileRules(rules);
+  const options = toCleanOptions({
+    ...DEFAULT_OPTS,
+    removeReferral: !flags["allow-referral"],
+    cleanHash: !flags["keep-hash"],
+    canonicalize: Boolean(flags.canonical),
+  });
+  const results = inputs.map((input) => ({ input, ...applyClearUrls(input, compiled, options) }));
+
+  if (flags.json) {
+    stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+  } else {
+    for (const r of results) {
+      if (r.error) stderr.write(`[Nudelink] ${r.error}: ${r.input}\n`);
+      stdout.write(`${r.url}\n`);
+    }
+  }
+  return results.some((r) => r.error) ? 1 : 0;
+};
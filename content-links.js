@@ -0,0 +1,8 @@
+// content-links.js
+// Content script registered by background.js for in-page link rewriting.
+// Content scripts can't be modules, so this only imports link-rewriter.js
+// (listed in web_accessible_resources together with what it imports).
+
+import(chrome.runtime.getURL("link-rewriter.js"))
+  .then(({ startLinkRewriter }) => startLinkRewriter())
+  .catch((e) => console.warn("[Nudelink] Link rewriting failed to start:", e?.message || e));
@@ -0,0 +1,8 @@
+// content-paste.js
+// Content script registered by background.js for paste-time cleaning.
+// Content scripts can't be modules, so this only imports paste-cleaner.js
+// (listed in web_accessible_resources together with what it imports).
+
+import(chrome.runtime.getURL("paste-cleaner.js"))
+  .then(({ startPasteCleaner }) => startPasteCleaner())
+  .catch((e) => console.warn("[Nudelink] Paste cleaning failed to start:", e?.message || e));
@@ -0,0 +1,236 @@
+import { ext } from "./browser-api.js";
+import { formatAge } from "./rule-health.js";
+import { describeDiff, isEmptyDiff, summarizeDiff } from "./rule-diff.js";
+
+/** DOM refs */
+const healthLabel = document.getElementById("health");
+const statusLabel = document.getElementById("status");
+const summaryBody = document.querySelector("#summary tbody");
+const sourcesBody = document.querySelector("#sources tbody");
+const historyBody = document.querySelector("#history tbody");
+const changesBody = document.querySelector("#changes tbody");
+const pendingBox = document.getElementById("pending");
+const pendingText = document.getElementById("pending-text");
+const pendingDiff = document.getElementById("pending-diff");
+const approveButton = document.getElementById("approve-rules");
+const rollbackButton = document.getElementById("rollback-rules");
+const refreshRulesButton = document.getElementById("refresh-rules");
+const copyReportButton = document.getElementById("copy-report");
+
+/** Latest NUDELINK_DEBUG_STATE response, for the report */
+let report = null;
+
+/** Tiny status helper */
+const setStatus = (text, good = false) => {
+  statusLabel.textContent = text;
+  statusLabel.className = good ? "muted good" : "muted";
+};
+
+const when = (ts) => (ts ? new Date(ts).toLocaleString() : "—");
+const shortHash = (hash) => (hash ? `${hash.slice(0, 12)}…` : "—");
+
+/** Build a <td> (or <th>) with plain text content */
+const cell = (text, className, tag = "td") => {
+  const el = document.createElement(tag);
+  el.textContent = text;
+  if (className) el.className = className;
+  return el;
+};
+
+const row = (...cells) => {
+  const tr = document.createElement("tr");
+  tr.append(...cells);
+  return tr;
+};
+
+const renderHealth = (d) => {
+  if (!d.hasRules) {
+    healthLabel.textContent = "No rules loaded — links can't be cleaned.";
+    healthLabel.className = "warning";
+  } else if (d.stale) {
+    healthLabel.textContent = `Rules haven't been updated for ${formatAge(d.ageMin)}.`;
+    healthLabel.className = "warning";
+  } else {
+    healthLabel.textContent = "Rules are up to date.";
+    healthLabel.className = "muted good";
+  }
+};
+
+/** "v2 — current ok, last-known-good ok" */
+const storageText = (storage) =>
+  storage ? `v${storage.version} — current ${storage.current}, last-known-good ${storage.lastGood}` : "—";
+
+const renderSummary = (d) => {
+  const alarm = d.nextAlarm
+    ? `${when(d.nextAlarm.scheduledTime)} (${d.nextAlarm.name.endsWith("retry") ? "retry" : "periodic"})`
+    : "none scheduled";
+  const entries = [
+    ["Last successful check", when(d.lastSuccess)],
+    ["Rules last changed", when(d.lastUpdated)],
+    ["Hash", d.hash ?? "—", "mono"],
+    ["Stored copy", storageText(d.storage), d.storage?.current === "ok" ? "" : "bad"],
+    ["Providers", String(d.providerCount)],
+    ["Sources in use", d.sources.join(", ") || "—"],
+    ["Backoff index", String(d.state?.backoffIndex ?? 0)],
+    ["Next refresh", alarm],
+    ["Last error", d.lastError ? `${when(d.lastError.ts)} — ${d.lastError.message}` : "—", d.lastError ? "bad" : ""],
+  ];
+  summaryBody.replaceChildren(...entries.map(([k, v, cls]) => row(cell(k, "", "th"), cell(v, cls))));
+};
+
+/** "2 providers added, 1 changed (+5 / −1 entries)" */
+const diffSummary = (diff) => {
+  if (!diff) return "initial rules";
+  if (isEmptyDiff(diff)) return "no provider changes";
+  const n = summarizeDiff(diff);
+  const parts = [
+    n.added && `${n.added} added`,
+    n.removed && `${n.removed} removed`,
+    n.changed && `${n.changed} changed`,
+  ].filter(Boolean);
+  return `Providers: ${parts.join(", ")} (+${n.entriesAdded} / −${n.entriesRemoved} entries)`;
+};
+
+/** <ul> items for a diff, one line per change */
+const diffItems = (diff) =>
+  describeDiff(diff).map(({ kind, text }) => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    li.className = kind;
+    return li;
+  });
+
+/** Diff shown inline in the changes table, collapsed */
+const diffDetails = (diff) => {
+  const td = document.createElement("td");
+  const items = diffItems(diff);
+  if (!items.length) {
+    td.textContent = diffSummary(diff);
+    return td;
+  }
+  const details = document.createElement("details");
+  const summary = document.createElement("summary");
+  const list = document.createElement("ul");
+  summary.textContent = diffSummary(diff);
+  list.className = "diff";
+  list.append(...items);
+  details.append(summary, list);
+  td.append(details);
+  return td;
+};
+
+const renderChanges = (d) => {
+  pendingBox.hidden = !d.pending;
+  if (d.pending) {
+    pendingText.textContent =
+      d.pending.reason === "rollback"
+        ? `Rolled-back rules (${shortHash(d.pending.hash)}) — apply them again?`
+        : `New rules (${shortHash(d.pending.hash)}, ${when(d.pending.ts)}) are waiting for approval. ${diffSummary(d.pending.diff)}.`;
+    pendingDiff.replaceChildren(...diffItems(d.pending.diff));
+  }
+  rollbackButton.disabled = !d.previousHash;
+  changesBody.replaceChildren(
+    ...d.changes.map((c) =>
+      row(
+        cell(when(c.ts)),
+        cell(c.status, c.status === "pending" ? "warning" : ""),
+        cell(`${shortHash(c.from)} → ${shortHash(c.to)}`, "mono"),
+        diffDetails(c.diff)
+      )
+    )
+  );
+};
+
+const renderSources = (d) => {
+  sourcesBody.replaceChildren(
+    ...d.sourceStatus.map((s) =>
+      row(
+        cell(s.label),
+        cell(s.enabled ? "yes" : "no"),
+        cell(when(s.checkedTs)),
+        cell(when(s.ts)),
+        cell(shortHash(s.hash), "mono"),
+        cell(s.error ?? "", "bad")
+      )
+    )
+  );
+};
+
+const renderHistory = (d) => {
+  historyBody.replaceChildren(
+    ...d.history.map((a) =>
+      row(
+        cell(when(a.ts)),
+        cell(a.ok ? "ok" : "failed", a.ok ? "good" : "bad"),
+        cell(a.updated ? "yes" : "no"),
+        cell(shortHash(a.hash), "mono"),
+        cell(a.error ?? "", "bad")
+      )
+    )
+  );
+};
+
+/** Fetch diagnostics from background.js and render them */
+const load = async () => {
+  try {
+    const res = await ext.runtime.sendMessage({ type: "NUDELINK_DEBUG_STATE" });
+    if (!res?.ok) throw new Error(res?.error || "No response");
+    report = res;
+    renderHealth(res);
+    renderSummary(res);
+    renderChanges(res);
+    renderSources(res);
+    renderHistory(res);
+  } catch (e) {
+    setStatus(`Could not load diagnostics — ${e?.message || e}`);
+  }
+};
+
+/** Wire events */
+refreshRulesButton.addEventListener("click", async () => {
+  refreshRulesButton.disabled = true;
+  setStatus("Updating rules…");
+  try {
+    const res = await ext.runtime.sendMessage({ type: "NUDELINK_REFRESH_RULES" });
+    setStatus(res?.ok ? "Rules checked ✓" : "Update failed — see the history below.", Boolean(res?.ok));
+  } finally {
+    refreshRulesButton.disabled = false;
+    await load();
+  }
+});
+
+/** Send an approve/rollback message, then reload */
+const ruleAction = async (button, type, doneText) => {
+  button.disabled = true;
+  try {
+    const res = await ext.runtime.sendMessage({ type });
+    if (!res?.ok) throw new Error(res?.error || "No response");
+    setStatus(doneText, true);
+  } catch (e) {
+    setStatus(`Failed — ${e?.message || e}`);
+  } finally {
+    button.disabled = false;
+    await load();
+  }
+};
+
+approveButton.addEventListener("click", () =>
+  ruleAction(approveButton, "NUDELINK_APPROVE_RULES", "Pending rules applied ✓")
+);
+
+rollbackButton.addEventListener("click", () => {
+  if (!confirm("Restore the rules used before the last update?")) return;
+  ruleAction(rollbackButton, "NUDELINK_ROLLBACK_RULES", "Rolled back ✓ — the newer rules are kept as pending.");
+});
+
+copyReportButton.addEventListener("click", async () => {
+  try {
+    await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+    setStatus("Report copied.", true);
+  } catch (e) {
+    setStatus(`Copy failed — ${e?.message || e}`);
+  }
+});
+
+/** Initial load */
+load();
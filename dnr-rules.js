@@ -0,0 +1,282 @@
+// dnr-rules.js
+// Translate ClearURLs providers into declarativeNetRequest dynamic rules for
+// auto-clean mode. Pure: no chrome.* calls, so it can be tested under Node.
+//
+// Per provider we emit a "bundle":
+// - rules for its exceptions, which only cancel that provider's own cleaning
+// - redirect rules unwrapping its redirections (regexSubstitution "\1")
+// - one redirect rule with queryTransform.removeParams for its plain param names
+//
+// DNR can't express everything ClearURLs can; what doesn't fit is left to the
+// popup/engine:
+// - regex-only param entries that can't be expanded to literal names
+// - rawRules (path rewriting)
+// - redirections whose target may arrive percent-encoded (DNR can't decode
+//   them): only captures starting with a literal http(s):// are unwrapped
+//
+// DNR applies one redirect per request, so on a site URL the site rule shadows
+// the catch-all one. Catch-all names still get their own rule below the
+// catch-all exceptions rather than being folded into site rules, where those
+// exceptions couldn't protect them; on site URLs they're left to the engine.
+//
+// A DNR condition holds one regex, so an exception can't be ANDed with its
+// provider's urlPattern. Instead each exception rule does what the other
+// providers still would on that URL:
+// - a catch-all exception is an allow rule that only outranks catch-all cleaning
+// - a site exception outranks everything and strips just the catch-all names
+//   (an allow rule when every catch-all provider shares the exception, as the
+//   user allowlist does). Another site provider overlapping it isn't applied,
+//   and a different catch-all exception matching too doesn't keep the names.
+//
+// Limits: every rule here uses regexFilter, so the regex-rule cap is what binds.
+// Bundles are added in priority order (catch-all providers first, then rules
+// order) and a bundle that doesn't fit is retried without its redirections, then
+// skipped whole — we never keep cleaning rules while dropping their exceptions.
+
+/** Chrome's cap on regex rules (chrome.declarativeNetRequest.MAX_NUMBER_OF_REGEX_RULES). */
+export const DEFAULT_MAX_REGEX_RULES = 1000;
+
+// Higher wins: restored originals > site exceptions > unwrapping > site cleaning
+// > catch-all exceptions > catch-all cleaning
+const PRIORITY_RESTORE = 6;
+const PRIORITY_SITE_EXCEPTION = 5;
+const PRIORITY_UNWRAP = 4;
+const PRIORITY_SITE_CLEAN = 3;
+const PRIORITY_GLOBAL_EXCEPTION = 2;
+const PRIORITY_GLOBAL_CLEAN = 1;
+
+// Navigations get unwrapped + cleaned; sub-resources only get params stripped.
+const NAV_RESOURCE_TYPES = ["main_frame", "sub_frame"];
+const CLEAN_RESOURCE_TYPES = ["main_frame", "sub_frame", "image", "media", "ping", "other"];
+
+const asList = (x) => (Array.isArray(x) ? x : []);
+
+/** Catch-all providers (e.g. globalRules) apply to every URL. */
+const isCatchAll = (provider) => provider?.urlPattern === ".*";
+
+/**
+ * Expand a rule entry into literal param names when possible:
+ *   "gclid"                   → ["gclid"]
+ *   "(?:%3F)?fb_(?:source|ref)" → ["fb_source", "fb_ref"]
+ *   "ref_?"                   → ["ref", "ref_"]
+ *   "utm(?:_[a-z_]*)?"        → null (open-ended; stays with the engine)
+ * @param {string} entry
+ * @returns {string[]|null}
+ */
+export const expandParamNames = (entry) => {
+  let s = String(entry).replace(/^\(\?:%3F\)\?/i, "");
+  let variants = [""];
+
+  while (s) {
+    let m;
+    if ((m = /^\(\?:([a-z0-9_|-]+)\)(\?)?/i.exec(s))) {
+      const alts = m[1].split("|");
+      if (m[2]) alts.push("");
+      variants = variants.flatMap((v) => alts.map((a) => v + a));
+    } else if ((m = /^([a-z0-9_-])\?/i.exec(s))) {
+      variants = variants.flatMap((v) => [v, v + m[1]]);
+    } else if ((m = /^[a-z0-9_-]+(?![?*+{])/i.exec(s))) {
+      variants = variants.map((v) => v + m[0]);
+    } else {
+      return null;
+    }
+    s = s.slice(m[0].length);
+    if (variants.length > 32) return null;
+  }
+
+  const names = [...new Set(variants.filter(Boolean))];
+  return names.length ? names : null;
+};
+
+/** Does the redirection's first capture start with a literal http(s)://, so
+ *  "\1" is a usable URL rather than a possibly percent-encoded one? */
+const capturesPlainUrl = (re) => {
+  const open = /(?:^|[^\\])\((?!\?)/.exec(re);
+  if (!open) return false;
+  return /^https?\??:(?:\\?\/){2}/i.test(re.slice(open.index + open[0].length));
+};
+
+/** Redirection regex → regexFilter that runs to the end of the URL, so the
+ *  substitution replaces the whole URL and not just the matched prefix. */
+const unwrapFilter = (re) => `(?:${re}).*`;
+
+/** Literal param names for a provider (rules + optionally referralMarketing). */
+const paramNamesOf = (provider, allowReferral) => {
+  const entries = [
+    ...asList(provider.rules),
+    ...(allowReferral ? [] : asList(provider.referralMarketing)),
+  ];
+  return entries.flatMap((e) => expandParamNames(e) ?? []);
+};
+
+/** Redirect rule stripping param names from matching URLs. */
+const removeParamsRule = (priority, names, condition) => ({
+  priority,
+  action: { type: "redirect", redirect: { transform: { queryTransform: { removeParams: names } } } },
+  condition: { ...condition, isUrlFilterCaseSensitive: false, resourceTypes: CLEAN_RESOURCE_TYPES },
+});
+
+/**
+ * Rule for one exception of a provider.
+ * @param {string} regexFilter - the exception
+ * @param {boolean} catchAll - the provider is a catch-all one
+ * @param {Array<[string, object]>} globals - emitted catch-all providers
+ * @param {boolean} allowReferral
+ */
+const exceptionRule = (regexFilter, catchAll, globals, allowReferral) => {
+  const names = catchAll
+    ? []
+    : globals
+        .filter(([, p]) => !asList(p.exceptions).includes(regexFilter))
+        .flatMap(([, p]) => paramNamesOf(p, allowReferral));
+  const priority = catchAll ? PRIORITY_GLOBAL_EXCEPTION : PRIORITY_SITE_EXCEPTION;
+  if (names.length) return removeParamsRule(priority, [...new Set(names)], { regexFilter });
+  return {
+    priority,
+    action: { type: "allow" },
+    condition: { regexFilter, isUrlFilterCaseSensitive: false, resourceTypes: CLEAN_RESOURCE_TYPES },
+  };
+};
+
+/**
+ * Build the rule bundles for every provider, in priority order.
+ * @param {object} rulesJson - ClearURLs rules JSON
+ * @param {{allowReferral?: boolean, isRegexSupported?: (re:string)=>boolean}} [options]
+ * @returns {Array<{name:string, allow:object[], redirect:object[], clean:object[]}>}
+ *   allow - the exception rules
+ */
+export const buildRuleBundles = (
+  rulesJson,
+  { allowReferral = false, isRegexSupported = () => true } = {}
+) => {
+  // An exception DNR can't evaluate would turn into over-cleaning: skip the provider.
+  const entries = Object.entries(rulesJson?.providers ?? {}).filter(([, p]) =>
+    asList(p.exceptions).every(isRegexSupported)
+  );
+  const catchAll = entries.filter(([, p]) => isCatchAll(p));
+  const specific = entries.filter(([, p]) => !isCatchAll(p));
+
+  const bundles = [];
+  for (const [name, provider] of [...catchAll, ...specific]) {
+    const allow = asList(provider.exceptions).map((re) =>
+      exceptionRule(re, isCatchAll(provider), catchAll, allowReferral)
+    );
+
+    const redirect = asList(provider.redirections)
+      .filter(capturesPlainUrl)
+      .map(unwrapFilter)
+      .filter(isRegexSupported)
+      .map((regexFilter) => ({
+        priority: PRIORITY_UNWRAP,
+        action: { type: "redirect", redirect: { regexSubstitution: "\\1" } },
+        condition: {
+          regexFilter,
+          isUrlFilterCaseSensitive: false,
+          resourceTypes: NAV_RESOURCE_TYPES,
+        },
+      }));
+
+    const names = [...new Set(paramNamesOf(provider, allowReferral))];
+    const patternOk = isCatchAll(provider) || isRegexSupported(provider.urlPattern);
+    const clean = [];
+    if (names.length && patternOk) {
+      clean.push(
+        isCatchAll(provider)
+          ? removeParamsRule(PRIORITY_GLOBAL_CLEAN, names, {})
+          : removeParamsRule(PRIORITY_SITE_CLEAN, names, { regexFilter: provider.urlPattern })
+      );
+    }
+
+    if (allow.length + redirect.length + clean.length) {
+      bundles.push({ name, allow, redirect, clean });
+    }
+  }
+  return bundles;
+};
+
+/**
+ * Every regex buildDnrRules may hand to isRegexSupported, so callers can
+ * check them up front (chrome.declarativeNetRequest.isRegexSupported is async).
+ * @param {object} rulesJson
+ * @returns {string[]}
+ */
+export const collectRegexFilters = (rulesJson) => {
+  const out = new Set();
+  for (const provider of Object.values(rulesJson?.providers ?? {})) {
+    if (!isCatchAll(provider) && provider?.urlPattern) out.add(provider.urlPattern);
+    for (const ex of asList(provider?.exceptions)) out.add(ex);
+    for (const re of asList(provider?.redirections).filter(capturesPlainUrl)) out.add(unwrapFilter(re));
+  }
+  return [...out];
+};
+
+/** Number of rules in a list that count against the regex cap. */
+const regexCount = (rules) => rules.filter((r) => r.condition.regexFilter).length;
+
+/**
+ * Turn ClearURLs rules into a capped, id-numbered list of DNR dynamic rules.
+ *
+ * @param {object} rulesJson - ClearURLs rules JSON
+ * @param {{allowReferral?: boolean, isRegexSupported?: (re:string)=>boolean, maxRegexRules?: number, maxRules?: number}} [options]
+ * @returns {{rules: object[], skipped: string[], partial: string[]}}
+ *   skipped - providers left out entirely; partial - providers kept without redirections
+ */
+export const buildDnrRules = (
+  rulesJson,
+  {
+    allowReferral = false,
+    isRegexSupported,
+    maxRegexRules = DEFAULT_MAX_REGEX_RULES,
+    maxRules = 5000,
+  } = {}
+) => {
+  const rules = [];
+  const skipped = [];
+  const partial = [];
+  const emitted = new Set(); // providers sharing an exception get the same rule; emit it once
+  let regexUsed = 0;
+
+  const fits = (list) =>
+    regexUsed + regexCount(list) <= maxRegexRules && rules.length + list.length <= maxRules;
+
+  for (const bundle of buildRuleBundles(rulesJson, { allowReferral, isRegexSupported })) {
+    const allow = bundle.allow.filter((r) => !emitted.has(JSON.stringify(r)));
+    let chosen = [...allow, ...bundle.redirect, ...bundle.clean];
+    if (!fits(chosen)) {
+      chosen = [...allow, ...bundle.clean];
+      if (!bundle.clean.length || !fits(chosen)) {
+        skipped.push(bundle.name);
+        continue;
+      }
+      partial.push(bundle.name);
+    }
+    regexUsed += regexCount(chosen);
+    rules.push(...chosen);
+    for (const r of allow) emitted.add(JSON.stringify(r));
+  }
+
+  return {
+    rules: rules.map((rule, i) => ({ id: i + 1, ...rule })),
+    skipped,
+    partial,
+  };
+};
+
+/**
+ * Session rule letting one tab load an original (uncleaned) URL once the user
+ * asked to restore it, so auto-clean doesn't strip it again.
+ * @param {number} id - rule id
+ * @param {string} url - original URL (the fragment is ignored; it is never sent)
+ * @param {number} [tabId] - limit it to this tab (a new tab has no id yet)
+ * @returns {object} chrome.declarativeNetRequest.Rule
+ */
+export const buildRestoreRule = (id, url, tabId) => ({
+  id,
+  priority: PRIORITY_RESTORE,
+  action: { type: "allow" },
+  condition: {
+    urlFilter: `|${url.split("#")[0]}|`,
+    ...(tabId === undefined ? {} : { tabIds: [tabId] }),
+    resourceTypes: ["main_frame"],
+  },
+});
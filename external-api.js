@@ -0,0 +1,294 @@
+// external-api.js
+// Cleaning service for other extensions and approved web pages
+// (chrome.runtime.onMessageExternal). Only callers on the user's allowlist
+// (chrome.storage.sync) get answers; each is rate limited. Requests and
+// responses carry a schema version so callers can detect what they talk to.
+// background.js routes the messages and does the cleaning with the saved options.
+
+import { ext } from "./browser-api.js";
+import { actingProviders } from "./bulk-clean.js";
+
+/** Schema version of requests and responses. */
+export const EXTERNAL_API_VERSION = 1;
+export const SUPPORTED_VERSIONS = Object.freeze([1]);
+
+export const MESSAGE_TYPES = Object.freeze({
+  CLEAN_URL: "NUDELINK_CLEAN_URL",
+  API_INFO: "NUDELINK_API_INFO",
+});
+
+/** Most URLs in one batch request. */
+export const MAX_BATCH = 100;
+/** URLs a caller may have cleaned per RATE_WINDOW_MS. */
+export const RATE_LIMIT = 300;
+export const RATE_WINDOW_MS = 60_000;
+/** Longest URL accepted. */
+export const MAX_URL_LENGTH = 8192;
+
+export const ERROR_CODES = Object.freeze({
+  FORBIDDEN: "forbidden",
+  RATE_LIMITED: "rate_limited",
+  UNSUPPORTED_VERSION: "unsupported_version",
+  UNKNOWN_TYPE: "unknown_type",
+  BAD_REQUEST: "bad_request",
+  INTERNAL: "internal",
+});
+
+export const EXTERNAL_CALLERS_KEY = "nudelink_external_callers_v1";
+export const EMPTY_EXTERNAL_CALLERS = Object.freeze({ extensions: [], origins: [] });
+
+// Chrome ids (32 letters a–p), Firefox ids (email-like or a {UUID})
+const EXTENSION_ID = /^(?:[a-p]{32}|[\w.+-]*@[\w.-]+|\{[0-9a-f-]{36}\})$/i;
+
+/**
+ * Normalize a web page origin: https, or http on localhost.
+ * @param {unknown} value - "https://app.example.com" (a path is ignored)
+ * @returns {string|null}
+ */
+export const normalizeOrigin = (value) => {
+  let url;
+  try {
+    url = new URL(String(value ?? "").trim());
+  } catch {
+    return null;
+  }
+  const local = ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && local)) return null;
+  return url.origin;
+};
+
+/** The manifest's externally_connectable.matches: the only pages Chrome lets message us. */
+export const connectableMatches = () => ext.runtime.getManifest?.()?.externally_connectable?.matches ?? [];
+
+/**
+ * Whether a match pattern ("http://localhost/*", "https://*.example.com/*")
+ * covers an origin. Without a port the pattern matches every port.
+ * @param {string} origin - normalizeOrigin() output
+ * @param {string[]} [matches] - defaults to connectableMatches()
+ * @returns {boolean}
+ */
+export const isConnectableOrigin = (origin, matches = connectableMatches()) => {
+  const url = new URL(origin);
+  return matches.some((pattern) => {
+    const m = /^(\*|https?):\/\/(\*|(?:\*\.)?[^/:*]+)(?::(\d+|\*))?\//.exec(pattern);
+    if (!m) return false;
+    const [, scheme, host, port] = m;
+    if (scheme === "*" ? !/^https?:$/.test(url.protocol) : url.protocol !== `${scheme}:`) return false;
+    if (port && port !== "*" && port !== (url.port || (url.protocol === "https:" ? "443" : "80"))) return false;
+    if (host === "*") return true;
+    if (host.startsWith("*.")) return url.hostname === host.slice(2) || url.hostname.endsWith(host.slice(1));
+    return url.hostname === host;
+  });
+};
+
+/**
+ * Validate (and normalize) the caller allowlist. Origins must also be covered
+ * by the manifest's externally_connectable.matches, or their messages never
+ * arrive.
+ * @param {unknown} value - {extensions?: string[], origins?: string[]}
+ * @param {{matches?: string[]}} [opts] - defaults to connectableMatches()
+ * @returns {{callers: {extensions: string[], origins: string[]}|null, errors: string[]}}
+ */
+export const validateExternalCallers = (value, { matches = connectableMatches() } = {}) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { callers: null, errors: ["Expected an object with extensions and/or origins"] };
+  }
+  const errors = [];
+  const callers = { extensions: [], origins: [] };
+  const normalize = {
+    extensions: (entry) => (EXTENSION_ID.test(String(entry ?? "").trim()) ? String(entry).trim() : null),
+    origins: normalizeOrigin,
+  };
+  const expected = { extensions: "extension id", origins: "https origin" };
+  for (const list of ["extensions", "origins"]) {
+    if (value[list] !== undefined && !Array.isArray(value[list])) {
+      errors.push(`${list}: must be an array`);
+      continue;
+    }
+    (value[list] ?? []).forEach((entry, i) => {
+      const normalized = normalize[list](entry);
+      if (!normalized) errors.push(`${list}[${i}]: not an ${expected[list]}: ${entry}`);
+      else if (list === "origins" && !isConnectableOrigin(normalized, matches)) {
+        errors.push(
+          `origins[${i}]: ${normalized} isn't in externally_connectable.matches of manifest.json (${matches.join(", ") || "none"})`
+        );
+      } else if (!callers[list].includes(normalized)) callers[list].push(normalized);
+    });
+  }
+  return errors.length ? { callers: null, errors } : { callers, errors };
+};
+
+/** Load the caller allowlist from chrome.storage.sync. */
+export const loadExternalCallers = async () => {
+  try {
+    const stored = (await ext.storage.sync.get(EXTERNAL_CALLERS_KEY))?.[EXTERNAL_CALLERS_KEY];
+    return { ...EMPTY_EXTERNAL_CALLERS, ...stored };
+  } catch (e) {
+    console.warn("[Nudelink] loadExternalCallers failed:", e?.message || e);
+    return { ...EMPTY_EXTERNAL_CALLERS };
+  }
+};
+
+/**
+ * Validate and persist the caller allowlist.
+ * @param {unknown} value
+ * @returns {Promise<{ok: boolean, errors: string[]}>}
+ */
+export const saveExternalCallers = async (value) => {
+  const { callers, errors } = validateExternalCallers(value);
+  if (!callers) return { ok: false, errors };
+  try {
+    await ext.storage.sync.set({ [EXTERNAL_CALLERS_KEY]: callers });
+    return { ok: true, errors: [] };
+  } catch (e) {
+    return { ok: false, errors: [e?.message || String(e)] };
+  }
+};
+
+/**
+ * Who sent an external message: another extension (sender.id) or a web page
+ * (sender.origin, or the origin of sender.url on older browsers).
+ * @param {{id?: string, origin?: string, url?: string}} sender - runtime.MessageSender
+ * @returns {string|null} "extension:<id>" / "origin:<origin>"
+ */
+export const callerKey = (sender) => {
+  if (sender?.id) return `extension:${sender.id}`;
+  const origin = sender?.origin && sender.origin !== "null" ? sender.origin : normalizeOrigin(sender?.url);
+  return origin ? `origin:${origin}` : null;
+};
+
+/**
+ * Whether a caller is on the allowlist.
+ * @param {string|null} key - callerKey()
+ * @param {{extensions: string[], origins: string[]}} callers
+ * @returns {boolean}
+ */
+export const isCallerAllowed = (key, callers) => {
+  if (key?.startsWith("extension:")) return callers.extensions.includes(key.slice("extension:".length));
+  if (key?.startsWith("origin:")) return callers.origins.includes(key.slice("origin:".length));
+  return false;
+};
+
+/**
+ * Fixed-window rate limiter, counted in URLs per caller. In memory, so a
+ * service worker restart starts every window afresh.
+ * @param {{limit?: number, windowMs?: number}} [opts]
+ * @returns {{take: (key: string, n: number, now?: number) => {ok: boolean, retryAfterMs: number}}}
+ */
+export const createRateLimiter = ({ limit = RATE_LIMIT, windowMs = RATE_WINDOW_MS } = {}) => {
+  const windows = new Map();
+  return {
+    take(key, n, now = Date.now()) {
+      let w = windows.get(key);
+      if (!w || now - w.start >= windowMs) {
+        w = { start: now, count: 0 };
+        windows.set(key, w);
+      }
+      if (w.count + n > limit) return { ok: false, retryAfterMs: w.start + windowMs - now };
+      w.count += n;
+      return { ok: true, retryAfterMs: 0 };
+    },
+  };
+};
+
+/**
+ * Error response.
+ * @param {string} code - one of ERROR_CODES
+ * @param {string} message
+ * @param {object} [extra] - e.g. {retryAfterMs}
+ */
+export const errorResponse = (code, message, extra = {}) => ({
+  ok: false,
+  version: EXTERNAL_API_VERSION,
+  error: { code, message, ...extra },
+});
+
+/**
+ * @typedef {object} CleanRequest
+ * @property {"NUDELINK_CLEAN_URL"} type
+ * @property {number} version - EXTERNAL_API_VERSION
+ * @property {string} [url] - one URL…
+ * @property {string[]} [urls] - …or a batch of up to MAX_BATCH
+ * @property {string|number} [requestId] - echoed back
+ */
+
+/**
+ * Check a request against the schema.
+ * @param {unknown} msg
+ * @returns {{request: {type: string, urls: string[], batch: boolean, requestId?: string|number}} | {error: object}}
+ *   error: an errorResponse()
+ */
+export const parseExternalRequest = (msg) => {
+  if (!msg || typeof msg !== "object" || Array.isArray(msg)) {
+    return { error: errorResponse(ERROR_CODES.BAD_REQUEST, "Expected a message object") };
+  }
+  if (!SUPPORTED_VERSIONS.includes(msg.version)) {
+    return {
+      error: errorResponse(ERROR_CODES.UNSUPPORTED_VERSION, `Unsupported version: ${msg.version}`, {
+        supportedVersions: [...SUPPORTED_VERSIONS],
+      }),
+    };
+  }
+  const { requestId } = msg;
+  if (requestId !== undefined && typeof requestId !== "string" && !Number.isFinite(requestId)) {
+    return { error: errorResponse(ERROR_CODES.BAD_REQUEST, "requestId must be a string or number") };
+  }
+  const echo = requestId === undefined ? {} : { requestId };
+  if (msg.type === MESSAGE_TYPES.API_INFO) return { request: { type: msg.type, urls: [], batch: false, ...echo } };
+  if (msg.type !== MESSAGE_TYPES.CLEAN_URL) {
+    return { error: errorResponse(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${msg.type}`) };
+  }
+
+  const batch = msg.urls !== undefined;
+  if (batch === (msg.url !== undefined)) {
+    return { error: errorResponse(ERROR_CODES.BAD_REQUEST, "Send either url or urls") };
+  }
+  const urls = batch ? msg.urls : [msg.url];
+  if (!Array.isArray(urls) || !urls.length || urls.length > MAX_BATCH) {
+    return { error: errorResponse(ERROR_CODES.BAD_REQUEST, `urls must be a list of 1–${MAX_BATCH} URLs`) };
+  }
+  const bad = urls.findIndex((u) => typeof u !== "string" || !u || u.length > MAX_URL_LENGTH);
+  if (bad !== -1) {
+    return {
+      error: errorResponse(ERROR_CODES.BAD_REQUEST, `${batch ? `urls[${bad}]` : "url"}: expected a URL string`),
+    };
+  }
+  return { request: { type: msg.type, urls, batch, ...echo } };
+};
+
+/**
+ * @typedef {object} CleanResult
+ * @property {string} url - the URL as sent
+ * @property {string} cleaned - same as url when unchanged or on error
+ * @property {boolean} changed
+ * @property {boolean} unwrapped - a redirect wrapper was removed
+ * @property {string[]} removedParams - parameter names removed
+ * @property {string[]} providers - ClearURLs providers that acted
+ * @property {string} [error]
+ */
+
+/**
+ * Public result for one applyClearUrls explain result. Keeps the response
+ * shape independent of the engine's trace, which may change.
+ * @param {string} url
+ * @param {{url: string, changed: boolean, error?: string, trace?: object}} result
+ * @returns {CleanResult}
+ */
+export const toCleanResult = (url, result) => ({
+  url,
+  cleaned: result.error ? url : result.url,
+  changed: Boolean(result.changed),
+  unwrapped: Boolean(result.trace?.redirections.length),
+  removedParams: result.trace ? [...new Set(result.trace.params.map((p) => p.name))] : [],
+  providers: result.trace ? actingProviders(result.trace) : [],
+  ...(result.error ? { error: result.error } : {}),
+});
+
+/** Response to NUDELINK_API_INFO. */
+export const apiInfo = () => ({
+  version: EXTERNAL_API_VERSION,
+  supportedVersions: [...SUPPORTED_VERSIONS],
+  types: Object.values(MESSAGE_TYPES),
+  maxBatch: MAX_BATCH,
+  rateLimit: { urls: RATE_LIMIT, windowMs: RATE_WINDOW_MS },
+});
@@ -0,0 +1,106 @@
+import { ext } from "./browser-api.js";
+import { clearLinkHistory, loadLinkHistory, removeHistoryEntry, searchHistory } from "./link-history.js";
+import { loadOptions } from "./settings.js";
+
+/** DOM refs */
+const offNotice = document.getElementById("off");
+const searchField = document.getElementById("search");
+const exportButton = document.getElementById("export");
+const clearButton = document.getElementById("clear");
+const statusLabel = document.getElementById("status");
+const entriesBody = document.querySelector("#entries tbody");
+
+/** Stored entries, newest first */
+let entries = [];
+
+/** Tiny status helper */
+const setStatus = (text, good = false) => {
+  statusLabel.textContent = text;
+  statusLabel.className = good ? "muted good" : "muted";
+};
+
+const cell = (text, className) => {
+  const td = document.createElement("td");
+  td.textContent = text;
+  if (className) td.className = className;
+  return td;
+};
+
+const button = (text, onClick) => {
+  const b = document.createElement("button");
+  b.type = "button";
+  b.textContent = text;
+  b.addEventListener("click", onClick);
+  return b;
+};
+
+const optionsText = ({ removeReferral, cleanHash }) =>
+  [removeReferral ? "referral removed" : "referral kept", cleanHash ? "hash cleaned" : "hash kept"].join(", ");
+
+/** Open the original in a new tab (background.js keeps auto-clean off it) */
+const openOriginal = async (entry) => {
+  const res = await ext.runtime.sendMessage({ type: "NUDELINK_OPEN_ORIGINAL", url: entry.original });
+  if (!res?.ok) setStatus(`Could not open — ${res?.error || "no response"}`);
+};
+
+const render = () => {
+  const shown = searchHistory(entries, searchField.value);
+  entriesBody.replaceChildren(
+    ...shown.map((entry) => {
+      const tr = document.createElement("tr");
+      const actions = cell("", "actions");
+      actions.append(
+        button("Copy original", async () => {
+          await navigator.clipboard.writeText(entry.original);
+          setStatus("Original copied.", true);
+        }),
+        button("Open original", () => openOriginal(entry)),
+        button("Delete", async () => {
+          await removeHistoryEntry(entry.id);
+          await load();
+        })
+      );
+      tr.append(
+        cell(new Date(entry.ts).toLocaleString()),
+        cell(entry.cleaned, "url"),
+        cell(entry.original, "url original"),
+        cell(entry.provider ?? "—"),
+        cell(optionsText(entry.options)),
+        actions
+      );
+      return tr;
+    })
+  );
+  if (!entries.length) setStatus("No cleaned links yet.");
+  else setStatus(shown.length === entries.length ? `${entries.length} link(s).` : `${shown.length} of ${entries.length} link(s).`);
+};
+
+/** Load history + the on/off option and render */
+const load = async () => {
+  const [stored, opts] = await Promise.all([loadLinkHistory(), loadOptions()]);
+  entries = stored;
+  offNotice.hidden = opts.keepHistory;
+  render();
+};
+
+/** Wire events */
+searchField.addEventListener("input", render);
+
+exportButton.addEventListener("click", () => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(entries, null, 2)], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "nudelink-history.json";
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+});
+
+clearButton.addEventListener("click", async () => {
+  if (!entries.length || !confirm(`Delete all ${entries.length} history entries?`)) return;
+  await clearLinkHistory();
+  await load();
+  setStatus("History cleared.", true);
+});
+
+/** Initial load */
+load();
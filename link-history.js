@@ -0,0 +1,119 @@
+// link-history.js
+// Local, size-capped history of cleaned links (chrome.storage.local), so the
+// original of a cleaned link can still be copied or reopened. Written by the
+// popup, the context menu, the keyboard shortcuts and the omnibox; off entirely
+// when the keepHistory option is off (background.js clears it when the option
+// is switched off).
+
+import { ext } from "./browser-api.js";
+
+export const LINK_HISTORY_KEY = "nudelink_link_history_v1";
+export const LINK_HISTORY_LIMIT = 200;
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} id
+ * @property {number} ts - when the link was (last) cleaned
+ * @property {string} original
+ * @property {string} cleaned
+ * @property {string|null} provider - first provider that changed the link
+ * @property {{removeReferral: boolean, cleanHash: boolean}} options - options used
+ * @property {"popup"|"menu"|"shortcut"|"omnibox"} via - where the cleaning happened
+ */
+
+/**
+ * First provider that changed a link, from an explain trace (see CleanTrace in
+ * clearurls-engine.js): unwrapping first, then params, then rawRules.
+ * @param {object} [trace]
+ * @returns {string|null}
+ */
+export const matchedProvider = (trace) =>
+  trace?.redirections?.[0]?.provider ?? trace?.params?.[0]?.provider ?? trace?.rawRules?.[0]?.provider ?? null;
+
+/**
+ * Add an entry (pure). Cleaning the same link again moves it to the top.
+ * @param {HistoryEntry[]} entries - newest first
+ * @param {HistoryEntry} entry
+ * @param {number} [limit]
+ * @returns {HistoryEntry[]}
+ */
+export const addEntry = (entries, entry, limit = LINK_HISTORY_LIMIT) =>
+  [entry, ...entries.filter((e) => e.original !== entry.original || e.cleaned !== entry.cleaned)].slice(0, limit);
+
+/**
+ * Entries matching every whitespace-separated term (case-insensitive) in the
+ * original URL, the cleaned URL or the provider name.
+ * @param {HistoryEntry[]} entries
+ * @param {string} query
+ * @returns {HistoryEntry[]}
+ */
+export const searchHistory = (entries, query) => {
+  const terms = String(query ?? "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return entries;
+  return entries.filter((e) => {
+    const haystack = `${e.original}\n${e.cleaned}\n${e.provider ?? ""}`.toLowerCase();
+    return terms.every((t) => haystack.includes(t));
+  });
+};
+
+/**
+ * Newest entry whose cleaned link is `url` (and actually differs from its original).
+ * @param {HistoryEntry[]} entries
+ * @param {string} url
+ * @returns {HistoryEntry|null}
+ */
+export const findByCleaned = (entries, url) =>
+  entries.find((e) => e.cleaned === url && e.original !== url) ?? null;
+
+/** @returns {Promise<HistoryEntry[]>} newest first */
+export const loadLinkHistory = async () => {
+  try {
+    return (await ext.storage.local.get(LINK_HISTORY_KEY))?.[LINK_HISTORY_KEY] ?? [];
+  } catch (e) {
+    console.warn("[Nudelink] Failed to load link history:", e?.message || e);
+    return [];
+  }
+};
+
+const saveLinkHistory = async (entries) => ext.storage.local.set({ [LINK_HISTORY_KEY]: entries });
+
+// Writes read-modify-write the whole list, so overlapping ones (popup + menu,
+// a record during a delete) would drop each other's changes; queue them.
+let historyQueue = Promise.resolve();
+
+const enqueueHistoryTask = (task) => {
+  const run = historyQueue.then(task);
+  historyQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Record a cleaned link, unless history is switched off.
+ * @param {{original: string, cleaned: string, provider?: string|null, via: HistoryEntry["via"]}} link
+ * @param {object} opts - saved options (see settings.js)
+ * @returns {Promise<HistoryEntry|null>} the stored entry, or null if not recorded
+ */
+export const recordCleaning = async ({ original, cleaned, provider = null, via }, opts) => {
+  if (!opts?.keepHistory || original === cleaned) return null;
+  const entry = {
+    id: crypto.randomUUID(),
+    ts: Date.now(),
+    original,
+    cleaned,
+    provider,
+    options: { removeReferral: Boolean(opts.removeReferral), cleanHash: Boolean(opts.cleanHash) },
+    via,
+  };
+  await enqueueHistoryTask(async () => saveLinkHistory(addEntry(await loadLinkHistory(), entry)));
+  return entry;
+};
+
+/**
+ * Delete one entry.
+ * @param {string} id
+ */
+export const removeHistoryEntry = async (id) =>
+  enqueueHistoryTask(async () => saveLinkHistory((await loadLinkHistory()).filter((e) => e.id !== id)));
+
+/** Delete the whole history. */
+export const clearLinkHistory = async () => enqueueHistoryTask(() => ext.storage.local.remove(LINK_HISTORY_KEY));
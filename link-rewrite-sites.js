@@ -0,0 +1,97 @@
+// link-rewrite-sites.js
+// Where the in-page link rewriter (link-rewriter.js) runs. The rewriteLinks
+// option turns it on for every site; the per-site lists (chrome.storage.sync)
+// turn it on or off for single sites, subdomains included. "Off" always wins.
+// background.js turns the result into the content script's match patterns.
+
+import { ext } from "./browser-api.js";
+import { allowlistEntriesFor, normalizeHost } from "./user-rules.js";
+
+export const REWRITE_SITES_KEY = "nudelink_rewrite_sites_v1";
+export const EMPTY_REWRITE_SITES = Object.freeze({ enabled: [], disabled: [] });
+
+/**
+ * Validate (and normalize) the per-site lists.
+ * @param {unknown} value - {enabled?: string[], disabled?: string[]}
+ * @returns {{sites: {enabled: string[], disabled: string[]}|null, errors: string[]}}
+ */
+export const validateRewriteSites = (value) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { sites: null, errors: ["Expected an object with enabled and/or disabled"] };
+  }
+  const errors = [];
+  const sites = { enabled: [], disabled: [] };
+  for (const list of ["enabled", "disabled"]) {
+    if (value[list] !== undefined && !Array.isArray(value[list])) {
+      errors.push(`${list}: must be an array of hostnames`);
+      continue;
+    }
+    (value[list] ?? []).forEach((entry, i) => {
+      const host = normalizeHost(entry);
+      if (!host) errors.push(`${list}[${i}]: not a hostname: ${entry}`);
+      else if (!sites[list].includes(host)) sites[list].push(host);
+    });
+  }
+  return errors.length ? { sites: null, errors } : { sites, errors };
+};
+
+/** Load the per-site lists from chrome.storage.sync. */
+export const loadRewriteSites = async () => {
+  try {
+    const stored = (await ext.storage.sync.get(REWRITE_SITES_KEY))?.[REWRITE_SITES_KEY];
+    return { ...EMPTY_REWRITE_SITES, ...stored };
+  } catch (e) {
+    console.warn("[Nudelink] loadRewriteSites failed:", e?.message || e);
+    return { ...EMPTY_REWRITE_SITES };
+  }
+};
+
+/**
+ * Validate and persist the per-site lists.
+ * @param {unknown} value
+ * @returns {Promise<{ok: boolean, errors: string[]}>}
+ */
+export const saveRewriteSites = async (value) => {
+  const { sites, errors } = validateRewriteSites(value);
+  if (!sites) return { ok: false, errors };
+  try {
+    await ext.storage.sync.set({ [REWRITE_SITES_KEY]: sites });
+    return { ok: true, errors: [] };
+  } catch (e) {
+    return { ok: false, errors: [e?.message || String(e)] };
+  }
+};
+
+/**
+ * Whether links are rewritten on a host.
+ * @param {string} host
+ * @param {boolean} rewriteLinks - the global option
+ * @param {{enabled: string[], disabled: string[]}} sites
+ * @returns {boolean}
+ */
+export const rewriteEnabledFor = (host, rewriteLinks, sites) => {
+  if (allowlistEntriesFor(sites.disabled, host).length) return false;
+  return Boolean(rewriteLinks) || allowlistEntriesFor(sites.enabled, host).length > 0;
+};
+
+/**
+ * Match pattern for a host and its subdomains ("*." also matches the host itself).
+ * @param {string} host - normalized hostname
+ * @returns {string}
+ */
+export const sitePattern = (host) => `*://*.${host}/*`;
+
+/**
+ * Content script match patterns for the option and lists (see rewriteEnabledFor),
+ * or null when the rewriter runs nowhere.
+ * @param {boolean} rewriteLinks
+ * @param {{enabled: string[], disabled: string[]}} sites
+ * @returns {{matches: string[], excludeMatches?: string[]}|null}
+ */
+export const rewriterMatches = (rewriteLinks, sites) => {
+  const matches = rewriteLinks
+    ? ["http://*/*", "https://*/*"]
+    : sites.enabled.filter((host) => !allowlistEntriesFor(sites.disabled, host).length).map(sitePattern);
+  if (!matches.length) return null;
+  return sites.disabled.length ? { matches, excludeMatches: sites.disabled.map(sitePattern) } : { matches };
+};
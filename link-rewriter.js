@@ -0,0 +1,123 @@
+// link-rewriter.js
+// In-page link rewriting, loaded by content-links.js on the sites
+// link-rewrite-sites.js enables: anchor hrefs are replaced with their cleaned
+// form (including anchors added or re-pointed later, e.g. Facebook's l.php
+// swap on mousedown), and links in a copied selection are cleaned too.
+// background.js pushes NUDELINK_RULES_UPDATED when the rules or options change.
+
+import { ext } from "./browser-api.js";
+import { applyClearUrls, loadCompiledRules } from "./clearurls-apply.js";
+import { cleanLinksInText } from "./bulk-clean.js";
+import { loadOptions, toCleanOptions } from "./settings.js";
+
+const LINK_SELECTOR = "a[href], area[href]";
+
+/**
+ * Cleaned form of a link's href.
+ * @param {string} href
+ * @param {object} rules - compiled rules
+ * @param {object} [options] - applyClearUrls options
+ * @returns {string|null} null when the href is left as written
+ */
+export const cleanLink = (href, rules, options) => {
+  const result = applyClearUrls(href, rules, options);
+  return result.error || !result.changed ? null : result.url;
+};
+
+/**
+ * Replace a link's href with its cleaned form.
+ * @param {Element} anchor - <a> or <area>
+ * @param {(href: string) => string|null} clean - cleaned URL, or null to leave it
+ * @returns {boolean} true if the href was changed
+ */
+export const rewriteAnchor = (anchor, clean) => {
+  if (!anchor.matches?.(LINK_SELECTOR)) return false;
+  const href = anchor.href; // resolved against the page
+  if (!/^https?:/i.test(href)) return false;
+  const cleaned = clean(href);
+  if (!cleaned || cleaned === href) return false;
+  anchor.setAttribute("href", cleaned);
+  return true;
+};
+
+/**
+ * Rewrite every link in a subtree, the root included.
+ * @param {Element|Document} root
+ * @param {(href: string) => string|null} clean
+ * @returns {number} links changed
+ */
+export const rewriteLinksIn = (root, clean) => {
+  const links = [...(root.matches?.(LINK_SELECTOR) ? [root] : []), ...(root.querySelectorAll?.(LINK_SELECTOR) ?? [])];
+  return links.filter((a) => rewriteAnchor(a, clean)).length;
+};
+
+/**
+ * Plain-text and HTML flavors of a copied selection with their links cleaned.
+ * @param {{text: string, html?: string}} selection
+ * @param {object} rules - compiled rules
+ * @param {object} [options] - applyClearUrls options
+ * @returns {{text: string, html: string|null}|null} null when no link changed
+ */
+export const cleanCopiedSelection = ({ text, html }, rules, options) => {
+  const plain = cleanLinksInText(text, rules, options);
+  const rich = html ? cleanLinksInText(html, rules, options) : null;
+  const changed = (r) => Boolean(r?.links.some((l) => l.changed));
+  if (!changed(plain) && !changed(rich)) return null;
+  return { text: plain.text, html: rich?.text ?? null };
+};
+
+/** The current selection as text and HTML. */
+const readSelection = (doc) => {
+  const selection = doc.getSelection();
+  if (!selection || selection.isCollapsed) return null;
+  const holder = doc.createElement("div");
+  for (let i = 0; i < selection.rangeCount; i++) holder.append(selection.getRangeAt(i).cloneContents());
+  return { text: selection.toString(), html: holder.innerHTML };
+};
+
+/**
+ * Start rewriting links in a document: everything present now, then whatever
+ * the page adds or re-points, and the links in copied selections.
+ * @param {Document} [doc]
+ */
+export const startLinkRewriter = async (doc = document) => {
+  let rules = null;
+  let options = {};
+
+  const clean = (href) => (rules ? cleanLink(href, rules, options) : null);
+
+  const load = async () => {
+    const [compiled, opts] = await Promise.all([loadCompiledRules(), loadOptions()]);
+    rules = compiled;
+    options = toCleanOptions(opts);
+    if (rules) rewriteLinksIn(doc, clean);
+  };
+
+  // Our own setAttribute comes back as a mutation too; the cleaned href is
+  // already clean, so it stops there.
+  new MutationObserver((records) => {
+    for (const record of records) {
+      if (record.type === "attributes") rewriteAnchor(record.target, clean);
+      else for (const node of record.addedNodes) if (node.nodeType === 1) rewriteLinksIn(node, clean);
+    }
+  }).observe(doc.documentElement, { subtree: true, childList: true, attributes: true, attributeFilter: ["href"] });
+
+  doc.addEventListener(
+    "copy",
+    (e) => {
+      const selection = rules && e.clipboardData ? readSelection(doc) : null;
+      const cleaned = selection ? cleanCopiedSelection(selection, rules, options) : null;
+      if (!cleaned) return;
+      e.clipboardData.setData("text/plain", cleaned.text);
+      if (cleaned.html) e.clipboardData.setData("text/html", cleaned.html);
+      e.preventDefault();
+    },
+    true
+  );
+
+  ext.runtime.onMessage.addListener((msg) => {
+    if (msg?.type === "NUDELINK_RULES_UPDATED") load();
+  });
+
+  await load();
+};
@@ -0,0 +1,103 @@
+// managed-config.js
+// Enterprise policy from chrome.storage.managed (schema: managed-schema.json).
+// Admins can preset or lock options, replace the rule sources with an internal
+// rules URL and hash, and add organization-wide custom rules. Managed values
+// take priority: settings.js applies them in loadOptions(), rule-sources.js in
+// loadSources(), and clearurls-apply.js merges the organization rules.
+
+import { ext } from "./browser-api.js";
+import { validateUserRules } from "./user-rules.js";
+
+export const EMPTY_POLICY = Object.freeze({
+  options: Object.freeze({}),
+  lockedOptions: Object.freeze([]),
+  rulesUrl: null,
+  hashUrl: null,
+  refreshMinutes: null,
+  organizationRules: null,
+});
+
+/** Tooltip on controls the policy locks */
+export const LOCKED_HINT = "Set by your organization";
+
+const isPlainObject = (v) => Boolean(v) && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Validate a raw policy. Invalid parts are dropped (and reported), the rest
+ * still applies, so one typo doesn't undo a whole deployment.
+ * @param {unknown} raw - chrome.storage.managed contents
+ * @returns {{policy: typeof EMPTY_POLICY, errors: string[]}}
+ */
+export const validatePolicy = (raw) => {
+  if (!isPlainObject(raw)) return { policy: EMPTY_POLICY, errors: raw == null ? [] : ["policy: must be an object"] };
+  const errors = [];
+  const policy = { ...EMPTY_POLICY };
+
+  if (raw.options !== undefined) {
+    if (!isPlainObject(raw.options)) errors.push("options: must be an object");
+    else {
+      policy.options = {};
+      for (const [key, value] of Object.entries(raw.options)) {
+        if (typeof value === "boolean") policy.options[key] = value;
+        else errors.push(`options.${key}: must be true or false`);
+      }
+    }
+  }
+
+  if (raw.lockedOptions !== undefined) {
+    if (!Array.isArray(raw.lockedOptions)) errors.push("lockedOptions: must be a list of option names");
+    else policy.lockedOptions = raw.lockedOptions.filter((key) => typeof key === "string");
+  }
+
+  for (const key of ["rulesUrl", "hashUrl"]) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] === "string" && /^https?:\/\//i.test(raw[key])) policy[key] = raw[key];
+    else errors.push(`${key}: must be an http(s) URL`);
+  }
+  if (policy.hashUrl && !policy.rulesUrl) errors.push("hashUrl: ignored without rulesUrl");
+  if (raw.refreshMinutes !== undefined) {
+    if (Number.isFinite(raw.refreshMinutes)) policy.refreshMinutes = raw.refreshMinutes;
+    else errors.push("refreshMinutes: must be a number");
+  }
+
+  if (raw.organizationRules !== undefined) {
+    const { rules, errors: ruleErrors } = validateUserRules(raw.organizationRules);
+    if (rules) policy.organizationRules = rules;
+    else errors.push(...ruleErrors.map((e) => `organizationRules: ${e}`));
+  }
+  return { policy, errors };
+};
+
+/**
+ * Load the policy. No policy, or no managed storage at all (Firefox without
+ * an enterprise policy for us), gives EMPTY_POLICY.
+ * @returns {Promise<typeof EMPTY_POLICY>}
+ */
+export const loadManagedPolicy = async () => {
+  let raw;
+  try {
+    raw = await ext.storage.managed?.get(null);
+  } catch {
+    return EMPTY_POLICY;
+  }
+  const { policy, errors } = validatePolicy(raw);
+  if (errors.length) console.warn("[Nudelink] Ignoring invalid managed settings:", errors.join("; "));
+  return policy;
+};
+
+/**
+ * What the policy manages, for the notice on the popup and options page.
+ * @param {typeof EMPTY_POLICY} policy
+ * @returns {string[]} empty when nothing is managed
+ */
+export const describePolicy = (policy) => {
+  const rules = policy.organizationRules;
+  const ruleCount = Object.keys(rules?.providers ?? {}).length;
+  const siteCount = rules?.allowlist.length ?? 0;
+  return [
+    ...(policy.lockedOptions.length ? [`Locked options: ${policy.lockedOptions.join(", ")}`] : []),
+    ...(policy.rulesUrl ? [`Rules come from ${new URL(policy.rulesUrl).host}`] : []),
+    ...(ruleCount ? [`${ruleCount} organization rule(s) apply on top of yours`] : []),
+    ...(siteCount ? [`${siteCount} site(s) are never cleaned`] : []),
+  ];
+};
@@ -0,0 +1,147 @@
+// node-rules.js
+// Rules for Node consumers (the `nudelink` CLI, backends, bots): the same
+// download + SHA-256 verification as the extension (fetchSourceRules in
+// rule-sources.js), cached on disk instead of chrome.storage, with the bundled
+// snapshot as the offline fallback.
+
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+import {
+  BUNDLED_HASH_PATH,
+  BUNDLED_RULES_PATH,
+  DEFAULT_REFRESH_MIN,
+  DEFAULT_SOURCES,
+  fetchSourceRules,
+  sha256Hex,
+} from "./rule-sources.js";
+
+export const CACHE_FILE = "rules.json";
+
+/** Official ClearURLs source, as configured for the extension. */
+const OFFICIAL_SOURCE = DEFAULT_SOURCES.find((s) => s.id === "clearurls");
+
+/**
+ * Default cache directory: $XDG_CACHE_HOME/nudelink or ~/.cache/nudelink.
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {string}
+ */
+export const defaultCacheDir = (env = process.env) =>
+  join(env.XDG_CACHE_HOME || join(homedir(), ".cache"), "nudelink");
+
+const readJson = async (path) => JSON.parse(await readFile(path, "utf8"));
+
+/** Cached {rules, hash, ts, checkedTs}, or null if missing/unreadable. */
+const readCache = async (cacheDir) => {
+  try {
+    const cached = await readJson(join(cacheDir, CACHE_FILE));
+    return cached?.rules?.providers ? cached : null;
+  } catch {
+    return null;
+  }
+};
+
+/** Write the cache atomically (tmp file + rename) so readers never see half a file. */
+const writeCache = async (cacheDir, payload) => {
+  await mkdir(cacheDir, { recursive: true });
+  const file = join(cacheDir, CACHE_FILE);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(payload));
+  await rename(tmp, file);
+};
+
+/**
+ * Load a rules JSON file (ClearURLs format) from disk.
+ * @param {string} path
+ * @returns {Promise<object>}
+ * @throws {Error} if the file is unreadable or has no providers
+ */
+export const loadRulesFile = async (path) => {
+  let rules;
+  try {
+    rules = await readJson(path);
+  } catch (e) {
+    throw new Error(`Cannot read rules file ${path}: ${e?.message || e}`);
+  }
+  if (!rules || typeof rules.providers !== "object") {
+    throw new Error(`Rules file ${path} has no providers`);
+  }
+  return rules;
+};
+
+/**
+ * Read the snapshot shipped in rules/, verified against its hash file.
+ * @param {URL} [root] - directory holding rules/; the package root by default
+ * @returns {Promise<{rules: object, hash: string}>}
+ * @throws {Error} on a missing snapshot or hash mismatch
+ */
+export const readBundledRules = async (root = new URL("./", import.meta.url)) => {
+  let text, expected;
+  try {
+    [text, expected] = await Promise.all([
+      readFile(new URL(BUNDLED_RULES_PATH, root), "utf8"),
+      readFile(new URL(BUNDLED_HASH_PATH, root), "utf8"),
+    ]);
+  } catch (e) {
+    if (e?.code !== "ENOENT") throw e;
+    throw new Error("No bundled rules snapshot (run npm run rules:bundle)");
+  }
+  const hash = await sha256Hex(text);
+  if (hash !== expected.trim().toLowerCase()) {
+    throw new Error("Bundled rules hash mismatch — integrity check failed");
+  }
+  return { rules: JSON.parse(text), hash };
+};
+
+/**
+ * Rules for cleaning, from the disk cache or a fresh download.
+ * 1) offline → cache, else bundled snapshot
+ * 2) cache checked less than maxAgeMs ago (and no refresh) → cache
+ * 3) else GET the hash file; only on change GET + verify the rules, update cache
+ * 4) on download failure → stale cache, else bundled snapshot (with a warning)
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.cacheDir] - defaults to defaultCacheDir()
+ * @param {object} [opts.source] - rule source (see rule-sources.js); official list by default
+ * @param {number} [opts.maxAgeMs] - how long a cached copy is trusted without checking
+ * @param {boolean} [opts.refresh] - check upstream even if the cache is fresh
+ * @param {boolean} [opts.offline] - never touch the network
+ * @param {URL} [opts.bundledRoot] - where the bundled snapshot lives (see readBundledRules)
+ * @returns {Promise<{rules: object, hash: string, origin: "cache"|"download"|"bundled", warning?: string}>}
+ * @throws {Error} if no rules are available at all
+ */
+export const loadNodeRules = async ({
+  cacheDir = defaultCacheDir(),
+  source = OFFICIAL_SOURCE,
+  maxAgeMs = DEFAULT_REFRESH_MIN * 60_000,
+  refresh = false,
+  offline = false,
+  bundledRoot,
+} = {}) => {
+  const cached = await readCache(cacheDir);
+  const fallback = async (warning) => {
+    if (cached) return { rules: cached.rules, hash: cached.hash, origin: "cache", warning };
+    return { ...(await readBundledRules(bundledRoot)), origin: "bundled", warning };
+  };
+
+  if (offline) return fallback();
+  const now = Date.now();
+  if (cached && !refresh && now - (cached.checkedTs ?? 0) < maxAgeMs) {
+    return { rules: cached.rules, hash: cached.hash, origin: "cache" };
+  }
+
+  let res;
+  try {
+    res = await fetchSourceRules(source, cached?.hash ?? null);
+  } catch (e) {
+    return fallback(`Rules download failed (${e?.message || e}); using ${cached ? "cached" : "bundled"} rules`);
+  }
+
+  if (!res.updated) {
+    await writeCache(cacheDir, { ...cached, checkedTs: now });
+    return { rules: cached.rules, hash: cached.hash, origin: "cache" };
+  }
+  await writeCache(cacheDir, { rules: res.rules, hash: res.hash, ts: now, checkedTs: now });
+  return { rules: res.rules, hash: res.hash, origin: "download" };
+};
@@ -0,0 +1,25 @@
+// offscreen.js
+// Offscreen document used by background.js to write to the clipboard:
+// service workers have no DOM, and navigator.clipboard needs a focused page.
+
+const clipboardField = document.getElementById("clipboard");
+
+/** Copy text via a textarea + execCommand (works without focus). */
+const copyText = (text) => {
+  clipboardField.value = text;
+  clipboardField.select();
+  const ok = document.execCommand("copy");
+  clipboardField.value = "";
+  return ok;
+};
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.target !== "offscreen") return; // not for us
+  if (msg.type === "NUDELINK_OFFSCREEN_COPY") {
+    try {
+      sendResponse(copyText(String(msg.text ?? "")) ? { ok: true } : { ok: false, error: "Copy command failed" });
+    } catch (e) {
+      sendResponse({ ok: false, error: e?.message || String(e) });
+    }
+  }
+});
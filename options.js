@@ -0,0 +1,497 @@
+import { ext } from "./browser-api.js";
+import {
+  loadUserRules,
+  saveUserRules,
+  validateUserRules,
+  validateProvider,
+} from "./user-rules.js";
+import { DEFAULT_SOURCES, DEFAULT_REFRESH_MIN, MANAGED_SOURCE_ID, loadSources, saveSources } from "./rule-sources.js";
+import { loadOptions, saveOptions } from "./settings.js";
+import { loadRewriteSites, saveRewriteSites, sitePattern, validateRewriteSites } from "./link-rewrite-sites.js";
+import { loadPasteSites, savePasteSites, validatePasteSites } from "./paste-sites.js";
+import {
+  connectableMatches,
+  loadExternalCallers,
+  saveExternalCallers,
+  validateExternalCallers,
+} from "./external-api.js";
+import { LOCKED_HINT, describePolicy, loadManagedPolicy } from "./managed-config.js";
+
+/** Provider fields edited as one-regex-per-line lists */
+const LIST_FIELDS = ["rules", "referralMarketing", "exceptions", "redirections", "rawRules"];
+
+/** DOM refs */
+const allowlistField = document.getElementById("allowlist");
+const saveAllowlistButton = document.getElementById("save-allowlist");
+const providerList = document.getElementById("provider-list");
+const newProviderButton = document.getElementById("new-provider");
+const deleteProviderButton = document.getElementById("delete-provider");
+const providerForm = document.getElementById("provider-form");
+const nameField = document.getElementById("f-name");
+const urlPatternField = document.getElementById("f-urlPattern");
+const listFields = Object.fromEntries(LIST_FIELDS.map((f) => [f, document.getElementById(`f-${f}`)]));
+const exportButton = document.getElementById("export");
+const importButton = document.getElementById("import");
+const importFile = document.getElementById("import-file");
+const sourceRows = document.getElementById("source-rows");
+const sourceForm = document.getElementById("source-form");
+const sourceFields = Object.fromEntries(
+  ["label", "rulesUrl", "hashUrl", "refresh"].map((f) => [f, document.getElementById(`s-${f}`)])
+);
+const holdUpdatesToggle = document.getElementById("opt-holdRuleUpdates");
+const keepHistoryToggle = document.getElementById("opt-keepHistory");
+const rewriteLinksToggle = document.getElementById("opt-rewriteLinks");
+const rewriteEnabledField = document.getElementById("rewrite-enabled");
+const rewriteDisabledField = document.getElementById("rewrite-disabled");
+const saveRewriteSitesButton = document.getElementById("save-rewrite-sites");
+const cleanPastedLinksToggle = document.getElementById("opt-cleanPastedLinks");
+const pasteEnabledField = document.getElementById("paste-enabled");
+const pasteDisabledField = document.getElementById("paste-disabled");
+const savePasteSitesButton = document.getElementById("save-paste-sites");
+const externalExtensionsField = document.getElementById("external-extensions");
+const externalOriginsField = document.getElementById("external-origins");
+const saveExternalCallersButton = document.getElementById("save-external-callers");
+const connectableOriginsLabel = document.getElementById("connectable-origins");
+const managedNotice = document.getElementById("managed");
+const managedList = document.getElementById("managed-list");
+const errorList = document.getElementById("errors");
+const statusLabel = document.getElementById("status");
+
+/** Current user rules ({providers, allowlist}) and the provider being edited */
+let current = { providers: {}, allowlist: [] };
+let editing = null;
+
+/** Ordered rule sources (see rule-sources.js) */
+let sources = [];
+const BUILT_IN_IDS = new Set(DEFAULT_SOURCES.map((s) => s.id));
+
+/** Tiny status helper */
+const setStatus = (text, good = false) => {
+  statusLabel.textContent = text;
+  statusLabel.className = good ? "muted good" : "muted";
+};
+
+const showErrors = (errors) => {
+  errorList.replaceChildren(
+    ...errors.map((e) => {
+      const li = document.createElement("li");
+      li.textContent = e;
+      return li;
+    })
+  );
+};
+
+const linesOf = (text) =>
+  text
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+/** Fill the form from a provider (or clear it) */
+const fillForm = (name, provider = {}) => {
+  editing = name;
+  nameField.value = name ?? "";
+  urlPatternField.value = provider.urlPattern ?? "";
+  for (const f of LIST_FIELDS) listFields[f].value = (provider[f] ?? []).join("\n");
+};
+
+/** Provider object from the form; list fields left empty are omitted */
+const readForm = () => {
+  const provider = { urlPattern: urlPatternField.value.trim() };
+  for (const f of LIST_FIELDS) {
+    const list = linesOf(listFields[f].value);
+    if (list.length) provider[f] = list;
+  }
+  return { name: nameField.value.trim(), provider };
+};
+
+const render = () => {
+  allowlistField.value = current.allowlist.join("\n");
+  providerList.replaceChildren(
+    ...Object.keys(current.providers).map((name) => new Option(name, name, false, name === editing))
+  );
+};
+
+/** Validate + persist a new user rules object; keeps the old one on error */
+const commit = async (next, message) => {
+  const res = await saveUserRules(next);
+  showErrors(res.errors);
+  if (!res.ok) {
+    setStatus("Not saved — fix the errors below.");
+    return false;
+  }
+  current = await loadUserRules();
+  render();
+  setStatus(message, true);
+  return true;
+};
+
+/* Rule sources */
+
+const sourceButton = (text, onClick, disabled = false) => {
+  const b = document.createElement("button");
+  b.type = "button";
+  b.textContent = text;
+  b.disabled = disabled;
+  b.addEventListener("click", onClick);
+  return b;
+};
+
+/** Validate + persist the source list; the background re-fetches on change */
+const commitSources = async (next, message) => {
+  const res = await saveSources(next);
+  showErrors(res.errors);
+  if (!res.ok) {
+    setStatus("Not saved — fix the errors below.");
+    return false;
+  }
+  sources = await loadSources();
+  renderSources();
+  setStatus(message, true);
+  return true;
+};
+
+const moveSource = (i, delta) => {
+  const next = [...sources];
+  [next[i], next[i + delta]] = [next[i + delta], next[i]];
+  commitSources(next, "Source order saved.");
+};
+
+const renderSources = () => {
+  // A managed rule source replaces the list; nothing here can change it.
+  const managed = sources.some((s) => s.id === MANAGED_SOURCE_ID);
+  sourceForm.hidden = managed;
+  sourceRows.replaceChildren(
+    ...sources.map((source, i) => {
+      const tr = document.createElement("tr");
+
+      const enabled = document.createElement("input");
+      enabled.type = "checkbox";
+      enabled.checked = source.enabled;
+      enabled.disabled = managed;
+      enabled.addEventListener("change", () => {
+        const next = sources.map((s, j) => (j === i ? { ...s, enabled: enabled.checked } : s));
+        commitSources(next, `${source.label} ${enabled.checked ? "enabled" : "disabled"}.`);
+      });
+
+      const name = document.createElement("td");
+      const title = document.createElement("div");
+      title.textContent = source.label;
+      const url = document.createElement("div");
+      url.className = "muted";
+      url.textContent = source.type === "bundled" ? "Shipped with the extension" : source.rulesUrl;
+      name.append(title, url);
+
+      const refresh = document.createElement("td");
+      refresh.textContent = source.type === "bundled" ? "—" : String(source.refreshMinutes ?? DEFAULT_REFRESH_MIN);
+
+      const actions = document.createElement("td");
+      actions.append(
+        sourceButton("↑", () => moveSource(i, -1), managed || i === 0),
+        sourceButton("↓", () => moveSource(i, 1), managed || i === sources.length - 1),
+        sourceButton(
+          "Remove",
+          () => commitSources(sources.filter((_, j) => j !== i), `Removed ${source.label}.`),
+          managed || BUILT_IN_IDS.has(source.id)
+        )
+      );
+
+      const toggle = document.createElement("td");
+      toggle.append(enabled);
+      tr.append(toggle, name, refresh, actions);
+      return tr;
+    })
+  );
+};
+
+/** Unique id for a new source, derived from its label */
+const sourceIdFor = (label) => {
+  const base = label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "source";
+  let id = base;
+  for (let n = 2; sources.some((s) => s.id === id); n++) id = `${base}-${n}`;
+  return id;
+};
+
+/** Origins a source fetches from, as host permission patterns */
+const originsOf = (...urls) => [...new Set(urls.filter(Boolean).map((u) => `${new URL(u).origin}/*`))];
+
+sourceForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const label = sourceFields.label.value.trim();
+  const rulesUrl = sourceFields.rulesUrl.value.trim();
+  const hashUrl = sourceFields.hashUrl.value.trim();
+
+  // Fetching from a new host needs its permission; ask while we still have the click.
+  const granted = await ext.permissions.request({ origins: originsOf(rulesUrl, hashUrl) });
+  if (!granted) {
+    setStatus("Permission denied — the source was not added.");
+    return;
+  }
+
+  const source = {
+    id: sourceIdFor(label),
+    label,
+    type: "remote",
+    rulesUrl,
+    ...(hashUrl ? { hashUrl } : {}),
+    refreshMinutes: Number(sourceFields.refresh.value) || DEFAULT_REFRESH_MIN,
+    enabled: true,
+  };
+  // New sources go above the bundled fallback.
+  const bundledAt = sources.findIndex((s) => s.type === "bundled");
+  const next = [...sources];
+  next.splice(bundledAt === -1 ? next.length : bundledAt, 0, source);
+  if (await commitSources(next, `Added ${label}.`)) sourceForm.reset();
+});
+
+keepHistoryToggle.addEventListener("change", async () => {
+  const keep = keepHistoryToggle.checked;
+  if (!keep && !confirm("Turn off the history and delete every recorded link?")) {
+    keepHistoryToggle.checked = true;
+    return;
+  }
+  await saveOptions({ keepHistory: keep });
+  setStatus(keep ? "History on." : "History off and deleted.", true);
+});
+
+/* Links inside pages */
+
+const renderRewriteSites = (sites) => {
+  rewriteEnabledField.value = sites.enabled.join("\n");
+  rewriteDisabledField.value = sites.disabled.join("\n");
+};
+
+rewriteLinksToggle.addEventListener("change", async () => {
+  const enable = rewriteLinksToggle.checked;
+  if (enable && !(await ext.permissions.request({ origins: ["<all_urls>"] }))) {
+    rewriteLinksToggle.checked = false;
+    setStatus("Cleaning links inside pages needs access to all sites.");
+    return;
+  }
+  await saveOptions({ rewriteLinks: enable });
+  setStatus(enable ? "Links inside pages will be cleaned." : "Links inside pages are left alone.", true);
+});
+
+saveRewriteSitesButton.addEventListener("click", async () => {
+  const { sites, errors } = validateRewriteSites({
+    enabled: linesOf(rewriteEnabledField.value),
+    disabled: linesOf(rewriteDisabledField.value),
+  });
+  showErrors(errors);
+  if (!sites) {
+    setStatus("Not saved — fix the errors below.");
+    return;
+  }
+  // Running on a site needs its permission; ask while we still have the click.
+  if (sites.enabled.length && !(await ext.permissions.request({ origins: sites.enabled.map(sitePattern) }))) {
+    setStatus("Permission denied — the sites were not saved.");
+    return;
+  }
+  const res = await saveRewriteSites(sites);
+  showErrors(res.errors);
+  if (!res.ok) {
+    setStatus("Not saved — fix the errors below.");
+    return;
+  }
+  renderRewriteSites(sites);
+  setStatus("Sites saved.", true);
+});
+
+/* Pasted links */
+
+const renderPasteSites = (sites) => {
+  pasteEnabledField.value = sites.enabled.join("\n");
+  pasteDisabledField.value = sites.disabled.join("\n");
+};
+
+cleanPastedLinksToggle.addEventListener("change", async () => {
+  const enable = cleanPastedLinksToggle.checked;
+  if (enable && !(await ext.permissions.request({ origins: ["<all_urls>"] }))) {
+    cleanPastedLinksToggle.checked = false;
+    setStatus("Cleaning pasted links needs access to all sites.");
+    return;
+  }
+  await saveOptions({ cleanPastedLinks: enable });
+  setStatus(enable ? "Pasted links will be cleaned." : "Pasted links are left alone.", true);
+});
+
+savePasteSitesButton.addEventListener("click", async () => {
+  const { sites, errors } = validatePasteSites({
+    enabled: linesOf(pasteEnabledField.value),
+    disabled: linesOf(pasteDisabledField.value),
+  });
+  showErrors(errors);
+  if (!sites) {
+    setStatus("Not saved — fix the errors below.");
+    return;
+  }
+  if (sites.enabled.length && !(await ext.permissions.request({ origins: sites.enabled.map(sitePattern) }))) {
+    setStatus("Permission denied — the sites were not saved.");
+    return;
+  }
+  const res = await savePasteSites(sites);
+  showErrors(res.errors);
+  if (!res.ok) {
+    setStatus("Not saved — fix the errors below.");
+    return;
+  }
+  renderPasteSites(sites);
+  setStatus("Sites saved.", true);
+});
+
+/* Other extensions and sites (external API) */
+
+const renderExternalCallers = (callers) => {
+  externalExtensionsField.value = callers.extensions.join("\n");
+  externalOriginsField.value = callers.origins.join("\n");
+};
+
+saveExternalCallersButton.addEventListener("click", async () => {
+  const { callers, errors } = validateExternalCallers({
+    extensions: linesOf(externalExtensionsField.value),
+    origins: linesOf(externalOriginsField.value),
+  });
+  showErrors(errors);
+  if (!callers) {
+    setStatus("Not saved — fix the errors below.");
+    return;
+  }
+  const res = await saveExternalCallers(callers);
+  showErrors(res.errors);
+  if (!res.ok) {
+    setStatus("Not saved — fix the errors below.");
+    return;
+  }
+  renderExternalCallers(callers);
+  setStatus("Callers saved.", true);
+});
+
+holdUpdatesToggle.addEventListener("change", async () => {
+  await saveOptions({ holdRuleUpdates: holdUpdatesToggle.checked });
+  setStatus(holdUpdatesToggle.checked ? "New rules will wait for approval." : "New rules apply automatically.", true);
+});
+
+/** Wire events */
+providerList.addEventListener("change", () => {
+  const name = providerList.value;
+  fillForm(name, current.providers[name]);
+  showErrors([]);
+});
+
+newProviderButton.addEventListener("click", () => {
+  fillForm(null);
+  providerList.value = "";
+  nameField.focus();
+});
+
+deleteProviderButton.addEventListener("click", async () => {
+  if (!editing || !(editing in current.providers)) return;
+  const { [editing]: _removed, ...providers } = current.providers;
+  const name = editing;
+  fillForm(null);
+  await commit({ ...current, providers }, `Deleted ${name}.`);
+});
+
+providerForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const { name, provider } = readForm();
+  const errors = validateProvider(name, provider);
+  if (errors.length) {
+    showErrors(errors);
+    setStatus("Not saved — fix the errors below.");
+    return;
+  }
+  const providers = { ...current.providers };
+  if (editing && editing !== name) delete providers[editing]; // renamed
+  providers[name] = provider;
+  editing = name;
+  await commit({ ...current, providers }, `Saved ${name}.`);
+});
+
+saveAllowlistButton.addEventListener("click", async () => {
+  await commit({ ...current, allowlist: linesOf(allowlistField.value) }, "Sites saved.");
+});
+
+exportButton.addEventListener("click", () => {
+  const blob = new Blob([JSON.stringify(current, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "nudelink-rules.json";
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+});
+
+importButton.addEventListener("click", () => importFile.click());
+
+importFile.addEventListener("change", async () => {
+  const [file] = importFile.files;
+  importFile.value = "";
+  if (!file) return;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(await file.text());
+  } catch (e) {
+    showErrors([`Not valid JSON: ${e?.message || e}`]);
+    return;
+  }
+  const { rules, errors } = validateUserRules(parsed);
+  if (!rules) {
+    showErrors(errors);
+    setStatus("Import failed — nothing was changed.");
+    return;
+  }
+  fillForm(null);
+  await commit(rules, `Imported ${Object.keys(rules.providers).length} rule(s) and ${rules.allowlist.length} site(s).`);
+});
+
+/** Grey out the options the managed policy locks, and list what it manages */
+const renderPolicy = (policy) => {
+  const toggles = {
+    holdRuleUpdates: holdUpdatesToggle,
+    keepHistory: keepHistoryToggle,
+    rewriteLinks: rewriteLinksToggle,
+    cleanPastedLinks: cleanPastedLinksToggle,
+  };
+  for (const [key, toggle] of Object.entries(toggles)) {
+    toggle.disabled = policy.lockedOptions.includes(key);
+    toggle.closest("label").title = toggle.disabled ? LOCKED_HINT : "";
+  }
+  const lines = describePolicy(policy);
+  managedList.replaceChildren(
+    ...lines.map((line) => {
+      const li = document.createElement("li");
+      li.textContent = line;
+      return li;
+    })
+  );
+  managedNotice.hidden = !lines.length;
+};
+
+/** Initial load */
+let opts;
+let rewriteSites;
+let pasteSites;
+let externalCallers;
+let policy;
+[current, sources, opts, rewriteSites, pasteSites, externalCallers, policy] = await Promise.all([
+  loadUserRules(),
+  loadSources(),
+  loadOptions(),
+  loadRewriteSites(),
+  loadPasteSites(),
+  loadExternalCallers(),
+  loadManagedPolicy(),
+]);
+holdUpdatesToggle.checked = opts.holdRuleUpdates;
+keepHistoryToggle.checked = opts.keepHistory;
+rewriteLinksToggle.checked = opts.rewriteLinks;
+cleanPastedLinksToggle.checked = opts.cleanPastedLinks;
+renderPolicy(policy);
+renderRewriteSites(rewriteSites);
+renderPasteSites(pasteSites);
+renderExternalCallers(externalCallers);
+connectableOriginsLabel.textContent = connectableMatches().join(", ") || "none";
+render();
+renderSources();
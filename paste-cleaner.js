@@ -0,0 +1,314 @@
+// paste-cleaner.js
+// Paste-time cleaning, loaded by content-paste.js on the sites paste-sites.js
+// enables: links in the text and HTML pasted into inputs, textareas and
+// contenteditable editors are replaced with their cleaned form, and a toast
+// offers to undo. background.js pushes NUDELINK_RULES_UPDATED when the rules
+// or options change.
+//
+// The script runs in every frame of those sites, so rules are only loaded once
+// an editable gets focus (or on the first paste, which then goes through as is).
+// Pasted HTML is inserted by us, not the browser, so it is sanitized first.
+
+import { ext } from "./browser-api.js";
+import { loadCompiledRules } from "./clearurls-apply.js";
+import { cleanLinksInText } from "./bulk-clean.js";
+import { loadOptions, toCleanOptions } from "./settings.js";
+
+// Inputs whose value may hold a link (not passwords, numbers, dates…)
+const TEXT_INPUT_TYPES = new Set(["text", "search", "url"]);
+
+// Pasted HTML keeps these elements (no attributes but an http(s)/mailto href on
+// links); others are replaced by their content, DROP_TAGS removed with it.
+const KEEP_TAGS = new Set([
+  "a",
+  "b",
+  "blockquote",
+  "br",
+  "code",
+  "del",
+  "div",
+  "em",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "hr",
+  "i",
+  "li",
+  "ol",
+  "p",
+  "pre",
+  "s",
+  "span",
+  "strong",
+  "sub",
+  "sup",
+  "table",
+  "tbody",
+  "td",
+  "th",
+  "thead",
+  "tr",
+  "u",
+  "ul",
+]);
+const VOID_TAGS = new Set(["br", "hr"]);
+const DROP_TAGS = new Set([
+  "button",
+  "embed",
+  "head",
+  "iframe",
+  "math",
+  "noscript",
+  "object",
+  "script",
+  "select",
+  "style",
+  "svg",
+  "template",
+  "textarea",
+  "title",
+]);
+const SAFE_HREF = /^(?:https?:\/\/|mailto:)/i;
+
+const TOAST_ID = "nudelink-paste-toast";
+/** How long the toast (and its undo) stays up */
+export const TOAST_MS = 6000;
+
+const TOAST_CSS = `
+.toast {
+  position: fixed;
+  right: 16px;
+  bottom: 16px;
+  z-index: 2147483647;
+  padding: 8px 12px;
+  border-radius: 10px;
+  background: #222;
+  color: #fff;
+  font: 13px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+}
+button {
+  margin: 0;
+  padding: 0;
+  border: 0;
+  background: none;
+  color: #7fd1ff;
+  font: inherit;
+  text-decoration: underline;
+  cursor: pointer;
+}`;
+
+/**
+ * The editable a paste goes into: a text input or textarea ("field"), or a
+ * contenteditable editor.
+ * @param {EventTarget|null} target - the paste event's target
+ * @returns {{el: Element, kind: "field"|"editor"}|null}
+ */
+export const pasteTarget = (target) => {
+  const el = target?.nodeType === 3 ? target.parentElement : target; // a text node inside an editor
+  if (!el || el.disabled || el.readOnly) return null;
+  if (el.localName === "textarea" || (el.localName === "input" && TEXT_INPUT_TYPES.has(el.type))) {
+    return { el, kind: "field" };
+  }
+  return el.isContentEditable ? { el, kind: "editor" } : null;
+};
+
+/**
+ * Clipboard text and HTML flavors with their links cleaned.
+ * @param {{text: string, html?: string|null}} data
+ * @param {object} rules - compiled rules
+ * @param {object} [options] - applyClearUrls options
+ * @returns {{text: string, html: string|null, count: number}|null}
+ *   count: links changed in the text flavor (or the HTML, for rich-only pastes); null when none
+ */
+export const cleanPastedData = ({ text, html }, rules, options) => {
+  const plain = cleanLinksInText(text, rules, options);
+  const rich = html ? cleanLinksInText(html, rules, options) : null;
+  const changed = (r) => (r?.links ?? []).filter((l) => l.changed).reduce((n, l) => n + l.count, 0);
+  const count = changed(plain) || changed(rich);
+  if (!count) return null;
+  return { text: plain.text, html: rich?.text ?? null, count };
+};
+
+const escapeHtml = (str) =>
+  str.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+/**
+ * Markup for a node's children, rebuilt from the allowlist (KEEP_TAGS, href on
+ * links): text is escaped, so nothing else the page or clipboard held survives.
+ * @param {Node} node - e.g. the body of a parsed document
+ * @returns {string}
+ */
+export const serializeSafeHtml = (node) =>
+  [...node.childNodes]
+    .map((child) => {
+      if (child.nodeType === 3) return escapeHtml(child.nodeValue);
+      if (child.nodeType !== 1 || DROP_TAGS.has(child.localName)) return "";
+      const inner = serializeSafeHtml(child);
+      const tag = child.localName;
+      if (!KEEP_TAGS.has(tag)) return inner;
+      if (VOID_TAGS.has(tag)) return `<${tag}>`;
+      const href = tag === "a" ? child.getAttribute("href")?.trim() : null;
+      const attrs = href && SAFE_HREF.test(href) ? ` href="${escapeHtml(href)}"` : "";
+      return `<${tag}${attrs}>${inner}</${tag}>`;
+    })
+    .join("");
+
+/**
+ * Clipboard HTML made safe to insert: the browser sanitizes what it pastes
+ * itself, but not what insertHTML is given. Parsed inertly (no scripts run,
+ * nothing loads) with DOMParser.
+ * @param {string} html
+ * @param {typeof DOMParser} [Parser]
+ * @returns {string}
+ */
+export const sanitizePastedHtml = (html, Parser = globalThis.DOMParser) =>
+  serializeSafeHtml(new Parser().parseFromString(html, "text/html").body);
+
+/** Toast text for a number of cleaned links. */
+export const toastText = (count) => `Nudelink cleaned ${count} link${count === 1 ? "" : "s"}`;
+
+/**
+ * Put data where the paste was going. Rich editors read pastes from the event,
+ * so they get a paste event of their own first; if none takes it, the browser
+ * inserts it like typing (which keeps the native undo history).
+ * @returns {boolean} true when the browser inserted it, false when the page did
+ */
+const insertData = (doc, { el, kind }, { text, html }) => {
+  const clipboardData = new DataTransfer();
+  clipboardData.setData("text/plain", text);
+  if (html) clipboardData.setData("text/html", html);
+  const event = new ClipboardEvent("paste", { clipboardData, bubbles: true, cancelable: true, composed: true });
+  el.dispatchEvent(event);
+  if (event.defaultPrevented) return false;
+  if (kind === "editor" && html) doc.execCommand("insertHTML", false, sanitizePastedHtml(html));
+  else doc.execCommand("insertText", false, text);
+  return true;
+};
+
+/**
+ * Show the toast, replacing an earlier one.
+ * @param {Document} doc
+ * @param {string} text
+ * @param {(() => void)|null} onUndo - adds an Undo button
+ * @returns {() => void} hides it
+ */
+const showToast = (doc, text, onUndo) => {
+  doc.getElementById(TOAST_ID)?.remove();
+  const host = doc.createElement("div");
+  host.id = TOAST_ID;
+  const root = host.attachShadow({ mode: "closed" }); // keep page styles out
+  const style = doc.createElement("style");
+  style.textContent = TOAST_CSS;
+  const box = doc.createElement("div");
+  box.className = "toast";
+  box.setAttribute("role", "status");
+  box.textContent = text;
+
+  let timer = null;
+  const hide = () => {
+    clearTimeout(timer);
+    host.remove();
+  };
+  if (onUndo) {
+    const undo = doc.createElement("button");
+    undo.textContent = "Undo";
+    undo.addEventListener("mousedown", (e) => e.preventDefault()); // keep the focus in the editor
+    undo.addEventListener("click", () => {
+      hide();
+      onUndo();
+    });
+    box.append(" — ", undo);
+  }
+  root.append(style, box);
+  doc.documentElement.append(host);
+  timer = setTimeout(hide, TOAST_MS);
+  return hide;
+};
+
+/**
+ * Start cleaning pasted links in a document. A paste can only be replaced
+ * synchronously, so rules and options are loaded ahead of it: when an editable
+ * gets focus, or else on the first paste, which goes through uncleaned.
+ * @param {Document} [doc]
+ */
+export const startPasteCleaner = (doc = document) => {
+  let rules = null;
+  let options = {};
+  let loading = null;
+
+  const load = async () => {
+    const [compiled, opts] = await Promise.all([loadCompiledRules(), loadOptions()]);
+    rules = compiled;
+    options = toCleanOptions(opts);
+  };
+  const ensureLoaded = () => {
+    loading ??= load().catch((e) => {
+      loading = null;
+      console.warn("[Nudelink] Paste cleaning could not load rules:", e?.message || e);
+    });
+    return loading;
+  };
+
+  doc.addEventListener(
+    "focusin",
+    (e) => {
+      if (!loading && pasteTarget(e.target)) ensureLoaded();
+    },
+    true
+  );
+
+  // Window, capture phase: ahead of the page's own paste handlers
+  (doc.defaultView ?? doc).addEventListener(
+    "paste",
+    (e) => {
+      if (!e.isTrusted || e.defaultPrevented || !e.clipboardData) return;
+      const target = pasteTarget(e.target);
+      if (!target) return;
+      if (!rules) {
+        ensureLoaded();
+        return;
+      }
+      const original = {
+        text: e.clipboardData.getData("text/plain"),
+        html: e.clipboardData.getData("text/html") || null,
+      };
+      const cleaned = cleanPastedData(original, rules, options);
+      if (!cleaned) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+
+      // Undo goes through the browser's undo history, so it's only offered when
+      // the browser did the insertion, and only until the user edits again.
+      const inserted = insertData(doc, target, cleaned);
+      let hide = null;
+      const stop = () => {
+        doc.removeEventListener("input", stop, true);
+        hide?.();
+      };
+      const undo = () => {
+        doc.removeEventListener("input", stop, true);
+        target.el.focus();
+        if (!doc.execCommand("undo")) return;
+        if (target.kind === "editor" && original.html) {
+          doc.execCommand("insertHTML", false, sanitizePastedHtml(original.html));
+        }
+        else doc.execCommand("insertText", false, original.text);
+      };
+      hide = showToast(doc, toastText(cleaned.count), inserted ? undo : null);
+      if (inserted) doc.addEventListener("input", stop, true);
+    },
+    true
+  );
+
+  ext.runtime.onMessage.addListener((msg) => {
+    // Frames that never loaded rules wait until they need them.
+    if (msg?.type === "NUDELINK_RULES_UPDATED" && loading) {
+      loading = null;
+      ensureLoaded();
+    }
+  });
+};
@@ -0,0 +1,54 @@
+// paste-sites.js
+// Where paste-time cleaning (paste-cleaner.js) runs. The cleanPastedLinks
+// option turns it on for every site; the per-site lists (chrome.storage.sync)
+// turn it on or off for single sites, subdomains included. "Off" always wins.
+// Same list format and matching as the link rewriter's (link-rewrite-sites.js).
+
+import { ext } from "./browser-api.js";
+import { rewriterMatches, validateRewriteSites } from "./link-rewrite-sites.js";
+
+export const PASTE_SITES_KEY = "nudelink_paste_sites_v1";
+export const EMPTY_PASTE_SITES = Object.freeze({ enabled: [], disabled: [] });
+
+/**
+ * Validate (and normalize) the per-site lists.
+ * @param {unknown} value - {enabled?: string[], disabled?: string[]}
+ * @returns {{sites: {enabled: string[], disabled: string[]}|null, errors: string[]}}
+ */
+export const validatePasteSites = validateRewriteSites;
+
+/** Load the per-site lists from chrome.storage.sync. */
+export const loadPasteSites = async () => {
+  try {
+    const stored = (await ext.storage.sync.get(PASTE_SITES_KEY))?.[PASTE_SITES_KEY];
+    return { ...EMPTY_PASTE_SITES, ...stored };
+  } catch (e) {
+    console.warn("[Nudelink] loadPasteSites failed:", e?.message || e);
+    return { ...EMPTY_PASTE_SITES };
+  }
+};
+
+/**
+ * Validate and persist the per-site lists.
+ * @param {unknown} value
+ * @returns {Promise<{ok: boolean, errors: string[]}>}
+ */
+export const savePasteSites = async (value) => {
+  const { sites, errors } = validatePasteSites(value);
+  if (!sites) return { ok: false, errors };
+  try {
+    await ext.storage.sync.set({ [PASTE_SITES_KEY]: sites });
+    return { ok: true, errors: [] };
+  } catch (e) {
+    return { ok: false, errors: [e?.message || String(e)] };
+  }
+};
+
+/**
+ * Content script match patterns for the option and lists, or null when paste
+ * cleaning runs nowhere.
+ * @param {boolean} cleanPastedLinks
+ * @param {{enabled: string[], disabled: string[]}} sites
+ * @returns {{matches: string[], excludeMatches?: string[]}|null}
+ */
+export const pasteCleanerMatches = (cleanPastedLinks, sites) => rewriterMatches(cleanPastedLinks, sites);
@@ -1,20 +1,85 @@
 
-import { loadClearUrlsRules, applyClearUrls } from "./clearurls-apply.js";
+import { ext } from "./browser-api.js";
+import { loadCompiledRules, applyClearUrls, describeTrace } from "./clearurls-apply.js";
+import { loadOptions, saveOptions, toCleanOptions } from "./settings.js";
+import { allowlistEntriesFor, loadUserRules, normalizeHost, saveUserRules } from "./user-rules.js";
+import { formatAge } from "./rule-health.js";
+import { toHtmlLink, toMarkdownLink } from "./share-formats.js";
+import { encodeQr, qrToSvg } from "./qr-code.js";
+import { findByCleaned, loadLinkHistory, matchedProvider, recordCleaning } from "./link-history.js";
+import { recordStats } from "./privacy-stats.js";
+import { describeResolution, isShortLink } from "./shortener-resolver.js";
+import { LOCKED_HINT, describePolicy, loadManagedPolicy } from "./managed-config.js";
 
 /** DOM refs */
 const urlField = document.getElementById("url");
+const whyPanel = document.getElementById("why");
+const whyList = document.getElementById("why-list");
+const staleBanner = document.getElementById("stale");
+const staleText = document.getElementById("stale-text");
 const statusLabel = document.getElementById("status");
 const removeReferralCheckbox = document.getElementById("opt-removeReferral");
 const cleanHashCheckbox = document.getElementById("opt-cleanHash"); // optional feature
+const canonicalizeCheckbox = document.getElementById("opt-canonicalize");
+const resolveShortenersCheckbox = document.getElementById("opt-resolveShorteners");
+const autoCleanCheckbox = document.getElementById("opt-autoClean");
+const allowSiteCheckbox = document.getElementById("opt-allowSite");
+const managedNotice = document.getElementById("managed");
 const refreshButton = document.getElementById("refresh");
 const copyButton = document.getElementById("copy");
+const bulkButton = document.getElementById("bulk");
+const optionsButton = document.getElementById("options");
+const markdownButton = document.getElementById("copy-markdown");
+const htmlButton = document.getElementById("copy-html");
+const qrButton = document.getElementById("show-qr");
+const shareButton = document.getElementById("share");
+const copyOriginalButton = document.getElementById("copy-original");
+const restoreOriginalButton = document.getElementById("restore-original");
+const historyButton = document.getElementById("history");
+const statsButton = document.getElementById("stats");
+const qrPanel = document.getElementById("qr");
+const qrImage = document.getElementById("qr-image");
+const qrDownload = document.getElementById("qr-download");
+const shortLinkBar = document.getElementById("short-link");
+const shortLinkText = document.getElementById("short-link-text");
+const resolveButton = document.getElementById("resolve");
 const updateRulesButton = document.getElementById("updateRules"); // optional button
 
-/** Defaults for persisted options */
-const DEFAULT_OPTS = Object.freeze({
-  removeReferral: true,
-  cleanHash: true, // if false, we strip the hash before applying ClearURLs rules
-});
+/** Title of the tab the popup was opened on, for the share formats */
+let pageTitle = "";
+
+/** Link before cleaning (for "Copy original"), and the tab + history entry "Restore original" would load */
+let originalUrl = "";
+let restoreTarget = null;
+
+/** Object URL of the rendered QR code (revoked when replaced) */
+let qrUrl = null;
+
+/** Short link the "Resolve" button would look up: {original, result, opts} */
+let shortLink = null;
+
+/** Cleaning on show ({original, result}), counted in the stats once its link is used */
+let shownCleaning = null;
+let countedOriginal = null;
+
+/** Count the shown cleaning in the privacy stats: once per link, however often the popup reopens or is refreshed */
+const countShownCleaning = async () => {
+  if (!shownCleaning || shownCleaning.original === countedOriginal) return;
+  countedOriginal = shownCleaning.original;
+  await recordStats([shownCleaning]);
+};
+
+/** Host access auto-clean (DNR redirects) and short-link resolution need (optional_host_permissions) */
+const ALL_SITES_ORIGINS = Object.freeze({ origins: ["<all_urls>"] });
+
+/** Option checkboxes by option name (locked ones are greyed out) */
+const optionCheckboxes = {
+  removeReferral: removeReferralCheckbox,
+  cleanHash: cleanHashCheckbox,
+  canonicalize: canonicalizeCheckbox,
+  resolveShorteners: resolveShortenersCheckbox,
+  autoClean: autoCleanCheckbox,
+};
 
 /** Tiny status helper */
 const setStatus = (text, good = false) => {
@@ -22,44 +87,73 @@ const setStatus = (text, good = false) => {
   statusLabel.className = good ? "muted good" : "muted";
 };
 
-/** Load options from chrome.storage.sync */
-const loadOptions = async () => {
-  try {
-    const stored = await chrome.storage.sync.get(Object.keys(DEFAULT_OPTS));
-    return { ...DEFAULT_OPTS, ...stored };
-  } catch (e) {
-    console.warn("[Nudelink] loadOptions failed:", e?.message || e);
-    return { ...DEFAULT_OPTS };
+/** Render the explain trace (and any resolved short link) into the "Why?" panel (hidden when empty) */
+const renderWhy = (trace, extra = []) => {
+  if (!whyPanel || !whyList) return;
+  const lines = [...describeTrace(trace), ...extra];
+  whyList.replaceChildren(
+    ...lines.map(({ kind, text }) => {
+      const li = document.createElement("li");
+      li.className = kind;
+      li.textContent = text;
+      return li;
+    })
+  );
+  whyPanel.hidden = lines.length === 0;
+};
+
+/** Grey out the options the managed policy locks, and say what it manages */
+const renderPolicy = (policy) => {
+  for (const [key, checkbox] of Object.entries(optionCheckboxes)) {
+    if (!checkbox) continue;
+    checkbox.disabled = policy.lockedOptions.includes(key);
+    checkbox.closest("label").title = checkbox.disabled ? LOCKED_HINT : "";
   }
+  if (!managedNotice) return;
+  const lines = describePolicy(policy);
+  managedNotice.textContent = lines.length ? `Managed by your organization. ${lines.join(". ")}.` : "";
+  managedNotice.hidden = !lines.length;
 };
 
-/** Save options patch */
-const saveOptions = async (patch) => {
+/** Read the active tab (or null on failure) */
+const getActiveTab = async () => {
   try {
-    await chrome.storage.sync.set(patch);
+    const [tab] = await ext.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    return tab ?? null;
   } catch (e) {
-    console.warn("[Nudelink] saveOptions failed:", e?.message || e);
+    console.error("[Nudelink] tabs.query failed:", e?.message || e);
+    return null;
   }
 };
 
 /** Read active tab URL (or empty string on failure) */
-const getActiveTabUrl = async () => {
+const getActiveTabUrl = async () => (await getActiveTab())?.url || "";
+
+/**
+ * The page's <link rel=canonical>, read with a one-off script (activeTab grants
+ * access to the tab the popup was opened on). Null on restricted pages.
+ */
+const readCanonicalLink = async (tab) => {
+  if (!tab?.id || !/^https?:/i.test(tab.url || "")) return null;
   try {
-    const [tab] = await chrome.tabs.query({
-      active: true,
-      currentWindow: true,
+    const [injection] = await ext.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => document.querySelector('link[rel~="canonical" i][href]')?.href ?? null,
     });
-    return tab?.url || "";
+    return typeof injection?.result === "string" ? injection.result : null;
   } catch (e) {
-    console.error("[Nudelink] tabs.query failed:", e?.message || e);
-    return "";
+    console.warn("[Nudelink] Could not read the canonical link:", e?.message || e);
+    return null;
   }
 };
 
 /** Ask background.js to refresh rules on-demand */
 const requestRulesUpdate = async () => {
   try {
-    const res = await chrome.runtime.sendMessage({
+    const res = await ext.runtime.sendMessage({
       type: "NUDELINK_REFRESH_RULES",
     });
     return Boolean(res?.ok);
@@ -69,30 +163,107 @@ const requestRulesUpdate = async () => {
   }
 };
 
-/** Optional pre-processing: if cleanHash is off, strip hash before applying rules */
-const maybeStripHash = (inputUrl, cleanHash) => {
-  if (cleanHash) return inputUrl;
+/** Show a warning when background.js reports the rules as stale */
+const renderStaleWarning = async () => {
+  if (!staleBanner) return;
   try {
-    const u = new URL(inputUrl);
-    u.hash = "";
-    return u.toString();
-  } catch {
-    return inputUrl;
+    const res = await ext.runtime.sendMessage({ type: "NUDELINK_DEBUG_STATE" });
+    staleBanner.hidden = !res?.stale;
+    if (res?.stale) {
+      staleText.textContent = `Rules haven't been updated for ${formatAge(res.ageMin)}; some trackers may slip through.`;
+    }
+  } catch (e) {
+    console.warn("[Nudelink] sendMessage failed:", e?.message || e);
   }
 };
 
+/** Request access to all sites; must run inside the click handler */
+const requestAllSitesAccess = async () => {
+  try {
+    return await ext.permissions.request(ALL_SITES_ORIGINS);
+  } catch (e) {
+    console.warn("[Nudelink] permissions.request failed:", e?.message || e);
+    return false;
+  }
+};
+
+/** Add or remove a host on the user's never-clean list */
+const setSiteAllowed = async (host, allowed) => {
+  const userRules = await loadUserRules();
+  const covering = allowlistEntriesFor(userRules.allowlist, host);
+  const allowlist = allowed
+    ? [...userRules.allowlist, host]
+    : userRules.allowlist.filter((entry) => !covering.includes(entry));
+  return saveUserRules({ ...userRules, allowlist });
+};
+
+/** Ask background.js to resolve a short link (cachedOnly: never contact the shortener) */
+const requestResolution = async (url, cachedOnly) => {
+  const res = await ext.runtime.sendMessage({ type: "NUDELINK_RESOLVE_SHORT_LINK", url, cachedOnly });
+  if (!res?.ok) throw new Error(res?.error || "no response");
+  return res.resolution;
+};
+
+/** Show a short link's resolved target in place of the cleaned link */
+const renderResolution = async ({ original, result, opts }, resolution) => {
+  shortLink = null;
+  if (shortLinkBar) shortLinkBar.hidden = true;
+  urlField.value = resolution.url;
+  renderWhy(result.trace, describeResolution(resolution));
+  if (!qrPanel?.hidden) renderQr();
+  renderOriginal(original, null);
+  await recordCleaning(
+    { original, cleaned: resolution.url, provider: matchedProvider(result.trace), via: "popup" },
+    opts
+  );
+  setStatus(resolution.cached ? "Resolved (cached) ✓" : "Resolved ✓", true);
+};
+
+/**
+ * The cleaned link is a short link: show a cached resolution, or offer to
+ * resolve it (which contacts the shortener, so it waits for a click).
+ * @returns {Promise<boolean>} true if a cached resolution was shown
+ */
+const offerResolution = async (pending) => {
+  try {
+    const cached = await requestResolution(pending.result.url, true);
+    if (cached) {
+      await renderResolution(pending, cached);
+      return true;
+    }
+  } catch (e) {
+    console.warn("[Nudelink] Short-link lookup failed:", e?.message || e);
+  }
+  shortLink = pending;
+  if (shortLinkBar) {
+    const host = new URL(pending.result.url).host;
+    shortLinkText.textContent = `This is a ${host} short link. Resolving it contacts ${host}.`;
+    shortLinkBar.hidden = false;
+  }
+  return false;
+};
+
 /** Main refresh: load rules → get tab URL → apply rules → render */
 export const refreshPopup = async () => {
   setStatus("Loading rules…");
+  renderWhy(null);
+  renderOriginal("", null);
+  shortLink = null;
+  shownCleaning = null;
+  if (shortLinkBar) shortLinkBar.hidden = true;
 
-  // Load persisted options and reflect in UI
-  const opts = await loadOptions();
+  // Load persisted options and reflect in UI (locked ones greyed out)
+  const [opts, policy] = await Promise.all([loadOptions(), loadManagedPolicy()]);
+  renderPolicy(policy);
   if (removeReferralCheckbox)
     removeReferralCheckbox.checked = !!opts.removeReferral;
   if (cleanHashCheckbox) cleanHashCheckbox.checked = !!opts.cleanHash;
+  if (canonicalizeCheckbox) canonicalizeCheckbox.checked = !!opts.canonicalize;
+  if (resolveShortenersCheckbox) resolveShortenersCheckbox.checked = !!opts.resolveShorteners;
+  if (autoCleanCheckbox) autoCleanCheckbox.checked = !!opts.autoClean;
 
   // Load cached rules (ClearURLs-only; if missing, we show a helpful message)
-  const rules = await loadClearUrlsRules();
+  const rules = await loadCompiledRules();
   if (!rules) {
     const original = await getActiveTabUrl();
     urlField.value = original || "";
@@ -104,18 +275,31 @@ export const refreshPopup = async () => {
     return;
   }
 
-  // Get the current tab URL
-  const original = await getActiveTabUrl();
+  // Get the current tab URL (and title for the share formats)
+  const tab = await getActiveTab();
+  const original = tab?.url || "";
+  pageTitle = tab?.title || "";
   if (!original) {
     urlField.value = "";
     setStatus("No active tab URL found.");
     return;
   }
 
+  // Reflect the never-clean list for this host
+  const host = normalizeHost(original);
+  const siteAllowed = Boolean(
+    host && allowlistEntriesFor((await loadUserRules()).allowlist, host).length
+  );
+  if (allowSiteCheckbox) {
+    allowSiteCheckbox.checked = siteAllowed;
+    allowSiteCheckbox.disabled = !host;
+  }
+
   // Apply rules
-  const prepped = maybeStripHash(original, opts.cleanHash);
-  const result = applyClearUrls(prepped, rules, {
-    allowReferral: !opts.removeReferral,
+  const result = applyClearUrls(original, rules, {
+    ...toCleanOptions(opts),
+    canonicalLink: opts.canonicalize ? await readCanonicalLink(tab) : null,
+    explain: true,
   });
 
   if (result.error) {
@@ -125,6 +309,24 @@ export const refreshPopup = async () => {
   }
 
   urlField.value = result.url;
+  renderWhy(result.trace);
+  if (!qrPanel?.hidden) renderQr();
+
+  // This tab may be showing a link cleaned earlier: offer its original back.
+  const earlier = findByCleaned(await loadLinkHistory(), original);
+  renderOriginal(earlier?.original ?? (result.changed ? original : ""), earlier ? tab.id : null);
+
+  if (siteAllowed) {
+    setStatus("This site is on your never-clean list.");
+    return;
+  }
+  shownCleaning = { original, result };
+  if (opts.resolveShorteners && isShortLink(result.url) && (await offerResolution({ original, result, opts }))) {
+    return;
+  }
+  if (result.changed) {
+    await recordCleaning({ original, cleaned: result.url, provider: matchedProvider(result.trace), via: "popup" }, opts);
+  }
   setStatus(result.changed ? "Cleaned ✓" : "Already clean ✨", true);
 };
 
@@ -133,11 +335,57 @@ const copyToClipboard = async () => {
   try {
     await navigator.clipboard.writeText(urlField.value);
     setStatus("Copied to clipboard.", true);
+    await countShownCleaning();
   } catch (e) {
     alert(`Copy failed: ${e?.message || e}`);
   }
 };
 
+/** Show "Copy original" / "Restore original" for the link before cleaning */
+const renderOriginal = (url, tabId) => {
+  originalUrl = url;
+  restoreTarget = url && tabId !== null && tabId !== undefined ? { url, tabId } : null;
+  if (copyOriginalButton) copyOriginalButton.hidden = !originalUrl;
+  if (restoreOriginalButton) restoreOriginalButton.hidden = !restoreTarget;
+};
+
+/** Write HTML + plain-text flavors, so rich editors get a link and plain fields the URL */
+const copyRich = async (html, text) => {
+  const item = new ClipboardItem({
+    "text/html": new Blob([html], { type: "text/html" }),
+    "text/plain": new Blob([text], { type: "text/plain" }),
+  });
+  await navigator.clipboard.write([item]);
+};
+
+/** Run a share action on the cleaned URL, reporting the outcome */
+const shareAction = async (action, done) => {
+  const url = urlField.value;
+  if (!url) {
+    setStatus("Nothing to share yet.");
+    return;
+  }
+  try {
+    await action(url);
+    if (done) setStatus(done, true);
+    await countShownCleaning();
+  } catch (e) {
+    if (e?.name === "AbortError") return; // share sheet dismissed
+    setStatus(`Share failed — ${e?.message || e}`);
+  }
+};
+
+/** Render the QR code of the cleaned URL (generated locally) */
+const renderQr = () => {
+  if (!qrPanel || !urlField.value) return;
+  const svg = qrToSvg(encodeQr(urlField.value));
+  if (qrUrl) URL.revokeObjectURL(qrUrl);
+  qrUrl = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  qrImage.src = qrUrl;
+  qrDownload.href = qrUrl;
+  qrPanel.hidden = false;
+};
+
 /** Wire events */
 refreshButton?.addEventListener("click", () => {
   setStatus("Refreshing…");
@@ -146,6 +394,77 @@ refreshButton?.addEventListener("click", () => {
 
 copyButton?.addEventListener("click", copyToClipboard);
 
+copyOriginalButton?.addEventListener("click", async () => {
+  try {
+    await navigator.clipboard.writeText(originalUrl);
+    setStatus("Original copied to clipboard.", true);
+  } catch (e) {
+    alert(`Copy failed: ${e?.message || e}`);
+  }
+});
+
+restoreOriginalButton?.addEventListener("click", async () => {
+  if (!restoreTarget) return;
+  const res = await ext.runtime.sendMessage({ type: "NUDELINK_OPEN_ORIGINAL", ...restoreTarget });
+  if (res?.ok) window.close();
+  else setStatus(`Could not restore — ${res?.error || "no response"}`);
+});
+
+statsButton?.addEventListener("click", () => {
+  ext.tabs.create({ url: ext.runtime.getURL("stats.html") });
+});
+
+historyButton?.addEventListener("click", () => {
+  ext.tabs.create({ url: ext.runtime.getURL("history.html") });
+});
+
+markdownButton?.addEventListener("click", () =>
+  shareAction((url) => navigator.clipboard.writeText(toMarkdownLink(url, pageTitle)), "Copied as Markdown.")
+);
+
+htmlButton?.addEventListener("click", () =>
+  shareAction((url) => copyRich(toHtmlLink(url, pageTitle), url), "Copied as a rich link.")
+);
+
+qrButton?.addEventListener("click", () => {
+  if (!qrPanel.hidden) {
+    qrPanel.hidden = true;
+    return;
+  }
+  shareAction(async () => renderQr());
+});
+
+// The system share sheet isn't available on every platform (e.g. Linux).
+if (shareButton && typeof navigator.share === "function") {
+  shareButton.hidden = false;
+  shareButton.addEventListener("click", () =>
+    shareAction((url) => navigator.share({ title: pageTitle || undefined, url }), "Shared.")
+  );
+}
+
+bulkButton?.addEventListener("click", () => {
+  ext.tabs.create({ url: ext.runtime.getURL("bulk.html") });
+});
+
+optionsButton?.addEventListener("click", () => {
+  ext.runtime.openOptionsPage();
+});
+
+resolveButton?.addEventListener("click", async () => {
+  if (!shortLink) return;
+  const pending = shortLink;
+  resolveButton.disabled = true;
+  setStatus("Resolving…");
+  try {
+    const resolution = await requestResolution(pending.result.url, false);
+    if (resolution) await renderResolution(pending, resolution);
+  } catch (e) {
+    setStatus(`Could not resolve — ${e?.message || e}`);
+  } finally {
+    resolveButton.disabled = false;
+  }
+});
+
 removeReferralCheckbox?.addEventListener("change", async (e) => {
   await saveOptions({ removeReferral: !!e.target.checked });
   refreshPopup();
@@ -156,6 +475,45 @@ cleanHashCheckbox?.addEventListener("change", async (e) => {
   refreshPopup();
 });
 
+canonicalizeCheckbox?.addEventListener("change", async (e) => {
+  await saveOptions({ canonicalize: !!e.target.checked });
+  refreshPopup();
+});
+
+resolveShortenersCheckbox?.addEventListener("change", async (e) => {
+  const enable = !!e.target.checked;
+  // Shorteners are fetched, and their redirects read (webRequest), with host access.
+  if (enable && !(await requestAllSitesAccess())) {
+    e.target.checked = false;
+    setStatus("Resolving short links needs access to all sites.");
+    return;
+  }
+  await saveOptions({ resolveShorteners: enable });
+  refreshPopup();
+});
+
+allowSiteCheckbox?.addEventListener("change", async (e) => {
+  const host = normalizeHost(await getActiveTabUrl());
+  if (!host) return;
+  const res = await setSiteAllowed(host, !!e.target.checked);
+  if (!res.ok) {
+    setStatus(`Could not update never-clean list — ${res.errors[0]}`);
+    return;
+  }
+  refreshPopup();
+});
+
+autoCleanCheckbox?.addEventListener("change", async (e) => {
+  const enable = !!e.target.checked;
+  if (enable && !(await requestAllSitesAccess())) {
+    e.target.checked = false;
+    setStatus("Auto-clean needs access to all sites.");
+    return;
+  }
+  await saveOptions({ autoClean: enable });
+  setStatus(enable ? "Auto-clean on." : "Auto-clean off.", enable);
+});
+
 updateRulesButton?.addEventListener("click", async () => {
   setStatus("Updating rules…");
   const ok = await requestRulesUpdate();
@@ -164,3 +522,4 @@ updateRulesButton?.addEventListener("click", async () => {
 
 /** Run once on popup open */
 refreshPopup();
+renderStaleWarning();
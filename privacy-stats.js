@@ -0,0 +1,177 @@
+// privacy-stats.js
+// Local counters of what cleaning removed, in daily buckets
+// (chrome.storage.local); nothing leaves the device. Fed with applyClearUrls
+// explain results by the popup, the context menu, the shortcuts, the omnibox
+// and the bulk cleaner; shown on stats.html.
+
+import { ext } from "./browser-api.js";
+
+export const STATS_KEY = "nudelink_stats_v1";
+/** Days of buckets kept */
+export const STATS_DAYS = 90;
+/** Parameter names and domains counted per day (least-seen dropped beyond) */
+export const STATS_TOP_LIMIT = 50;
+
+/**
+ * @typedef {object} DayStats
+ * @property {number} links - links changed by cleaning
+ * @property {number} redirects - redirect wrappers unwrapped
+ * @property {Record<string, number>} params - removed parameters by name (lower-case)
+ * @property {Record<string, number>} domains - sites whose links carried tracking
+ * @property {{kept: number, stripped: number}} referral - referral params kept / removed
+ */
+
+/** {days: {"YYYY-MM-DD": DayStats}} */
+export const EMPTY_STATS = Object.freeze({ days: Object.freeze({}) });
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** Local calendar day of a timestamp, "YYYY-MM-DD". */
+export const dayKey = (ts) => {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+/** The day `delta` calendar days from a timestamp's day (DST-safe). */
+const shiftDay = (ts, delta) => {
+  const d = new Date(ts);
+  return dayKey(new Date(d.getFullYear(), d.getMonth(), d.getDate() + delta, 12).getTime());
+};
+
+const emptyDay = () => ({ links: 0, redirects: 0, params: {}, domains: {}, referral: { kept: 0, stripped: 0 } });
+
+const domainOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "") || null;
+  } catch {
+    return null;
+  }
+};
+
+/** Keep the `limit` largest counts. */
+const capCounts = (counts, limit) =>
+  Object.keys(counts).length <= limit
+    ? counts
+    : Object.fromEntries(Object.entries(counts).sort(([, a], [, b]) => b - a).slice(0, limit));
+
+const bump = (counts, key, n = 1) => {
+  if (key) counts[key] = (counts[key] ?? 0) + n;
+};
+
+/**
+ * Add cleaning results to the stats (pure; inputs are not mutated). Results
+ * need an explain trace; ones that neither changed nor kept a referral param
+ * are skipped (and with nothing to count, `stats` is returned as is).
+ * @param {{days: Record<string, DayStats>}} stats
+ * @param {Array<{original: string, result: {changed: boolean, trace?: object}}>} cleanings
+ * @param {number} now
+ * @returns {{days: Record<string, DayStats>}}
+ */
+export const addToStats = (stats, cleanings, now) => {
+  const key = dayKey(now);
+  const counted = cleanings.filter(({ result }) => result?.trace && (result.changed || result.trace.keptReferral?.length));
+  if (!counted.length) return stats;
+
+  const day = structuredClone(stats.days[key] ?? emptyDay());
+  for (const { original, result } of counted) {
+    const { trace } = result;
+    if (result.changed) {
+      day.links += 1;
+      bump(day.domains, domainOf(original));
+    }
+    day.redirects += trace.redirections.length;
+    for (const p of trace.params) {
+      bump(day.params, p.name.toLowerCase());
+      if (p.list === "referralMarketing") day.referral.stripped += 1;
+    }
+    day.referral.kept += trace.keptReferral?.length ?? 0;
+  }
+  day.params = capCounts(day.params, STATS_TOP_LIMIT);
+  day.domains = capCounts(day.domains, STATS_TOP_LIMIT);
+
+  const oldest = shiftDay(now, 1 - STATS_DAYS);
+  const days = Object.fromEntries(Object.entries({ ...stats.days, [key]: day }).filter(([d]) => d >= oldest));
+  return { days };
+};
+
+/**
+ * @typedef {object} StatsSummary
+ * @property {number} links
+ * @property {number} redirects
+ * @property {number} params - parameters removed
+ * @property {{kept: number, stripped: number}} referral
+ * @property {Array<[string, number]>} topParams - most removed first
+ * @property {Array<[string, number]>} topDomains
+ * @property {Array<{day: string, links: number}>} daily - every day in the range, oldest first
+ */
+
+/**
+ * Totals over the last `days` days (today included).
+ * @param {{days: Record<string, DayStats>}} stats
+ * @param {{days?: number, now?: number, top?: number}} [opts]
+ * @returns {StatsSummary}
+ */
+export const summarizeStats = (stats, { days = 30, now = Date.now(), top = 10 } = {}) => {
+  const daily = Array.from({ length: days }, (_, i) => shiftDay(now, i + 1 - days));
+  const summary = { links: 0, redirects: 0, params: 0, referral: { kept: 0, stripped: 0 } };
+  const params = {};
+  const domains = {};
+  for (const d of daily) {
+    const bucket = stats.days[d];
+    if (!bucket) continue;
+    summary.links += bucket.links;
+    summary.redirects += bucket.redirects;
+    summary.referral.kept += bucket.referral.kept;
+    summary.referral.stripped += bucket.referral.stripped;
+    for (const [name, n] of Object.entries(bucket.params)) bump(params, name, n);
+    for (const [host, n] of Object.entries(bucket.domains)) bump(domains, host, n);
+  }
+  summary.params = Object.values(params).reduce((a, b) => a + b, 0);
+  const ranked = (counts) => Object.entries(counts).sort(([a, x], [b, y]) => y - x || a.localeCompare(b)).slice(0, top);
+  return {
+    ...summary,
+    topParams: ranked(params),
+    topDomains: ranked(domains),
+    daily: daily.map((day) => ({ day, links: stats.days[day]?.links ?? 0 })),
+  };
+};
+
+/** @returns {Promise<{days: Record<string, DayStats>}>} */
+export const loadStats = async () => {
+  try {
+    return (await ext.storage.local.get(STATS_KEY))?.[STATS_KEY] ?? EMPTY_STATS;
+  } catch (e) {
+    console.warn("[Nudelink] Failed to load stats:", e?.message || e);
+    return EMPTY_STATS;
+  }
+};
+
+// Recording reads, adds to and writes back the counters, so overlapping
+// recordings would drop each other's counts; queue them.
+let statsQueue = Promise.resolve();
+
+const enqueueStatsTask = (task) => {
+  const run = statsQueue.then(task);
+  statsQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Count cleaning results (explain results; see addToStats).
+ * @param {Array<{original: string, result: object}>} cleanings
+ * @param {number} [now]
+ */
+export const recordStats = async (cleanings, now = Date.now()) => {
+  try {
+    await enqueueStatsTask(async () => {
+      const stats = await loadStats();
+      const next = addToStats(stats, cleanings, now);
+      if (next !== stats) await ext.storage.local.set({ [STATS_KEY]: next });
+    });
+  } catch (e) {
+    console.warn("[Nudelink] Failed to record stats:", e?.message || e);
+  }
+};
+
+/** Delete all counters. */
+export const resetStats = async () => enqueueStatsTask(() => ext.storage.local.remove(STATS_KEY));
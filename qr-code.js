@@ -0,0 +1,394 @@
+// qr-code.js
+// Minimal QR code encoder (ISO/IEC 18004, byte mode, versions 1–40) so the popup
+// can show a QR code of the clean link without sending it to any service.
+// Pure: returns a module matrix; qrToSvg renders it.
+
+/** Error correction levels → format-info bits */
+const ECL_BITS = Object.freeze({ L: 1, M: 0, Q: 3, H: 2 });
+
+// Per version (index 1–40): EC codewords per block and number of blocks.
+// prettier-ignore
+const ECC_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+// prettier-ignore
+const NUM_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+/** Data mask conditions; a module is flipped where the condition holds. */
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/* ---------- Reed–Solomon over GF(2^8), polynomial 0x11D ---------- */
+
+/** GF(256) multiplication */
+export const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+/** Generator polynomial coefficients (highest degree first, leading 1 dropped). */
+const rsDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+/**
+ * Reed–Solomon error correction codewords for a block of data.
+ * @param {number[]} data - data codewords
+ * @param {number} degree - number of EC codewords
+ * @returns {number[]}
+ */
+export const rsRemainder = (data, degree) => {
+  const divisor = rsDivisor(degree);
+  const result = new Array(degree).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+};
+
+/* ---------- Capacity ---------- */
+
+/** Modules available for data + EC (everything but function patterns). */
+const rawDataModules = (ver) => {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+};
+
+const dataCodewords = (ver, ecl) =>
+  Math.floor(rawDataModules(ver) / 8) - ECC_PER_BLOCK[ecl][ver] * NUM_BLOCKS[ecl][ver];
+
+const countBits = (ver) => (ver <= 9 ? 8 : 16);
+
+/** Centre coordinates of the alignment patterns. */
+const alignmentPositions = (ver) => {
+  if (ver === 1) return [];
+  const size = ver * 4 + 17;
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+};
+
+/* ---------- Codewords ---------- */
+
+/** Byte-mode segment, terminator and padding → data codewords. */
+const buildDataCodewords = (bytes, ver, ecl) => {
+  const capacityBits = dataCodewords(ver, ecl) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4);
+  push(bytes.length, countBits(ver));
+  for (const b of bytes) push(b, 8);
+  push(0, Math.min(4, capacityBits - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((n, bit) => (n << 1) | bit, 0));
+  return codewords;
+};
+
+/** Split into blocks, append EC codewords and interleave. */
+const addEccAndInterleave = (data, ver, ecl) => {
+  const numBlocks = NUM_BLOCKS[ecl][ver];
+  const eccLen = ECC_PER_BLOCK[ecl][ver];
+  const rawCodewords = Math.floor(rawDataModules(ver) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const len = shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1);
+    const dat = data.slice(k, k + len);
+    k += len;
+    const ecc = rsRemainder(dat, eccLen);
+    if (i < numShortBlocks) dat.push(0); // placeholder, skipped when interleaving
+    blocks.push([...dat, ...ecc]);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - eccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+/* ---------- Matrix ---------- */
+
+/** 15-bit format information (EC level + mask, BCH-protected and masked). */
+export const formatBits = (ecl, mask) => {
+  const data = (ECL_BITS[ecl] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+};
+
+/** 18-bit version information (versions 7+). */
+const versionBits = (ver) => {
+  let rem = ver;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  return (ver << 12) | rem;
+};
+
+const bit = (value, i) => ((value >>> i) & 1) !== 0;
+
+/** Grid with the function patterns drawn and marked as reserved. */
+const drawFunctionPatterns = (ver) => {
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  const align = alignmentPositions(ver);
+  const last = align.length - 1;
+  align.forEach((cx, i) =>
+    align.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    })
+  );
+
+  // Reserve the format areas now; the real bits depend on the mask.
+  drawFormat(modules, reserved, 0);
+  if (ver >= 7) {
+    const bits = versionBits(ver);
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, bit(bits, i));
+      set(b, a, bit(bits, i));
+    }
+  }
+  return { size, modules, reserved };
+};
+
+/** Write the format information (both copies) plus the always-dark module. */
+const drawFormat = (modules, reserved, bits) => {
+  const size = modules.length;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  for (let i = 0; i <= 5; i++) set(8, i, bit(bits, i));
+  set(8, 7, bit(bits, 6));
+  set(8, 8, bit(bits, 7));
+  set(7, 8, bit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(bits, i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(bits, i));
+  set(8, size - 8, true);
+};
+
+/** Zig-zag the codewords into the non-reserved modules. */
+const drawCodewords = (modules, reserved, codewords) => {
+  const size = modules.length;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing column
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = upward ? size - 1 - vert : vert;
+        if (reserved[y][x] || i >= codewords.length * 8) continue;
+        modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+        i++;
+      }
+    }
+  }
+};
+
+const applyMask = (modules, reserved, mask) => {
+  const cond = MASKS[mask];
+  modules.forEach((row, y) =>
+    row.forEach((dark, x) => {
+      if (!reserved[y][x] && cond(x, y)) row[x] = !dark;
+    })
+  );
+};
+
+/** Finder-like 1:1:3:1:1 run with four light modules on one side */
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true],
+];
+
+/** Penalty score of a masked matrix (lower is easier to scan). */
+export const penaltyScore = (modules) => {
+  const size = modules.length;
+  const at = (x, y, vertical) => (vertical ? modules[x][y] : modules[y][x]);
+  let score = 0;
+
+  for (const vertical of [false, true]) {
+    for (let y = 0; y < size; y++) {
+      // Rule 1: runs of five or more same-colour modules
+      let run = 1;
+      for (let x = 1; x <= size; x++) {
+        if (x < size && at(x, y, vertical) === at(x - 1, y, vertical)) {
+          run++;
+          continue;
+        }
+        if (run >= 5) score += 3 + (run - 5);
+        run = 1;
+      }
+      // Rule 3: patterns that look like finder patterns
+      for (let x = 0; x + 11 <= size; x++) {
+        for (const pattern of FINDER_LIKE) {
+          if (pattern.every((dark, k) => at(x + k, y, vertical) === dark)) score += 40;
+        }
+      }
+    }
+  }
+
+  // Rule 2: 2×2 blocks of one colour
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+    }
+  }
+
+  // Rule 4: dark/light balance
+  const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0);
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+};
+
+/**
+ * @typedef {object} QrCode
+ * @property {number} version - 1–40
+ * @property {"L"|"M"|"Q"|"H"} ecl - error correction level
+ * @property {number} mask - 0–7
+ * @property {number} size - modules per side
+ * @property {boolean[][]} modules - modules[y][x], true = dark
+ */
+
+/**
+ * Encode text (UTF-8, byte mode) as a QR code, using the smallest version that fits.
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {"L"|"M"|"Q"|"H"} [opts.ecl="M"] - error correction level
+ * @param {number} [opts.mask] - force a mask (0–7); default: lowest penalty
+ * @returns {QrCode}
+ * @throws {Error} if the text doesn't fit in version 40
+ */
+export const encodeQr = (text, { ecl = "M", mask } = {}) => {
+  if (!(ecl in ECL_BITS)) throw new Error(`Unknown error correction level: ${ecl}`);
+  const bytes = [...new TextEncoder().encode(String(text))];
+
+  let version = MIN_VERSION;
+  while (4 + countBits(version) + bytes.length * 8 > dataCodewords(version, ecl) * 8) {
+    if (++version > MAX_VERSION) throw new Error("Text too long for a QR code");
+  }
+
+  const codewords = addEccAndInterleave(buildDataCodewords(bytes, version, ecl), version, ecl);
+  const { size, modules, reserved } = drawFunctionPatterns(version);
+  drawCodewords(modules, reserved, codewords);
+
+  const render = (m) => {
+    const grid = modules.map((row) => [...row]);
+    applyMask(grid, reserved, m);
+    drawFormat(grid, reserved, formatBits(ecl, m));
+    return grid;
+  };
+
+  let best = null;
+  for (const m of mask === undefined ? MASKS.keys() : [mask]) {
+    const grid = render(m);
+    const penalty = mask === undefined ? penaltyScore(grid) : 0;
+    if (!best || penalty < best.penalty) best = { mask: m, grid, penalty };
+  }
+  return { version, ecl, mask: best.mask, size, modules: best.grid };
+};
+
+/**
+ * Render a QR code as a standalone SVG document (one path, crisp edges).
+ * @param {QrCode} qr
+ * @param {object} [opts]
+ * @param {number} [opts.border=4] - quiet zone in modules
+ * @param {number} [opts.scale=4] - pixels per module for width/height
+ * @returns {string}
+ */
+export const qrToSvg = (qr, { border = 4, scale = 4 } = {}) => {
+  const dim = qr.size + border * 2;
+  const parts = [];
+  qr.modules.forEach((row, y) =>
+    row.forEach((dark, x) => {
+      if (dark) parts.push(`M${x + border},${y + border}h1v1h-1z`);
+    })
+  );
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" ` +
+    `width="${dim * scale}" height="${dim * scale}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/><path d="${parts.join("")}" fill="#000"/></svg>`
+  );
+};
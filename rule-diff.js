@@ -0,0 +1,113 @@
+// rule-diff.js
+// What changed between two ClearURLs rule sets: providers added/removed, and
+// per provider the list entries (params, exceptions, redirections, rawRules)
+// added/removed plus urlPattern / flag changes. Pure: background.js stores a
+// diff with every rules update, the diagnostics page renders it.
+
+/** Provider list fields compared entry by entry */
+export const DIFF_LIST_FIELDS = Object.freeze([
+  "rules",
+  "referralMarketing",
+  "exceptions",
+  "redirections",
+  "rawRules",
+]);
+
+const SCALAR_FIELDS = ["urlPattern", "completeProvider", "forceRedirection"];
+
+/**
+ * @typedef {object} ProviderChange
+ * @property {string} provider
+ * @property {Record<string, {added: string[], removed: string[]}>} lists - only fields that changed
+ * @property {Record<string, {from: unknown, to: unknown}>} values - urlPattern / flags that changed
+ */
+
+/**
+ * @typedef {object} RulesDiff
+ * @property {string[]} added - provider names only in the new rules
+ * @property {string[]} removed - provider names only in the old rules
+ * @property {ProviderChange[]} changed
+ */
+
+const listDiff = (before, after) => {
+  const a = new Set((Array.isArray(before) ? before : []).map(String));
+  const b = new Set((Array.isArray(after) ? after : []).map(String));
+  return { added: [...b].filter((x) => !a.has(x)), removed: [...a].filter((x) => !b.has(x)) };
+};
+
+/**
+ * Diff two rule sets.
+ * @param {object|null} oldRules - ClearURLs rules JSON ({providers})
+ * @param {object|null} newRules
+ * @returns {RulesDiff}
+ */
+export const diffRules = (oldRules, newRules) => {
+  const before = oldRules?.providers ?? {};
+  const after = newRules?.providers ?? {};
+  const diff = {
+    added: Object.keys(after).filter((name) => !(name in before)),
+    removed: Object.keys(before).filter((name) => !(name in after)),
+    changed: [],
+  };
+
+  for (const name of Object.keys(after).filter((n) => n in before)) {
+    const lists = {};
+    for (const field of DIFF_LIST_FIELDS) {
+      const d = listDiff(before[name]?.[field], after[name]?.[field]);
+      if (d.added.length || d.removed.length) lists[field] = d;
+    }
+    const values = {};
+    for (const field of SCALAR_FIELDS) {
+      const from = before[name]?.[field];
+      const to = after[name]?.[field];
+      if (from !== to) values[field] = { from: from ?? null, to: to ?? null };
+    }
+    if (Object.keys(lists).length || Object.keys(values).length) {
+      diff.changed.push({ provider: name, lists, values });
+    }
+  }
+  return diff;
+};
+
+/** True if the diff contains no changes. */
+export const isEmptyDiff = (diff) =>
+  !diff || (!diff.added.length && !diff.removed.length && !diff.changed.length);
+
+/**
+ * Counts for a one-line summary.
+ * @param {RulesDiff} diff
+ * @returns {{added: number, removed: number, changed: number, entriesAdded: number, entriesRemoved: number}}
+ */
+export const summarizeDiff = (diff) => {
+  const lists = (diff?.changed ?? []).flatMap((c) => Object.values(c.lists));
+  return {
+    added: diff?.added.length ?? 0,
+    removed: diff?.removed.length ?? 0,
+    changed: diff?.changed.length ?? 0,
+    entriesAdded: lists.reduce((n, l) => n + l.added.length, 0),
+    entriesRemoved: lists.reduce((n, l) => n + l.removed.length, 0),
+  };
+};
+
+/**
+ * Human-readable lines for a diff ("+" added, "-" removed, "~" changed).
+ * @param {RulesDiff} diff
+ * @returns {Array<{kind: "added"|"removed"|"changed", text: string}>}
+ */
+export const describeDiff = (diff) => {
+  if (!diff) return [];
+  return [
+    ...diff.added.map((name) => ({ kind: "added", text: `+ provider ${name}` })),
+    ...diff.removed.map((name) => ({ kind: "removed", text: `- provider ${name}` })),
+    ...diff.changed.flatMap(({ provider, lists, values }) => [
+      ...Object.entries(values).map(([field, { from, to }]) => ({
+        kind: "changed",
+        text: `~ ${provider}.${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`,
+      })),
+      ...Object.entries(lists).flatMap(([field, { added, removed }]) => [
+        ...added.map((entry) => ({ kind: "added", text: `+ ${provider}.${field}: ${entry}` })),
+        ...removed.map((entry) => ({ kind: "removed", text: `- ${provider}.${field}: ${entry}` })),
+      ]),
+    ]),
+  ];
+};
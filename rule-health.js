@@ -0,0 +1,94 @@
+// rule-health.js
+// Rule-update health: a capped history of refresh attempts (chrome.storage.local)
+// and the staleness check behind the popup warning, toolbar badge and the
+// diagnostics page.
+
+import { ext } from "./browser-api.js";
+
+export const HISTORY_KEY = "nudelink_update_history_v1";
+export const HISTORY_LIMIT = 20;
+
+/** Rules not refreshed successfully for this long are reported as stale. */
+export const STALE_AFTER_MIN = 3 * 24 * 60;
+
+/**
+ * @typedef {object} UpdateAttempt
+ * @property {number} ts - when the attempt finished
+ * @property {boolean} ok
+ * @property {boolean} updated - the merged rules changed
+ * @property {string|null} hash - merged rules hash after the attempt
+ * @property {string} [error] - failure message(s)
+ */
+
+/**
+ * @typedef {object} UpdateHistory
+ * @property {UpdateAttempt[]} attempts - newest first, at most HISTORY_LIMIT
+ * @property {number|null} lastSuccess - ts of the last successful attempt
+ * @property {number|null} failingSince - ts of the first failure after it
+ */
+
+const EMPTY_HISTORY = Object.freeze({ attempts: [], lastSuccess: null, failingSince: null });
+
+/** @returns {Promise<UpdateHistory>} */
+export const loadHistory = async () => {
+  try {
+    const stored = (await ext.storage.local.get(HISTORY_KEY))?.[HISTORY_KEY];
+    return { ...EMPTY_HISTORY, ...stored };
+  } catch (e) {
+    console.warn("[Nudelink] Failed to load update history:", e?.message || e);
+    return { ...EMPTY_HISTORY, attempts: [] };
+  }
+};
+
+/**
+ * Add an attempt to a history (pure).
+ * @param {UpdateHistory} history
+ * @param {UpdateAttempt} attempt
+ * @param {number} [limit]
+ * @returns {UpdateHistory}
+ */
+export const addAttempt = (history, attempt, limit = HISTORY_LIMIT) => ({
+  attempts: [attempt, ...(history.attempts ?? [])].slice(0, limit),
+  lastSuccess: attempt.ok ? attempt.ts : history.lastSuccess ?? null,
+  failingSince: attempt.ok ? null : history.failingSince ?? attempt.ts,
+});
+
+/**
+ * Append an attempt to the stored history.
+ * @param {UpdateAttempt} attempt
+ * @returns {Promise<UpdateHistory>}
+ */
+export const recordAttempt = async (attempt) => {
+  const next = addAttempt(await loadHistory(), attempt);
+  await ext.storage.local.set({ [HISTORY_KEY]: next });
+  return next;
+};
+
+/**
+ * Staleness of the rules (pure). Rules are stale once no refresh has succeeded
+ * for `staleAfterMin` — counted from the last success, or from the first
+ * failure if there never was one.
+ *
+ * @param {UpdateHistory} history
+ * @param {number} [now]
+ * @param {number} [staleAfterMin]
+ * @returns {{stale: boolean, since: number|null, ageMin: number|null}}
+ *   since - reference time the age is counted from
+ */
+export const rulesStaleness = (history, now = Date.now(), staleAfterMin = STALE_AFTER_MIN) => {
+  const since = history?.lastSuccess ?? history?.failingSince ?? null;
+  if (since === null) return { stale: false, since: null, ageMin: null };
+  const ageMin = Math.floor((now - since) / 60_000);
+  return { stale: ageMin >= staleAfterMin, since, ageMin };
+};
+
+/**
+ * Short human age, e.g. "45 min", "5 h", "3 days".
+ * @param {number} minutes
+ * @returns {string}
+ */
+export const formatAge = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 48 * 60) return `${Math.floor(minutes / 60)} h`;
+  return `${Math.floor(minutes / (24 * 60))} days`;
+};
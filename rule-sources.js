@@ -0,0 +1,292 @@
+// rule-sources.js
+// Where the base rules come from. Each source is a ClearURLs-format rules file
+// plus an optional SHA-256 hash file:
+// - remote: official ClearURLs list, a mirror, or a company-internal URL
+// - bundled: snapshot shipped inside the extension (rules/), the offline fallback
+//
+// Sources are configured in chrome.storage.sync (ordered list), each one is
+// cached separately in chrome.storage.local, and the enabled ones are merged in
+// list order: the first source defining a provider name wins. Bundled sources
+// only take part when no remote source has rules cached.
+//
+// A managed policy with a rulesUrl (managed-config.js) replaces the configured
+// list with that one source, plus the bundled fallback.
+
+import { ext } from "./browser-api.js";
+import { loadManagedPolicy } from "./managed-config.js";
+import { summarizeErrors, validateRules } from "./rule-store.js";
+
+export const RULES_URL = "https://rules2.clearurls.xyz/data.minify.json";
+export const HASH_URL = "https://rules2.clearurls.xyz/rules.minify.hash";
+
+export const SOURCES_KEY = "nudelink_rule_sources_v1"; // sync: configured sources
+export const SOURCE_CACHE_KEY = "nudelink_source_cache_v1"; // local: {[id]: {rules, hash, ts, checkedTs, error?}}
+
+export const BUNDLED_RULES_PATH = "rules/bundled.minify.json";
+export const BUNDLED_HASH_PATH = "rules/bundled.minify.hash";
+
+export const DEFAULT_REFRESH_MIN = 60 * 24;
+export const MIN_REFRESH_MIN = 15;
+
+export const SOURCE_TYPES = Object.freeze(["remote", "bundled"]);
+
+export const DEFAULT_SOURCES = Object.freeze([
+  Object.freeze({
+    id: "clearurls",
+    label: "ClearURLs (official)",
+    type: "remote",
+    rulesUrl: RULES_URL,
+    hashUrl: HASH_URL,
+    refreshMinutes: DEFAULT_REFRESH_MIN,
+    enabled: true,
+  }),
+  Object.freeze({
+    id: "bundled",
+    label: "Bundled snapshot",
+    type: "bundled",
+    rulesUrl: BUNDLED_RULES_PATH,
+    hashUrl: BUNDLED_HASH_PATH,
+    enabled: true,
+  }),
+]);
+
+/**
+ * Compute SHA-256 hex digest of a text string.
+ * @param {string} text
+ * @returns {Promise<string>} hex-encoded sha256
+ */
+export const sha256Hex = async (text) => {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+};
+
+/**
+ * Fetch plain text with cache disabled; throws on non-2xx.
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+export const fetchText = async (url) => {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  return await res.text();
+};
+
+/** Absolute URL of a source file; bundled paths resolve inside the extension. */
+const resolveUrl = (source, url) =>
+  source.type === "bundled" ? ext.runtime.getURL(url) : url;
+
+const isHttpUrl = (value) => {
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate one source definition.
+ * @param {unknown} source
+ * @returns {string[]} error messages, prefixed with the source id
+ */
+export const validateSource = (source) => {
+  if (!source || typeof source !== "object" || Array.isArray(source)) {
+    return ["source: must be an object"];
+  }
+  const at = `sources.${source.id ?? "?"}`;
+  const errors = [];
+
+  if (typeof source.id !== "string" || !/^[a-z0-9_-]+$/i.test(source.id)) {
+    errors.push(`${at}.id: must be letters, digits, "-" or "_"`);
+  }
+  if (!SOURCE_TYPES.includes(source.type)) {
+    errors.push(`${at}.type: must be one of ${SOURCE_TYPES.join(", ")}`);
+  }
+  if (source.type === "remote") {
+    if (!isHttpUrl(source.rulesUrl)) errors.push(`${at}.rulesUrl: must be an http(s) URL`);
+    if (source.hashUrl != null && source.hashUrl !== "" && !isHttpUrl(source.hashUrl)) {
+      errors.push(`${at}.hashUrl: must be an http(s) URL`);
+    }
+  } else if (typeof source.rulesUrl !== "string" || !source.rulesUrl) {
+    errors.push(`${at}.rulesUrl: must be a path inside the extension`);
+  }
+  if (
+    source.refreshMinutes != null &&
+    !(Number.isFinite(source.refreshMinutes) && source.refreshMinutes >= MIN_REFRESH_MIN)
+  ) {
+    errors.push(`${at}.refreshMinutes: must be a number ≥ ${MIN_REFRESH_MIN}`);
+  }
+  if (typeof source.enabled !== "boolean") errors.push(`${at}.enabled: must be true or false`);
+  return errors;
+};
+
+/**
+ * Validate an ordered source list (each source valid, ids unique).
+ * @param {unknown} sources
+ * @returns {{sources: object[]|null, errors: string[]}}
+ */
+export const validateSources = (sources) => {
+  if (!Array.isArray(sources)) return { sources: null, errors: ["sources: must be a list"] };
+
+  const errors = sources.flatMap(validateSource);
+  const seen = new Set();
+  for (const { id } of sources.filter((s) => s && typeof s === "object")) {
+    if (seen.has(id)) errors.push(`sources.${id}: duplicate id`);
+    seen.add(id);
+  }
+  return errors.length ? { sources: null, errors } : { sources, errors };
+};
+
+export const MANAGED_SOURCE_ID = "managed";
+
+/**
+ * The source a managed policy points at, or null when it sets none (or an invalid one).
+ * @param {{rulesUrl: string|null, hashUrl: string|null, refreshMinutes: number|null}} policy
+ * @returns {object|null}
+ */
+export const managedSource = (policy) => {
+  if (!policy.rulesUrl) return null;
+  const source = {
+    id: MANAGED_SOURCE_ID,
+    label: "Organization rules",
+    type: "remote",
+    rulesUrl: policy.rulesUrl,
+    ...(policy.hashUrl ? { hashUrl: policy.hashUrl } : {}),
+    refreshMinutes: Math.max(policy.refreshMinutes ?? DEFAULT_REFRESH_MIN, MIN_REFRESH_MIN),
+    enabled: true,
+  };
+  const errors = validateSource(source);
+  if (errors.length) console.warn("[Nudelink] Ignoring the managed rule source:", errors.join("; "));
+  return errors.length ? null : source;
+};
+
+/**
+ * Load the configured sources (defaults when unset or invalid); a managed
+ * rule source replaces them.
+ * @returns {Promise<object[]>}
+ */
+export const loadSources = async () => {
+  const managed = managedSource(await loadManagedPolicy());
+  if (managed) return [managed, DEFAULT_SOURCES.find((s) => s.type === "bundled")];
+  try {
+    const stored = (await ext.storage.sync.get(SOURCES_KEY))?.[SOURCES_KEY];
+    if (stored === undefined) return [...DEFAULT_SOURCES];
+    const { sources, errors } = validateSources(stored);
+    if (errors.length) console.warn("[Nudelink] Ignoring invalid rule sources:", errors.join("; "));
+    return sources ?? [...DEFAULT_SOURCES];
+  } catch (e) {
+    console.warn("[Nudelink] Failed to load rule sources:", e?.message || e);
+    return [...DEFAULT_SOURCES];
+  }
+};
+
+/**
+ * Validate and persist the source list.
+ * @param {object[]} sources
+ * @returns {Promise<{ok: boolean, errors: string[]}>}
+ */
+export const saveSources = async (sources) => {
+  if (managedSource(await loadManagedPolicy())) {
+    return { ok: false, errors: ["Rule sources are set by your organization"] };
+  }
+  const { sources: valid, errors } = validateSources(sources);
+  if (!valid) return { ok: false, errors };
+  await ext.storage.sync.set({ [SOURCES_KEY]: valid });
+  return { ok: true, errors: [] };
+};
+
+/**
+ * Download one source if (and only if) its hash differs from `knownHash`.
+ * 1) GET the hash file (when the source has one)
+ * 2) If it equals knownHash → nothing to do (updated:false)
+ * 3) Else GET rules, verify SHA-256 matches the hash file, parse JSON
+ * Sources without a hash file are always downloaded; their content hash is
+ * used for change detection only.
+ *
+ * @param {object} source
+ * @param {string|null} knownHash - hash of the copy already cached
+ * @returns {Promise<{rules: object|null, hash: string, updated: boolean}>}
+ * @throws {Error} on network/HTTP errors, hash mismatch, JSON parse issues or
+ *   rules failing validation (see validateRules in rule-store.js)
+ */
+export const fetchSourceRules = async (source, knownHash = null) => {
+  let expected = null;
+  if (source.hashUrl) {
+    expected = (await fetchText(resolveUrl(source, source.hashUrl))).trim().toLowerCase();
+    if (expected === knownHash) return { rules: null, hash: expected, updated: false };
+  }
+
+  const rulesText = await fetchText(resolveUrl(source, source.rulesUrl));
+  const actualHash = await sha256Hex(rulesText);
+  if (expected !== null && actualHash !== expected) {
+    // Do not cache; something’s off (partial download/MITM)
+    throw new Error("Rules hash mismatch after download — integrity check failed");
+  }
+  if (actualHash === knownHash) return { rules: null, hash: actualHash, updated: false };
+
+  let rules;
+  try {
+    rules = JSON.parse(rulesText);
+  } catch (e) {
+    throw new Error(`Rules JSON parse error: ${e?.message || String(e)}`);
+  }
+  // Reject a broken list here, so it never reaches the source cache.
+  const errors = validateRules(rules);
+  if (errors.length) throw new Error(`Rules failed validation: ${summarizeErrors(errors)}`);
+  return { rules, hash: actualHash, updated: true };
+};
+
+/**
+ * Load the bundled snapshot directly (used before anything is cached).
+ * @returns {Promise<{rules: object, hash: string}|null>}
+ */
+export const loadBundledRules = async () => {
+  const bundled = DEFAULT_SOURCES.find((s) => s.type === "bundled");
+  try {
+    const { rules, hash } = await fetchSourceRules(bundled);
+    return { rules, hash };
+  } catch (e) {
+    console.warn("[Nudelink] Failed to load bundled rules:", e?.message || e);
+    return null;
+  }
+};
+
+/**
+ * Whether the bundled fallback is needed: no enabled remote source has rules.
+ * @param {object[]} sources
+ * @param {object} cache - per-source cache (SOURCE_CACHE_KEY)
+ * @returns {boolean}
+ */
+export const needsFallback = (sources, cache) =>
+  !sources.some((s) => s.enabled && s.type !== "bundled" && cache?.[s.id]?.rules);
+
+/**
+ * Merge the cached rules of the enabled sources in list order.
+ * Remote sources win; bundled ones are used only when no remote source has
+ * rules. For a provider name defined by several sources, the first one wins.
+ *
+ * @param {object[]} sources - ordered source list
+ * @param {object} cache - per-source cache (SOURCE_CACHE_KEY)
+ * @returns {{rules: object, hash: string, sources: string[]}|null} merged rules,
+ *   a hash identifying the combination, and the ids of the sources used
+ */
+export const mergeSources = (sources, cache) => {
+  const fallback = needsFallback(sources, cache);
+  const used = sources.filter(
+    (s) => s.enabled && (s.type === "bundled") === fallback && cache?.[s.id]?.rules
+  );
+  if (!used.length) return null;
+
+  const providers = {};
+  for (const { id } of used) {
+    for (const [name, provider] of Object.entries(cache[id].rules.providers ?? {})) {
+      if (!(name in providers)) providers[name] = provider;
+    }
+  }
+
+  // A single source keeps its own hash, so the payload matches the upstream hash file.
+  const hash =
+    used.length === 1
+      ? cache[used[0].id].hash
+      : used.map(({ id }) => `${id}:${cache[id].hash}`).join(",");
+  return { rules: { providers }, hash, sources: used.map((s) => s.id) };
+};
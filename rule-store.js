@@ -0,0 +1,172 @@
+// rule-store.js
+// Versioned storage for the active rule set (chrome.storage.local). Payloads
+// are schema-checked before they are written, the last good copy is kept
+// alongside the current one, and readers fall back to it — or to a key left
+// by an older version — when the current copy is missing or damaged.
+
+import { ext } from "./browser-api.js";
+import { validateProvider } from "./user-rules.js";
+
+/** Payload format version. Bump it together with RULES_KEY and add a migration. */
+export const RULES_VERSION = 2;
+export const RULES_KEY = "clearurls_rules_v2"; // {version, rules, hash, ts, sources}
+export const LAST_GOOD_KEY = "clearurls_rules_last_good_v2";
+
+/** Keys written by older versions, newest first. */
+export const LEGACY_RULES_KEYS = Object.freeze([{ key: "clearurls_rules_v1", version: 1 }]);
+
+/** Upgrade steps: MIGRATIONS[n] turns a version-n payload into version n+1. */
+const MIGRATIONS = {
+  // v1 had no version field, and no sources before configurable sources existed.
+  1: (payload) => ({ ...payload, sources: payload.sources ?? ["clearurls"], version: 2 }),
+};
+
+// Reads only check the shape: every stored copy had its regexes compiled
+// before it was written, so what's left to catch is truncation or tampering.
+const SHAPE_ONLY = { checkRegex: false };
+
+/** First few validation errors as one message. */
+export const summarizeErrors = (errors) =>
+  errors.slice(0, 3).join("; ") + (errors.length > 3 ? ` (+${errors.length - 3} more)` : "");
+
+/**
+ * Validate a ClearURLs rules object: at least one provider, each with a
+ * urlPattern and regex lists (see validateProvider in user-rules.js).
+ * @param {unknown} rules
+ * @param {{checkRegex?: boolean}} [opts] - checkRegex false: shape only
+ * @returns {string[]} error messages
+ */
+export const validateRules = (rules, opts) => {
+  const providers = rules?.providers;
+  if (!providers || typeof providers !== "object" || Array.isArray(providers) || !Object.keys(providers).length) {
+    return ["Rules JSON has no providers"];
+  }
+  return Object.entries(providers).flatMap(([name, provider]) => validateProvider(name, provider, opts));
+};
+
+/**
+ * Validate a stored payload.
+ * @param {unknown} payload - {version, rules, hash, ts, sources?}
+ * @param {{checkRegex?: boolean}} [opts]
+ * @returns {string[]} error messages
+ */
+export const validatePayload = (payload, opts) => {
+  if (!payload || typeof payload !== "object") return ["payload: must be an object"];
+  const errors = [];
+  if (payload.version !== RULES_VERSION) errors.push(`version: expected ${RULES_VERSION}, got ${payload.version}`);
+  if (typeof payload.hash !== "string" || !payload.hash) errors.push("hash: required string");
+  if (!Number.isFinite(payload.ts)) errors.push("ts: required number");
+  if (payload.sources !== undefined && !Array.isArray(payload.sources)) errors.push("sources: must be an array");
+  return [...errors, ...validateRules(payload.rules, opts)];
+};
+
+/** Run the migrations from `version` up to RULES_VERSION; null if a step is missing. */
+const migratePayload = (payload, version) => {
+  let next = payload;
+  for (let v = version; v < RULES_VERSION; v++) {
+    if (!MIGRATIONS[v] || !next || typeof next !== "object") return null;
+    next = MIGRATIONS[v](next);
+  }
+  return next;
+};
+
+/** Newest legacy payload that migrates to a valid one, as {key, payload}, or null. */
+const readLegacy = async (opts) => {
+  const stored = await ext.storage.local.get(LEGACY_RULES_KEYS.map((l) => l.key));
+  for (const { key, version } of LEGACY_RULES_KEYS) {
+    if (!stored?.[key]) continue;
+    const payload = migratePayload(stored[key], version);
+    if (payload && !validatePayload(payload, opts).length) return { key, payload };
+  }
+  return null;
+};
+
+/**
+ * Persist a new active payload after a full schema check (regexes compiled).
+ * The current copy is written first and then mirrored to the last-known-good
+ * key, so an interrupted write leaves one intact copy.
+ *
+ * @param {object} payload - {rules, hash, ts, sources}
+ * @returns {Promise<object>} the stored payload, with its version
+ * @throws {Error} if the payload fails validation (nothing is written)
+ */
+export const saveRulesPayload = async (payload) => {
+  const stored = { ...payload, version: RULES_VERSION };
+  const errors = validatePayload(stored);
+  if (errors.length) throw new Error(`Rules failed validation: ${summarizeErrors(errors)}`);
+  await ext.storage.local.set({ [RULES_KEY]: stored });
+  await ext.storage.local.set({ [LAST_GOOD_KEY]: stored });
+  return stored;
+};
+
+/**
+ * The active rules payload: the current copy if it is intact, else the
+ * last-known-good copy, else a legacy key not migrated yet.
+ * @returns {Promise<object|null>} {version, rules, hash, ts, sources} or null
+ */
+export const loadRulesPayload = async () => {
+  try {
+    const stored = await ext.storage.local.get([RULES_KEY, LAST_GOOD_KEY]);
+    const current = stored?.[RULES_KEY];
+    if (current && !validatePayload(current, SHAPE_ONLY).length) return current;
+
+    const lastGood = stored?.[LAST_GOOD_KEY];
+    if (lastGood && !validatePayload(lastGood, SHAPE_ONLY).length) {
+      if (current) console.warn("[Nudelink] Stored rules are damaged; using the last-known-good copy.");
+      return lastGood;
+    }
+    return (await readLegacy(SHAPE_ONLY))?.payload ?? null;
+  } catch (e) {
+    console.warn("[Nudelink] Failed to load cached rules:", e?.message || e);
+    return null;
+  }
+};
+
+/**
+ * Bring the stored rules up to date; the service worker runs this on start.
+ * - current copy intact → drop leftover legacy keys
+ * - current copy damaged → restore it from the last-known-good copy
+ * - nothing current → migrate the newest legacy key
+ *
+ * @returns {Promise<"ok"|"restored"|"migrated"|"empty">}
+ */
+export const repairRulesStorage = async () => {
+  const legacyKeys = LEGACY_RULES_KEYS.map((l) => l.key);
+  const stored = await ext.storage.local.get([RULES_KEY, LAST_GOOD_KEY]);
+  if (stored?.[RULES_KEY] && !validatePayload(stored[RULES_KEY], SHAPE_ONLY).length) {
+    await ext.storage.local.remove(legacyKeys);
+    return "ok";
+  }
+
+  const lastGood = stored?.[LAST_GOOD_KEY];
+  if (lastGood && !validatePayload(lastGood).length) {
+    console.warn("[Nudelink] Stored rules are damaged; restored the last-known-good copy.");
+    await ext.storage.local.set({ [RULES_KEY]: lastGood });
+    return "restored";
+  }
+
+  const legacy = await readLegacy();
+  if (!legacy) return "empty";
+  await saveRulesPayload(legacy.payload);
+  await ext.storage.local.remove(legacyKeys);
+  console.info(`[Nudelink] Migrated stored rules from ${legacy.key}.`);
+  return "migrated";
+};
+
+/**
+ * Storage state for the diagnostics page.
+ * @returns {Promise<{version: number, current: "ok"|"damaged"|"missing", lastGood: "ok"|"damaged"|"missing", lastGoodHash: string|null}>}
+ */
+export const inspectRulesStorage = async () => {
+  const stored = await ext.storage.local.get([RULES_KEY, LAST_GOOD_KEY]);
+  const status = (payload) => {
+    if (!payload) return "missing";
+    return validatePayload(payload, SHAPE_ONLY).length ? "damaged" : "ok";
+  };
+  return {
+    version: RULES_VERSION,
+    current: status(stored?.[RULES_KEY]),
+    lastGood: status(stored?.[LAST_GOOD_KEY]),
+    lastGoodHash: stored?.[LAST_GOOD_KEY]?.hash ?? null,
+  };
+};
@@ -0,0 +1,230 @@
+// scripts/build-extension.js
+// Package the extension for each browser: a manifest generated per target from
+// manifest.json (the Chrome manifest, also used when loading the tree unpacked)
+// and a zip of the extension files.
+//
+//   npm run build                  # dist/nudelink-chrome-<version>.zip + firefox
+//   npm run build -- firefox       # one target
+//
+// No dependencies: the zip is written with node:zlib.
+
+import { mkdir, readFile, readdir, writeFile } from "node:fs/promises";
+import { join, relative, sep } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { deflateRawSync } from "node:zlib";
+
+export const TARGETS = Object.freeze(["chrome", "firefox"]);
+
+/** Gecko add-on id; AMO ties updates and synced storage to it, so never change it. */
+export const GECKO_ID = "nudelink@nudelink";
+export const GECKO_MIN_VERSION = "128.0"; // optional_host_permissions
+
+// Root files only the Node CLI/package uses
+const NODE_ONLY = new Set(["cli.js", "node-rules.js"]);
+// Root data files the extension reads (manifest.json is generated)
+const SHIPPED_DATA = new Set(["managed-schema.json"]);
+// Directories shipped as a whole
+const SHIPPED_DIRS = ["icons", "rules"];
+// Chrome-only files: Firefox copies from the background page itself, and
+// takes managed settings from enterprise policies instead of a schema
+const CHROME_ONLY = new Set(["offscreen.html", "offscreen.js", "managed-schema.json"]);
+// Permissions Firefox doesn't know (it warns on install)
+const CHROME_ONLY_PERMISSIONS = new Set(["offscreen"]);
+
+/**
+ * Manifest for one target, from the Chrome manifest.
+ * Firefox: event-page background scripts instead of a service worker,
+ * browser_specific_settings, and no Chrome-only permissions or keys (Firefox
+ * lets any extension message us and has no page-to-extension messaging).
+ *
+ * @param {object} base - manifest.json
+ * @param {"chrome"|"firefox"} target
+ * @param {{version?: string}} [opts] - version: overrides base.version (package.json)
+ * @returns {object}
+ */
+export const buildManifest = (base, target, { version = base.version } = {}) => {
+  if (!TARGETS.includes(target)) throw new Error(`Unknown target: ${target}`);
+  const manifest = structuredClone({ ...base, version });
+  if (target === "chrome") return manifest;
+
+  const { service_worker: script, ...background } = manifest.background;
+  manifest.background = { ...background, scripts: [script] };
+  manifest.permissions = manifest.permissions.filter((p) => !CHROME_ONLY_PERMISSIONS.has(p));
+  delete manifest.storage; // managed_schema
+  delete manifest.externally_connectable;
+  manifest.web_accessible_resources = manifest.web_accessible_resources?.map(
+    ({ use_dynamic_url: _dynamic, ...entry }) => entry
+  );
+  manifest.browser_specific_settings = {
+    gecko: { id: GECKO_ID, strict_min_version: GECKO_MIN_VERSION },
+  };
+  return manifest;
+};
+
+/**
+ * Extension files for a target, relative to the repo root: root .js/.html/.css
+ * (minus the Node-only modules), the managed-storage schema, icons/ and rules/.
+ * @param {string[]} rootFiles - names in the repo root
+ * @param {string[]} dirFiles - paths under SHIPPED_DIRS, e.g. "icons/icon-16.png"
+ * @param {"chrome"|"firefox"} target
+ * @returns {string[]} sorted
+ */
+export const extensionFiles = (rootFiles, dirFiles, target) =>
+  [
+    ...rootFiles.filter((f) => (/\.(js|html|css)$/.test(f) && !NODE_ONLY.has(f)) || SHIPPED_DATA.has(f)),
+    ...dirFiles.filter((f) => SHIPPED_DIRS.some((d) => f.startsWith(`${d}/`))),
+  ]
+    .filter((f) => target !== "firefox" || !CHROME_ONLY.has(f))
+    .sort();
+
+/**
+ * Refuse to package without a real bundled snapshot: a missing one leaves
+ * offline installs without rules, the test fixture (a handful of providers)
+ * would become the offline rules of every install.
+ * @param {string|null} bundledText - rules/bundled.minify.json, null if absent
+ * @param {string|null} fixtureText - test/fixtures/clearurls-rules.json, null if absent
+ * @throws {Error} when the snapshot is missing or holds the fixture's rules
+ */
+export const checkBundledRules = (bundledText, fixtureText) => {
+  if (bundledText === null) {
+    throw new Error("rules/bundled.minify.json is missing; run npm run rules:bundle first");
+  }
+  if (fixtureText === null) return;
+  if (JSON.stringify(JSON.parse(bundledText)) === JSON.stringify(JSON.parse(fixtureText))) {
+    throw new Error("rules/bundled.minify.json is the test fixture; run npm run rules:bundle first");
+  }
+};
+
+/* Zip writer (deflate, no extras) */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (buf) => {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// Fixed timestamp (1980-01-01 00:00) so builds are reproducible
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1; // year 0 (1980), month 1, day 1
+
+/**
+ * Zip archive of the given files.
+ * @param {Array<{name: string, data: Buffer}>} files
+ * @returns {Buffer}
+ */
+export const createZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const deflated = deflateRawSync(data);
+    const stored = deflated.length >= data.length;
+    const body = stored ? data : deflated;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt16LE(DOS_TIME, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + body.length;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+};
+
+/* Build */
+
+const root = new URL("../", import.meta.url);
+
+/** Files under a root directory, as "dir/sub/file" paths. */
+const listDir = async (dir) => {
+  const base = fileURLToPath(new URL(dir, root));
+  return (await readdir(base, { recursive: true, withFileTypes: true }))
+    .filter((e) => e.isFile())
+    .map((e) => relative(fileURLToPath(root), join(e.parentPath ?? e.path, e.name)).split(sep).join("/"));
+};
+
+/**
+ * Write dist/nudelink-<target>-<version>.zip for each target.
+ * @param {string[]} [targets]
+ * @returns {Promise<Array<{target: string, file: string, files: number}>>}
+ */
+export const buildExtension = async (targets = TARGETS) => {
+  const [base, pkg, rootEntries, bundled, fixture] = await Promise.all([
+    readFile(new URL("manifest.json", root), "utf8").then(JSON.parse),
+    readFile(new URL("package.json", root), "utf8").then(JSON.parse),
+    readdir(root, { withFileTypes: true }),
+    readFile(new URL("rules/bundled.minify.json", root), "utf8").catch(() => null),
+    readFile(new URL("test/fixtures/clearurls-rules.json", root), "utf8").catch(() => null),
+  ]);
+  checkBundledRules(bundled, fixture);
+  const rootFiles = rootEntries.filter((e) => e.isFile()).map((e) => e.name);
+  const dirFiles = (await Promise.all(SHIPPED_DIRS.map(listDir))).flat();
+
+  await mkdir(new URL("dist/", root), { recursive: true });
+  const built = [];
+  for (const target of targets) {
+    const manifest = buildManifest(base, target, { version: pkg.version });
+    const names = extensionFiles(rootFiles, dirFiles, target);
+    const files = [
+      { name: "manifest.json", data: Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`) },
+      ...(await Promise.all(names.map(async (name) => ({ name, data: await readFile(new URL(name, root)) })))),
+    ];
+    const file = `dist/nudelink-${target}-${pkg.version}.zip`;
+    await writeFile(new URL(file, root), createZip(files));
+    built.push({ target, file, files: files.length });
+  }
+  return built;
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? "").href) {
+  try {
+    const targets = process.argv.slice(2);
+    for (const t of targets) if (!TARGETS.includes(t)) throw new Error(`Unknown target: ${t} (${TARGETS.join(", ")})`);
+    for (const { file, files } of await buildExtension(targets.length ? targets : TARGETS)) {
+      console.log(`[Nudelink] Wrote ${file} (${files} files)`);
+    }
+  } catch (e) {
+    console.error(`[Nudelink] Build failed: ${e?.message || e}`);
+    process.exitCode = 1;
+  }
+}
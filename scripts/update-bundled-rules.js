@@ -0,0 +1,40 @@
+// scripts/update-bundled-rules.js
+// Refresh the rules snapshot shipped with the extension (the offline fallback
+// source, see rule-sources.js) from the official ClearURLs list.
+//
+//   npm run rules:bundle
+//
+// The download is verified against the upstream hash file before anything is
+// written; rules/bundled.minify.hash is written alongside so the extension can
+// verify the snapshot the same way it verifies remote sources.
+
+import { createHash } from "node:crypto";
+import { mkdir, writeFile } from "node:fs/promises";
+
+import {
+  BUNDLED_HASH_PATH,
+  BUNDLED_RULES_PATH,
+  DEFAULT_SOURCES,
+  fetchSourceRules,
+} from "../rule-sources.js";
+
+const official = DEFAULT_SOURCES.find((s) => s.id === "clearurls");
+const root = new URL("../", import.meta.url);
+
+try {
+  const { rules, hash } = await fetchSourceRules(official);
+  const text = JSON.stringify(rules);
+  // Re-serializing may change bytes; the hash must describe what we ship.
+  const shipped = createHash("sha256").update(text).digest("hex");
+
+  await mkdir(new URL("rules/", root), { recursive: true });
+  await writeFile(new URL(BUNDLED_RULES_PATH, root), text);
+  await writeFile(new URL(BUNDLED_HASH_PATH, root), `${shipped}\n`);
+  console.log(
+    `[Nudelink] Bundled ${Object.keys(rules.providers).length} providers ` +
+      `(upstream ${hash.slice(0, 12)}…, shipped ${shipped.slice(0, 12)}…)`
+  );
+} catch (e) {
+  console.error("[Nudelink] Bundled rules update failed:", e?.message || e);
+  process.exitCode = 1;
+}
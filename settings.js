@@ -0,0 +1,68 @@
+// settings.js
+// User options shared by the popup and the service worker (chrome.storage.sync).
+// An enterprise policy (managed-config.js) can preset options and lock them.
+
+import { ext } from "./browser-api.js";
+import { loadManagedPolicy } from "./managed-config.js";
+
+/** Defaults for persisted options */
+export const DEFAULT_OPTS = Object.freeze({
+  removeReferral: true,
+  cleanHash: true, // if false, hash fragments are left untouched
+  autoClean: false, // background.js mirrors the rules into declarativeNetRequest
+  holdRuleUpdates: false, // new rule sets wait for approval on the diagnostics page
+  keepHistory: true, // link-history.js; switching it off also clears the history
+  canonicalize: false, // canonicalize.js: AMP → article, mobile → desktop host, rel=canonical
+  rewriteLinks: false, // link-rewriter.js on every site (per-site lists: link-rewrite-sites.js)
+  resolveShorteners: false, // shortener-resolver.js; the popup still asks before each lookup
+  cleanPastedLinks: false, // paste-cleaner.js on every site (per-site lists: paste-sites.js)
+});
+
+/**
+ * Options after the managed policy: its values replace the defaults, and for
+ * locked options the user's choice too (a locked option without a value is
+ * locked at its default).
+ * @param {object} stored - the user's saved options
+ * @param {{options: object, lockedOptions: string[]}} policy - see managed-config.js
+ * @returns {typeof DEFAULT_OPTS}
+ */
+export const applyPolicy = (stored, policy) => {
+  const managed = Object.fromEntries(Object.entries(policy.options).filter(([key]) => key in DEFAULT_OPTS));
+  const locked = Object.fromEntries(
+    policy.lockedOptions.filter((key) => key in DEFAULT_OPTS).map((key) => [key, managed[key] ?? DEFAULT_OPTS[key]])
+  );
+  return { ...DEFAULT_OPTS, ...managed, ...stored, ...locked };
+};
+
+/** Load options from chrome.storage.sync, with the managed policy applied */
+export const loadOptions = async () => {
+  try {
+    const [stored, policy] = await Promise.all([ext.storage.sync.get(Object.keys(DEFAULT_OPTS)), loadManagedPolicy()]);
+    return applyPolicy(stored, policy);
+  } catch (e) {
+    console.warn("[Nudelink] loadOptions failed:", e?.message || e);
+    return { ...DEFAULT_OPTS };
+  }
+};
+
+/** Save options patch (locked options are left out) */
+export const saveOptions = async (patch) => {
+  try {
+    const { lockedOptions } = await loadManagedPolicy();
+    const allowed = Object.entries(patch).filter(([key]) => !lockedOptions.includes(key));
+    if (allowed.length) await ext.storage.sync.set(Object.fromEntries(allowed));
+  } catch (e) {
+    console.warn("[Nudelink] saveOptions failed:", e?.message || e);
+  }
+};
+
+/**
+ * Map saved options to applyClearUrls() options.
+ * @param {typeof DEFAULT_OPTS} opts
+ * @returns {{allowReferral: boolean, cleanHash: boolean, canonicalize: boolean}}
+ */
+export const toCleanOptions = (opts) => ({
+  allowReferral: !opts.removeReferral,
+  cleanHash: !!opts.cleanHash,
+  canonicalize: !!opts.canonicalize,
+});
@@ -0,0 +1,32 @@
+// share-formats.js
+// The formats the popup's share actions put on the clipboard: a Markdown link
+// and a rich HTML link, both titled with the page title. Pure string helpers.
+
+/** Link text: the page title with whitespace collapsed, or the URL itself. */
+export const linkText = (url, title) => String(title ?? "").replace(/\s+/g, " ").trim() || url;
+
+/** Escape characters Markdown would read as link syntax or emphasis. */
+const escapeMarkdown = (text) => text.replace(/[\\[\]`*_<>]/g, "\\$&");
+
+/** Percent-encode what would end or break a Markdown link destination. */
+const markdownUrl = (url) =>
+  url.replace(/[()\s<>]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+/**
+ * Markdown link, e.g. `[Page title](https://example.com/)`.
+ * @param {string} url
+ * @param {string} [title] - page title; falls back to the URL
+ * @returns {string}
+ */
+export const toMarkdownLink = (url, title) => `[${escapeMarkdown(linkText(url, title))}](${markdownUrl(url)})`;
+
+/**
+ * HTML anchor, e.g. `<a href="https://example.com/">Page title</a>`.
+ * @param {string} url
+ * @param {string} [title] - page title; falls back to the URL
+ * @returns {string}
+ */
+export const toHtmlLink = (url, title) => `<a href="${escapeHtml(url)}">${escapeHtml(linkText(url, title))}</a>`;
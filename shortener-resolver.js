@@ -0,0 +1,278 @@
+// shortener-resolver.js
+// Opt-in resolution of short links (bit.ly, t.co, lnkd.in…): there is nothing
+// to strip from them until the redirect is followed. background.js follows the
+// chain one hop at a time (redirect: "manual"), cleans every hop before
+// requesting it, and caches resolutions in chrome.storage.local. Only shortener
+// hosts are contacted: the chain ends at the first URL on another host, which
+// is the target. The popup asks before anything is requested.
+//
+// Browsers hide a manual redirect's Location from fetch ("opaqueredirect");
+// there it is read from webRequest (watchRedirects), and when that isn't
+// available the chain stops at that hop rather than following it blindly.
+
+import { ext } from "./browser-api.js";
+import { allowlistEntriesFor, normalizeHost } from "./user-rules.js";
+
+/** Shortener hosts (subdomains included) whose links are resolved. */
+export const SHORTENER_HOSTS = Object.freeze([
+  "amzn.to",
+  "bit.ly",
+  "buff.ly",
+  "cutt.ly",
+  "dlvr.it",
+  "fb.me",
+  "goo.gl",
+  "is.gd",
+  "lnkd.in",
+  "ow.ly",
+  "rb.gy",
+  "rebrand.ly",
+  "shorturl.at",
+  "t.co",
+  "t.ly",
+  "tiny.cc",
+  "tinyurl.com",
+  "trib.al",
+]);
+
+/** Most redirects followed for one link. */
+export const MAX_RESOLVE_HOPS = 5;
+/** Per-request timeout. */
+export const RESOLVE_TIMEOUT_MS = 8000;
+/** How long to wait for webRequest to report a hidden redirect. */
+export const REDIRECT_WAIT_MS = 1000;
+
+export const RESOLVE_CACHE_KEY = "nudelink_resolved_v1";
+export const RESOLVE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+export const RESOLVE_CACHE_LIMIT = 300;
+
+/**
+ * Whether a URL is an http(s) link on a shortener host.
+ * @param {string} url
+ * @param {string[]} [hosts]
+ * @returns {boolean}
+ */
+export const isShortLink = (url, hosts = SHORTENER_HOSTS) => {
+  if (!/^https?:\/\//i.test(String(url ?? ""))) return false;
+  const host = normalizeHost(url);
+  return Boolean(host && allowlistEntriesFor(hosts, host).length);
+};
+
+const isRedirect = (status) => [301, 302, 303, 307, 308].includes(status);
+
+/** URL as webRequest reports it: serialized, without the fragment. */
+const requestKey = (url) => {
+  try {
+    return new URL(url).href.split("#")[0];
+  } catch {
+    return String(url);
+  }
+};
+
+/**
+ * @typedef {object} RedirectWatcher
+ * @property {(url: string, waitMs?: number) => Promise<string|null>} locationOf
+ *   Location of the redirect last answered to a request for url; waits for it up to waitMs
+ * @property {() => void} stop - remove the listener
+ */
+
+/**
+ * Watch this extension's own requests (tabId -1) for redirect responses through
+ * webRequest.onHeadersReceived, which sees the Location fetch hides. Needs the
+ * webRequest permission and host access to the requested URLs.
+ * @returns {RedirectWatcher|null} null when webRequest isn't available
+ */
+export const watchRedirects = () => {
+  const event = ext.webRequest?.onHeadersReceived;
+  if (!event) return null;
+  const seen = new Map(); // request URL → Location
+  const waiting = new Map(); // request URL → resolve()
+
+  const listener = ({ url, tabId, statusCode, responseHeaders }) => {
+    if (tabId !== -1 || !isRedirect(statusCode)) return;
+    const location = responseHeaders?.find((h) => h.name.toLowerCase() === "location")?.value;
+    if (!location) return;
+    const key = requestKey(url);
+    seen.set(key, location);
+    waiting.get(key)?.(location);
+  };
+  event.addListener(listener, { urls: ["<all_urls>"], tabId: -1 }, ["responseHeaders"]);
+
+  return {
+    locationOf: (url, waitMs = REDIRECT_WAIT_MS) => {
+      const key = requestKey(url);
+      if (seen.has(key)) return Promise.resolve(seen.get(key));
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => done(null), waitMs);
+        const done = (location) => {
+          clearTimeout(timer);
+          waiting.delete(key);
+          resolve(location);
+        };
+        waiting.set(key, done);
+      });
+    },
+    stop: () => event.removeListener(listener),
+  };
+};
+
+/**
+ * Request one hop without following it.
+ * HEAD first, GET when the shortener refuses HEAD. When fetch hides the
+ * redirect (an "opaqueredirect" response), its Location comes from the
+ * watcher; the request is never re-sent following redirects, which would
+ * contact hosts further down the chain with uncleaned URLs.
+ * @param {string} url
+ * @param {typeof fetch} fetchImpl
+ * @param {number} timeoutMs
+ * @param {RedirectWatcher|null} redirects
+ * @returns {Promise<{location: string|null, hidden: boolean}>}
+ *   location: absolute URL redirected to, null for a final response;
+ *   hidden: a redirect whose target couldn't be read
+ */
+const requestHop = async (url, fetchImpl, timeoutMs, redirects) => {
+  const send = (method) =>
+    fetchImpl(url, {
+      method,
+      redirect: "manual",
+      credentials: "omit",
+      cache: "no-store",
+      referrerPolicy: "no-referrer",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+  let res = await send("HEAD");
+  if (res.status === 405 || res.status === 501) res = await send("GET");
+  const location =
+    res.type === "opaqueredirect"
+      ? await redirects?.locationOf(url)
+      : isRedirect(res.status)
+        ? res.headers.get("location")
+        : null;
+  if (location) return { location: new URL(location, url).href, hidden: false };
+  return { location: null, hidden: res.type === "opaqueredirect" };
+};
+
+/**
+ * @typedef {object} Resolution
+ * @property {string} url - the (cleaned) target
+ * @property {string[]} hops - every URL in the chain, cleaned, the input first
+ * @property {"loop"|"limit"|"hidden"|null} stopped - why following stopped early, if it did
+ *   (hidden: the browser didn't reveal where the last hop redirects)
+ */
+
+/**
+ * Follow a short link's redirects. Each URL is cleaned before it is requested,
+ * so tracking parameters added along the chain are never sent on.
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {(url: string) => string} [opts.clean] - e.g. applyClearUrls(url).url
+ * @param {typeof fetch} [opts.fetch]
+ * @param {number} [opts.maxHops]
+ * @param {number} [opts.timeoutMs]
+ * @param {string[]} [opts.hosts] - hosts that are contacted (default SHORTENER_HOSTS)
+ * @param {RedirectWatcher|null} [opts.redirects] - reads redirects fetch hides (watchRedirects())
+ * @returns {Promise<Resolution>} rejects when a request fails
+ */
+export const resolveShortLink = async (
+  url,
+  {
+    clean = (u) => u,
+    fetch: fetchImpl = globalThis.fetch,
+    maxHops = MAX_RESOLVE_HOPS,
+    timeoutMs = RESOLVE_TIMEOUT_MS,
+    hosts = SHORTENER_HOSTS,
+    redirects = null,
+  } = {}
+) => {
+  const hops = [clean(url)];
+  let stopped = null;
+  while (isShortLink(hops.at(-1), hosts)) {
+    if (hops.length > maxHops) {
+      stopped = "limit";
+      break;
+    }
+    const { location, hidden } = await requestHop(hops.at(-1), fetchImpl, timeoutMs, redirects);
+    if (!location) {
+      if (hidden) stopped = "hidden";
+      break;
+    }
+    const next = clean(location);
+    if (hops.includes(next)) {
+      stopped = "loop";
+      break;
+    }
+    hops.push(next);
+  }
+  return { url: hops.at(-1), hops, stopped };
+};
+
+const STOPPED_TEXT = {
+  loop: () => "Stopped at a redirect loop",
+  limit: () => "Stopped at the redirect limit",
+  hidden: (host) => `Stopped: the browser didn't reveal where ${host} redirects`,
+};
+
+/**
+ * "Why?" panel lines for a resolution (same shape as describeTrace()).
+ * @param {Resolution} resolution
+ * @returns {Array<{kind: "resolve"|"skip", text: string}>}
+ */
+export const describeResolution = ({ hops, stopped }) => [
+  ...hops.slice(1).map((to, i) => ({
+    kind: "resolve",
+    text: `Followed ${new URL(hops[i]).host} redirect to ${new URL(to).host}`,
+  })),
+  ...(stopped ? [{ kind: "skip", text: STOPPED_TEXT[stopped](new URL(hops.at(-1)).host) }] : []),
+];
+
+/* Cache (chrome.storage.local), keyed by the cleaned short link */
+
+/**
+ * Add a resolution (pure), dropping expired entries and the oldest past the limit.
+ * @param {Record<string, Resolution & {ts: number}>} cache
+ * @param {string} url
+ * @param {Resolution} resolution
+ * @param {number} now
+ * @returns {Record<string, Resolution & {ts: number}>}
+ */
+export const addResolution = (cache, url, resolution, now, { ttl = RESOLVE_CACHE_TTL_MS, limit = RESOLVE_CACHE_LIMIT } = {}) => {
+  const kept = Object.entries(cache).filter(([key, e]) => key !== url && now - e.ts < ttl);
+  kept.sort(([, a], [, b]) => b.ts - a.ts);
+  return Object.fromEntries([[url, { ...resolution, ts: now }], ...kept].slice(0, limit));
+};
+
+const loadResolveCache = async () => {
+  try {
+    return (await ext.storage.local.get(RESOLVE_CACHE_KEY))?.[RESOLVE_CACHE_KEY] ?? {};
+  } catch (e) {
+    console.warn("[Nudelink] Failed to load resolved links:", e?.message || e);
+    return {};
+  }
+};
+
+/**
+ * Cached resolution of a short link, if younger than the TTL.
+ * @param {string} url
+ * @param {number} [now]
+ * @returns {Promise<Resolution|null>}
+ */
+export const cachedResolution = async (url, now = Date.now()) => {
+  const hit = (await loadResolveCache())[url];
+  if (!hit || now - hit.ts >= RESOLVE_CACHE_TTL_MS) return null;
+  const { ts: _ts, ...resolution } = hit;
+  return resolution;
+};
+
+/**
+ * Store a resolution.
+ * @param {string} url
+ * @param {Resolution} resolution
+ * @param {number} [now]
+ */
+export const saveResolution = async (url, resolution, now = Date.now()) =>
+  ext.storage.local.set({ [RESOLVE_CACHE_KEY]: addResolution(await loadResolveCache(), url, resolution, now) });
+
+/** Forget every cached resolution. */
+export const clearResolveCache = async () => ext.storage.local.remove(RESOLVE_CACHE_KEY);
@@ -0,0 +1,109 @@
+import { loadStats, resetStats, summarizeStats } from "./privacy-stats.js";
+
+/** DOM refs */
+const rangeSelect = document.getElementById("range");
+const exportButton = document.getElementById("export");
+const resetButton = document.getElementById("reset");
+const statusLabel = document.getElementById("status");
+const dailyChart = document.getElementById("daily");
+const topParamsList = document.getElementById("top-params");
+const topDomainsList = document.getElementById("top-domains");
+const referralStripped = document.getElementById("referral-stripped");
+const referralKept = document.getElementById("referral-kept");
+const tiles = {
+  links: document.getElementById("t-links"),
+  params: document.getElementById("t-params"),
+  redirects: document.getElementById("t-redirects"),
+  referral: document.getElementById("t-referral"),
+};
+
+/** Stored counters ({days}) */
+let stats = { days: {} };
+
+/** Tiny status helper */
+const setStatus = (text, good = false) => {
+  statusLabel.textContent = text;
+  statusLabel.className = good ? "muted good" : "muted";
+};
+
+const percent = (n, max) => `${max ? (n / max) * 100 : 0}%`;
+
+/** One bar per day, scaled to the busiest day */
+const renderDaily = (daily) => {
+  const max = Math.max(...daily.map((d) => d.links));
+  dailyChart.replaceChildren(
+    ...daily.map(({ day, links }) => {
+      const bar = document.createElement("span");
+      bar.style.height = percent(links, max);
+      bar.title = `${day}: ${links} link(s)`;
+      return bar;
+    })
+  );
+};
+
+/** Ranked [name, count] pairs as horizontal bars */
+const renderBars = (list, ranked, empty) => {
+  const max = ranked[0]?.[1] ?? 0;
+  list.replaceChildren(
+    ...(ranked.length ? ranked : [[empty, 0]]).map(([name, count]) => {
+      const li = document.createElement("li");
+      const label = document.createElement("span");
+      label.className = "label";
+      label.textContent = name;
+      label.title = name;
+      const bar = document.createElement("span");
+      bar.className = "bar";
+      bar.style.width = percent(count, max);
+      const n = document.createElement("span");
+      n.className = "count";
+      n.textContent = count ? String(count) : "";
+      li.append(label, bar, n);
+      return li;
+    })
+  );
+};
+
+const render = () => {
+  const summary = summarizeStats(stats, { days: Number(rangeSelect.value) });
+  const { kept, stripped } = summary.referral;
+  tiles.links.textContent = summary.links.toLocaleString();
+  tiles.params.textContent = summary.params.toLocaleString();
+  tiles.redirects.textContent = summary.redirects.toLocaleString();
+  tiles.referral.textContent = `${stripped.toLocaleString()} / ${kept.toLocaleString()}`;
+
+  renderDaily(summary.daily);
+  renderBars(topParamsList, summary.topParams, "Nothing removed yet");
+  renderBars(topDomainsList, summary.topDomains, "No tracked links yet");
+  referralStripped.style.width = percent(stripped, kept + stripped);
+  referralKept.style.width = percent(kept, kept + stripped);
+
+  const days = Object.keys(stats.days).sort();
+  setStatus(days.length ? `Counting since ${days[0]}.` : "Nothing counted yet.");
+};
+
+const load = async () => {
+  stats = await loadStats();
+  render();
+};
+
+/** Wire events */
+rangeSelect.addEventListener("change", render);
+
+exportButton.addEventListener("click", () => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(stats, null, 2)], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "nudelink-stats.json";
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+});
+
+resetButton.addEventListener("click", async () => {
+  if (!Object.keys(stats.days).length || !confirm("Delete all privacy stats?")) return;
+  await resetStats();
+  await load();
+  setStatus("Stats reset.", true);
+});
+
+/** Initial load */
+load();
@@ -0,0 +1,52 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+
+import { createFirefoxStub } from "./helpers/chrome-stub.js";
+import { createFakeFetch } from "./helpers/fake-fetch.js";
+import { RULES_FIXTURE_TEXT } from "./helpers/rules-fixture.js";
+
+// Firefox: only the `browser` namespace, no offscreen documents; the
+// background page writes to the clipboard itself.
+const browser = createFirefoxStub();
+globalThis.browser = browser;
+delete globalThis.chrome;
+
+const copied = [];
+Object.defineProperty(globalThis, "navigator", {
+  value: { clipboard: { writeText: async (text) => copied.push(text) } },
+  configurable: true,
+});
+
+const { RULES_URL, HASH_URL, STORAGE_KEY, downloadAndCacheRules, handleMenuClick, handleCommand, COMMANDS } =
+  await import("../background.js");
+
+const FIXTURE_HASH = createHash("sha256").update(RULES_FIXTURE_TEXT).digest("hex");
+
+beforeEach(async () => {
+  await browser.storage.local.clear();
+  await browser.storage.sync.clear();
+  copied.length = 0;
+  globalThis.fetch = createFakeFetch({ [HASH_URL]: `${FIXTURE_HASH}\n`, [RULES_URL]: RULES_FIXTURE_TEXT });
+});
+
+describe("background page under Firefox", () => {
+  test("registers its listeners on the browser namespace", () => {
+    assert.equal(browser.runtime.onMessage.listeners.length > 0, true);
+    assert.equal(browser.alarms.onAlarm.listeners.length, 1);
+  });
+
+  test("downloads and stores rules", async () => {
+    const { updated } = await downloadAndCacheRules();
+    assert.equal(updated, true);
+    assert.equal((await browser.storage.local.get(STORAGE_KEY))[STORAGE_KEY].hash, FIXTURE_HASH);
+  });
+
+  test("copies from the context menu and shortcuts without an offscreen document", async () => {
+    await downloadAndCacheRules();
+    const res = await handleMenuClick({ menuItemId: "nudelink-copy-link", linkUrl: "https://example.com/?utm_source=x" });
+    assert.deepEqual(res, { ok: true, text: "https://example.com/" });
+    await handleCommand(COMMANDS.COPY_TAB, { id: 2, url: "https://example.org/?fbclid=1" });
+    assert.deepEqual(copied, ["https://example.com/", "https://example.org/"]);
+  });
+});
@@ -0,0 +1,1060 @@
+import { test, describe, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+
+import { installChromeStub, sendExternalMessage, sendRuntimeMessage } from "./helpers/chrome-stub.js";
+import { createFakeFetch } from "./helpers/fake-fetch.js";
+import { RULES_FIXTURE_TEXT, bundledRulesRoutes, loadRulesFixture } from "./helpers/rules-fixture.js";
+import { DEFAULT_SOURCES, SOURCES_KEY, SOURCE_CACHE_KEY } from "../rule-sources.js";
+import { HISTORY_KEY, STALE_AFTER_MIN } from "../rule-health.js";
+import { LINK_HISTORY_KEY } from "../link-history.js";
+import { REWRITE_SITES_KEY } from "../link-rewrite-sites.js";
+import { PASTE_SITES_KEY } from "../paste-sites.js";
+import { RESOLVE_CACHE_KEY } from "../shortener-resolver.js";
+import { STATS_KEY, dayKey } from "../privacy-stats.js";
+import { EXTERNAL_CALLERS_KEY, MAX_BATCH, RATE_LIMIT, RATE_WINDOW_MS } from "../external-api.js";
+
+// background.js registers its listeners at import time, so the stub must exist first.
+const chrome = installChromeStub();
+const {
+  RULES_URL,
+  HASH_URL,
+  STORAGE_KEY,
+  STATE_KEY,
+  PENDING_KEY,
+  PREVIOUS_KEY,
+  CHANGES_KEY,
+  DAILY_ALARM,
+  RETRY_ALARM,
+  downloadAndCacheRules,
+  approvePendingRules,
+  rollbackRules,
+  ensureFreshRules,
+  syncAutoCleanRules,
+  handleMenuClick,
+  openOriginal,
+  COMMANDS,
+  handleCommand,
+  handleOmniboxInput,
+  handleOmniboxEntered,
+  LINK_REWRITER_ID,
+  syncLinkRewriter,
+  pushRulesUpdate,
+  resolveShortener,
+  handleExternalMessage,
+  PASTE_CLEANER_ID,
+  syncPasteCleaner,
+  isExtensionPage,
+} = await import("../background.js");
+
+const FIXTURE_HASH = createHash("sha256").update(RULES_FIXTURE_TEXT).digest("hex");
+
+/** Point fetch at a fake rules server serving the fixture. */
+const serveRules = ({ hash = FIXTURE_HASH, rules = RULES_FIXTURE_TEXT } = {}) => {
+  globalThis.fetch = createFakeFetch({ [HASH_URL]: `${hash}\n`, [RULES_URL]: rules });
+  return globalThis.fetch;
+};
+
+const stored = async (key) => (await chrome.storage.local.get(key))[key];
+
+beforeEach(async () => {
+  await chrome.storage.local.clear();
+  await chrome.storage.sync.clear();
+  await chrome.alarms.clearAll();
+});
+
+describe("downloadAndCacheRules", () => {
+  test("downloads, verifies and persists rules on first run", async () => {
+    serveRules();
+    const { rules, updated } = await downloadAndCacheRules();
+
+    assert.equal(updated, true);
+    assert.deepEqual(rules, loadRulesFixture());
+
+    const payload = await stored(STORAGE_KEY);
+    assert.equal(payload.hash, FIXTURE_HASH);
+    assert.deepEqual(payload.rules, loadRulesFixture());
+    assert.equal(typeof payload.ts, "number");
+  });
+
+  test("skips the rules download when the upstream hash is unchanged", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+
+    const fetch = serveRules();
+    const { rules, updated } = await downloadAndCacheRules();
+
+    assert.equal(updated, false);
+    assert.deepEqual(rules, loadRulesFixture());
+    assert.deepEqual(fetch.calls, [HASH_URL]);
+  });
+
+  test("accepts an upper-case hash file", async () => {
+    serveRules({ hash: FIXTURE_HASH.toUpperCase() });
+    const { updated } = await downloadAndCacheRules();
+    assert.equal(updated, true);
+  });
+
+  test("rejects and does not cache rules whose SHA-256 does not match", async () => {
+    serveRules({ hash: "0".repeat(64) });
+    await assert.rejects(downloadAndCacheRules(), /integrity check failed/);
+    assert.equal(await stored(STORAGE_KEY), undefined);
+  });
+
+  test("rejects invalid JSON even when the hash matches", async () => {
+    const text = "{ not json";
+    const hash = createHash("sha256").update(text).digest("hex");
+    serveRules({ hash, rules: text });
+    await assert.rejects(downloadAndCacheRules(), /Rules JSON parse error/);
+    assert.equal(await stored(STORAGE_KEY), undefined);
+  });
+
+  test("surfaces HTTP errors", async () => {
+    globalThis.fetch = createFakeFetch({ [HASH_URL]: { status: 503 } });
+    await assert.rejects(downloadAndCacheRules(), /HTTP 503/);
+  });
+});
+
+describe("rule sources", () => {
+  const MIRROR = {
+    id: "mirror",
+    label: "Mirror",
+    type: "remote",
+    rulesUrl: "https://mirror.example/data.json",
+    hashUrl: "https://mirror.example/data.hash",
+    refreshMinutes: 60,
+    enabled: true,
+  };
+  const MIRROR_TEXT = JSON.stringify({
+    providers: {
+      amazon: { urlPattern: "^https?:\\/\\/mirror-amazon\\.example", rules: ["m"] },
+      extra: { urlPattern: "^https?:\\/\\/extra\\.example", rules: ["e"] },
+    },
+  });
+  const MIRROR_HASH = createHash("sha256").update(MIRROR_TEXT).digest("hex");
+
+  test("falls back to the bundled snapshot when the official list is unreachable", async () => {
+    globalThis.fetch = createFakeFetch(bundledRulesRoutes()); // official host offline
+    await assert.rejects(downloadAndCacheRules(), /ClearURLs \(official\): fetch failed/);
+
+    const payload = await stored(STORAGE_KEY);
+    assert.deepEqual(payload.sources, ["bundled"]);
+    assert.ok(Object.keys(payload.rules.providers).length > 0);
+  });
+
+  test("a bad download keeps the bundled fallback instead of caching it", async () => {
+    globalThis.fetch = createFakeFetch({
+      ...bundledRulesRoutes(),
+      [HASH_URL]: "0".repeat(64),
+      [RULES_URL]: RULES_FIXTURE_TEXT,
+    });
+    await assert.rejects(downloadAndCacheRules(), /integrity check failed/);
+    assert.deepEqual((await stored(STORAGE_KEY)).sources, ["bundled"]);
+  });
+
+  test("the official list replaces the fallback once it is reachable", async () => {
+    globalThis.fetch = createFakeFetch(bundledRulesRoutes(MIRROR_TEXT));
+    await downloadAndCacheRules().catch(() => {});
+
+    serveRules();
+    const { updated } = await downloadAndCacheRules();
+    assert.equal(updated, true);
+    const payload = await stored(STORAGE_KEY);
+    assert.deepEqual(payload.sources, ["clearurls"]);
+    assert.equal(payload.hash, FIXTURE_HASH);
+  });
+
+  test("merges enabled sources in order, earlier ones winning", async () => {
+    await chrome.storage.sync.set({ [SOURCES_KEY]: [MIRROR, ...DEFAULT_SOURCES] });
+    const fetch = serveRules();
+    fetch.routes[MIRROR.hashUrl] = MIRROR_HASH;
+    fetch.routes[MIRROR.rulesUrl] = MIRROR_TEXT;
+
+    const { rules } = await downloadAndCacheRules();
+    assert.deepEqual(rules.providers.amazon.rules, ["m"]);
+    assert.ok("extra" in rules.providers);
+    assert.ok("google" in rules.providers);
+    assert.deepEqual((await stored(STORAGE_KEY)).sources, ["mirror", "clearurls"]);
+  });
+
+  test("one failing source does not block the others", async () => {
+    await chrome.storage.sync.set({ [SOURCES_KEY]: [MIRROR, ...DEFAULT_SOURCES] });
+    serveRules(); // mirror unreachable
+
+    await assert.rejects(downloadAndCacheRules(), /Mirror: fetch failed/);
+    assert.deepEqual((await stored(STORAGE_KEY)).sources, ["clearurls"]);
+    assert.match((await stored(SOURCE_CACHE_KEY)).mirror.error, /fetch failed/);
+  });
+
+  test("unforced refreshes skip sources that are not due", async () => {
+    await chrome.storage.sync.set({ [SOURCES_KEY]: [MIRROR, ...DEFAULT_SOURCES] });
+    const first = serveRules();
+    first.routes[MIRROR.hashUrl] = MIRROR_HASH;
+    first.routes[MIRROR.rulesUrl] = MIRROR_TEXT;
+    await downloadAndCacheRules();
+
+    const cache = await stored(SOURCE_CACHE_KEY);
+    cache.mirror.checkedTs -= 61 * 60_000; // mirror (60 min) is due, official (1 day) is not
+    await chrome.storage.local.set({ [SOURCE_CACHE_KEY]: cache });
+
+    const fetch = createFakeFetch({ [MIRROR.hashUrl]: MIRROR_HASH });
+    globalThis.fetch = fetch;
+    assert.equal((await downloadAndCacheRules({ force: false })).updated, false);
+    assert.deepEqual(fetch.calls, [MIRROR.hashUrl]);
+  });
+
+  test("the refresh alarm follows the shortest enabled interval", async () => {
+    await chrome.storage.sync.set({ [SOURCES_KEY]: [MIRROR, ...DEFAULT_SOURCES] });
+    const fetch = serveRules();
+    fetch.routes[MIRROR.hashUrl] = MIRROR_HASH;
+    fetch.routes[MIRROR.rulesUrl] = MIRROR_TEXT;
+
+    assert.equal(await ensureFreshRules(), true);
+    assert.equal((await chrome.alarms.get(DAILY_ALARM)).periodInMinutes, 60);
+  });
+});
+
+describe("rule changes", () => {
+  // Upstream update: one provider added, one amazon param dropped.
+  const nextRules = () => {
+    const rules = loadRulesFixture();
+    rules.providers.newshop = { urlPattern: "^https?:\\/\\/newshop\\.example", rules: ["nid"] };
+    rules.providers.amazon.rules = rules.providers.amazon.rules.filter((r) => r !== "qid");
+    return rules;
+  };
+  const NEXT_TEXT = JSON.stringify(nextRules());
+  const NEXT_HASH = createHash("sha256").update(NEXT_TEXT).digest("hex");
+  const serveNext = () => serveRules({ hash: NEXT_HASH, rules: NEXT_TEXT });
+
+  test("stores a diff with every update and keeps the previous snapshot", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    serveNext();
+    assert.equal((await downloadAndCacheRules()).updated, true);
+
+    const [change] = await stored(CHANGES_KEY);
+    assert.equal(change.status, "applied");
+    assert.equal(change.from, FIXTURE_HASH);
+    assert.equal(change.to, NEXT_HASH);
+    assert.deepEqual(change.diff.added, ["newshop"]);
+    assert.deepEqual(change.diff.changed, [
+      { provider: "amazon", lists: { rules: { added: [], removed: ["qid"] } }, values: {} },
+    ]);
+    assert.equal((await stored(PREVIOUS_KEY)).hash, FIXTURE_HASH);
+  });
+
+  test("holds new rules as pending while holdRuleUpdates is on", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    await chrome.storage.sync.set({ holdRuleUpdates: true });
+    serveNext();
+
+    const { rules, updated } = await downloadAndCacheRules();
+    assert.equal(updated, false);
+    assert.deepEqual(rules, loadRulesFixture());
+    assert.equal((await stored(STORAGE_KEY)).hash, FIXTURE_HASH);
+    const pending = await stored(PENDING_KEY);
+    assert.equal(pending.hash, NEXT_HASH);
+    assert.deepEqual(pending.diff.added, ["newshop"]);
+
+    // Seeing the same upstream hash again doesn't log it twice.
+    const fetch = serveNext();
+    await downloadAndCacheRules();
+    assert.deepEqual(fetch.calls, [HASH_URL]);
+    assert.equal((await stored(CHANGES_KEY)).length, 1);
+  });
+
+  test("holding does not apply to the first rules or the bundled fallback", async () => {
+    await chrome.storage.sync.set({ holdRuleUpdates: true });
+    serveRules();
+    assert.equal((await downloadAndCacheRules()).updated, true);
+    assert.equal(await stored(PENDING_KEY), undefined);
+  });
+
+  test("approving activates the pending rules", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    await chrome.storage.sync.set({ holdRuleUpdates: true });
+    serveNext();
+    await downloadAndCacheRules();
+
+    const res = await sendRuntimeMessage(chrome, { type: "NUDELINK_APPROVE_RULES" });
+    assert.deepEqual(res, { ok: true, hash: NEXT_HASH });
+    const payload = await stored(STORAGE_KEY);
+    assert.equal(payload.hash, NEXT_HASH);
+    assert.ok("newshop" in payload.rules.providers);
+    assert.equal(await stored(PENDING_KEY), undefined);
+    assert.equal((await stored(PREVIOUS_KEY)).hash, FIXTURE_HASH);
+    assert.equal((await stored(CHANGES_KEY))[0].status, "approved");
+  });
+
+  test("approving with nothing pending fails", async () => {
+    await assert.rejects(approvePendingRules(), /No pending rule update/);
+    const res = await sendRuntimeMessage(chrome, { type: "NUDELINK_APPROVE_RULES" });
+    assert.equal(res.ok, false);
+  });
+
+  test("rollback restores the previous rules and keeps the newer set pending", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    serveNext();
+    await downloadAndCacheRules();
+
+    const res = await sendRuntimeMessage(chrome, { type: "NUDELINK_ROLLBACK_RULES" });
+    assert.deepEqual(res, { ok: true, hash: FIXTURE_HASH });
+    assert.equal((await stored(STORAGE_KEY)).hash, FIXTURE_HASH);
+    const pending = await stored(PENDING_KEY);
+    assert.equal(pending.hash, NEXT_HASH);
+    assert.equal(pending.reason, "rollback");
+    assert.equal((await stored(CHANGES_KEY))[0].status, "rolled-back");
+    await assert.rejects(rollbackRules(), /No previous rule set/);
+
+    // The next refresh still sees the rolled-back hash upstream and leaves it pending.
+    serveNext();
+    assert.equal((await downloadAndCacheRules()).updated, false);
+    assert.equal((await stored(STORAGE_KEY)).hash, FIXTURE_HASH);
+
+    await approvePendingRules();
+    assert.equal((await stored(STORAGE_KEY)).hash, NEXT_HASH);
+  });
+
+  test("NUDELINK_DEBUG_STATE reports pending rules and recent changes", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    await chrome.storage.sync.set({ holdRuleUpdates: true });
+    serveNext();
+    await downloadAndCacheRules();
+
+    const res = await sendRuntimeMessage(chrome, { type: "NUDELINK_DEBUG_STATE" });
+    assert.equal(res.pending.hash, NEXT_HASH);
+    assert.equal(res.pending.reason, "hold");
+    assert.deepEqual(res.pending.diff.added, ["newshop"]);
+    assert.equal(res.previousHash, null);
+    assert.equal(res.changes[0].status, "pending");
+  });
+});
+
+describe("ensureFreshRules backoff", () => {
+  test("schedules the daily alarm and resets backoff on success", async () => {
+    await chrome.storage.local.set({ [STATE_KEY]: { backoffIndex: 3 } });
+    serveRules();
+
+    assert.equal(await ensureFreshRules(), true);
+    assert.deepEqual(await stored(STATE_KEY), { backoffIndex: 0 });
+    assert.equal((await chrome.alarms.get(DAILY_ALARM)).periodInMinutes, 60 * 24);
+  });
+
+  test("walks the retry delays on consecutive failures and caps at the last one", async () => {
+    globalThis.fetch = createFakeFetch({}); // offline
+    const delays = [];
+
+    for (let i = 0; i < 7; i++) {
+      const before = Date.now();
+      assert.equal(await ensureFreshRules(), false);
+      const alarm = await chrome.alarms.get(RETRY_ALARM);
+      delays.push(Math.round((alarm.scheduledTime - before) / 60_000));
+    }
+
+    assert.deepEqual(delays, [1, 5, 15, 30, 60, 60, 60]);
+    assert.deepEqual(await stored(STATE_KEY), { backoffIndex: 4 });
+  });
+});
+
+describe("lifecycle + messages", () => {
+  test("onInstalled triggers a refresh", async () => {
+    const fetch = serveRules();
+    await Promise.all(chrome.runtime.onInstalled.dispatch({ reason: "install" }));
+    // the listener does not return its promise; wait for the download to land
+    for (let i = 0; i < 50 && !(await stored(STORAGE_KEY)); i++) {
+      await new Promise((r) => setTimeout(r, 5));
+    }
+    assert.ok(fetch.calls.includes(RULES_URL));
+    assert.equal((await stored(STORAGE_KEY)).hash, FIXTURE_HASH);
+  });
+
+  test("NUDELINK_REFRESH_RULES refreshes and reports success", async () => {
+    serveRules();
+    assert.deepEqual(await sendRuntimeMessage(chrome, { type: "NUDELINK_REFRESH_RULES" }), { ok: true });
+  });
+
+  test("NUDELINK_DEBUG_STATE reports the cached payload", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+
+    const res = await sendRuntimeMessage(chrome, { type: "NUDELINK_DEBUG_STATE" });
+    assert.equal(res.ok, true);
+    assert.equal(res.hasRules, true);
+    assert.equal(res.hash, FIXTURE_HASH);
+    assert.equal(typeof res.lastUpdated, "number");
+    assert.deepEqual(res.storage, { version: 2, current: "ok", lastGood: "ok", lastGoodHash: FIXTURE_HASH });
+  });
+
+  test("NUDELINK_DEBUG_STATE includes health, alarms, sources and history", async () => {
+    serveRules();
+    await ensureFreshRules();
+    globalThis.fetch = createFakeFetch({}); // offline
+    await ensureFreshRules();
+
+    const res = await sendRuntimeMessage(chrome, { type: "NUDELINK_DEBUG_STATE" });
+    assert.equal(res.providerCount, Object.keys(loadRulesFixture().providers).length);
+    assert.equal(res.state.backoffIndex, 1);
+    assert.equal(res.nextAlarm.name, RETRY_ALARM);
+    assert.match(res.lastError.message, /fetch failed/);
+    assert.equal(typeof res.lastSuccess, "number");
+    assert.equal(res.stale, false);
+    assert.deepEqual(
+      res.history.map((a) => [a.ok, a.updated, a.hash]),
+      [
+        [false, false, FIXTURE_HASH],
+        [true, true, FIXTURE_HASH],
+      ]
+    );
+    assert.deepEqual(
+      res.sourceStatus.map((s) => [s.id, Boolean(s.error)]),
+      [
+        ["clearurls", true],
+        ["bundled", false],
+      ]
+    );
+  });
+
+  test("flags stale rules on the toolbar badge and clears the flag on success", async () => {
+    const longAgo = Date.now() - (STALE_AFTER_MIN + 60) * 60_000;
+    await chrome.storage.local.set({ [HISTORY_KEY]: { attempts: [], lastSuccess: longAgo, failingSince: longAgo } });
+    globalThis.fetch = createFakeFetch({});
+
+    await ensureFreshRules();
+    assert.equal(chrome.action.badge.global.text, "old");
+    assert.match(chrome.action.badge.global.title, /rules not updated for 3 days/);
+    assert.equal((await sendRuntimeMessage(chrome, { type: "NUDELINK_DEBUG_STATE" })).stale, true);
+
+    serveRules();
+    await ensureFreshRules();
+    assert.equal(chrome.action.badge.global.text, "");
+    assert.equal(chrome.action.badge.global.title, "Nudelink");
+  });
+
+  test("unknown message types get an error response", async () => {
+    const res = await sendRuntimeMessage(chrome, { type: "NOPE" });
+    assert.deepEqual(res, { ok: false, error: "Unknown message type: NOPE" });
+  });
+
+  test("only takes commands from the extension's own pages", async () => {
+    const page = (path) => chrome.runtime.getURL(path);
+    assert.ok(isExtensionPage({ url: page("popup.html") }));
+    assert.ok(isExtensionPage({ url: page("history.html"), tab: { id: 4, url: page("history.html") } }));
+    // content scripts, extension pages framed into a web page, other senders
+    assert.ok(!isExtensionPage({ url: "https://example.com/", tab: { id: 4, url: "https://example.com/" } }));
+    assert.ok(!isExtensionPage({ url: page("popup.html"), tab: { id: 4, url: "https://example.com/" } }));
+    assert.ok(!isExtensionPage({}));
+
+    const sender = { url: "https://example.com/", tab: { id: 4, url: "https://example.com/" } };
+    let answered = false;
+    const kept = chrome.runtime.onMessage.dispatch({ type: "NUDELINK_APPROVE_RULES" }, sender, () => (answered = true));
+    assert.ok(!kept.includes(true));
+    await new Promise((r) => setTimeout(r, 10));
+    assert.equal(answered, false);
+  });
+});
+
+describe("auto-clean (declarativeNetRequest)", () => {
+  const dynamicRules = () => chrome.declarativeNetRequest.getDynamicRules();
+
+  beforeEach(async () => {
+    await chrome.storage.sync.clear();
+    const ids = (await dynamicRules()).map((r) => r.id);
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: ids });
+  });
+
+  test("installs no rules while auto-clean is off", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    assert.deepEqual(await syncAutoCleanRules(), { enabled: false, count: 0 });
+    assert.deepEqual(await dynamicRules(), []);
+  });
+
+  test("mirrors cached providers into dynamic rules when enabled", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    await chrome.storage.sync.set({ autoClean: true });
+
+    const res = await syncAutoCleanRules();
+    assert.equal(res.enabled, true);
+    const rules = await dynamicRules();
+    assert.equal(rules.length, res.count);
+    assert.ok(rules.some((r) => r.action.type === "allow"));
+    assert.ok(rules.some((r) => r.action.redirect?.transform?.queryTransform?.removeParams?.includes("tag")));
+  });
+
+  test("honours removeReferral and replaces previous rules", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    await chrome.storage.sync.set({ autoClean: true });
+    await syncAutoCleanRules();
+    await chrome.storage.sync.set({ removeReferral: false });
+    await syncAutoCleanRules();
+
+    const names = (await dynamicRules()).flatMap((r) => r.action.redirect?.transform?.queryTransform?.removeParams ?? []);
+    assert.ok(!names.includes("tag"));
+  });
+
+  test("regenerates rules when a new hash is stored", async () => {
+    await chrome.storage.sync.set({ autoClean: true });
+    serveRules();
+    assert.equal(await ensureFreshRules(), true);
+    assert.ok((await dynamicRules()).length > 0);
+  });
+
+  test("editing user rules rebuilds them with the allowlist as allow rules", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    await chrome.storage.sync.set({ autoClean: true });
+    await chrome.storage.sync.set({ nudelink_user_rules_v1: { providers: {}, allowlist: ["keep.example"] } });
+
+    const hasAllow = async () =>
+      (await dynamicRules()).some((r) => r.action.type === "allow" && r.condition.regexFilter.includes("keep"));
+    for (let i = 0; i < 50 && !(await hasAllow()); i++) await new Promise((r) => setTimeout(r, 5));
+    assert.ok(await hasAllow());
+  });
+
+  test("turning auto-clean off removes the rules", async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    await chrome.storage.sync.set({ autoClean: true });
+    await syncAutoCleanRules();
+    await chrome.storage.sync.set({ autoClean: false });
+    await syncAutoCleanRules();
+    assert.deepEqual(await dynamicRules(), []);
+  });
+});
+
+describe("context menu: copy clean link", () => {
+  let copied;
+
+  beforeEach(async () => {
+    copied = [];
+    chrome.runtime.sendMessage = async (msg) => {
+      if (msg.target === "offscreen" && msg.type === "NUDELINK_OFFSCREEN_COPY") {
+        copied.push(msg.text);
+        return { ok: true };
+      }
+      return undefined;
+    };
+    await chrome.storage.sync.clear();
+    serveRules();
+    await downloadAndCacheRules();
+  });
+
+  test("registers link, image, selection and page entries on install", async () => {
+    await Promise.all(chrome.runtime.onInstalled.dispatch({ reason: "install" }));
+    await new Promise((r) => setTimeout(r, 0));
+    const contexts = [...chrome.contextMenus.items.values()].flatMap((i) => i.contexts);
+    assert.deepEqual(contexts.sort(), ["frame", "image", "link", "page", "selection"]);
+  });
+
+  test("copies the cleaned link and flashes a success badge", async () => {
+    const res = await handleMenuClick(
+      { menuItemId: "nudelink-copy-link", linkUrl: "https://example.com/a?utm_source=x&id=1" },
+      { id: 7 }
+    );
+    assert.deepEqual(res, { ok: true, text: "https://example.com/a?id=1" });
+    assert.deepEqual(copied, ["https://example.com/a?id=1"]);
+    assert.equal(chrome.offscreen.documents[0].url, "offscreen.html");
+    assert.equal(chrome.action.badge[7].text, "✓");
+  });
+
+  test("cleans every URL in a selection, one per line", async () => {
+    const res = await handleMenuClick({
+      menuItemId: "nudelink-copy-selection",
+      selectionText: "a https://a.com/?fbclid=1 and https://b.com/p?gclid=2&x=1.",
+    });
+    assert.equal(res.text, "https://a.com/\nhttps://b.com/p?x=1");
+  });
+
+  test("uses the saved referral option", async () => {
+    await chrome.storage.sync.set({ removeReferral: false });
+    const res = await handleMenuClick({
+      menuItemId: "nudelink-copy-page",
+      pageUrl: "https://www.amazon.com/dp/B01?tag=aff-20&qid=1",
+    });
+    assert.equal(res.text, "https://www.amazon.com/dp/B01?tag=aff-20");
+  });
+
+  test("prefers the frame URL and cleans image sources", async () => {
+    const frame = await handleMenuClick({
+      menuItemId: "nudelink-copy-page",
+      pageUrl: "https://top.example/",
+      frameUrl: "https://frame.example/?utm_medium=x",
+    });
+    assert.equal(frame.text, "https://frame.example/");
+    const image = await handleMenuClick({
+      menuItemId: "nudelink-copy-image",
+      srcUrl: "https://cdn.example/i.png?utm_source=x",
+    });
+    assert.equal(image.text, "https://cdn.example/i.png");
+  });
+
+  test("reports failure without copying when nothing is found", async () => {
+    const res = await handleMenuClick({ menuItemId: "nudelink-copy-selection", selectionText: "no links" }, { id: 9 });
+    assert.deepEqual(res, { ok: false, error: "No link found" });
+    assert.deepEqual(copied, []);
+    assert.equal(chrome.action.badge[9].text, "!");
+  });
+});
+
+describe("link history", () => {
+  beforeEach(async () => {
+    chrome.runtime.sendMessage = async () => ({ ok: true }); // offscreen copy
+    chrome.tabs.opened = [];
+    serveRules();
+    await downloadAndCacheRules();
+  });
+
+  test("records links the context menu changed", async () => {
+    await handleMenuClick({
+      menuItemId: "nudelink-copy-selection",
+      selectionText: "https://a.com/?fbclid=1 https://b.com/clean",
+    });
+    const [entry, ...rest] = await stored(LINK_HISTORY_KEY);
+    assert.equal(rest.length, 0);
+    assert.equal(entry.original, "https://a.com/?fbclid=1");
+    assert.equal(entry.cleaned, "https://a.com/");
+    assert.equal(entry.provider, "globalRules");
+    assert.equal(entry.via, "menu");
+    assert.deepEqual(entry.options, { removeReferral: true, cleanHash: true });
+  });
+
+  test("records nothing while history is off, and switching it off clears it", async () => {
+    await handleMenuClick({ menuItemId: "nudelink-copy-link", linkUrl: "https://a.com/?fbclid=1" });
+    assert.equal((await stored(LINK_HISTORY_KEY)).length, 1);
+
+    await chrome.storage.sync.set({ keepHistory: false });
+    await new Promise((r) => setTimeout(r, 0));
+    assert.equal(await stored(LINK_HISTORY_KEY), undefined);
+
+    await handleMenuClick({ menuItemId: "nudelink-copy-link", linkUrl: "https://b.com/?fbclid=1" });
+    assert.equal(await stored(LINK_HISTORY_KEY), undefined);
+  });
+
+  test("NUDELINK_OPEN_ORIGINAL reloads the tab and lets the original past auto-clean", async () => {
+    await handleMenuClick({ menuItemId: "nudelink-copy-link", linkUrl: "https://a.com/?fbclid=1#top" });
+    await chrome.storage.sync.set({ autoClean: true });
+
+    const res = await sendRuntimeMessage(chrome, {
+      type: "NUDELINK_OPEN_ORIGINAL",
+      url: "https://a.com/?fbclid=1#top",
+      tabId: 4,
+    });
+    assert.deepEqual(res, { ok: true, tabId: 4 });
+    assert.deepEqual(chrome.tabs.opened, [{ id: 4, url: "https://a.com/?fbclid=1#top" }]);
+    const [rule] = await chrome.declarativeNetRequest.getSessionRules();
+    assert.deepEqual(rule.condition, {
+      urlFilter: "|https://a.com/?fbclid=1|",
+      tabIds: [4],
+      resourceTypes: ["main_frame"],
+    });
+    assert.equal(rule.action.type, "allow");
+  });
+
+  test("opens originals in a new tab, without a session rule while auto-clean is off", async () => {
+    await handleMenuClick({ menuItemId: "nudelink-copy-link", linkUrl: "https://b.com/?gclid=2" });
+    await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [1] });
+
+    const { tabId } = await openOriginal({ url: "https://b.com/?gclid=2" });
+    assert.equal(tabId, 100);
+    assert.deepEqual(await chrome.declarativeNetRequest.getSessionRules(), []);
+  });
+
+  test("refuses URLs that aren't in the history", async () => {
+    const res = await sendRuntimeMessage(chrome, { type: "NUDELINK_OPEN_ORIGINAL", url: "https://evil.example/" });
+    assert.deepEqual(res, { ok: false, error: "Not in the link history" });
+    assert.deepEqual(chrome.tabs.opened, []);
+  });
+});
+
+describe("privacy stats", () => {
+  beforeEach(async () => {
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+    chrome.tabs.opened = [];
+    serveRules();
+    await downloadAndCacheRules();
+  });
+
+  test("counts menu and shortcut cleanings, with history off too", async () => {
+    await chrome.storage.sync.set({ keepHistory: false });
+    await handleMenuClick({
+      menuItemId: "nudelink-copy-selection",
+      selectionText: "https://a.com/?fbclid=1 https://b.com/clean",
+    });
+    await handleCommand(COMMANDS.COPY_TAB, { id: 3, url: "https://www.amazon.com/dp/B01?tag=aff-20&utm_source=x" });
+
+    const day = (await stored(STATS_KEY)).days[dayKey(Date.now())];
+    assert.equal(day.links, 2);
+    assert.deepEqual(day.params, { fbclid: 1, tag: 1, utm_source: 1 });
+    assert.deepEqual(day.domains, { "a.com": 1, "amazon.com": 1 });
+    assert.deepEqual(day.referral, { kept: 0, stripped: 1 });
+  });
+});
+
+describe("keyboard shortcuts and omnibox", () => {
+  let copied;
+
+  beforeEach(async () => {
+    copied = [];
+    chrome.runtime.sendMessage = async (msg) => {
+      if (msg.type === "NUDELINK_OFFSCREEN_COPY") copied.push(msg.text);
+      return { ok: true };
+    };
+    chrome.tabs.opened = [];
+    serveRules();
+    await downloadAndCacheRules();
+  });
+
+  test("copy shortcut copies the tab's clean link without navigating", async () => {
+    const res = await handleCommand(COMMANDS.COPY_TAB, { id: 3, url: "https://example.com/a?utm_source=x&id=1" });
+    assert.deepEqual(res, { ok: true, url: "https://example.com/a?id=1", changed: true });
+    assert.deepEqual(copied, ["https://example.com/a?id=1"]);
+    assert.deepEqual(chrome.tabs.opened, []);
+    assert.equal(chrome.action.badge[3].text, "✓");
+  });
+
+  test("clean shortcut loads the clean link in the tab, with the saved options", async () => {
+    await chrome.storage.sync.set({ removeReferral: false });
+    const amazon = "https://www.amazon.com/dp/B01?tag=aff-20&qid=1";
+    await handleCommand(COMMANDS.CLEAN_TAB, { id: 5, url: amazon });
+    assert.deepEqual(chrome.tabs.opened, [{ id: 5, url: "https://www.amazon.com/dp/B01?tag=aff-20" }]);
+    assert.equal((await stored(LINK_HISTORY_KEY))[0].via, "shortcut");
+
+    chrome.tabs.opened = [];
+    const res = await handleCommand(COMMANDS.CLEAN_TAB, { id: 5, url: "https://example.com/a" });
+    assert.equal(res.changed, false);
+    assert.deepEqual(chrome.tabs.opened, []);
+  });
+
+  test("shortcuts fall back to the queried active tab and report a missing URL", async () => {
+    const query = chrome.tabs.query;
+    chrome.tabs.query = async () => [{ id: 8, url: "https://example.org/?fbclid=1" }];
+    try {
+      assert.equal((await handleCommand(COMMANDS.COPY_TAB)).url, "https://example.org/");
+    } finally {
+      chrome.tabs.query = query;
+    }
+    assert.deepEqual(await handleCommand(COMMANDS.COPY_TAB, { id: 9 }), { ok: false, error: "No tab URL" });
+    assert.equal(chrome.action.badge[9].text, "!");
+  });
+
+  test("omnibox previews and opens the clean link", async () => {
+    await handleOmniboxInput(" https://example.com/?gclid=1&a=1&b=2 ");
+    assert.equal(chrome.omnibox.defaultSuggestion.description, "Open <url>https://example.com/?a=1&amp;b=2</url>");
+    await handleOmniboxInput("not a link");
+    assert.equal(chrome.omnibox.defaultSuggestion.description, "Paste a link to open it without tracking");
+
+    assert.deepEqual(await handleOmniboxEntered("example.com/p?utm_medium=x&id=2"), {
+      ok: true,
+      url: "https://example.com/p?id=2",
+    });
+    assert.deepEqual(chrome.tabs.opened, [{ id: 1, url: "https://example.com/p?id=2" }]);
+    assert.equal((await stored(LINK_HISTORY_KEY))[0].via, "omnibox");
+
+    await handleOmniboxEntered("see https://b.com/?fbclid=1", "newBackgroundTab");
+    assert.deepEqual(chrome.tabs.opened.at(-1), { id: 101, url: "https://b.com/", active: false });
+    assert.deepEqual(await handleOmniboxEntered("nothing here"), { ok: false, error: "No link found" });
+  });
+});
+
+describe("in-page link rewriting", () => {
+  const sendMessage = chrome.tabs.sendMessage;
+  const query = chrome.tabs.query;
+
+  beforeEach(async () => {
+    chrome.scripting.registered = [];
+    chrome.tabs.messages = [];
+    chrome.tabs.sendMessage = sendMessage;
+    chrome.tabs.query = async () => [
+      { id: 1, url: "https://www.facebook.com/" },
+      { id: 2, url: "chrome://settings/" },
+      { id: 3, url: "https://example.org/" },
+    ];
+  });
+
+  after(() => {
+    chrome.tabs.query = query;
+    chrome.tabs.sendMessage = sendMessage;
+  });
+
+  test("is not registered until the option or a site turns it on", async () => {
+    assert.deepEqual(await syncLinkRewriter(), { enabled: false });
+    assert.deepEqual(chrome.scripting.registered, []);
+
+    await chrome.storage.sync.set({ [REWRITE_SITES_KEY]: { enabled: ["facebook.com"], disabled: [] } });
+    await syncLinkRewriter();
+    assert.equal(chrome.scripting.registered.length, 1);
+    assert.deepEqual(chrome.scripting.registered[0], {
+      id: LINK_REWRITER_ID,
+      js: ["content-links.js"],
+      runAt: "document_idle",
+      persistAcrossSessions: true,
+      matches: ["*://*.facebook.com/*"],
+    });
+  });
+
+  test("re-registers with exclusions when the option changes and unregisters when off", async () => {
+    await chrome.storage.sync.set({ rewriteLinks: true, [REWRITE_SITES_KEY]: { enabled: [], disabled: ["bank.example"] } });
+    await syncLinkRewriter();
+    await syncLinkRewriter();
+    assert.equal(chrome.scripting.registered.length, 1);
+    assert.deepEqual(chrome.scripting.registered[0].excludeMatches, ["*://*.bank.example/*"]);
+
+    await chrome.storage.sync.set({ rewriteLinks: false });
+    await syncLinkRewriter();
+    assert.deepEqual(chrome.scripting.registered, []);
+  });
+
+  test("pushes rule updates to open web tabs, ignoring tabs without the script", async () => {
+    assert.equal(await pushRulesUpdate(), 0); // rewriting off: nothing to tell
+
+    await chrome.storage.sync.set({ rewriteLinks: true });
+    chrome.tabs.sendMessage = async (tabId, msg) => {
+      if (tabId === 3) throw new Error("Could not establish connection. Receiving end does not exist.");
+      chrome.tabs.messages.push({ tabId, msg });
+    };
+    assert.equal(await pushRulesUpdate(), 1);
+    assert.deepEqual(chrome.tabs.messages, [{ tabId: 1, msg: { type: "NUDELINK_RULES_UPDATED" } }]);
+  });
+
+  test("a rules update that changes the rules is pushed", async () => {
+    await chrome.storage.sync.set({ rewriteLinks: true });
+    serveRules();
+    assert.equal(await ensureFreshRules(), true);
+    assert.deepEqual(
+      chrome.tabs.messages.map((m) => m.tabId),
+      [1, 3]
+    );
+
+    chrome.tabs.messages = [];
+    await ensureFreshRules(); // same hash: nothing new
+    assert.deepEqual(chrome.tabs.messages, []);
+  });
+});
+
+describe("paste cleaning", () => {
+  const sendMessage = chrome.tabs.sendMessage;
+  const query = chrome.tabs.query;
+
+  beforeEach(() => {
+    chrome.scripting.registered = [];
+    chrome.tabs.messages = [];
+  });
+
+  after(() => {
+    chrome.tabs.query = query;
+    chrome.tabs.sendMessage = sendMessage;
+  });
+
+  test("registers in every frame of the enabled sites, next to the link rewriter", async () => {
+    assert.deepEqual(await syncPasteCleaner(), { enabled: false });
+
+    await chrome.storage.sync.set({
+      rewriteLinks: true,
+      [PASTE_SITES_KEY]: { enabled: ["mail.example.com", "chat.example"], disabled: [] },
+    });
+    await syncLinkRewriter();
+    await syncPasteCleaner();
+    assert.deepEqual(chrome.scripting.registered.map((s) => s.id), [LINK_REWRITER_ID, PASTE_CLEANER_ID]);
+    assert.deepEqual(chrome.scripting.registered[1], {
+      id: PASTE_CLEANER_ID,
+      js: ["content-paste.js"],
+      runAt: "document_idle",
+      allFrames: true,
+      persistAcrossSessions: true,
+      matches: ["*://*.mail.example.com/*", "*://*.chat.example/*"],
+    });
+  });
+
+  test("follows the option, and unregisters only itself", async () => {
+    await chrome.storage.sync.set({ rewriteLinks: true, cleanPastedLinks: true });
+    await syncLinkRewriter();
+    await syncPasteCleaner();
+    assert.deepEqual(chrome.scripting.registered[1].matches, ["http://*/*", "https://*/*"]);
+
+    await chrome.storage.sync.set({ cleanPastedLinks: false });
+    await syncPasteCleaner();
+    assert.deepEqual(chrome.scripting.registered.map((s) => s.id), [LINK_REWRITER_ID]);
+  });
+
+  test("rule updates reach tabs while only paste cleaning is on", async () => {
+    chrome.tabs.query = async () => [{ id: 7, url: "https://mail.example.com/" }];
+    chrome.tabs.sendMessage = async (tabId, msg) => {
+      chrome.tabs.messages.push({ tabId, msg });
+    };
+    assert.equal(await pushRulesUpdate(), 0);
+    await chrome.storage.sync.set({ [PASTE_SITES_KEY]: { enabled: ["mail.example.com"], disabled: [] } });
+    assert.equal(await pushRulesUpdate(), 1);
+  });
+});
+
+describe("short links", () => {
+  /** Rules in place, then a bit.ly → t.co → article chain behind fetch. */
+  const serveShortLinks = async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    Object.assign(globalThis.fetch.routes, {
+      "https://bit.ly/abc": { status: 301, headers: { location: "https://t.co/xyz?utm_source=bitly" } },
+      "https://t.co/xyz": { status: 302, headers: { location: "https://example.com/post?utm_campaign=x&id=3" } },
+    });
+    globalThis.fetch.calls.length = 0;
+  };
+
+  test("does nothing until the option is on", async () => {
+    await serveShortLinks();
+    await assert.rejects(resolveShortener("https://bit.ly/abc"), /Short-link resolution is off/);
+    assert.deepEqual(globalThis.fetch.calls, []);
+  });
+
+  test("resolves through every hop, cleaning each, and caches the result", async () => {
+    await serveShortLinks();
+    await chrome.storage.sync.set({ resolveShorteners: true });
+
+    assert.equal(await resolveShortener("https://bit.ly/abc", { cachedOnly: true }), null);
+    assert.deepEqual(globalThis.fetch.calls, []);
+
+    assert.deepEqual(await resolveShortener("https://bit.ly/abc?fbclid=1"), {
+      url: "https://example.com/post?id=3",
+      hops: ["https://bit.ly/abc", "https://t.co/xyz", "https://example.com/post?id=3"],
+      stopped: null,
+      cached: false,
+    });
+    assert.deepEqual(globalThis.fetch.calls, ["https://bit.ly/abc", "https://t.co/xyz"]);
+    assert.ok((await stored(RESOLVE_CACHE_KEY))["https://bit.ly/abc"]);
+
+    globalThis.fetch.calls.length = 0;
+    const res = await sendRuntimeMessage(chrome, {
+      type: "NUDELINK_RESOLVE_SHORT_LINK",
+      url: "https://bit.ly/abc",
+      cachedOnly: true,
+    });
+    assert.equal(res.ok, true);
+    assert.equal(res.resolution.cached, true);
+    assert.equal(res.resolution.url, "https://example.com/post?id=3");
+    assert.deepEqual(globalThis.fetch.calls, []);
+  });
+
+  test("ignores links that aren't short links", async () => {
+    await serveShortLinks();
+    await chrome.storage.sync.set({ resolveShorteners: true });
+    assert.equal(await resolveShortener("https://example.com/?utm_source=x"), null);
+  });
+
+  test("switching the option off clears the cache", async () => {
+    await serveShortLinks();
+    await chrome.storage.sync.set({ resolveShorteners: true });
+    await resolveShortener("https://bit.ly/abc");
+    await chrome.storage.sync.set({ resolveShorteners: false });
+    await new Promise((r) => setTimeout(r, 0));
+    assert.equal(await stored(RESOLVE_CACHE_KEY), undefined);
+  });
+});
+
+describe("managed configuration", () => {
+  const CORP_RULES = "https://rules.corp.example/data.json";
+  const CORP_HASH = "https://rules.corp.example/data.hash";
+
+  after(() => chrome.storage.managed.clear());
+
+  test("a policy rules URL replaces the rule sources and is fetched right away", async () => {
+    const fetch = createFakeFetch({ [CORP_HASH]: `${FIXTURE_HASH}\n`, [CORP_RULES]: RULES_FIXTURE_TEXT });
+    globalThis.fetch = fetch;
+    await chrome.storage.managed.set({ rulesUrl: CORP_RULES, hashUrl: CORP_HASH });
+
+    for (let i = 0; i < 50 && !(await stored(STORAGE_KEY)); i++) await new Promise((r) => setTimeout(r, 5));
+    assert.deepEqual((await stored(STORAGE_KEY)).sources, ["managed"]);
+    assert.ok(fetch.calls.includes(CORP_RULES));
+    assert.ok(!fetch.calls.includes(RULES_URL));
+  });
+
+  test("locking the history off deletes it", async () => {
+    await chrome.storage.local.set({ [LINK_HISTORY_KEY]: [{ id: "1", original: "a", cleaned: "b" }] });
+    await chrome.storage.managed.set({ options: { keepHistory: false }, lockedOptions: ["keepHistory"] });
+    for (let i = 0; i < 50 && (await stored(LINK_HISTORY_KEY)); i++) await new Promise((r) => setTimeout(r, 5));
+    assert.equal(await stored(LINK_HISTORY_KEY), undefined);
+  });
+});
+
+describe("external API", () => {
+  const EXT_ID = "abcdefghijklmnopabcdefghijklmnop";
+  const clean = (extra) => ({ type: "NUDELINK_CLEAN_URL", version: 1, ...extra });
+
+  beforeEach(async () => {
+    serveRules();
+    await downloadAndCacheRules();
+    await chrome.storage.sync.set({
+      [EXTERNAL_CALLERS_KEY]: { extensions: [EXT_ID], origins: ["http://localhost:3000"] },
+    });
+  });
+
+  test("cleans one URL for an allowed extension, with the saved options", async () => {
+    await chrome.storage.sync.set({ removeReferral: false });
+    const res = await sendExternalMessage(
+      chrome,
+      clean({ url: "https://www.amazon.com/dp/B01?tag=aff-20&qid=1", requestId: "r1" }),
+      { id: EXT_ID }
+    );
+    assert.deepEqual(res, {
+      ok: true,
+      version: 1,
+      type: "NUDELINK_CLEAN_URL",
+      requestId: "r1",
+      result: {
+        url: "https://www.amazon.com/dp/B01?tag=aff-20&qid=1",
+        cleaned: "https://www.amazon.com/dp/B01?tag=aff-20",
+        changed: true,
+        unwrapped: false,
+        removedParams: ["qid"],
+        providers: ["amazon"],
+      },
+    });
+    assert.equal(await stored(LINK_HISTORY_KEY), undefined);
+    assert.equal(await stored(STATS_KEY), undefined);
+  });
+
+  test("cleans batches for an allowed page and answers API info", async () => {
+    const page = { origin: "http://localhost:3000", url: "http://localhost:3000/inbox" };
+    const res = await handleExternalMessage(clean({ urls: ["https://a.com/?fbclid=1", "https://b.com/"] }), page);
+    assert.deepEqual(
+      res.results.map((r) => [r.cleaned, r.changed]),
+      [["https://a.com/", true], ["https://b.com/", false]]
+    );
+
+    const info = await handleExternalMessage({ type: "NUDELINK_API_INFO", version: 1 }, page);
+    assert.equal(info.ok, true);
+    assert.equal(info.maxBatch, MAX_BATCH);
+    assert.deepEqual(info.supportedVersions, [1]);
+  });
+
+  test("refuses callers that aren't allowed, before looking at the request", async () => {
+    for (const sender of [{ id: "ponmlkjihgfedcbaponmlkjihgfedcba" }, { origin: "https://evil.example" }, {}]) {
+      const res = await handleExternalMessage(clean({ url: "https://a.com/?fbclid=1" }), sender);
+      assert.equal(res.error.code, "forbidden");
+    }
+    assert.equal((await handleExternalMessage({ version: 9 }, { id: "x@y" })).error.code, "forbidden");
+    assert.equal((await handleExternalMessage({ version: 9 }, { id: EXT_ID })).error.code, "unsupported_version");
+  });
+
+  test("rate limits each caller by URLs per window", async () => {
+    const caller = { id: "helper@example.org" };
+    await chrome.storage.sync.set({ [EXTERNAL_CALLERS_KEY]: { extensions: [caller.id], origins: [] } });
+    const batch = clean({ urls: Array(MAX_BATCH).fill("https://a.com/?fbclid=1"), requestId: 3 });
+    const start = 1_000_000;
+    for (let sent = 0; sent + MAX_BATCH <= RATE_LIMIT; sent += MAX_BATCH) {
+      assert.equal((await handleExternalMessage(batch, caller, start)).ok, true);
+    }
+    const limited = await handleExternalMessage(batch, caller, start + 10);
+    assert.deepEqual(limited, {
+      ok: false,
+      version: 1,
+      error: { code: "rate_limited", message: "Too many URLs; try again later", retryAfterMs: RATE_WINDOW_MS - 10 },
+      requestId: 3,
+    });
+    assert.equal((await handleExternalMessage(batch, caller, start + RATE_WINDOW_MS)).ok, true);
+  });
+});
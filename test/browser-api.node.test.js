@@ -0,0 +1,71 @@
+import { test, describe, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { createChromeStub, createFirefoxStub } from "./helpers/chrome-stub.js";
+import { loadRulesFixture } from "./helpers/rules-fixture.js";
+import { ext, extensionApi, isFirefox } from "../browser-api.js";
+import { applyClearUrls, loadCompiledRules } from "../clearurls-apply.js";
+import { loadOptions, saveOptions, toCleanOptions } from "../settings.js";
+import { saveRulesPayload } from "../rule-store.js";
+import { loadLinkHistory, recordCleaning } from "../link-history.js";
+
+/** Make one shim the only extension namespace, the way each browser exposes it. */
+const install = ({ chrome, browser }) => {
+  if (chrome) globalThis.chrome = chrome;
+  else delete globalThis.chrome;
+  if (browser) globalThis.browser = browser;
+  else delete globalThis.browser;
+};
+
+const saved = { chrome: globalThis.chrome, browser: globalThis.browser };
+after(() => install(saved));
+
+describe("ext", () => {
+  test("prefers Firefox's browser namespace and resolves it at call time", () => {
+    const chrome = createChromeStub();
+    const browser = createFirefoxStub();
+    install({ chrome });
+    assert.equal(ext.storage, chrome.storage);
+    assert.equal(extensionApi(), chrome);
+    assert.equal(isFirefox(), false);
+
+    install({ chrome, browser });
+    assert.equal(ext.storage, browser.storage);
+    assert.equal(ext.offscreen, undefined);
+    assert.equal(isFirefox(), true);
+  });
+
+  test("is undefined outside an extension (Node CLI)", () => {
+    install({});
+    assert.equal(ext.storage, undefined);
+  });
+});
+
+const SHIMS = {
+  chrome: () => ({ chrome: createChromeStub() }),
+  firefox: () => ({ browser: createFirefoxStub() }),
+};
+
+for (const [name, shim] of Object.entries(SHIMS)) {
+  describe(`engine against the ${name} shim`, () => {
+    beforeEach(() => install(shim()));
+
+    test("cleans with the stored rules and the saved options", async () => {
+      await saveRulesPayload({ rules: loadRulesFixture(), hash: `h-${name}`, ts: 1, sources: ["clearurls"] });
+      await saveOptions({ removeReferral: false });
+      const rules = await loadCompiledRules();
+      const opts = toCleanOptions(await loadOptions());
+
+      const result = applyClearUrls("https://www.amazon.com/dp/B01?tag=aff-20&qid=1#utm_source=x", rules, opts);
+      assert.equal(result.url, "https://www.amazon.com/dp/B01?tag=aff-20");
+    });
+
+    test("records cleaned links in local storage", async () => {
+      await recordCleaning({ original: "https://a.com/?fbclid=1", cleaned: "https://a.com/", via: "popup" }, await loadOptions());
+      assert.deepEqual(
+        (await loadLinkHistory()).map((e) => e.cleaned),
+        ["https://a.com/"]
+      );
+    });
+  });
+}
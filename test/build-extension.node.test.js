@@ -0,0 +1,133 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { inflateRawSync } from "node:zlib";
+
+import {
+  GECKO_ID,
+  buildManifest,
+  checkBundledRules,
+  crc32,
+  createZip,
+  extensionFiles,
+} from "../scripts/build-extension.js";
+import { RULES_FIXTURE_TEXT } from "./helpers/rules-fixture.js";
+
+const base = JSON.parse(readFileSync(new URL("../manifest.json", import.meta.url), "utf8"));
+
+/** Read a zip back: name → content, checking each entry's CRC. */
+const readZip = (zip) => {
+  const entries = new Map();
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  let at = zip.readUInt32LE(end + 16);
+  for (let i = 0; i < zip.readUInt16LE(end + 10); i++) {
+    assert.equal(zip.readUInt32LE(at), 0x02014b50);
+    const method = zip.readUInt16LE(at + 10);
+    const crc = zip.readUInt32LE(at + 16);
+    const size = zip.readUInt32LE(at + 20);
+    const nameLength = zip.readUInt16LE(at + 28);
+    const offset = zip.readUInt32LE(at + 42);
+    const name = zip.toString("utf8", at + 46, at + 46 + nameLength);
+    const start = offset + 30 + zip.readUInt16LE(offset + 26);
+    const body = zip.subarray(start, start + size);
+    const data = method === 8 ? inflateRawSync(body) : body;
+    assert.equal(crc32(data), crc, name);
+    entries.set(name, data.toString("utf8"));
+    at += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe("buildManifest", () => {
+  test("keeps the Chrome manifest, with the package version", () => {
+    const chrome = buildManifest(base, "chrome", { version: "2.3.4" });
+    assert.deepEqual(chrome, { ...base, version: "2.3.4" });
+  });
+
+  test("turns it into a Firefox manifest", () => {
+    const firefox = buildManifest(base, "firefox");
+    assert.deepEqual(firefox.background, { type: "module", scripts: ["background.js"] });
+    assert.equal(firefox.browser_specific_settings.gecko.id, GECKO_ID);
+    assert.ok(!firefox.permissions.includes("offscreen"));
+    assert.ok(firefox.permissions.includes("declarativeNetRequestWithHostAccess"));
+    assert.ok(firefox.web_accessible_resources.every((r) => !("use_dynamic_url" in r)));
+    assert.equal(firefox.storage, undefined);
+    assert.equal(firefox.externally_connectable, undefined);
+    assert.equal(base.background.service_worker, "background.js"); // input untouched
+  });
+
+  test("rejects unknown targets", () => {
+    assert.throws(() => buildManifest(base, "safari"), /Unknown target: safari/);
+  });
+});
+
+describe("extensionFiles", () => {
+  const root = [
+    "popup.html",
+    "popup.js",
+    "cli.js",
+    "node-rules.js",
+    "package.json",
+    "README.md",
+    "offscreen.html",
+    "managed-schema.json",
+  ];
+  const dirs = ["icons/icon-16.png", "rules/bundled.minify.json", "test/x.js"];
+
+  test("ships extension files, not the Node CLI or repo files", () => {
+    assert.deepEqual(extensionFiles(root, dirs, "chrome"), [
+      "icons/icon-16.png",
+      "managed-schema.json",
+      "offscreen.html",
+      "popup.html",
+      "popup.js",
+      "rules/bundled.minify.json",
+    ]);
+  });
+
+  test("leaves the offscreen document and managed schema out of Firefox builds", () => {
+    const files = extensionFiles(root, dirs, "firefox");
+    assert.ok(!files.includes("offscreen.html"));
+    assert.ok(!files.includes("managed-schema.json"));
+  });
+});
+
+describe("checkBundledRules", () => {
+  test("refuses the test fixture as the bundled snapshot, even reformatted", () => {
+    const reformatted = JSON.stringify(JSON.parse(RULES_FIXTURE_TEXT), null, 2);
+    assert.throws(() => checkBundledRules(reformatted, RULES_FIXTURE_TEXT), /rules:bundle/);
+  });
+
+  test("refuses a tree without a snapshot", () => {
+    assert.throws(() => checkBundledRules(null, RULES_FIXTURE_TEXT), /missing; run npm run rules:bundle/);
+  });
+
+  test("accepts other rules, and a tree without the fixture", () => {
+    const other = JSON.stringify({ providers: { globalRules: { urlPattern: ".*", rules: ["utm_source"] } } });
+    checkBundledRules(other, RULES_FIXTURE_TEXT);
+    checkBundledRules(RULES_FIXTURE_TEXT, null);
+  });
+});
+
+describe("createZip", () => {
+  test("writes entries that read back intact, deflated or stored", () => {
+    const text = "const a = 1;\n".repeat(200);
+    const zip = createZip([
+      { name: "manifest.json", data: Buffer.from("{}") },
+      { name: "dir/big.js", data: Buffer.from(text) },
+    ]);
+    assert.deepEqual(
+      [...readZip(zip)],
+      [
+        ["manifest.json", "{}"],
+        ["dir/big.js", text],
+      ]
+    );
+    assert.ok(zip.length < text.length); // compressed
+  });
+
+  test("crc32 matches the standard check value", () => {
+    assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+  });
+});
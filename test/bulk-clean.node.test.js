@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { cleanLinksInText, linksToCsv } from "../bulk-clean.js";
+import { loadRulesFixture } from "./helpers/rules-fixture.js";
+
+const rules = loadRulesFixture();
+
+test("cleans Markdown links, angle brackets and trailing punctuation in place", () => {
+  const input =
+    "See [docs](https://example.com/a?utm_source=x&id=1), or <https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.org%2Fn&h=1>.";
+  assert.equal(
+    cleanLinksInText(input, rules).text,
+    "See [docs](https://example.com/a?id=1), or <https://example.org/n>."
+  );
+});
+
+test("keeps HTML attributes &amp;-escaped", () => {
+  const input = '<a href="https://shop.example/p?gclid=1&amp;color=red&amp;page=2">x</a>';
+  const { text, links } = cleanLinksInText(input, rules);
+  assert.equal(text, '<a href="https://shop.example/p?color=red&amp;page=2">x</a>');
+  assert.equal(links[0].original, "https://shop.example/p?gclid=1&color=red&page=2");
+});
+
+test("leaves unchanged links spelled exactly as they were", () => {
+  const input = "plain https://ok.example/x? and https://ok.example/y";
+  assert.equal(cleanLinksInText(input, rules).text, input);
+});
+
+test("reports one row per distinct link with removed params and providers", () => {
+  const input = "https://www.amazon.com/dp/B01?tag=a-20&qid=1&gclid=2 https://www.amazon.com/dp/B01?tag=a-20&qid=1&gclid=2 https://ok.example/";
+  const [amazon, ok, ...rest] = cleanLinksInText(input, rules).links;
+  assert.equal(rest.length, 0);
+
+  assert.equal(amazon.original, "https://www.amazon.com/dp/B01?tag=a-20&qid=1&gclid=2");
+  assert.equal(amazon.cleaned, "https://www.amazon.com/dp/B01");
+  assert.equal(amazon.count, 2);
+  assert.deepEqual(amazon.removedParams, ["tag", "qid", "gclid"]);
+  assert.deepEqual(amazon.providers, ["amazon", "globalRules"]);
+  assert.equal(amazon.trace.params.length, 3);
+
+  assert.equal(ok.changed, false);
+  assert.deepEqual(ok.removedParams, []);
+  assert.deepEqual(ok.providers, []);
+});
+
+test("credits redirections to the unwrapping provider", () => {
+  const { links } = cleanLinksInText("https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.org%2Fn%3Futm_source%3Dx&h=1", rules);
+  assert.equal(links[0].cleaned, "https://example.org/n");
+  assert.deepEqual(links[0].providers, ["facebook", "globalRules"]);
+  assert.deepEqual(links[0].removedParams, ["utm_source"]);
+});
+
+test("passes cleaning options through", () => {
+  const input = "https://www.amazon.com/dp/B01?tag=a-20#utm_term=x";
+  assert.equal(
+    cleanLinksInText(input, rules, { allowReferral: true, cleanHash: true }).text,
+    "https://www.amazon.com/dp/B01?tag=a-20"
+  );
+});
+
+test("keeps the text and flags the error when rules are missing", () => {
+  const { text, links } = cleanLinksInText("go https://a.example/?utm_source=x", null);
+  assert.equal(text, "go https://a.example/?utm_source=x");
+  assert.equal(links[0].error, "Rules not available");
+});
+
+test("linksToCsv quotes fields that need it", () => {
+  const csv = linksToCsv([
+    {
+      original: 'https://a.example/?q=1,2&utm_source="x"',
+      cleaned: "https://a.example/?q=1,2",
+      changed: true,
+      removedParams: ["utm_source"],
+      providers: ["globalRules"],
+      count: 1,
+    },
+  ]);
+  assert.equal(
+    csv,
+    "original,cleaned,changed,removed_params,providers,count,error\r\n" +
+      '"https://a.example/?q=1,2&utm_source=""x""","https://a.example/?q=1,2",true,utm_source,globalRules,1,\r\n'
+  );
+});
@@ -0,0 +1,111 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { CANONICAL_RULES, acceptCanonicalLink, canonicalHost, canonicalizeUrl } from "../canonicalize.js";
+
+const canonical = (url, opts) => canonicalizeUrl(url, opts).url;
+
+describe("canonicalizeUrl — AMP", () => {
+  test("unwraps the Google AMP viewer, keeping the target's scheme", () => {
+    assert.equal(canonical("https://www.google.com/amp/s/example.com/news/story"), "https://example.com/news/story");
+    assert.equal(canonical("https://www.google.co.uk/amp/example.com/a"), "http://example.com/a");
+  });
+
+  test("unwraps the AMP cache and then the publisher's AMP path", () => {
+    const { url, steps } = canonicalizeUrl("https://example-com.cdn.ampproject.org/c/s/example.com/news/big-story/amp/");
+    assert.equal(url, "https://example.com/news/big-story");
+    assert.deepEqual(
+      steps.map((s) => s.rule),
+      ["ampproject-cache", "amp-path"]
+    );
+  });
+
+  test("drops AMP extensions and amp params but leaves pages named /amp", () => {
+    assert.equal(canonical("https://example.com/story.amp.html?id=1"), "https://example.com/story?id=1");
+    assert.equal(canonical("https://example.com/story?amp=1&page=2"), "https://example.com/story?page=2");
+    assert.equal(canonical("https://example.com/story?page=2&amp"), "https://example.com/story?page=2");
+    assert.equal(canonical("https://example.com/amp"), "https://example.com/amp");
+    assert.equal(canonical("https://example.com/docs/amp"), "https://example.com/docs/amp");
+    assert.equal(canonical("https://shop.example/guitar/amp/?c=1"), "https://shop.example/guitar/amp/?c=1");
+  });
+});
+
+describe("canonicalizeUrl — hosts and paths", () => {
+  test("maps mobile hosts to the desktop host", () => {
+    assert.equal(canonical("https://m.example.com/a"), "https://example.com/a");
+    assert.equal(canonical("https://en.m.wikipedia.org/wiki/URL"), "https://en.wikipedia.org/wiki/URL");
+    assert.equal(canonical("https://mobile.example.org/a"), "https://example.org/a");
+    assert.equal(canonical("https://m.co/a"), "https://m.co/a");
+  });
+
+  test("removes only the mobile label, never leaving a public suffix", () => {
+    assert.equal(canonical("https://m.sub.example.com/a"), "https://sub.example.com/a");
+    assert.equal(canonical("https://m.example.co.uk/a"), "https://example.co.uk/a");
+    assert.equal(canonical("https://m.github.io/a"), "https://m.github.io/a");
+    assert.equal(canonical("https://m.co.uk/a"), "https://m.co.uk/a");
+    assert.equal(canonical("https://m.m.example.com/a"), "https://m.m.example.com/a");
+  });
+
+  test("strips tracking segments embedded in the path", () => {
+    assert.equal(
+      canonical("https://www.amazon.de/Widget/dp/B01ABC/ref=sr_1_1?keywords=x"),
+      "https://www.amazon.de/Widget/dp/B01ABC?keywords=x"
+    );
+    assert.equal(canonical("https://shop.example/cart;jsessionid=AB12?x=1"), "https://shop.example/cart?x=1");
+  });
+
+  test("path rules leave the query and fragment alone", () => {
+    for (const url of [
+      "https://shop.example/login?next=/cart;jsessionid=AB12",
+      "https://shop.example/help#/a;jsessionid=AB12",
+      "https://www.amazon.de/s?k=x&next=/dp/B01/ref=sr_1_1",
+    ]) {
+      assert.equal(canonical(url), url);
+    }
+  });
+
+  test("reports unchanged URLs", () => {
+    assert.deepEqual(canonicalizeUrl("https://example.com/a?id=1"), {
+      url: "https://example.com/a?id=1",
+      changed: false,
+      steps: [],
+    });
+  });
+
+  test("takes a custom rule table and ignores results that aren't http(s)", () => {
+    const rules = [
+      { id: "short", kind: "path", pattern: "/p/(\\d+)$", replacement: "/product/$1" },
+      { id: "bad", kind: "path", pattern: "^https:", replacement: "javascript:" },
+    ];
+    assert.equal(canonical("https://example.com/p/12", { rules }), "https://example.com/product/12");
+    assert.ok(CANONICAL_RULES.every((r) => r.id && r.kind && typeof r.pattern === "string"));
+  });
+});
+
+describe("rel=canonical", () => {
+  test("is preferred when it stays on the same host", () => {
+    const { url, steps } = canonicalizeUrl("https://www.example.co.uk/a?p=1", {
+      canonicalLink: "https://example.co.uk/story",
+    });
+    assert.equal(url, "https://example.co.uk/story");
+    assert.equal(steps[0].rule, "rel-canonical");
+  });
+
+  test("is ignored when it points elsewhere or isn't http(s)", () => {
+    assert.equal(acceptCanonicalLink("https://example.com/a", "https://other.example/a"), null);
+    assert.equal(acceptCanonicalLink("https://example.com/a", "javascript:alert(1)"), null);
+    assert.equal(acceptCanonicalLink("https://example.com/a", "not a url"), null);
+    assert.equal(canonical("https://example.com/a", { canonicalLink: "https://other.example/a" }), "https://example.com/a");
+  });
+
+  test("is ignored on another tenant of a shared host", () => {
+    assert.equal(acceptCanonicalLink("https://alice.github.io/a", "https://mallory.github.io/a"), null);
+    assert.equal(acceptCanonicalLink("https://shop.example.co.uk/a", "https://other.co.uk/a"), null);
+    assert.equal(acceptCanonicalLink("https://news.example.com/a", "https://example.com/a"), null);
+  });
+
+  test("canonicalHost ignores case, a trailing dot and www.", () => {
+    assert.equal(canonicalHost("WWW.Example.COM."), "example.com");
+    assert.equal(canonicalHost("news.bbc.co.uk"), "news.bbc.co.uk");
+  });
+});
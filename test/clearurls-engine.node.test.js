@@ -0,0 +1,398 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { applyClearUrls, compileRules, describeTrace, isCompiledRules } from "../clearurls-engine.js";
+import { loadRulesFixture } from "./helpers/rules-fixture.js";
+
+const rulesJson = loadRulesFixture();
+
+describe("applyClearUrls — parameter removal", () => {
+  test("removes many tracking params and keeps unrelated ones", () => {
+    const input =
+      "https://example.com/page?utm_source=google&utm_medium=cpc&utm_campaign=spring_sale&gclid=123abc&fbclid=456def&gad_source=1&gad_campaignid=999999&gbraid=0AAAAA-xyz&affid=affiliate123&ref=referral456&mc_cid=mailchimp789&mc_eid=emailid101112&custom_param=value&another_param=foo";
+    const result = applyClearUrls(input, rulesJson);
+    assert.equal(result.url, "https://example.com/page?custom_param=value&another_param=foo");
+    assert.equal(result.changed, true);
+    assert.equal(result.error, undefined);
+  });
+
+  test("strips every ad-click param and the dangling '?'", () => {
+    const input =
+      "https://pdfe.com/?gad_source=1&gad_campaignid=22618564445&gbraid=0AAAAA-on6G9nd0c-41iI893kCR9mlknUf&gclid=CjwKCAjwlOrFBhBaEiwAw4bYDesHFC9s2JgzYCGAzGJE9lk6OZD-e_SphLGrog4vPSTuksugcZNuSBoCA1AQAvD_BwE";
+    assert.equal(applyClearUrls(input, rulesJson).url, "https://pdfe.com/");
+  });
+
+  test("reports unchanged for an already clean URL", () => {
+    const result = applyClearUrls("https://example.com/a?id=7", rulesJson);
+    assert.deepEqual(result, { url: "https://example.com/a?id=7", changed: false });
+  });
+
+  test("keeps the exact query encoding when nothing is removed", () => {
+    const input = "https://example.com/?q=a,b&x=%20y&empty=&flag";
+    assert.deepEqual(applyClearUrls(input, rulesJson), { url: input, changed: false });
+  });
+
+  test("applies provider-specific rules", () => {
+    const result = applyClearUrls("https://www.google.com/search?q=nudelink&ei=abc&ved=xyz", rulesJson);
+    assert.equal(result.url, "https://www.google.com/search?q=nudelink");
+  });
+});
+
+describe("applyClearUrls — redirections", () => {
+  test("unwraps Google /url redirects and cleans the target", () => {
+    const input =
+      "https://www.google.com/url?sa=t&url=https%3A%2F%2Fexample.org%2Farticle%3Futm_source%3Dgoogle%26id%3D7&ved=abc";
+    const result = applyClearUrls(input, rulesJson);
+    assert.equal(result.url, "https://example.org/article?id=7");
+    assert.equal(result.changed, true);
+  });
+
+  test("unwraps Facebook l.php links", () => {
+    const input = "https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.org%2Fnews%3Ffbclid%3DXYZ&h=AT0";
+    assert.equal(applyClearUrls(input, rulesJson).url, "https://example.org/news");
+  });
+
+  test("ignores redirect targets that are not URLs", () => {
+    const input = "https://www.google.com/aclk?adurl=not-a-url";
+    assert.equal(applyClearUrls(input, rulesJson).url, input);
+  });
+});
+
+describe("applyClearUrls — nested redirects", () => {
+  const enc = encodeURIComponent;
+  const b64 = (s) => Buffer.from(s).toString("base64url");
+  const redirector = (host, capture = "url=([^&]+)") => ({
+    urlPattern: `^https?:\\/\\/${host.replaceAll(".", "\\.")}`,
+    redirections: [`^https?:\\/\\/${host.replaceAll(".", "\\.")}\\/r\\?(?:.*?&)?${capture}`],
+  });
+  const nested = {
+    providers: {
+      ...loadRulesFixture().providers,
+      news: redirector("t.news.example"),
+      mailer: redirector("click.mailer.example", "c=([A-Za-z0-9_=-]+)"),
+      ping: redirector("ping.example"),
+      pong: redirector("pong.example"),
+    },
+  };
+
+  test("peels Google → Facebook → newsletter tracker and cleans the final target", () => {
+    const target = "https://example.org/post?utm_source=news&id=3";
+    const news = `https://t.news.example/r?url=${enc(target)}`;
+    const fb = `https://l.facebook.com/l.php?u=${enc(news)}&h=AT0`;
+    const google = `https://www.google.com/url?q=${enc(fb)}&ved=x`;
+
+    const result = applyClearUrls(google, nested);
+    assert.equal(result.url, "https://example.org/post?id=3");
+    assert.deepEqual(result.hops, [google, fb, news, target]);
+  });
+
+  test("decodes double-encoded targets", () => {
+    const input = `https://t.news.example/r?url=${enc(enc("https://example.org/a?b=1"))}`;
+    assert.equal(applyClearUrls(input, nested).url, "https://example.org/a?b=1");
+  });
+
+  test("decodes base64 targets from email click trackers", () => {
+    const news = `https://t.news.example/r?url=${enc("https://example.org/deal?utm_medium=email")}`;
+    const input = `https://click.mailer.example/r?c=${b64(news)}`;
+    const result = applyClearUrls(input, nested);
+    assert.equal(result.url, "https://example.org/deal");
+    assert.equal(result.hops.length, 3);
+  });
+
+  test("stops on redirect loops", () => {
+    // A rule capturing the whole URL would unwrap to itself forever.
+    const looping = {
+      providers: {
+        ...nested.providers,
+        echo: { urlPattern: "^https?:\\/\\/echo\\.example", redirections: ["^(https?:\\/\\/echo\\.example\\/.*)$"] },
+      },
+    };
+    const input = `https://t.news.example/r?url=${enc("https://echo.example/x?utm_source=a")}`;
+    const { url, hops, trace } = applyClearUrls(input, looping, { explain: true });
+    assert.equal(trace.unwrapStopped, "loop");
+    assert.deepEqual(hops, [input, "https://echo.example/x?utm_source=a"]);
+    assert.equal(url, "https://echo.example/x");
+  });
+
+  test("stops at the hop limit", () => {
+    let url = "https://example.org/";
+    for (let i = 0; i < 6; i++) url = `https://t.news.example/r?url=${enc(url)}`;
+
+    const capped = applyClearUrls(url, nested, { maxHops: 3, explain: true });
+    assert.equal(capped.hops.length, 4);
+    assert.equal(capped.trace.unwrapStopped, "limit");
+    assert.ok(capped.url.startsWith("https://t.news.example/r"));
+
+    assert.equal(applyClearUrls(url, nested).url, "https://example.org/");
+  });
+
+  test("never unwraps to non-http(s) targets", () => {
+    const input = `https://t.news.example/r?url=${enc("javascript:alert(1)")}`;
+    const result = applyClearUrls(input, nested);
+    assert.equal(result.changed, false);
+    assert.equal(result.hops, undefined);
+  });
+
+  test("describeTrace lists every hop and why unwrapping stopped", () => {
+    let url = "https://example.org/";
+    for (let i = 0; i < 3; i++) url = `https://t.news.example/r?url=${enc(url)}`;
+    const { trace } = applyClearUrls(url, nested, { maxHops: 2, explain: true });
+    assert.deepEqual(
+      describeTrace(trace).map((l) => l.text.split(" via ")[0]),
+      [
+        "Unwrapped redirect to t.news.example",
+        "Unwrapped redirect to t.news.example",
+        "Stopped unwrapping — too many nested redirects",
+      ]
+    );
+  });
+});
+
+describe("applyClearUrls — exceptions", () => {
+  test("leaves provider params alone on excepted URLs", () => {
+    const input = "https://mail.google.com/mail/u/0/?ved=1&sa=2";
+    assert.deepEqual(applyClearUrls(input, rulesJson), { url: input, changed: false });
+  });
+
+  test("global exceptions also apply", () => {
+    const input = "https://accounts.google.com/signin?utm_source=x&continue=y";
+    assert.equal(applyClearUrls(input, rulesJson).url, input);
+  });
+});
+
+describe("applyClearUrls — referral marketing", () => {
+  const input = "https://www.amazon.com/dp/B000123?tag=aff-20&keywords=foo";
+
+  test("strips referral params by default", () => {
+    assert.equal(applyClearUrls(input, rulesJson).url, "https://www.amazon.com/dp/B000123");
+  });
+
+  test("keeps referral params when allowReferral is set", () => {
+    const result = applyClearUrls(input, rulesJson, { allowReferral: true });
+    assert.equal(result.url, "https://www.amazon.com/dp/B000123?tag=aff-20");
+  });
+
+  test("the trace lists referral params kept, and none when they're stripped", () => {
+    const kept = applyClearUrls(input, rulesJson, { allowReferral: true, explain: true }).trace.keptReferral;
+    assert.deepEqual(kept, [{ provider: "amazon", name: "tag", where: "query", rule: "tag" }]);
+    assert.deepEqual(applyClearUrls(input, rulesJson, { explain: true }).trace.keptReferral, []);
+  });
+});
+
+describe("applyClearUrls — rawRules", () => {
+  test("removes path-embedded /ref= segments", () => {
+    const input = "https://www.amazon.com/Some-Product/dp/B000123/ref=sr_1_1?qid=1&sr=8-1&th=1";
+    assert.equal(applyClearUrls(input, rulesJson).url, "https://www.amazon.com/Some-Product/dp/B000123?th=1");
+  });
+});
+
+describe("applyClearUrls — hash fragments", () => {
+  test("cleans #key=value fragments when cleanHash is set", () => {
+    const input = "https://example.com/page?id=1#utm_content=ad_banner&utm_term=shoes&tab=2";
+    assert.equal(applyClearUrls(input, rulesJson, { cleanHash: true }).url, "https://example.com/page?id=1#tab=2");
+  });
+
+  test("leaves fragments untouched when cleanHash is off", () => {
+    const input = "https://example.com/page#utm_term=shoes";
+    assert.deepEqual(applyClearUrls(input, rulesJson), { url: input, changed: false });
+  });
+
+  test("drops the fragment entirely once every param is gone", () => {
+    const input = "https://example.com/page#utm_source=x&fbclid=y";
+    assert.equal(applyClearUrls(input, rulesJson, { cleanHash: true }).url, "https://example.com/page");
+  });
+
+  test("cleans hashbang and SPA route queries", () => {
+    assert.equal(
+      applyClearUrls("https://example.com/#!/path?x=y&utm_source=1", rulesJson, { cleanHash: true }).url,
+      "https://example.com/#!/path?x=y"
+    );
+    assert.equal(
+      applyClearUrls("https://example.com/#/route?utm_source=1", rulesJson, { cleanHash: true }).url,
+      "https://example.com/#/route"
+    );
+  });
+
+  test("keeps ordinary anchors", () => {
+    const input = "https://example.com/docs#section-2";
+    assert.deepEqual(applyClearUrls(input, rulesJson, { cleanHash: true }), { url: input, changed: false });
+  });
+});
+
+describe("applyClearUrls — errors", () => {
+  test("returns the input with an error for invalid URLs", () => {
+    assert.deepEqual(applyClearUrls("not a url", rulesJson), {
+      url: "not a url",
+      changed: false,
+      error: "Invalid URL",
+    });
+  });
+
+  test("returns the input with an error when rules are missing", () => {
+    for (const rules of [null, undefined, {}, "rules"]) {
+      assert.deepEqual(applyClearUrls("https://example.com/?utm_source=x", rules), {
+        url: "https://example.com/?utm_source=x",
+        changed: false,
+        error: "Rules not available",
+      });
+    }
+  });
+
+  test("skips providers with invalid regexes instead of throwing", () => {
+    const broken = { providers: { bad: { urlPattern: "(", rules: ["utm_source"] } } };
+    assert.equal(applyClearUrls("https://example.com/?utm_source=x", broken).url, "https://example.com/?utm_source=x");
+  });
+});
+
+describe("compileRules", () => {
+  const compiled = compileRules(rulesJson);
+
+  test("returns null without providers and passes compiled rules through", () => {
+    assert.equal(compileRules(null), null);
+    assert.equal(compileRules({}), null);
+    assert.equal(compileRules(compiled), compiled);
+    assert.equal(isCompiledRules(compiled), true);
+    assert.equal(isCompiledRules(rulesJson), false);
+  });
+
+  test("indexes providers by host label and keeps catch-alls generic", () => {
+    assert.deepEqual([...compiled.byLabel.keys()].sort(), ["amazon", "facebook", "google", "instagram"]);
+    assert.deepEqual(
+      compiled.generic.map((i) => compiled.providers[i].name),
+      ["globalRules"]
+    );
+  });
+
+  test("falls back to generic for urlPatterns it cannot index", () => {
+    const c = compileRules({
+      providers: {
+        alt: { urlPattern: "^https?:\\/\\/(?:[a-z0-9-]+\\.)*?(?:foo|bar)\\.com", rules: ["x"] },
+        broken: { urlPattern: "(", rules: ["x"] },
+      },
+    });
+    assert.deepEqual(c.providers.map((p) => p.name), ["alt"]);
+    assert.deepEqual(c.generic, [0]);
+    assert.equal(applyClearUrls("https://www.bar.com/?x=1&y=2", c).url, "https://www.bar.com/?y=2");
+  });
+
+  test("gives the same results as raw rules JSON", () => {
+    const inputs = [
+      "https://example.com/page?utm_source=x&ref=y&id=1#utm_term=z&tab=2",
+      "https://www.google.com/url?sa=t&url=https%3A%2F%2Fexample.org%2Farticle%3Futm_source%3Dgoogle%26id%3D7&ved=abc",
+      "https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.org%2Fnews%3Ffbclid%3DXYZ&h=AT0",
+      "https://www.amazon.co.uk/dp/B000123/ref=sr_1_1?tag=aff-20&qid=1",
+      "https://mail.google.com/mail/u/0/?ved=1",
+      "not a url",
+    ];
+    for (const input of inputs) {
+      for (const opts of [{}, { allowReferral: true, cleanHash: true }]) {
+        assert.deepEqual(applyClearUrls(input, compiled, opts), applyClearUrls(input, loadRulesFixture(), opts));
+      }
+    }
+  });
+});
+
+describe("applyClearUrls — explain mode", () => {
+  const explain = (url, opts = {}) => applyClearUrls(url, rulesJson, { ...opts, explain: true });
+
+  test("omits the trace unless asked", () => {
+    assert.equal("trace" in applyClearUrls("https://example.com/?utm_source=x", rulesJson), false);
+  });
+
+  test("records each removed param with the exact rule entry", () => {
+    const { trace } = explain("https://www.amazon.com/dp/B01?tag=a-20&qid=1&utm_source=x#fbclid=1", {
+      cleanHash: true,
+    });
+    assert.deepEqual(trace.params, [
+      { provider: "amazon", name: "tag", where: "query", rule: "tag", list: "referralMarketing" },
+      { provider: "amazon", name: "qid", where: "query", rule: "qid", list: "rules" },
+      { provider: "globalRules", name: "utm_source", where: "query", rule: "(?:%3F)?utm(?:_[a-z_]*)?", list: "rules" },
+      { provider: "globalRules", name: "fbclid", where: "hash", rule: "(?:%3F)?fbclid", list: "rules" },
+    ]);
+  });
+
+  test("records redirections with provider and pattern", () => {
+    const { url, trace } = explain("https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.org%2Fn&h=1");
+    assert.equal(url, "https://example.org/n");
+    assert.deepEqual(trace.redirections, [
+      {
+        provider: "facebook",
+        pattern: rulesJson.providers.facebook.redirections[0],
+        from: "https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.org%2Fn&h=1",
+        to: "https://example.org/n",
+      },
+    ]);
+  });
+
+  test("records rawRules rewrites", () => {
+    const { trace } = explain("https://www.amazon.com/dp/B01/ref=sr_1_1");
+    assert.deepEqual(trace.rawRules, [
+      {
+        provider: "amazon",
+        pattern: "\\/ref=[^/?]*",
+        before: "https://www.amazon.com/dp/B01/ref=sr_1_1",
+        after: "https://www.amazon.com/dp/B01",
+      },
+    ]);
+  });
+
+  test("records providers skipped because of exceptions", () => {
+    const { trace } = explain("https://mail.google.com/mail/u/0/?ved=1");
+    assert.deepEqual(
+      trace.excepted.map((e) => [e.provider, e.stage, e.exception]),
+      [
+        ["google", "redirect", rulesJson.providers.google.exceptions[0]],
+        ["google", "params", rulesJson.providers.google.exceptions[0]],
+      ]
+    );
+  });
+
+  test("describeTrace renders one line per step and de-duplicates skips", () => {
+    const { trace } = explain("https://mail.google.com/mail/u/0/?utm_source=x");
+    assert.deepEqual(describeTrace(trace), [
+      { kind: "param", text: "Removed ?utm_source — globalRules rules: (?:%3F)?utm(?:_[a-z_]*)?" },
+      { kind: "skip", text: `Skipped google — exception ${rulesJson.providers.google.exceptions[0]}` },
+    ]);
+    assert.deepEqual(describeTrace(undefined), []);
+  });
+});
+
+describe("applyClearUrls — canonicalize", () => {
+  test("is off by default", () => {
+    const url = "https://m.example.com/news/story/amp";
+    assert.equal(applyClearUrls(url, rulesJson).url, url);
+  });
+
+  test("cleans the canonical URL once more and explains each step", () => {
+    const input = "https://www.google.com/amp/s/m.example.com/news/story.amp?utm_source=amp&id=7";
+    const { url, changed, trace } = applyClearUrls(input, rulesJson, { canonicalize: true, explain: true });
+    assert.equal(url, "https://example.com/news/story?id=7");
+    assert.equal(changed, true);
+    assert.deepEqual(
+      trace.canonical.map((c) => c.rule),
+      ["google-amp", "amp-extension", "mobile-host"]
+    );
+    assert.ok(trace.params.some((p) => p.name === "utm_source"));
+    assert.ok(describeTrace(trace).some((l) => l.kind === "canonical" && l.text === "Canonicalized AMP page (google-amp)"));
+  });
+
+  test("keeps the hops of both passes when the canonical URL is a redirect", () => {
+    const target = "https://www.google.com/url?q=https%3A%2F%2Fexample.org%2Fa%3Futm_source%3Dx";
+    const input = target.replace("https://", "https://www.google.com/amp/s/");
+    const { url, hops } = applyClearUrls(input, rulesJson, { canonicalize: true });
+    assert.equal(url, "https://example.org/a");
+    assert.deepEqual(hops, [input, target, "https://example.org/a?utm_source=x"]);
+  });
+
+  test("prefers the page's canonical link on the same site only", () => {
+    const input = "https://www.example.com/p/123?fbclid=1";
+    const same = applyClearUrls(input, rulesJson, {
+      canonicalize: true,
+      canonicalLink: "https://example.com/products/widget?utm_medium=x",
+    });
+    assert.equal(same.url, "https://example.com/products/widget");
+
+    const other = applyClearUrls(input, rulesJson, { canonicalize: true, canonicalLink: "https://elsewhere.test/" });
+    assert.equal(other.url, "https://www.example.com/p/123");
+  });
+});
@@ -0,0 +1,119 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Readable, Writable } from "node:stream";
+import { fileURLToPath } from "node:url";
+
+import { createFakeFetch } from "./helpers/fake-fetch.js";
+import { RULES_FIXTURE_PATH, RULES_FIXTURE_TEXT } from "./helpers/rules-fixture.js";
+import { HASH_URL, RULES_URL } from "../rule-sources.js";
+import { runCli } from "../cli.js";
+
+/** Writable collecting everything written to it. */
+const sink = () => {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, _enc, done) {
+      chunks.push(String(chunk));
+      done();
+    },
+  });
+  stream.text = () => chunks.join("");
+  return stream;
+};
+
+const TTY = Object.assign(Readable.from([]), { isTTY: true });
+
+/** Run the CLI against the fixture rules; returns {code, out, err}. */
+const run = async (argv, stdin = TTY) => {
+  const stdout = sink();
+  const stderr = sink();
+  const code = await runCli(argv, { stdin, stdout, stderr });
+  return { code, out: stdout.text(), err: stderr.text() };
+};
+
+const RULES = ["--rules", fileURLToPath(RULES_FIXTURE_PATH)];
+const FIXTURE_HASH = createHash("sha256").update(RULES_FIXTURE_TEXT).digest("hex");
+const AMAZON = "https://www.amazon.com/dp/B0?tag=aff-20&qid=1#utm_source=x";
+
+describe("nudelink CLI", () => {
+  test("cleans URL arguments with the popup defaults", async () => {
+    const { code, out } = await run([...RULES, AMAZON, "https://example.com/?utm_medium=a&id=2"]);
+    assert.equal(code, 0);
+    assert.equal(out, "https://www.amazon.com/dp/B0\nhttps://example.com/?id=2\n");
+  });
+
+  test("--allow-referral and --keep-hash mirror the popup options", async () => {
+    const { out } = await run([...RULES, "--allow-referral", "--keep-hash", AMAZON]);
+    assert.equal(out, "https://www.amazon.com/dp/B0?tag=aff-20#utm_source=x\n");
+  });
+
+  test("--canonical rewrites AMP and mobile links", async () => {
+    const { out } = await run([...RULES, "--canonical", "https://m.example.com/big-story/amp?utm_source=x"]);
+    assert.equal(out, "https://example.com/big-story\n");
+  });
+
+  test("reads one URL per line from stdin", async () => {
+    const stdin = Readable.from(["https://example.com/?fbclid=1\n\n", "https://example.org/?gclid=2\n"]);
+    const { out } = await run(RULES, stdin);
+    assert.equal(out, "https://example.com/\nhttps://example.org/\n");
+  });
+
+  test("--json reports each URL, including failures", async () => {
+    const google = "https://www.google.com/url?q=https%3A%2F%2Fexample.org%2F&ved=1";
+    const { code, out, err } = await run([...RULES, "--json", google, "not a url"]);
+    assert.equal(code, 1);
+    assert.equal(err, "");
+    assert.deepEqual(JSON.parse(out), [
+      { input: google, url: "https://example.org/", changed: true, hops: [google, "https://example.org/"] },
+      { input: "not a url", url: "not a url", changed: false, error: "Invalid URL" },
+    ]);
+  });
+
+  test("prints usage for bad flags or no input", async () => {
+    assert.equal((await run(["--nope"])).code, 2);
+    const { code, err } = await run([]);
+    assert.equal(code, 2);
+    assert.match(err, /^Usage: nudelink/);
+    assert.match((await run(["--help"])).out, /--allow-referral/);
+  });
+});
+
+describe("nudelink CLI rules", () => {
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = await mkdtemp(join(tmpdir(), "nudelink-cli-"));
+  });
+
+  afterEach(async () => {
+    await rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test("uses the cached rules with a warning when offline", async () => {
+    globalThis.fetch = createFakeFetch({ [HASH_URL]: `${FIXTURE_HASH}\n`, [RULES_URL]: RULES_FIXTURE_TEXT });
+    await run(["--cache-dir", cacheDir, "https://example.com/"]);
+
+    globalThis.fetch = createFakeFetch({});
+    const { code, out, err } = await run(["--refresh", "--cache-dir", cacheDir, "https://example.com/?utm_source=x"]);
+    assert.equal(code, 0);
+    assert.equal(out, "https://example.com/\n");
+    assert.match(err, /using cached rules/);
+  });
+
+  test("--offline never fetches", async () => {
+    const fetch = createFakeFetch({});
+    globalThis.fetch = fetch;
+    await run(["--offline", "--cache-dir", cacheDir, "https://example.com/"]);
+    assert.deepEqual(fetch.calls, []);
+  });
+
+  test("an unreadable --rules file is a rules error", async () => {
+    const { code, err } = await run(["--rules", join(cacheDir, "missing.json"), "https://example.com/"]);
+    assert.equal(code, 2);
+    assert.match(err, /No rules available/);
+  });
+});
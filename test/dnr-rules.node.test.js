@@ -0,0 +1,213 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildDnrRules, buildRestoreRule, collectRegexFilters, expandParamNames } from "../dnr-rules.js";
+import { loadRulesFixture } from "./helpers/rules-fixture.js";
+
+const rulesJson = loadRulesFixture();
+
+// The fixture's redirect captures accept percent-encoded targets; these start
+// with a literal http(s)://, which DNR can unwrap.
+const plainRedirects = {
+  providers: Object.fromEntries(
+    Object.entries(rulesJson.providers).map(([name, p]) => [
+      name,
+      { ...p, redirections: (p.redirections ?? []).map((re) => re.replace("(https?[^&]+)", "(https?:\\/\\/[^&]+)")) },
+    ])
+  ),
+};
+
+const removeParamsOf = (rule) => rule.action.redirect?.transform?.queryTransform?.removeParams;
+
+/** Rules matching a URL, highest priority first (DNR applies the first). */
+const matching = (rules, url) =>
+  rules
+    .filter((r) => !r.condition.regexFilter || new RegExp(r.condition.regexFilter, "i").test(url))
+    .sort((a, b) => b.priority - a.priority);
+
+describe("expandParamNames", () => {
+  test("keeps plain names and strips the (?:%3F)? prefix", () => {
+    assert.deepEqual(expandParamNames("gclid"), ["gclid"]);
+    assert.deepEqual(expandParamNames("(?:%3F)?fbclid"), ["fbclid"]);
+  });
+
+  test("expands small alternations and optional characters", () => {
+    assert.deepEqual(expandParamNames("(?:%3F)?fb_(?:source|ref)"), ["fb_source", "fb_ref"]);
+    assert.deepEqual(expandParamNames("(?:%3F)?ref_?"), ["ref", "ref_"]);
+  });
+
+  test("gives up on open-ended patterns", () => {
+    assert.equal(expandParamNames("(?:%3F)?utm(?:_[a-z_]*)?"), null);
+    assert.equal(expandParamNames("pd_rd_[a-z]*"), null);
+  });
+});
+
+describe("buildDnrRules", () => {
+  const { rules, skipped, partial } = buildDnrRules(plainRedirects);
+
+  test("numbers rules from 1 and fits in the default limits", () => {
+    assert.deepEqual(
+      rules.map((r) => r.id),
+      rules.map((_, i) => i + 1)
+    );
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(partial, []);
+  });
+
+  test("scopes each exception to its own provider's cleaning", () => {
+    const exceptionRules = (name) =>
+      rules.filter((r) => rulesJson.providers[name].exceptions.includes(r.condition.regexFilter));
+    const unwrap = rules.find((r) => r.action.redirect?.regexSubstitution);
+    const siteClean = rules.find((r) => r.condition.regexFilter === rulesJson.providers.amazon.urlPattern);
+    const globalClean = rules.find((r) => removeParamsOf(r) && !r.condition.regexFilter);
+
+    // a site exception outranks unwrapping and site cleaning, but still strips the catch-all names
+    const amazon = exceptionRules("amazon");
+    assert.equal(amazon.length, rulesJson.providers.amazon.exceptions.length);
+    for (const r of amazon) {
+      assert.ok(r.priority > unwrap.priority);
+      assert.deepEqual(removeParamsOf(r), removeParamsOf(globalClean));
+    }
+
+    // a catch-all exception only outranks catch-all cleaning
+    const global = exceptionRules("globalRules");
+    assert.equal(global.length, rulesJson.providers.globalRules.exceptions.length);
+    for (const r of global) {
+      assert.equal(r.action.type, "allow");
+      assert.ok(r.priority > globalClean.priority && r.priority < siteClean.priority);
+    }
+  });
+
+  test("unwraps redirections to an absolute URL with a whole-URL regexSubstitution", () => {
+    const unwrap = rules.filter((r) => r.action.redirect?.regexSubstitution);
+    assert.equal(unwrap.length, 3);
+    for (const r of unwrap) {
+      assert.equal(r.action.redirect.regexSubstitution, "\\1");
+      assert.match(r.condition.regexFilter, /\)\.\*$/);
+      assert.deepEqual(r.condition.resourceTypes, ["main_frame", "sub_frame"]);
+    }
+    const fb = unwrap.find((r) => r.condition.regexFilter.includes("facebook"));
+    const url = "https://l.facebook.com/l.php?u=https://example.org/story&h=AT0";
+    const target = url.replace(new RegExp(fb.condition.regexFilter, "i"), "$1");
+    assert.equal(new URL(target).href, "https://example.org/story");
+  });
+
+  test("leaves redirections that may be percent-encoded to the engine", () => {
+    const { rules: fixtureRules } = buildDnrRules(rulesJson);
+    assert.ok(!fixtureRules.some((r) => r.action.redirect?.regexSubstitution));
+    assert.ok(!collectRegexFilters(rulesJson).some((re) => re.endsWith(").*")));
+  });
+
+  test("site and catch-all names get separate rules", () => {
+    const amazon = rules.find((r) => r.condition.regexFilter === rulesJson.providers.amazon.urlPattern);
+    const names = removeParamsOf(amazon);
+    assert.ok(names.includes("qid"));
+    assert.ok(names.includes("tag"));
+    assert.ok(!names.includes("gclid"));
+
+    const global = rules.find((r) => removeParamsOf(r) && !r.condition.regexFilter);
+    assert.ok(global.priority < amazon.priority);
+    assert.ok(removeParamsOf(global).includes("fbclid"));
+    assert.ok(!removeParamsOf(global).includes("qid"));
+  });
+
+  test("a catch-all exception keeps the catch-all names on a site URL too", () => {
+    const url = "https://accounts.google.com/signin?ved=1&gclid=2";
+    assert.ok(rulesJson.providers.globalRules.exceptions.some((re) => new RegExp(re, "i").test(url)));
+    assert.ok(new RegExp(rulesJson.providers.google.urlPattern, "i").test(url));
+
+    const [top, ...rest] = matching(rules, url);
+    assert.equal(top.condition.regexFilter, rulesJson.providers.google.urlPattern);
+    assert.ok(removeParamsOf(top).includes("ved"));
+    assert.ok(!removeParamsOf(top).includes("gclid"));
+
+    // whatever strips gclid ranks below the exception's allow rule
+    const allow = rest.find((r) => r.action.type === "allow");
+    const gclid = rest.find((r) => removeParamsOf(r)?.includes("gclid"));
+    assert.ok(allow.priority > gclid.priority);
+  });
+
+  test("keeps referral params when allowReferral is set", () => {
+    const { rules: kept } = buildDnrRules(rulesJson, { allowReferral: true });
+    const all = kept.flatMap((r) => removeParamsOf(r) ?? []);
+    assert.ok(!all.includes("tag"));
+    assert.ok(!all.includes("ref"));
+    assert.ok(all.includes("gclid"));
+  });
+
+  test("skips a provider whose exceptions the browser can't run", () => {
+    const unsupported = new Set(rulesJson.providers.google.exceptions.slice(0, 1));
+    const res = buildDnrRules(rulesJson, { isRegexSupported: (re) => !unsupported.has(re) });
+    assert.ok(!res.rules.some((r) => r.condition.regexFilter === rulesJson.providers.google.urlPattern));
+    assert.ok(res.rules.some((r) => r.condition.regexFilter === rulesJson.providers.amazon.urlPattern));
+  });
+
+  test("drops unwrapping first, then whole providers, when over the regex cap", () => {
+    const res = buildDnrRules(plainRedirects, { maxRegexRules: 9 });
+    const regexRules = res.rules.filter((r) => r.condition.regexFilter);
+    assert.ok(regexRules.length <= 9);
+    assert.deepEqual(res.skipped, ["google", "facebook"]);
+    assert.deepEqual(res.partial, ["instagram"]);
+    // a skipped provider leaves no rules behind — never cleaning without its exceptions
+    for (const name of res.skipped) {
+      const { urlPattern, exceptions } = rulesJson.providers[name];
+      assert.ok(!res.rules.some((r) => r.condition.regexFilter === urlPattern));
+      assert.ok(!res.rules.some((r) => exceptions.includes(r.condition.regexFilter)));
+    }
+  });
+
+  test("collectRegexFilters lists every regex the builder may use", () => {
+    const seen = new Set();
+    buildDnrRules(plainRedirects, { isRegexSupported: (re) => (seen.add(re), true) });
+    const collected = new Set(collectRegexFilters(plainRedirects));
+    for (const re of seen) assert.ok(collected.has(re), re);
+  });
+
+  test("an exception every provider shares becomes one allow rule above everything", () => {
+    const shared = "^https?:\\/\\/keep\\.example";
+    const withShared = {
+      providers: Object.fromEntries(
+        Object.entries(rulesJson.providers).map(([n, p]) => [n, { ...p, exceptions: [...p.exceptions, shared] }])
+      ),
+    };
+    const res = buildDnrRules(withShared);
+    const keep = res.rules.filter((r) => r.condition.regexFilter === shared);
+    assert.ok(keep.every((r) => r.action.type === "allow"));
+    const top = Math.max(...keep.map((r) => r.priority));
+    assert.equal(keep.filter((r) => r.priority === top).length, 1);
+    assert.ok(res.rules.every((r) => r.priority <= top));
+  });
+
+  test("leaves out the catch-all names of a skipped catch-all provider", () => {
+    const unsupported = new Set(rulesJson.providers.globalRules.exceptions.slice(0, 1));
+    const res = buildDnrRules(rulesJson, { isRegexSupported: (re) => !unsupported.has(re) });
+    const names = res.rules.flatMap((r) => removeParamsOf(r) ?? []);
+    assert.ok(!names.includes("gclid"));
+    assert.ok(names.includes("qid"));
+    const amazonExceptions = res.rules.filter((r) =>
+      rulesJson.providers.amazon.exceptions.includes(r.condition.regexFilter)
+    );
+    assert.ok(amazonExceptions.length && amazonExceptions.every((r) => r.action.type === "allow"));
+  });
+
+  test("returns nothing for missing rules", () => {
+    assert.deepEqual(buildDnrRules(null), { rules: [], skipped: [], partial: [] });
+  });
+});
+
+describe("buildRestoreRule", () => {
+  test("allows one exact URL (without its fragment) above every auto-clean rule", () => {
+    const rule = buildRestoreRule(1, "https://a.example/p?utm_source=x#frag", 3);
+    assert.deepEqual(rule.condition, {
+      urlFilter: "|https://a.example/p?utm_source=x|",
+      tabIds: [3],
+      resourceTypes: ["main_frame"],
+    });
+    const maxPriority = Math.max(...buildDnrRules(loadRulesFixture()).rules.map((r) => r.priority));
+    assert.ok(rule.priority > maxPriority);
+  });
+
+  test("applies to any tab when none is given", () => {
+    assert.equal("tabIds" in buildRestoreRule(1, "https://a.example/").condition, false);
+  });
+});
@@ -0,0 +1,176 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import { applyClearUrls } from "../clearurls-engine.js";
+import {
+  ERROR_CODES,
+  EXTERNAL_API_VERSION,
+  EXTERNAL_CALLERS_KEY,
+  MAX_BATCH,
+  callerKey,
+  createRateLimiter,
+  isCallerAllowed,
+  isConnectableOrigin,
+  loadExternalCallers,
+  normalizeOrigin,
+  parseExternalRequest,
+  saveExternalCallers,
+  toCleanResult,
+  validateExternalCallers,
+} from "../external-api.js";
+import { loadRulesFixture } from "./helpers/rules-fixture.js";
+
+const chrome = installChromeStub();
+const rulesJson = loadRulesFixture();
+
+const CHROME_ID = "abcdefghijklmnopabcdefghijklmnop";
+
+beforeEach(async () => {
+  await chrome.storage.sync.clear();
+});
+
+describe("caller allowlist", () => {
+  test("normalizeOrigin accepts https origins and http on localhost only", () => {
+    assert.equal(normalizeOrigin(" https://App.Example.com/path?q=1 "), "https://app.example.com");
+    assert.equal(normalizeOrigin("http://localhost:3000/"), "http://localhost:3000");
+    assert.equal(normalizeOrigin("http://app.example.com"), null);
+    assert.equal(normalizeOrigin("app.example.com"), null);
+    assert.equal(normalizeOrigin(undefined), null);
+  });
+
+  test("validateExternalCallers normalizes, dedupes and reports bad entries", () => {
+    assert.deepEqual(
+      validateExternalCallers({
+        extensions: [CHROME_ID, "helper@example.org", CHROME_ID],
+        origins: ["http://localhost:3000/", "http://localhost:3000"],
+      }),
+      { callers: { extensions: [CHROME_ID, "helper@example.org"], origins: ["http://localhost:3000"] }, errors: [] }
+    );
+    assert.deepEqual(validateExternalCallers({ extensions: ["nope"], origins: ["http://example.com"] }).errors, [
+      "extensions[0]: not an extension id: nope",
+      "origins[0]: not an https origin: http://example.com",
+    ]);
+    assert.equal(validateExternalCallers([]).callers, null);
+    assert.deepEqual(validateExternalCallers({ origins: "x" }).errors, ["origins: must be an array"]);
+  });
+
+  test("validateExternalCallers refuses origins the manifest doesn't let message us", () => {
+    assert.deepEqual(validateExternalCallers({ origins: ["https://app.example.com"] }).errors, [
+      "origins[0]: https://app.example.com isn't in externally_connectable.matches of manifest.json " +
+        "(http://localhost/*, http://127.0.0.1/*)",
+    ]);
+    const matches = ["https://*.example.com/*"];
+    assert.deepEqual(validateExternalCallers({ origins: ["https://app.example.com"] }, { matches }).callers, {
+      extensions: [],
+      origins: ["https://app.example.com"],
+    });
+  });
+
+  test("isConnectableOrigin follows match pattern rules", () => {
+    const matches = ["http://localhost/*", "https://*.example.com/*", "https://x.org:8443/*"];
+    assert.ok(isConnectableOrigin("http://localhost:3000", matches));
+    assert.ok(isConnectableOrigin("https://example.com", matches));
+    assert.ok(isConnectableOrigin("https://a.b.example.com", matches));
+    assert.ok(isConnectableOrigin("https://x.org:8443", matches));
+    assert.ok(!isConnectableOrigin("https://localhost", matches));
+    assert.ok(!isConnectableOrigin("https://badexample.com", matches));
+    assert.ok(!isConnectableOrigin("https://x.org", matches));
+    assert.ok(!isConnectableOrigin("https://example.com", []));
+  });
+
+  test("callerKey tells extensions from pages, and isCallerAllowed checks the right list", () => {
+    const callers = { extensions: [CHROME_ID], origins: ["https://app.example.com"] };
+    assert.equal(callerKey({ id: CHROME_ID }), `extension:${CHROME_ID}`);
+    assert.equal(callerKey({ origin: "https://app.example.com", url: "https://app.example.com/a" }), "origin:https://app.example.com");
+    assert.equal(callerKey({ url: "https://app.example.com/a" }), "origin:https://app.example.com");
+    assert.equal(callerKey({}), null);
+
+    assert.ok(isCallerAllowed(`extension:${CHROME_ID}`, callers));
+    assert.ok(isCallerAllowed("origin:https://app.example.com", callers));
+    assert.ok(!isCallerAllowed("origin:https://other.example", callers));
+    assert.ok(!isCallerAllowed(`origin:${CHROME_ID}`, callers));
+    assert.ok(!isCallerAllowed(null, callers));
+  });
+
+  test("saveExternalCallers validates before storing", async () => {
+    assert.deepEqual(await loadExternalCallers(), { extensions: [], origins: [] });
+    assert.equal((await saveExternalCallers({ origins: ["ftp://x"] })).ok, false);
+    assert.equal((await chrome.storage.sync.get(EXTERNAL_CALLERS_KEY))[EXTERNAL_CALLERS_KEY], undefined);
+
+    assert.deepEqual(await saveExternalCallers({ extensions: [CHROME_ID] }), { ok: true, errors: [] });
+    assert.deepEqual(await loadExternalCallers(), { extensions: [CHROME_ID], origins: [] });
+  });
+});
+
+describe("createRateLimiter", () => {
+  test("counts URLs per caller in fixed windows", () => {
+    const limiter = createRateLimiter({ limit: 10, windowMs: 1000 });
+    assert.deepEqual(limiter.take("a", 8, 0), { ok: true, retryAfterMs: 0 });
+    assert.deepEqual(limiter.take("a", 3, 400), { ok: false, retryAfterMs: 600 });
+    assert.equal(limiter.take("a", 2, 500).ok, true);
+    assert.equal(limiter.take("b", 10, 500).ok, true);
+    assert.equal(limiter.take("a", 1, 999).ok, false);
+    assert.equal(limiter.take("a", 10, 1000).ok, true);
+  });
+});
+
+describe("parseExternalRequest", () => {
+  const v = EXTERNAL_API_VERSION;
+
+  test("accepts single and batch requests and keeps the requestId", () => {
+    assert.deepEqual(parseExternalRequest({ type: "NUDELINK_CLEAN_URL", version: v, url: "https://a/" }), {
+      request: { type: "NUDELINK_CLEAN_URL", urls: ["https://a/"], batch: false },
+    });
+    assert.deepEqual(
+      parseExternalRequest({ type: "NUDELINK_CLEAN_URL", version: v, urls: ["https://a/", "https://b/"], requestId: 7 }),
+      { request: { type: "NUDELINK_CLEAN_URL", urls: ["https://a/", "https://b/"], batch: true, requestId: 7 } }
+    );
+    assert.equal(parseExternalRequest({ type: "NUDELINK_API_INFO", version: v }).request.type, "NUDELINK_API_INFO");
+  });
+
+  test("rejects other versions, types and malformed requests with an error code", () => {
+    const code = (msg) => parseExternalRequest(msg).error?.error.code;
+    const unsupported = parseExternalRequest({ type: "NUDELINK_CLEAN_URL", version: 2, url: "https://a/" }).error;
+    assert.deepEqual(unsupported.error.supportedVersions, [1]);
+    assert.equal(unsupported.version, v);
+    assert.equal(code(null), ERROR_CODES.BAD_REQUEST);
+    assert.equal(code({ type: "NUDELINK_CLEAN_URL", url: "https://a/" }), ERROR_CODES.UNSUPPORTED_VERSION);
+    assert.equal(code({ type: "NUDELINK_DEBUG_STATE", version: v }), ERROR_CODES.UNKNOWN_TYPE);
+    assert.equal(code({ type: "NUDELINK_CLEAN_URL", version: v }), ERROR_CODES.BAD_REQUEST);
+    assert.equal(code({ type: "NUDELINK_CLEAN_URL", version: v, url: "https://a/", urls: [] }), ERROR_CODES.BAD_REQUEST);
+    assert.equal(code({ type: "NUDELINK_CLEAN_URL", version: v, urls: [] }), ERROR_CODES.BAD_REQUEST);
+    assert.equal(
+      code({ type: "NUDELINK_CLEAN_URL", version: v, urls: Array(MAX_BATCH + 1).fill("https://a/") }),
+      ERROR_CODES.BAD_REQUEST
+    );
+    assert.equal(
+      parseExternalRequest({ type: "NUDELINK_CLEAN_URL", version: v, urls: ["https://a/", 5] }).error.error.message,
+      "urls[1]: expected a URL string"
+    );
+    assert.equal(code({ type: "NUDELINK_CLEAN_URL", version: v, url: "https://a/", requestId: {} }), ERROR_CODES.BAD_REQUEST);
+  });
+});
+
+describe("toCleanResult", () => {
+  test("describes what changed without exposing the trace", () => {
+    const url = "https://www.google.com/url?q=https%3A%2F%2Fexample.com%2F%3Futm_source%3Dx&sa=D";
+    assert.deepEqual(toCleanResult(url, applyClearUrls(url, rulesJson, { explain: true })), {
+      url,
+      cleaned: "https://example.com/",
+      changed: true,
+      unwrapped: true,
+      removedParams: ["utm_source"],
+      providers: ["google", "globalRules"],
+    });
+    assert.deepEqual(toCleanResult("nope", { url: "nope", changed: false, error: "Invalid URL" }), {
+      url: "nope",
+      cleaned: "nope",
+      changed: false,
+      unwrapped: false,
+      removedParams: [],
+      providers: [],
+      error: "Invalid URL",
+    });
+  });
+});
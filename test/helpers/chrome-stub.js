@@ -0,0 +1,262 @@
+// test/helpers/chrome-stub.js
+// In-memory stand-in for the chrome.* APIs Nudelink touches, so the service
+// worker and the engine can be imported and exercised under plain Node.
+
+import { readFileSync } from "node:fs";
+
+const MANIFEST = JSON.parse(readFileSync(new URL("../../manifest.json", import.meta.url), "utf8"));
+
+/** chrome.events.Event look-alike with a dispatch() hook for tests. */
+const makeEvent = () => {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (fn) => listeners.push(fn),
+    removeListener: (fn) => {
+      const i = listeners.indexOf(fn);
+      if (i !== -1) listeners.splice(i, 1);
+    },
+    hasListener: (fn) => listeners.includes(fn),
+    dispatch: (...args) => listeners.map((fn) => fn(...args)),
+  };
+};
+
+/**
+ * chrome.storage.StorageArea look-alike backed by a plain object.
+ * @param {(changes: object) => void} [onChange] - called with chrome-style {key: {oldValue, newValue}}
+ */
+const makeStorageArea = (onChange) => {
+  let data = {};
+  const clone = (v) => (v === undefined ? v : structuredClone(v));
+  return {
+    get: async (keys) => {
+      if (keys == null) return clone(data);
+      const list = typeof keys === "string" ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const out = {};
+      for (const k of list) {
+        if (k in data) out[k] = clone(data[k]);
+        else if (keys && typeof keys === "object" && !Array.isArray(keys)) out[k] = keys[k];
+      }
+      return out;
+    },
+    set: async (items) => {
+      const changes = {};
+      for (const [k, v] of Object.entries(items)) changes[k] = { oldValue: clone(data[k]), newValue: clone(v) };
+      data = { ...data, ...clone(items) };
+      onChange?.(changes);
+    },
+    remove: async (keys) => {
+      for (const k of [].concat(keys)) delete data[k];
+    },
+    clear: async () => {
+      data = {};
+    },
+  };
+};
+
+/** chrome.alarms look-alike; alarms never fire on their own. */
+const makeAlarms = () => {
+  const alarms = new Map();
+  return {
+    create: (name, info = {}) => {
+      const when = info.when ?? Date.now() + (info.delayInMinutes ?? info.periodInMinutes ?? 0) * 60_000;
+      alarms.set(name, { name, scheduledTime: when, periodInMinutes: info.periodInMinutes });
+    },
+    get: async (name) => alarms.get(name),
+    getAll: async () => [...alarms.values()],
+    clear: async (name) => alarms.delete(name),
+    clearAll: async () => {
+      alarms.clear();
+      return true;
+    },
+    onAlarm: makeEvent(),
+  };
+};
+
+/**
+ * chrome.declarativeNetRequest look-alike holding dynamic and session rules in memory.
+ * isRegexSupported rejects what RE2 can't do (lookarounds, backreferences).
+ */
+const makeDeclarativeNetRequest = () => {
+  let dynamicRules = [];
+  let sessionRules = [];
+  return {
+    MAX_NUMBER_OF_REGEX_RULES: 1000,
+    MAX_NUMBER_OF_DYNAMIC_RULES: 5000,
+    getDynamicRules: async () => structuredClone(dynamicRules),
+    updateDynamicRules: async ({ removeRuleIds = [], addRules = [] } = {}) => {
+      const next = dynamicRules.filter((r) => !removeRuleIds.includes(r.id));
+      for (const rule of addRules) {
+        if (next.some((r) => r.id === rule.id)) throw new Error(`Rule with id ${rule.id} already exists`);
+        next.push(structuredClone(rule));
+      }
+      dynamicRules = next;
+    },
+    getSessionRules: async () => structuredClone(sessionRules),
+    updateSessionRules: async ({ removeRuleIds = [], addRules = [] } = {}) => {
+      sessionRules = [...sessionRules.filter((r) => !removeRuleIds.includes(r.id)), ...structuredClone(addRules)];
+    },
+    isRegexSupported: async ({ regex }) =>
+      /\(\?[=!<]|\[1-9]/.test(regex) ? { isSupported: false, reason: "syntaxError" } : { isSupported: true },
+  };
+};
+
+/**
+ * Build a fresh chrome.* stub.
+ * @returns {object} chrome-like namespace
+ */
+export const createChromeStub = () => {
+  const onChanged = makeEvent();
+  const area = (name) => makeStorageArea((changes) => onChanged.dispatch(changes, name));
+  return {
+    storage: {
+      local: area("local"),
+      sync: area("sync"),
+      managed: area("managed"), // read-only in Chrome; tests set the policy with set()
+      onChanged,
+    },
+    alarms: makeAlarms(),
+    declarativeNetRequest: makeDeclarativeNetRequest(),
+    contextMenus: {
+      items: new Map(),
+      create(props) {
+        this.items.set(props.id, props);
+        return props.id;
+      },
+      async removeAll() {
+        this.items.clear();
+      },
+      onClicked: makeEvent(),
+    },
+    offscreen: {
+      documents: [],
+      async hasDocument() {
+        return this.documents.length > 0;
+      },
+      async createDocument(params) {
+        if (this.documents.length) throw new Error("Only a single offscreen document may be created.");
+        this.documents.push(params);
+      },
+    },
+    action: {
+      badge: {},
+      async setBadgeText({ text, tabId }) {
+        this.badge[tabId ?? "global"] = { ...this.badge[tabId ?? "global"], text };
+      },
+      async setTitle({ title, tabId }) {
+        this.badge[tabId ?? "global"] = { ...this.badge[tabId ?? "global"], title };
+      },
+      async setBadgeBackgroundColor({ color, tabId }) {
+        this.badge[tabId ?? "global"] = { ...this.badge[tabId ?? "global"], color };
+      },
+    },
+    permissions: {
+      request: async () => true,
+      contains: async () => true,
+    },
+    scripting: {
+      registered: [],
+      async getRegisteredContentScripts({ ids } = {}) {
+        return structuredClone(this.registered.filter((s) => !ids || ids.includes(s.id)));
+      },
+      async registerContentScripts(scripts) {
+        for (const s of scripts) {
+          if (this.registered.some((r) => r.id === s.id)) throw new Error(`Duplicate script ID '${s.id}'`);
+        }
+        this.registered.push(...structuredClone(scripts));
+      },
+      async unregisterContentScripts({ ids } = {}) {
+        this.registered = this.registered.filter((s) => ids && !ids.includes(s.id));
+      },
+    },
+    commands: {
+      onCommand: makeEvent(),
+    },
+    webRequest: {
+      onHeadersReceived: makeEvent(),
+    },
+    omnibox: {
+      defaultSuggestion: null,
+      setDefaultSuggestion(suggestion) {
+        this.defaultSuggestion = suggestion;
+      },
+      onInputChanged: makeEvent(),
+      onInputEntered: makeEvent(),
+    },
+    runtime: {
+      onInstalled: makeEvent(),
+      onStartup: makeEvent(),
+      onMessage: makeEvent(),
+      onMessageExternal: makeEvent(),
+      sendMessage: async () => undefined,
+      getURL: (path) => `chrome-extension://nudelink/${path}`,
+      getManifest: () => structuredClone(MANIFEST),
+    },
+    tabs: {
+      opened: [],
+      messages: [],
+      query: async () => [],
+      // Records what was sent; replace it to simulate tabs without a listener (Chrome rejects)
+      async sendMessage(tabId, msg) {
+        this.messages.push({ tabId, msg });
+      },
+      async create({ url, active = true }) {
+        const tab = { id: 100 + this.opened.length, url, active };
+        this.opened.push(tab);
+        return tab;
+      },
+      // update(props) targets the active tab, reported as id 1
+      async update(tabId, props) {
+        const { url } = typeof tabId === "object" ? tabId : props;
+        const tab = { id: typeof tabId === "number" ? tabId : 1, url };
+        this.opened.push(tab);
+        return tab;
+      },
+    },
+  };
+};
+
+/**
+ * Build a Firefox-flavored stub (the `browser` namespace): the same APIs minus
+ * Chrome-only ones, plus runtime.getBrowserInfo.
+ * @returns {object} browser-like namespace
+ */
+export const createFirefoxStub = () => {
+  const { offscreen: _chromeOnly, ...api } = createChromeStub();
+  api.runtime.getBrowserInfo = async () => ({ name: "Firefox", vendor: "Mozilla", version: "128.0" });
+  api.runtime.getURL = (path) => `moz-extension://nudelink/${path}`;
+  return api;
+};
+
+/**
+ * Install a stub as globalThis.chrome (idempotent) and return it.
+ * @returns {object}
+ */
+export const installChromeStub = () => {
+  if (!globalThis.chrome) globalThis.chrome = createChromeStub();
+  return globalThis.chrome;
+};
+
+/**
+ * Deliver a runtime message the way Chrome would and resolve with the response.
+ * @param {object} chrome - stub returned by installChromeStub()
+ * @param {object} msg
+ * @param {object} [sender] - runtime.MessageSender; the popup by default
+ * @returns {Promise<any>}
+ */
+export const sendRuntimeMessage = (chrome, msg, sender = { url: chrome.runtime.getURL("popup.html") }) =>
+  new Promise((resolve) => {
+    chrome.runtime.onMessage.dispatch(msg, sender, resolve);
+  });
+
+/**
+ * Deliver a message from another extension or a web page (onMessageExternal).
+ * @param {object} chrome - stub returned by installChromeStub()
+ * @param {object} msg
+ * @param {object} sender - e.g. {id} or {origin, url}
+ * @returns {Promise<any>}
+ */
+export const sendExternalMessage = (chrome, msg, sender) =>
+  new Promise((resolve) => {
+    chrome.runtime.onMessageExternal.dispatch(msg, sender, resolve);
+  });
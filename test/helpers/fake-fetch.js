@@ -0,0 +1,26 @@
+// test/helpers/fake-fetch.js
+// Minimal fetch() replacement serving canned bodies per URL.
+
+/**
+ * Create a fetch-compatible function.
+ * Routes map a URL to a body string, a {status, body, headers} object, or a function
+ * returning either (called per request). Unknown URLs reject like a network error.
+ *
+ * @param {Record<string, string|{status?:number, body?:string, headers?:object}|Function>} routes
+ * @returns {Function & {calls: string[], routes: object}}
+ */
+export const createFakeFetch = (routes = {}) => {
+  const fakeFetch = async (url) => {
+    const key = String(url);
+    fakeFetch.calls.push(key);
+    let route = fakeFetch.routes[key];
+    if (typeof route === "function") route = route();
+    if (route === undefined) throw new TypeError(`fetch failed: ${key}`);
+
+    const { status = 200, body = "", headers } = typeof route === "string" ? { body: route } : route;
+    return new Response(body, { status, headers });
+  };
+  fakeFetch.calls = [];
+  fakeFetch.routes = routes;
+  return fakeFetch;
+};
@@ -0,0 +1,43 @@
+// test/helpers/rules-fixture.js
+// Vendored snapshot of the ClearURLs rules (subset of data.minify.json) so the
+// suite never needs rules2.clearurls.xyz.
+
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+
+export const RULES_FIXTURE_PATH = new URL("../fixtures/clearurls-rules.json", import.meta.url);
+
+/** Raw text of the fixture, exactly as a rules server would serve it. */
+export const RULES_FIXTURE_TEXT = readFileSync(RULES_FIXTURE_PATH, "utf8");
+
+/** Fresh parsed copy of the fixture (safe to mutate per test). */
+export const loadRulesFixture = () => JSON.parse(RULES_FIXTURE_TEXT);
+
+/**
+ * fake-fetch routes serving the fixture where the extension's bundled snapshot
+ * (rules/) lives, at the URLs the chrome stub's runtime.getURL() produces. The
+ * shipped snapshot is refreshed from upstream, so tests never read it.
+ * @param {string} [text] - rules JSON to serve instead of the fixture
+ * @returns {Record<string, string>}
+ */
+export const bundledRulesRoutes = (text = RULES_FIXTURE_TEXT) => ({
+  "chrome-extension://nudelink/rules/bundled.minify.json": text,
+  "chrome-extension://nudelink/rules/bundled.minify.hash": `${createHash("sha256").update(text).digest("hex")}\n`,
+});
+
+/**
+ * Lay the fixture out as a bundled snapshot (rules/ + hash) under dir, for
+ * node-rules' bundledRoot.
+ * @param {string} dir
+ * @returns {Promise<URL>} the root to pass as bundledRoot
+ */
+export const writeBundledRules = async (dir) => {
+  await mkdir(join(dir, "rules"));
+  const hash = createHash("sha256").update(RULES_FIXTURE_TEXT).digest("hex");
+  await writeFile(join(dir, "rules", "bundled.minify.json"), RULES_FIXTURE_TEXT);
+  await writeFile(join(dir, "rules", "bundled.minify.hash"), `${hash}\n`);
+  return pathToFileURL(`${dir}/`);
+};
@@ -0,0 +1,91 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import {
+  LINK_HISTORY_KEY,
+  addEntry,
+  clearLinkHistory,
+  findByCleaned,
+  loadLinkHistory,
+  matchedProvider,
+  recordCleaning,
+  removeHistoryEntry,
+  searchHistory,
+} from "../link-history.js";
+
+const chrome = installChromeStub();
+
+const ON = { keepHistory: true, removeReferral: true, cleanHash: false };
+const entry = (original, cleaned, extra = {}) => ({ id: original, ts: 1, original, cleaned, provider: null, ...extra });
+
+beforeEach(async () => {
+  await chrome.storage.local.clear();
+});
+
+describe("pure helpers", () => {
+  test("matchedProvider prefers unwrapping, then params, then rawRules", () => {
+    assert.equal(matchedProvider(null), null);
+    assert.equal(matchedProvider({ redirections: [], params: [{ provider: "p" }], rawRules: [{ provider: "r" }] }), "p");
+    assert.equal(matchedProvider({ redirections: [{ provider: "g" }], params: [{ provider: "p" }] }), "g");
+    assert.equal(matchedProvider({ redirections: [], params: [], rawRules: [{ provider: "r" }] }), "r");
+  });
+
+  test("addEntry moves a repeated cleaning to the top and caps the list", () => {
+    let list = [];
+    list = addEntry(list, entry("a?x", "a"));
+    list = addEntry(list, entry("b?x", "b"));
+    list = addEntry(list, entry("a?x", "a", { ts: 2 }));
+    assert.deepEqual(list.map((e) => [e.original, e.ts]), [["a?x", 2], ["b?x", 1]]);
+    assert.equal(addEntry(list, entry("c?x", "c"), 2).length, 2);
+  });
+
+  test("searchHistory matches every term in URLs or provider", () => {
+    const list = [
+      entry("https://shop.example/?tag=1", "https://shop.example/", { provider: "amazon" }),
+      entry("https://news.example/?utm_source=x", "https://news.example/", { provider: "globalRules" }),
+    ];
+    assert.equal(searchHistory(list, "").length, 2);
+    assert.deepEqual(searchHistory(list, "AMAZON").map((e) => e.provider), ["amazon"]);
+    assert.deepEqual(searchHistory(list, "news utm").map((e) => e.provider), ["globalRules"]);
+    assert.deepEqual(searchHistory(list, "news amazon"), []);
+  });
+
+  test("findByCleaned finds the original of a cleaned link", () => {
+    const list = [entry("https://a/?x=1", "https://a/"), entry("https://b/", "https://b/")];
+    assert.equal(findByCleaned(list, "https://a/").original, "https://a/?x=1");
+    assert.equal(findByCleaned(list, "https://b/"), null);
+    assert.equal(findByCleaned(list, "https://c/"), null);
+  });
+});
+
+describe("storage", () => {
+  test("records changed links with the options used", async () => {
+    const saved = await recordCleaning({ original: "https://a/?x=1", cleaned: "https://a/", provider: "p", via: "popup" }, ON);
+    assert.equal(typeof saved.id, "string");
+    assert.deepEqual(saved.options, { removeReferral: true, cleanHash: false });
+    assert.deepEqual(await loadLinkHistory(), [saved]);
+  });
+
+  test("records nothing when off or unchanged", async () => {
+    assert.equal(await recordCleaning({ original: "https://a/?x", cleaned: "https://a/", via: "popup" }, { keepHistory: false }), null);
+    assert.equal(await recordCleaning({ original: "https://a/", cleaned: "https://a/", via: "popup" }, ON), null);
+    assert.equal(await chrome.storage.local.get(LINK_HISTORY_KEY).then((r) => r[LINK_HISTORY_KEY]), undefined);
+  });
+
+  test("keeps every link recorded at the same time", async () => {
+    await Promise.all(
+      ["a", "b", "c"].map((h) => recordCleaning({ original: `https://${h}/?x`, cleaned: `https://${h}/`, via: "menu" }, ON))
+    );
+    assert.deepEqual((await loadLinkHistory()).map((e) => e.original).sort(), ["https://a/?x", "https://b/?x", "https://c/?x"]);
+  });
+
+  test("removes one entry or everything", async () => {
+    const a = await recordCleaning({ original: "https://a/?x", cleaned: "https://a/", via: "popup" }, ON);
+    await recordCleaning({ original: "https://b/?x", cleaned: "https://b/", via: "menu" }, ON);
+    await removeHistoryEntry(a.id);
+    assert.deepEqual((await loadLinkHistory()).map((e) => e.original), ["https://b/?x"]);
+    await clearLinkHistory();
+    assert.deepEqual(await loadLinkHistory(), []);
+  });
+});
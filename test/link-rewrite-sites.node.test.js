@@ -0,0 +1,71 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import {
+  REWRITE_SITES_KEY,
+  loadRewriteSites,
+  rewriteEnabledFor,
+  rewriterMatches,
+  saveRewriteSites,
+  validateRewriteSites,
+} from "../link-rewrite-sites.js";
+
+const chrome = installChromeStub();
+
+beforeEach(async () => {
+  await chrome.storage.sync.clear();
+});
+
+describe("validateRewriteSites", () => {
+  test("normalizes and dedupes hosts", () => {
+    assert.deepEqual(
+      validateRewriteSites({ enabled: ["https://www.Facebook.com/x", "*.facebook.com", "www.facebook.com"] }),
+      { sites: { enabled: ["www.facebook.com", "facebook.com"], disabled: [] }, errors: [] }
+    );
+  });
+
+  test("reports bad entries with their path", () => {
+    assert.deepEqual(validateRewriteSites({ enabled: "x", disabled: ["ok.com", "not a host"] }).errors, [
+      "enabled: must be an array of hostnames",
+      "disabled[1]: not a hostname: not a host",
+    ]);
+    assert.equal(validateRewriteSites([]).sites, null);
+  });
+});
+
+describe("where links are rewritten", () => {
+  const sites = { enabled: ["facebook.com"], disabled: ["mail.example.com", "business.facebook.com"] };
+
+  test("per-site entries cover subdomains and 'never' wins", () => {
+    assert.equal(rewriteEnabledFor("m.facebook.com", false, sites), true);
+    assert.equal(rewriteEnabledFor("business.facebook.com", false, sites), false);
+    assert.equal(rewriteEnabledFor("news.example.com", false, sites), false);
+    assert.equal(rewriteEnabledFor("news.example.com", true, sites), true);
+    assert.equal(rewriteEnabledFor("mail.example.com", true, sites), false);
+  });
+
+  test("match patterns follow the option and the lists", () => {
+    assert.deepEqual(rewriterMatches(false, sites), {
+      matches: ["*://*.facebook.com/*"],
+      excludeMatches: ["*://*.mail.example.com/*", "*://*.business.facebook.com/*"],
+    });
+    assert.deepEqual(rewriterMatches(true, { enabled: [], disabled: [] }), { matches: ["http://*/*", "https://*/*"] });
+    assert.equal(rewriterMatches(false, { enabled: ["a.com"], disabled: ["a.com"] }), null);
+    assert.equal(rewriterMatches(false, { enabled: [], disabled: ["a.com"] }), null);
+  });
+});
+
+describe("storage", () => {
+  test("loadRewriteSites defaults to empty lists", async () => {
+    assert.deepEqual(await loadRewriteSites(), { enabled: [], disabled: [] });
+  });
+
+  test("saveRewriteSites validates before persisting", async () => {
+    assert.equal((await saveRewriteSites({ enabled: ["bad host"] })).ok, false);
+    assert.deepEqual(await chrome.storage.sync.get(REWRITE_SITES_KEY), {});
+
+    assert.deepEqual(await saveRewriteSites({ disabled: ["Example.com"] }), { ok: true, errors: [] });
+    assert.deepEqual(await loadRewriteSites(), { enabled: [], disabled: ["example.com"] });
+  });
+});
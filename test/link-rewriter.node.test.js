@@ -0,0 +1,93 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import { loadRulesFixture } from "./helpers/rules-fixture.js";
+import { compileRules } from "../clearurls-engine.js";
+import { cleanCopiedSelection, cleanLink, rewriteAnchor, rewriteLinksIn } from "../link-rewriter.js";
+
+installChromeStub();
+
+const rules = compileRules(loadRulesFixture());
+const clean = (href) => cleanLink(href, rules);
+
+/** Just enough of an <a>/<area> element: resolved href, attributes, selector checks. */
+const fakeLink = (href, tag = "a") => {
+  const el = {
+    tag,
+    attrs: { href },
+    get href() {
+      return new URL(this.attrs.href, "https://page.example/dir/").href;
+    },
+    matches: (selector) => selector.split(",").some((s) => s.trim() === `${tag}[href]`),
+    setAttribute(name, value) {
+      this.attrs[name] = value;
+    },
+  };
+  return el;
+};
+
+const fakeRoot = (links) => ({ querySelectorAll: () => links });
+
+describe("rewriteAnchor", () => {
+  test("replaces tracked hrefs with the cleaned URL", () => {
+    const a = fakeLink("https://example.com/a?utm_source=x&id=1");
+    assert.equal(rewriteAnchor(a, clean), true);
+    assert.equal(a.attrs.href, "https://example.com/a?id=1");
+    assert.equal(rewriteAnchor(a, clean), false); // our own write comes back clean
+  });
+
+  test("leaves untouched hrefs byte-identical", () => {
+    const href = "https://example.com/?q=a,b&x=%20y";
+    const a = fakeLink(href);
+    assert.equal(cleanLink(href, rules), null);
+    assert.equal(rewriteAnchor(a, clean), false);
+    assert.equal(a.attrs.href, href);
+  });
+
+  test("unwraps redirect links such as Facebook's l.php", () => {
+    const a = fakeLink("https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.org%2Fstory%3Ffbclid%3D1&h=AT0");
+    rewriteAnchor(a, clean);
+    assert.equal(a.attrs.href, "https://example.org/story");
+  });
+
+  test("resolves relative hrefs and leaves other schemes and elements alone", () => {
+    const relative = fakeLink("page?gclid=1");
+    rewriteAnchor(relative, clean);
+    assert.equal(relative.attrs.href, "https://page.example/dir/page");
+
+    const mail = fakeLink("mailto:a@example.com?utm_source=x");
+    assert.equal(rewriteAnchor(mail, clean), false);
+    assert.equal(rewriteAnchor(fakeLink("https://example.com/?fbclid=1", "link"), clean), false);
+  });
+});
+
+describe("rewriteLinksIn", () => {
+  test("counts the links it changed, the root included", () => {
+    const root = fakeLink("https://a.com/?fbclid=1");
+    const children = [fakeLink("https://b.com/?id=1"), fakeLink("https://c.com/?gclid=2", "area")];
+    root.querySelectorAll = () => children;
+    assert.equal(rewriteLinksIn(root, clean), 2);
+    assert.equal(rewriteLinksIn(fakeRoot([]), clean), 0);
+  });
+});
+
+describe("cleanCopiedSelection", () => {
+  test("cleans links in both the text and the HTML flavor", () => {
+    const res = cleanCopiedSelection(
+      {
+        text: "Read https://example.com/a?utm_source=x&id=1 now",
+        html: 'Read <a href="https://example.com/a?utm_source=x&amp;id=1">this</a> now',
+      },
+      rules
+    );
+    assert.deepEqual(res, {
+      text: "Read https://example.com/a?id=1 now",
+      html: 'Read <a href="https://example.com/a?id=1">this</a> now',
+    });
+  });
+
+  test("returns null when nothing changes, so the page's own copy goes through", () => {
+    assert.equal(cleanCopiedSelection({ text: "plain https://example.com/a", html: "" }, rules), null);
+  });
+});
@@ -0,0 +1,144 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import { loadRulesFixture } from "./helpers/rules-fixture.js";
+import { EMPTY_POLICY, describePolicy, loadManagedPolicy, validatePolicy } from "../managed-config.js";
+import { DEFAULT_OPTS, applyPolicy, loadOptions, saveOptions } from "../settings.js";
+import { applyClearUrls, loadCompiledRules } from "../clearurls-apply.js";
+import { saveRulesPayload } from "../rule-store.js";
+
+const chrome = installChromeStub();
+
+const schema = JSON.parse(readFileSync(new URL("../managed-schema.json", import.meta.url), "utf8"));
+
+const orgRules = {
+  providers: { intranet: { urlPattern: "^https?:\\/\\/wiki\\.corp\\.example", rules: ["src"] } },
+  allowlist: ["payroll.corp.example"],
+};
+
+beforeEach(async () => {
+  await chrome.storage.sync.clear();
+  await chrome.storage.managed.clear();
+});
+
+describe("validatePolicy", () => {
+  test("keeps the valid parts and reports the rest", () => {
+    const { policy, errors } = validatePolicy({
+      options: { removeReferral: false, cleanHash: "yes" },
+      lockedOptions: ["removeReferral", 3],
+      rulesUrl: "ftp://rules",
+      hashUrl: "https://rules.corp.example/x.hash",
+      organizationRules: orgRules,
+    });
+    assert.deepEqual(policy, {
+      ...EMPTY_POLICY,
+      options: { removeReferral: false },
+      lockedOptions: ["removeReferral"],
+      hashUrl: "https://rules.corp.example/x.hash",
+      organizationRules: orgRules,
+    });
+    assert.deepEqual(errors, [
+      "options.cleanHash: must be true or false",
+      "rulesUrl: must be an http(s) URL",
+      "hashUrl: ignored without rulesUrl",
+    ]);
+  });
+
+  test("drops invalid organization rules", () => {
+    const { policy, errors } = validatePolicy({ organizationRules: { allowlist: ["not a host!"] } });
+    assert.equal(policy.organizationRules, null);
+    assert.deepEqual(errors, ["organizationRules: allowlist[0]: not a hostname: not a host!"]);
+  });
+
+  test("no policy is the empty policy", () => {
+    assert.deepEqual(validatePolicy(undefined), { policy: EMPTY_POLICY, errors: [] });
+    assert.deepEqual(validatePolicy({}).policy, EMPTY_POLICY);
+  });
+});
+
+describe("loadManagedPolicy", () => {
+  test("reads chrome.storage.managed", async () => {
+    await chrome.storage.managed.set({ lockedOptions: ["keepHistory"] });
+    assert.deepEqual((await loadManagedPolicy()).lockedOptions, ["keepHistory"]);
+  });
+
+  test("is empty where managed storage is missing or fails (Firefox without a policy)", async () => {
+    const managed = chrome.storage.managed;
+    try {
+      chrome.storage.managed = {
+        get: async () => {
+          throw new Error("Managed storage manifest not found");
+        },
+      };
+      assert.equal(await loadManagedPolicy(), EMPTY_POLICY);
+      delete chrome.storage.managed;
+      assert.equal(await loadManagedPolicy(), EMPTY_POLICY);
+    } finally {
+      chrome.storage.managed = managed;
+    }
+  });
+});
+
+describe("describePolicy", () => {
+  test("lists what the organization manages", () => {
+    const { policy } = validatePolicy({
+      lockedOptions: ["removeReferral", "autoClean"],
+      rulesUrl: "https://rules.corp.example/clearurls.json",
+      organizationRules: orgRules,
+    });
+    assert.deepEqual(describePolicy(policy), [
+      "Locked options: removeReferral, autoClean",
+      "Rules come from rules.corp.example",
+      "1 organization rule(s) apply on top of yours",
+      "1 site(s) are never cleaned",
+    ]);
+    assert.deepEqual(describePolicy(EMPTY_POLICY), []);
+  });
+});
+
+describe("managed-schema.json", () => {
+  test("covers every option", () => {
+    assert.deepEqual(Object.keys(schema.properties.options.properties).sort(), Object.keys(DEFAULT_OPTS).sort());
+    assert.deepEqual(schema.properties.lockedOptions.items.enum.sort(), Object.keys(DEFAULT_OPTS).sort());
+  });
+});
+
+describe("options under a policy", () => {
+  test("applyPolicy: managed values replace defaults; locked ones also the user's choice", () => {
+    const policy = {
+      options: { cleanHash: false, keepHistory: false, unknown: true },
+      lockedOptions: ["keepHistory", "removeReferral"],
+    };
+    const opts = applyPolicy({ cleanHash: true, keepHistory: true, removeReferral: false }, policy);
+    assert.equal(opts.cleanHash, true); // preset, but the user changed it
+    assert.equal(opts.keepHistory, false); // locked at the managed value
+    assert.equal(opts.removeReferral, true); // locked at the default
+    assert.equal("unknown" in opts, false);
+  });
+
+  test("loadOptions applies the policy and saveOptions leaves locked options alone", async () => {
+    await chrome.storage.managed.set({ options: { removeReferral: false }, lockedOptions: ["removeReferral"] });
+    await saveOptions({ removeReferral: true, cleanHash: false });
+    assert.deepEqual(await chrome.storage.sync.get(null), { cleanHash: false });
+
+    const opts = await loadOptions();
+    assert.equal(opts.removeReferral, false);
+    assert.equal(opts.cleanHash, false);
+  });
+});
+
+describe("organization rules", () => {
+  test("clean alongside the stored rules and are picked up when the policy changes", async () => {
+    await saveRulesPayload({ rules: loadRulesFixture(), hash: "h-managed", ts: 1, sources: ["clearurls"] });
+    const url = "https://wiki.corp.example/page?src=mail&id=1";
+    assert.equal(applyClearUrls(url, await loadCompiledRules()).url, url);
+
+    await chrome.storage.managed.set({ organizationRules: orgRules });
+    const rules = await loadCompiledRules();
+    assert.equal(applyClearUrls(url, rules).url, "https://wiki.corp.example/page?id=1");
+    const payroll = "https://payroll.corp.example/?utm_source=x";
+    assert.equal(applyClearUrls(payroll, rules).changed, false);
+  });
+});
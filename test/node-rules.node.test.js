@@ -0,0 +1,117 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { createFakeFetch } from "./helpers/fake-fetch.js";
+import {
+  RULES_FIXTURE_PATH,
+  RULES_FIXTURE_TEXT,
+  loadRulesFixture,
+  writeBundledRules,
+} from "./helpers/rules-fixture.js";
+import { HASH_URL, RULES_URL } from "../rule-sources.js";
+import { CACHE_FILE, defaultCacheDir, loadNodeRules, loadRulesFile, readBundledRules } from "../node-rules.js";
+
+const FIXTURE_HASH = createHash("sha256").update(RULES_FIXTURE_TEXT).digest("hex");
+
+const serveRules = ({ hash = FIXTURE_HASH } = {}) =>
+  (globalThis.fetch = createFakeFetch({ [HASH_URL]: `${hash}\n`, [RULES_URL]: RULES_FIXTURE_TEXT }));
+
+let cacheDir;
+const readCache = async () => JSON.parse(await readFile(join(cacheDir, CACHE_FILE), "utf8"));
+
+beforeEach(async () => {
+  cacheDir = await mkdtemp(join(tmpdir(), "nudelink-"));
+});
+
+afterEach(async () => {
+  await rm(cacheDir, { recursive: true, force: true });
+});
+
+describe("loadNodeRules", () => {
+  test("downloads, verifies and caches rules on disk", async () => {
+    serveRules();
+    const res = await loadNodeRules({ cacheDir });
+    assert.equal(res.origin, "download");
+    assert.deepEqual(res.rules, loadRulesFixture());
+
+    const cached = await readCache();
+    assert.equal(cached.hash, FIXTURE_HASH);
+    assert.equal(typeof cached.checkedTs, "number");
+  });
+
+  test("trusts a fresh cache without touching the network", async () => {
+    serveRules();
+    await loadNodeRules({ cacheDir });
+
+    const fetch = serveRules();
+    assert.equal((await loadNodeRules({ cacheDir })).origin, "cache");
+    assert.deepEqual(fetch.calls, []);
+  });
+
+  test("refresh only re-downloads when the hash changed", async () => {
+    serveRules();
+    await loadNodeRules({ cacheDir });
+
+    const fetch = serveRules();
+    const res = await loadNodeRules({ cacheDir, refresh: true });
+    assert.equal(res.origin, "cache");
+    assert.deepEqual(fetch.calls, [HASH_URL]);
+  });
+
+  test("rejects a bad download and falls back to the bundled snapshot", async () => {
+    serveRules({ hash: "0".repeat(64) });
+    const bundledRoot = await writeBundledRules(cacheDir);
+    const res = await loadNodeRules({ cacheDir, bundledRoot });
+    assert.equal(res.origin, "bundled");
+    assert.deepEqual(res.rules, loadRulesFixture());
+    assert.match(res.warning, /integrity check failed/);
+    await assert.rejects(readCache());
+  });
+
+  test("keeps using a stale cache when offline", async () => {
+    serveRules();
+    await loadNodeRules({ cacheDir });
+
+    globalThis.fetch = createFakeFetch({});
+    const res = await loadNodeRules({ cacheDir, maxAgeMs: 0 });
+    assert.equal(res.origin, "cache");
+    assert.match(res.warning, /fetch failed/);
+
+    const fetch = createFakeFetch({});
+    globalThis.fetch = fetch;
+    assert.equal((await loadNodeRules({ cacheDir, offline: true })).origin, "cache");
+    assert.deepEqual(fetch.calls, []);
+  });
+});
+
+describe("rule files", () => {
+  test("readBundledRules verifies the snapshot against its hash", async () => {
+    const root = await writeBundledRules(cacheDir);
+    assert.deepEqual(await readBundledRules(root), { rules: loadRulesFixture(), hash: FIXTURE_HASH });
+
+    await writeFile(join(cacheDir, "rules", "bundled.minify.hash"), "0".repeat(64));
+    await assert.rejects(readBundledRules(root), /integrity check failed/);
+  });
+
+  test("readBundledRules points at rules:bundle when there is no snapshot", async () => {
+    await assert.rejects(readBundledRules(pathToFileURL(`${cacheDir}/`)), /npm run rules:bundle/);
+  });
+
+  test("loadRulesFile reads a ClearURLs file and rejects others", async () => {
+    assert.deepEqual(await loadRulesFile(RULES_FIXTURE_PATH), loadRulesFixture());
+
+    const bad = join(cacheDir, "bad.json");
+    await writeFile(bad, "[]");
+    await assert.rejects(loadRulesFile(bad), /has no providers/);
+    await assert.rejects(loadRulesFile(join(cacheDir, "missing.json")), /Cannot read rules file/);
+  });
+
+  test("defaultCacheDir honours XDG_CACHE_HOME", () => {
+    assert.equal(defaultCacheDir({ XDG_CACHE_HOME: "/x" }), join("/x", "nudelink"));
+  });
+});
@@ -0,0 +1,175 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import { createFakeFetch } from "./helpers/fake-fetch.js";
+import { bundledRulesRoutes, loadRulesFixture } from "./helpers/rules-fixture.js";
+import { compileRules } from "../clearurls-engine.js";
+import { BUNDLED_HASH_PATH, BUNDLED_RULES_PATH } from "../rule-sources.js";
+import {
+  cleanPastedData,
+  pasteTarget,
+  sanitizePastedHtml,
+  serializeSafeHtml,
+  startPasteCleaner,
+  toastText,
+} from "../paste-cleaner.js";
+
+const chrome = installChromeStub();
+
+const rules = compileRules(loadRulesFixture());
+
+/** Just enough of an element for pasteTarget(). */
+const fakeElement = (localName, props = {}) => ({ nodeType: 1, localName, isContentEditable: false, ...props });
+
+describe("pasteTarget", () => {
+  test("accepts text fields and textareas", () => {
+    for (const el of [
+      fakeElement("textarea"),
+      fakeElement("input", { type: "text" }),
+      fakeElement("input", { type: "url" }),
+      fakeElement("input", { type: "search" }),
+    ]) {
+      assert.deepEqual(pasteTarget(el), { el, kind: "field" });
+    }
+  });
+
+  test("accepts contenteditable editors, also through a text node inside them", () => {
+    const editor = fakeElement("div", { isContentEditable: true });
+    assert.deepEqual(pasteTarget(editor), { el: editor, kind: "editor" });
+    assert.deepEqual(pasteTarget({ nodeType: 3, parentElement: editor }), { el: editor, kind: "editor" });
+  });
+
+  test("leaves passwords, other inputs, read-only fields and plain elements alone", () => {
+    assert.equal(pasteTarget(fakeElement("input", { type: "password" })), null);
+    assert.equal(pasteTarget(fakeElement("input", { type: "number" })), null);
+    assert.equal(pasteTarget(fakeElement("textarea", { readOnly: true })), null);
+    assert.equal(pasteTarget(fakeElement("input", { type: "text", disabled: true })), null);
+    assert.equal(pasteTarget(fakeElement("div")), null);
+    assert.equal(pasteTarget(null), null);
+  });
+});
+
+describe("cleanPastedData", () => {
+  test("cleans links in both flavors and counts each pasted link", () => {
+    const res = cleanPastedData(
+      {
+        text: "See https://example.com/a?utm_source=x&id=1 and https://example.com/a?utm_source=x&id=1 or https://b.com/",
+        html: '<a href="https://example.com/a?utm_source=x&amp;id=1">See</a>',
+      },
+      rules
+    );
+    assert.deepEqual(res, {
+      text: "See https://example.com/a?id=1 and https://example.com/a?id=1 or https://b.com/",
+      html: '<a href="https://example.com/a?id=1">See</a>',
+      count: 2,
+    });
+  });
+
+  test("counts the HTML flavor when the text has no tracked links", () => {
+    const res = cleanPastedData({ text: "See this", html: '<a href="https://a.com/?fbclid=1">See this</a>' }, rules);
+    assert.deepEqual(res, { text: "See this", html: '<a href="https://a.com/">See this</a>', count: 1 });
+  });
+
+  test("returns null when nothing changes, and respects the options", () => {
+    assert.equal(cleanPastedData({ text: "https://example.com/a?id=1", html: null }, rules), null);
+    const amazon = "https://www.amazon.com/dp/B01?tag=aff-20";
+    assert.equal(cleanPastedData({ text: amazon }, rules, { allowReferral: true }), null);
+    assert.equal(cleanPastedData({ text: amazon }, rules).text, "https://www.amazon.com/dp/B01");
+  });
+
+  test("toastText", () => {
+    assert.equal(toastText(1), "Nudelink cleaned 1 link");
+    assert.equal(toastText(3), "Nudelink cleaned 3 links");
+  });
+});
+
+/** Just enough of a parsed element for serializeSafeHtml(). */
+const node = (localName, attrs = {}, ...children) => ({
+  nodeType: 1,
+  localName,
+  childNodes: children.map((c) => (typeof c === "string" ? { nodeType: 3, nodeValue: c } : c)),
+  getAttribute: (name) => attrs[name] ?? null,
+});
+
+describe("sanitizePastedHtml", () => {
+  test("keeps basic formatting and safe link addresses, nothing else", () => {
+    const body = node(
+      "body",
+      {},
+      node(
+        "p",
+        { onclick: "steal()", style: "color:red" },
+        "Hi ",
+        node("a", { href: "https://a.com/?x=1&y=2", onmouseover: "steal()" }, "link")
+      ),
+      node("script", {}, "steal()"),
+      node("img", { src: "x", onerror: "steal()" }),
+      node("font", { color: "red" }, "<b>bold?</b>"),
+      node("a", { href: "javascript:steal()" }, "bad"),
+      node("br")
+    );
+    assert.equal(
+      serializeSafeHtml(body),
+      '<p>Hi <a href="https://a.com/?x=1&amp;y=2">link</a></p>&lt;b&gt;bold?&lt;/b&gt;<a>bad</a><br>'
+    );
+  });
+
+  test("parses with the given DOMParser", () => {
+    const types = [];
+    class Parser {
+      parseFromString(html, type) {
+        types.push(type);
+        return { body: node("body", {}, node("em", {}, html)) };
+      }
+    }
+    assert.equal(sanitizePastedHtml("x", Parser), "<em>x</em>");
+    assert.deepEqual(types, ["text/html"]);
+  });
+});
+
+describe("startPasteCleaner", () => {
+  const start = () => {
+    const requests = [];
+    const serve = createFakeFetch(bundledRulesRoutes());
+    globalThis.fetch = (url, init) => (requests.push(String(url)), serve(url, init));
+    const listeners = {};
+    const doc = { defaultView: null, addEventListener: (type, fn) => (listeners[type] ??= []).push(fn) };
+    startPasteCleaner(doc);
+    return { requests, fire: (type, event) => listeners[type].forEach((fn) => fn(event)) };
+  };
+  const settle = () => new Promise((r) => setTimeout(r, 20));
+
+  test("loads rules only once a text field or editor gets focus", async () => {
+    const { requests, fire } = start();
+    await settle();
+    assert.deepEqual(requests, []);
+    fire("focusin", { target: fakeElement("div") });
+    await settle();
+    assert.deepEqual(requests, []);
+    fire("focusin", { target: fakeElement("textarea") });
+    await settle();
+    assert.ok(requests.some((url) => url.endsWith("rules/bundled.minify.json")));
+  });
+
+  test("can read the bundled snapshot from a content script", () => {
+    const resources = chrome.runtime.getManifest().web_accessible_resources.flatMap((r) => r.resources);
+    assert.ok(resources.includes(BUNDLED_RULES_PATH));
+    assert.ok(resources.includes(BUNDLED_HASH_PATH));
+  });
+
+  test("lets a paste through while rules aren't loaded, and starts loading them", async () => {
+    const { requests, fire } = start();
+    let prevented = false;
+    fire("paste", {
+      isTrusted: true,
+      defaultPrevented: false,
+      target: fakeElement("textarea"),
+      clipboardData: { getData: () => "https://a.com/?fbclid=1" },
+      preventDefault: () => (prevented = true),
+    });
+    assert.equal(prevented, false);
+    await settle();
+    assert.ok(requests.length > 0);
+  });
+});
@@ -0,0 +1,40 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import { REWRITE_SITES_KEY, saveRewriteSites } from "../link-rewrite-sites.js";
+import { PASTE_SITES_KEY, loadPasteSites, pasteCleanerMatches, savePasteSites } from "../paste-sites.js";
+
+const chrome = installChromeStub();
+
+beforeEach(async () => {
+  await chrome.storage.sync.clear();
+});
+
+describe("paste sites", () => {
+  test("are stored apart from the link rewriter's sites", async () => {
+    assert.deepEqual(await loadPasteSites(), { enabled: [], disabled: [] });
+    assert.deepEqual(await savePasteSites({ enabled: ["https://Mail.example.com/inbox"] }), { ok: true, errors: [] });
+    await saveRewriteSites({ enabled: ["news.example"] });
+
+    assert.deepEqual(await loadPasteSites(), { enabled: ["mail.example.com"], disabled: [] });
+    assert.deepEqual((await chrome.storage.sync.get(REWRITE_SITES_KEY))[REWRITE_SITES_KEY].enabled, ["news.example"]);
+  });
+
+  test("invalid lists are not saved", async () => {
+    const res = await savePasteSites({ enabled: ["not a host"] });
+    assert.equal(res.ok, false);
+    assert.deepEqual(res.errors, ["enabled[0]: not a hostname: not a host"]);
+    assert.equal((await chrome.storage.sync.get(PASTE_SITES_KEY))[PASTE_SITES_KEY], undefined);
+  });
+
+  test("pasteCleanerMatches: every site with the option, else the enabled ones; never wins", () => {
+    const sites = { enabled: ["chat.example", "bank.example"], disabled: ["bank.example"] };
+    assert.deepEqual(pasteCleanerMatches(false, { enabled: [], disabled: [] }), null);
+    assert.deepEqual(pasteCleanerMatches(false, sites), {
+      matches: ["*://*.chat.example/*"],
+      excludeMatches: ["*://*.bank.example/*"],
+    });
+    assert.deepEqual(pasteCleanerMatches(true, { enabled: [], disabled: [] }), { matches: ["http://*/*", "https://*/*"] });
+  });
+});
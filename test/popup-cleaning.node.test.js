@@ -1,21 +1,83 @@
-import { applyClearUrls } from "../clearurls-apply.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
 
-const RULES_URL = "https://rules2.clearurls.xyz/data.minify.json";
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import { createFakeFetch } from "./helpers/fake-fetch.js";
+import { bundledRulesRoutes, loadRulesFixture } from "./helpers/rules-fixture.js";
+import { loadClearUrlsRules, loadCompiledRules, applyClearUrls } from "../clearurls-apply.js";
+import { RULES_KEY, RULES_VERSION } from "../rule-store.js";
 
-async function fetchRulesJson() {
-  const res = await fetch(RULES_URL);
-  if (!res.ok) throw new Error("Failed to fetch ClearURLs rules");
-  return await res.json();
-}
+const chrome = installChromeStub();
 
-const testUrl =
-  "https://pdfe.com/?gad_source=1&gad_campaignid=22618564445&gbraid=0AAAAA-on6G9nd0c-41iI893kCR9mlknUf&gclid=CjwKCAjwlOrFBhBaEiwAw4bYDesHFC9s2JgzYCGAzGJE9lk6OZD-e_SphLGrog4vPSTuksugcZNuSBoCA1AQAvD_BwE";
+beforeEach(async () => {
+  await chrome.storage.local.clear();
+  await chrome.storage.sync.clear();
+  globalThis.fetch = createFakeFetch({}); // no bundled snapshot unless a test serves it
+});
 
-(async () => {
-  const rulesJson = await fetchRulesJson();
-  console.log("testUrl:", testUrl);
-  const result = applyClearUrls(testUrl, rulesJson);
+test("loadClearUrlsRules returns null before the first download", async () => {
+  assert.equal(await loadClearUrlsRules(), null);
+});
 
-  console.log("Cleaned URL:", result.url);
-  console.log("✅ Popup cleaning test complete!");
-})();
+test("loadClearUrlsRules returns the rules background.js persisted", async () => {
+  const rules = loadRulesFixture();
+  await chrome.storage.local.set({ [RULES_KEY]: { version: RULES_VERSION, rules, ts: Date.now(), hash: "abc" } });
+  assert.deepEqual(await loadClearUrlsRules(), rules);
+});
+
+test("popup default options clean referral params and hash tracking", async () => {
+  await chrome.storage.local.set({ [RULES_KEY]: { version: RULES_VERSION, rules: loadRulesFixture(), ts: 1, hash: "abc" } });
+  const rules = await loadClearUrlsRules();
+
+  const testUrl =
+    "https://pdfe.com/?gad_source=1&gbraid=0AAAAA-on6G9nd0c&ref=friend&page=2#utm_term=shoes";
+  const opts = { removeReferral: true, cleanHash: true };
+  const result = applyClearUrls(testUrl, rules, {
+    allowReferral: !opts.removeReferral,
+    cleanHash: opts.cleanHash,
+  });
+
+  assert.equal(result.url, "https://pdfe.com/?page=2");
+  assert.equal(result.changed, true);
+});
+
+test("loadCompiledRules reuses the compilation until the stored hash changes", async () => {
+  assert.equal(await loadCompiledRules(), null);
+
+  await chrome.storage.local.set({ [RULES_KEY]: { version: RULES_VERSION, rules: loadRulesFixture(), ts: 1, hash: "h1" } });
+  const first = await loadCompiledRules();
+  assert.equal(await loadCompiledRules(), first);
+
+  await chrome.storage.local.set({ [RULES_KEY]: { version: RULES_VERSION, rules: loadRulesFixture(), ts: 2, hash: "h2" } });
+  const second = await loadCompiledRules();
+  assert.notEqual(second, first);
+  assert.equal(applyClearUrls("https://example.com/?utm_source=x", second).url, "https://example.com/");
+});
+
+test("loadCompiledRules falls back to the bundled snapshot before the first download", async () => {
+  globalThis.fetch = createFakeFetch(bundledRulesRoutes());
+  const rules = await loadCompiledRules();
+  assert.ok(rules);
+  const res = applyClearUrls("https://www.amazon.com/dp/B0?tag=x&qid=1", rules);
+  assert.equal(res.url, "https://www.amazon.com/dp/B0");
+});
+
+test("loadCompiledRules merges the user's rules and recompiles when they change", async () => {
+  await chrome.storage.local.set({ [RULES_KEY]: { version: RULES_VERSION, rules: loadRulesFixture(), ts: 1, hash: "h1" } });
+  const before = await loadCompiledRules();
+  assert.equal(applyClearUrls("https://example.com/?cid_x=1", before).url, "https://example.com/?cid_x=1");
+
+  await chrome.storage.sync.set({
+    nudelink_user_rules_v1: {
+      providers: { crm: { urlPattern: ".*", rules: ["cid_x"] } },
+      allowlist: ["keep.example"],
+    },
+  });
+  const after = await loadCompiledRules();
+  assert.notEqual(after, before);
+  assert.equal(applyClearUrls("https://example.com/?cid_x=1", after).url, "https://example.com/");
+  assert.equal(
+    applyClearUrls("https://keep.example/?utm_source=x", after).url,
+    "https://keep.example/?utm_source=x"
+  );
+});
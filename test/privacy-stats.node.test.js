@@ -0,0 +1,149 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import { applyClearUrls } from "../clearurls-engine.js";
+import {
+  EMPTY_STATS,
+  STATS_DAYS,
+  STATS_KEY,
+  STATS_TOP_LIMIT,
+  addToStats,
+  dayKey,
+  loadStats,
+  recordStats,
+  resetStats,
+  summarizeStats,
+} from "../privacy-stats.js";
+import { loadRulesFixture } from "./helpers/rules-fixture.js";
+
+const chrome = installChromeStub();
+const rulesJson = loadRulesFixture();
+
+const AMAZON = "https://www.amazon.com/dp/B000123?tag=aff-20&utm_source=x";
+const GOOGLE = "https://www.google.com/url?q=https%3A%2F%2Fexample.com%2F%3Futm_source%3Dx&sa=D";
+const CLEAN = "https://example.com/a?id=7";
+
+const cleaning = (original, opts = {}) => ({ original, result: applyClearUrls(original, rulesJson, { explain: true, ...opts }) });
+const NOW = new Date(2026, 2, 15, 10).getTime();
+const daysAgo = (n) => new Date(2026, 2, 15 - n, 10).getTime();
+
+beforeEach(async () => {
+  await chrome.storage.local.clear();
+});
+
+describe("addToStats", () => {
+  test("counts links, params by name, domains, redirects and stripped referral params", () => {
+    const stats = addToStats(EMPTY_STATS, [cleaning(AMAZON), cleaning(GOOGLE)], NOW);
+    assert.deepEqual(stats.days[dayKey(NOW)], {
+      links: 2,
+      redirects: 1,
+      params: { tag: 1, utm_source: 2 },
+      domains: { "amazon.com": 1, "google.com": 1 },
+      referral: { kept: 0, stripped: 1 },
+    });
+  });
+
+  test("counts referral params kept, even when nothing else changed", () => {
+    const stats = addToStats(EMPTY_STATS, [cleaning("https://www.amazon.com/dp/B000123?tag=aff-20", { allowReferral: true })], NOW);
+    const day = stats.days[dayKey(NOW)];
+    assert.equal(day.links, 0);
+    assert.deepEqual(day.referral, { kept: 1, stripped: 0 });
+  });
+
+  test("returns the same object when there is nothing to count", () => {
+    const unexplained = { original: AMAZON, result: applyClearUrls(AMAZON, rulesJson) };
+    assert.equal(addToStats(EMPTY_STATS, [cleaning(CLEAN), unexplained], NOW), EMPTY_STATS);
+    assert.equal(addToStats(EMPTY_STATS, [], NOW), EMPTY_STATS);
+  });
+
+  test("adds to today's bucket without mutating the input", () => {
+    const first = addToStats(EMPTY_STATS, [cleaning(AMAZON)], NOW);
+    const snapshot = structuredClone(first);
+    const second = addToStats(first, [cleaning(AMAZON)], NOW + 1000);
+    assert.deepEqual(first, snapshot);
+    assert.equal(second.days[dayKey(NOW)].links, 2);
+    assert.equal(second.days[dayKey(NOW)].params.tag, 2);
+  });
+
+  test("keeps only the most frequent params and domains of a day", () => {
+    const many = Array.from({ length: STATS_TOP_LIMIT + 5 }, (_, i) => ({
+      original: `https://site${i}.example/`,
+      result: { changed: true, trace: { redirections: [], params: [{ name: `p${i}`, list: "rules" }] } },
+    }));
+    const stats = addToStats(EMPTY_STATS, [...many, many[0]], NOW);
+    const day = stats.days[dayKey(NOW)];
+    assert.equal(Object.keys(day.params).length, STATS_TOP_LIMIT);
+    assert.equal(Object.keys(day.domains).length, STATS_TOP_LIMIT);
+    assert.equal(day.params.p0, 2);
+    assert.equal(day.links, STATS_TOP_LIMIT + 6);
+  });
+
+  test("drops buckets older than STATS_DAYS", () => {
+    let stats = addToStats(EMPTY_STATS, [cleaning(AMAZON)], daysAgo(STATS_DAYS));
+    stats = addToStats(stats, [cleaning(AMAZON)], daysAgo(STATS_DAYS - 1));
+    stats = addToStats(stats, [cleaning(AMAZON)], NOW);
+    assert.deepEqual(Object.keys(stats.days).sort(), [dayKey(daysAgo(STATS_DAYS - 1)), dayKey(NOW)]);
+  });
+});
+
+describe("summarizeStats", () => {
+  const stats = [
+    [daysAgo(10), [cleaning(GOOGLE)]],
+    [daysAgo(1), [cleaning(AMAZON), cleaning(AMAZON)]],
+    [NOW, [cleaning(AMAZON), cleaning("https://www.amazon.com/dp/B000123?tag=aff-20", { allowReferral: true })]],
+  ].reduce((s, [ts, list]) => addToStats(s, list, ts), EMPTY_STATS);
+
+  test("totals the range and ranks params and domains", () => {
+    const summary = summarizeStats(stats, { now: NOW });
+    assert.equal(summary.links, 4);
+    assert.equal(summary.redirects, 1);
+    assert.equal(summary.params, 7);
+    assert.deepEqual(summary.referral, { kept: 1, stripped: 3 });
+    assert.deepEqual(summary.topParams, [["utm_source", 4], ["tag", 3]]);
+    assert.deepEqual(summary.topDomains, [["amazon.com", 3], ["google.com", 1]]);
+    assert.deepEqual(summarizeStats(stats, { now: NOW, top: 1 }).topParams, [["utm_source", 4]]);
+  });
+
+  test("lists every day of the range, oldest first, and leaves out older days", () => {
+    const summary = summarizeStats(stats, { now: NOW, days: 7 });
+    assert.equal(summary.daily.length, 7);
+    assert.deepEqual(summary.daily.slice(-2), [
+      { day: dayKey(daysAgo(1)), links: 2 },
+      { day: dayKey(NOW), links: 1 },
+    ]);
+    assert.equal(summary.daily[0].day, dayKey(daysAgo(6)));
+    assert.equal(summary.links, 3);
+    assert.equal(summary.redirects, 0);
+  });
+
+  test("steps calendar days across a DST change", () => {
+    const days = summarizeStats(EMPTY_STATS, { now: new Date(2026, 10, 5, 0, 30).getTime(), days: 30 }).daily.map((d) => d.day);
+    assert.equal(new Set(days).size, 30);
+    assert.equal(days.at(-1), "2026-11-05");
+    assert.equal(days[0], "2026-10-07");
+  });
+});
+
+describe("storage", () => {
+  test("recordStats adds to stored stats and skips the write with nothing to count", async () => {
+    await recordStats([cleaning(AMAZON)], NOW);
+    await recordStats([cleaning(GOOGLE)], NOW);
+    assert.equal((await loadStats()).days[dayKey(NOW)].links, 2);
+
+    await chrome.storage.local.clear();
+    await recordStats([cleaning(CLEAN)], NOW);
+    assert.equal((await chrome.storage.local.get(STATS_KEY))[STATS_KEY], undefined);
+  });
+
+  test("overlapping recordings all count", async () => {
+    await Promise.all([AMAZON, GOOGLE, AMAZON].map((url) => recordStats([cleaning(url)], NOW)));
+    assert.equal((await loadStats()).days[dayKey(NOW)].links, 3);
+  });
+
+  test("resetStats deletes every counter", async () => {
+    await recordStats([cleaning(AMAZON)], NOW);
+    await resetStats();
+    assert.deepEqual(await loadStats(), EMPTY_STATS);
+  });
+});
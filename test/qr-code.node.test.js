@@ -0,0 +1,87 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { encodeQr, formatBits, gfMultiply, penaltyScore, qrToSvg, rsRemainder } from "../qr-code.js";
+
+/** 7×7 finder pattern with its top-left corner at (x, y) */
+const finderAt = (modules, x, y) =>
+  Array.from({ length: 7 }, (_, dy) =>
+    Array.from({ length: 7 }, (_, dx) => (modules[y + dy][x + dx] ? "#" : ".")).join("")
+  );
+
+const FINDER = ["#######", "#.....#", "#.###.#", "#.###.#", "#.###.#", "#.....#", "#######"];
+
+describe("Reed–Solomon", () => {
+  test("multiplies in GF(256)", () => {
+    assert.equal(gfMultiply(0, 0x53), 0);
+    assert.equal(gfMultiply(1, 0x53), 0x53);
+    assert.equal(gfMultiply(0x80, 2), 0x1d); // x^8 reduces by 0x11D
+  });
+
+  test("matches the 1-M HELLO WORLD example codewords", () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    assert.deepEqual(rsRemainder(data, 10), [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+});
+
+describe("encodeQr", () => {
+  test("computes the standard format information", () => {
+    assert.equal(formatBits("L", 0), 0b111011111000100);
+    assert.equal(formatBits("M", 0), 0b101010000010010);
+    assert.equal(formatBits("H", 7), 0b000100000111011);
+  });
+
+  test("picks the smallest version that fits", () => {
+    assert.equal(encodeQr("a".repeat(14)).version, 1); // 1-M holds 14 bytes
+    assert.equal(encodeQr("a".repeat(15)).version, 2);
+    assert.equal(encodeQr("a".repeat(15), { ecl: "L" }).version, 1);
+    assert.equal(encodeQr("https://example.com/?id=1").size, 2 * 4 + 17);
+  });
+
+  test("draws finder and timing patterns", () => {
+    const { modules, size } = encodeQr("https://example.com/");
+    assert.deepEqual(finderAt(modules, 0, 0), FINDER);
+    assert.deepEqual(finderAt(modules, size - 7, 0), FINDER);
+    assert.deepEqual(finderAt(modules, 0, size - 7), FINDER);
+    for (let i = 8; i < size - 8; i++) {
+      assert.equal(modules[6][i], i % 2 === 0);
+      assert.equal(modules[i][6], i % 2 === 0);
+    }
+    assert.equal(modules[size - 8][8], true); // dark module
+  });
+
+  test("writes the format information for the chosen mask", () => {
+    const qr = encodeQr("https://example.com/", { mask: 5 });
+    assert.equal(qr.mask, 5);
+    const bits = formatBits("M", 5);
+    const read = [0, 1, 2, 3, 4, 5, 7, 8].map((y) => qr.modules[y][8]);
+    assert.deepEqual(read, [0, 1, 2, 3, 4, 5, 6, 7].map((i) => ((bits >>> i) & 1) === 1));
+  });
+
+  test("chooses the mask with the lowest penalty", () => {
+    const auto = encodeQr("https://example.com/some/long/path?q=1");
+    const scores = [0, 1, 2, 3, 4, 5, 6, 7].map((mask) =>
+      penaltyScore(encodeQr("https://example.com/some/long/path?q=1", { mask }).modules)
+    );
+    assert.equal(penaltyScore(auto.modules), Math.min(...scores));
+  });
+
+  test("encodes UTF-8 and rejects text beyond version 40", () => {
+    assert.equal(encodeQr("ü".repeat(7)).version, 1); // 14 bytes
+    assert.equal(encodeQr("a".repeat(2331), { ecl: "M" }).version, 40);
+    assert.throws(() => encodeQr("a".repeat(2332), { ecl: "M" }), /too long/);
+    assert.throws(() => encodeQr("a", { ecl: "X" }), /Unknown error correction level/);
+  });
+});
+
+describe("qrToSvg", () => {
+  test("renders one path with a quiet zone", () => {
+    const qr = encodeQr("hi");
+    const svg = qrToSvg(qr, { border: 2, scale: 3 });
+    const dim = qr.size + 4;
+    assert.match(svg, new RegExp(`viewBox="0 0 ${dim} ${dim}" width="${dim * 3}"`));
+    const dark = qr.modules.flat().filter(Boolean).length;
+    assert.equal(svg.match(/h1v1h-1z/g).length, dark);
+    assert.ok(svg.includes('d="M2,2h1v1h-1z'));
+  });
+});
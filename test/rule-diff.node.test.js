@@ -0,0 +1,91 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { describeDiff, diffRules, isEmptyDiff, summarizeDiff } from "../rule-diff.js";
+import { loadRulesFixture } from "./helpers/rules-fixture.js";
+
+const before = {
+  providers: {
+    shop: {
+      urlPattern: "^https?:\\/\\/shop\\.example",
+      rules: ["utm_source", "sid"],
+      exceptions: ["^https?:\\/\\/shop\\.example\\/login"],
+    },
+    gone: { urlPattern: "^https?:\\/\\/gone\\.example", rules: ["g"] },
+    same: { urlPattern: "^https?:\\/\\/same\\.example", rules: ["s"] },
+  },
+};
+
+const after = {
+  providers: {
+    shop: {
+      urlPattern: "^https?:\\/\\/(?:www\\.)?shop\\.example",
+      rules: ["utm_source", "cid"],
+      redirections: ["^https?:\\/\\/shop\\.example\\/out\\?to=([^&]+)"],
+      completeProvider: false,
+    },
+    same: { urlPattern: "^https?:\\/\\/same\\.example", rules: ["s"] },
+    fresh: { urlPattern: "^https?:\\/\\/fresh\\.example", rules: ["f"] },
+  },
+};
+
+describe("diffRules", () => {
+  test("lists added and removed providers", () => {
+    const diff = diffRules(before, after);
+    assert.deepEqual(diff.added, ["fresh"]);
+    assert.deepEqual(diff.removed, ["gone"]);
+  });
+
+  test("reports per-provider list entries and value changes", () => {
+    const { changed } = diffRules(before, after);
+    assert.deepEqual(changed, [
+      {
+        provider: "shop",
+        lists: {
+          rules: { added: ["cid"], removed: ["sid"] },
+          exceptions: { added: [], removed: ["^https?:\\/\\/shop\\.example\\/login"] },
+          redirections: { added: ["^https?:\\/\\/shop\\.example\\/out\\?to=([^&]+)"], removed: [] },
+        },
+        values: {
+          urlPattern: { from: "^https?:\\/\\/shop\\.example", to: "^https?:\\/\\/(?:www\\.)?shop\\.example" },
+          completeProvider: { from: null, to: false },
+        },
+      },
+    ]);
+  });
+
+  test("identical rule sets give an empty diff", () => {
+    const fixture = loadRulesFixture();
+    assert.equal(isEmptyDiff(diffRules(fixture, loadRulesFixture())), true);
+    assert.equal(isEmptyDiff(diffRules(before, after)), false);
+  });
+
+  test("a missing side counts as no providers", () => {
+    assert.deepEqual(diffRules(null, before).added, ["shop", "gone", "same"]);
+    assert.deepEqual(diffRules(before, undefined).removed, ["shop", "gone", "same"]);
+  });
+});
+
+describe("summarizeDiff / describeDiff", () => {
+  test("counts providers and list entries", () => {
+    assert.deepEqual(summarizeDiff(diffRules(before, after)), {
+      added: 1,
+      removed: 1,
+      changed: 1,
+      entriesAdded: 2,
+      entriesRemoved: 2,
+    });
+  });
+
+  test("renders one line per change", () => {
+    const lines = describeDiff(diffRules(before, after));
+    assert.deepEqual(lines.slice(0, 2), [
+      { kind: "added", text: "+ provider fresh" },
+      { kind: "removed", text: "- provider gone" },
+    ]);
+    assert.ok(lines.some((l) => l.kind === "changed" && l.text.startsWith("~ shop.urlPattern:")));
+    assert.ok(lines.some((l) => l.kind === "added" && l.text === "+ shop.rules: cid"));
+    assert.ok(lines.some((l) => l.kind === "removed" && l.text === "- shop.rules: sid"));
+    assert.deepEqual(describeDiff(null), []);
+  });
+});
@@ -0,0 +1,79 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import {
+  HISTORY_LIMIT,
+  STALE_AFTER_MIN,
+  addAttempt,
+  formatAge,
+  loadHistory,
+  recordAttempt,
+  rulesStaleness,
+} from "../rule-health.js";
+
+const chrome = installChromeStub();
+
+const MIN = 60_000;
+const empty = { attempts: [], lastSuccess: null, failingSince: null };
+const ok = (ts) => ({ ts, ok: true, updated: false, hash: "h" });
+const failed = (ts) => ({ ts, ok: false, updated: false, hash: "h", error: "offline" });
+
+beforeEach(async () => {
+  await chrome.storage.local.clear();
+});
+
+describe("addAttempt", () => {
+  test("keeps the newest attempts first, capped", () => {
+    let history = empty;
+    for (let ts = 1; ts <= 3; ts++) history = addAttempt(history, ok(ts), 2);
+    assert.deepEqual(history.attempts.map((a) => a.ts), [3, 2]);
+  });
+
+  test("tracks the last success and when failures started", () => {
+    let history = addAttempt(empty, ok(10));
+    history = addAttempt(history, failed(20));
+    history = addAttempt(history, failed(30));
+    assert.equal(history.lastSuccess, 10);
+    assert.equal(history.failingSince, 20);
+
+    history = addAttempt(history, ok(40));
+    assert.equal(history.lastSuccess, 40);
+    assert.equal(history.failingSince, null);
+  });
+});
+
+describe("rulesStaleness", () => {
+  const now = 1_000_000 * MIN;
+
+  test("nothing attempted yet is not stale", () => {
+    assert.deepEqual(rulesStaleness(empty, now), { stale: false, since: null, ageMin: null });
+  });
+
+  test("counts from the last success", () => {
+    const history = { ...empty, lastSuccess: now - STALE_AFTER_MIN * MIN, failingSince: now - MIN };
+    assert.equal(rulesStaleness(history, now).stale, true);
+    assert.equal(rulesStaleness(history, now).ageMin, STALE_AFTER_MIN);
+    assert.equal(rulesStaleness({ ...history, lastSuccess: now - 5 * MIN }, now).stale, false);
+  });
+
+  test("without any success, counts from the first failure", () => {
+    const history = { ...empty, failingSince: now - 10 * MIN };
+    assert.equal(rulesStaleness(history, now, 10).stale, true);
+    assert.equal(rulesStaleness(history, now, 11).stale, false);
+  });
+});
+
+test("formatAge picks a readable unit", () => {
+  assert.equal(formatAge(45), "45 min");
+  assert.equal(formatAge(5 * 60), "5 h");
+  assert.equal(formatAge(3 * 24 * 60 + 7), "3 days");
+});
+
+test("recordAttempt persists the history", async () => {
+  assert.deepEqual(await loadHistory(), empty);
+  for (let ts = 1; ts <= HISTORY_LIMIT + 2; ts++) await recordAttempt(failed(ts));
+  const history = await loadHistory();
+  assert.equal(history.attempts.length, HISTORY_LIMIT);
+  assert.equal(history.failingSince, 1);
+});
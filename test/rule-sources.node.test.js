@@ -0,0 +1,212 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import { createFakeFetch } from "./helpers/fake-fetch.js";
+import { RULES_FIXTURE_TEXT, bundledRulesRoutes, loadRulesFixture } from "./helpers/rules-fixture.js";
+import {
+  DEFAULT_SOURCES,
+  MANAGED_SOURCE_ID,
+  SOURCES_KEY,
+  fetchSourceRules,
+  loadBundledRules,
+  loadSources,
+  managedSource,
+  mergeSources,
+  saveSources,
+  validateSource,
+  validateSources,
+} from "../rule-sources.js";
+
+const chrome = installChromeStub();
+
+const sha = (text) => createHash("sha256").update(text).digest("hex");
+const FIXTURE_HASH = sha(RULES_FIXTURE_TEXT);
+
+const mirror = (over = {}) => ({
+  id: "mirror",
+  label: "Mirror",
+  type: "remote",
+  rulesUrl: "https://rules.example.com/data.json",
+  hashUrl: "https://rules.example.com/data.hash",
+  refreshMinutes: 60,
+  enabled: true,
+  ...over,
+});
+
+const rulesWith = (providers) => ({ providers });
+const provider = (urlPattern) => ({ urlPattern, rules: ["x"] });
+
+beforeEach(async () => {
+  await chrome.storage.sync.clear();
+  await chrome.storage.managed.clear();
+});
+
+describe("validateSource(s)", () => {
+  test("accepts the defaults and a remote mirror", () => {
+    assert.deepEqual(validateSources([...DEFAULT_SOURCES, mirror()]).errors, []);
+  });
+
+  test("a remote source may omit its hash file", () => {
+    assert.deepEqual(validateSource(mirror({ hashUrl: undefined })), []);
+  });
+
+  test("reports bad fields with their path", () => {
+    const errors = validateSource(mirror({ rulesUrl: "ftp://x", type: "nope", refreshMinutes: 1, enabled: "yes" }));
+    assert.deepEqual(errors, [
+      "sources.mirror.type: must be one of remote, bundled",
+      "sources.mirror.refreshMinutes: must be a number ≥ 15",
+      "sources.mirror.enabled: must be true or false",
+    ]);
+    assert.deepEqual(validateSource(mirror({ rulesUrl: "ftp://x" })), [
+      "sources.mirror.rulesUrl: must be an http(s) URL",
+    ]);
+    assert.deepEqual(validateSource(mirror({ hashUrl: "javascript:alert(1)" })), [
+      "sources.mirror.hashUrl: must be an http(s) URL",
+    ]);
+  });
+
+  test("rejects duplicate ids", () => {
+    const { sources, errors } = validateSources([mirror(), mirror()]);
+    assert.equal(sources, null);
+    assert.deepEqual(errors, ["sources.mirror: duplicate id"]);
+  });
+});
+
+describe("storage", () => {
+  test("loadSources defaults to the official list plus the bundled snapshot", async () => {
+    assert.deepEqual(await loadSources(), [...DEFAULT_SOURCES]);
+  });
+
+  test("saveSources validates before persisting", async () => {
+    assert.equal((await saveSources([mirror({ id: "" })])).ok, false);
+    assert.deepEqual(await loadSources(), [...DEFAULT_SOURCES]);
+
+    assert.deepEqual(await saveSources([mirror()]), { ok: true, errors: [] });
+    assert.deepEqual(await loadSources(), [mirror()]);
+  });
+
+  test("a managed rules URL replaces the configured sources and can't be edited", async () => {
+    await saveSources([mirror()]);
+    await chrome.storage.managed.set({
+      rulesUrl: "https://rules.corp.example/clearurls.json",
+      hashUrl: "https://rules.corp.example/clearurls.hash",
+    });
+    const [managed, bundled] = await loadSources();
+    assert.deepEqual(managed, {
+      id: MANAGED_SOURCE_ID,
+      label: "Organization rules",
+      type: "remote",
+      rulesUrl: "https://rules.corp.example/clearurls.json",
+      hashUrl: "https://rules.corp.example/clearurls.hash",
+      refreshMinutes: 1440,
+      enabled: true,
+    });
+    assert.equal(bundled.type, "bundled");
+    assert.deepEqual(await saveSources([mirror({ id: "other" })]), {
+      ok: false,
+      errors: ["Rule sources are set by your organization"],
+    });
+  });
+
+  test("managedSource keeps refreshes at the minimum interval or above", () => {
+    assert.equal(managedSource({ rulesUrl: "https://r.example/x.json", refreshMinutes: 1 }).refreshMinutes, 15);
+    assert.equal(managedSource({ rulesUrl: null }), null);
+  });
+
+  test("loadSources falls back to the defaults when storage holds garbage", async () => {
+    await chrome.storage.sync.set({ [SOURCES_KEY]: "nope" });
+    assert.deepEqual(await loadSources(), [...DEFAULT_SOURCES]);
+  });
+});
+
+describe("fetchSourceRules", () => {
+  const serve = (routes) => (globalThis.fetch = createFakeFetch(routes));
+
+  test("downloads and verifies against the hash file", async () => {
+    serve({ [mirror().hashUrl]: FIXTURE_HASH, [mirror().rulesUrl]: RULES_FIXTURE_TEXT });
+    const res = await fetchSourceRules(mirror());
+    assert.deepEqual(res, { rules: loadRulesFixture(), hash: FIXTURE_HASH, updated: true });
+  });
+
+  test("stops after the hash file when it matches the cached hash", async () => {
+    const fetch = serve({ [mirror().hashUrl]: FIXTURE_HASH });
+    const res = await fetchSourceRules(mirror(), FIXTURE_HASH);
+    assert.equal(res.updated, false);
+    assert.deepEqual(fetch.calls, [mirror().hashUrl]);
+  });
+
+  test("rejects a download that does not match the hash file", async () => {
+    serve({ [mirror().hashUrl]: "0".repeat(64), [mirror().rulesUrl]: RULES_FIXTURE_TEXT });
+    await assert.rejects(fetchSourceRules(mirror()), /integrity check failed/);
+  });
+
+  test("without a hash file, change detection uses the content hash", async () => {
+    const source = mirror({ hashUrl: undefined });
+    serve({ [source.rulesUrl]: RULES_FIXTURE_TEXT });
+    assert.equal((await fetchSourceRules(source)).updated, true);
+    assert.equal((await fetchSourceRules(source, FIXTURE_HASH)).updated, false);
+  });
+
+  test("rejects JSON without providers", async () => {
+    const text = "[]";
+    serve({ [mirror().hashUrl]: sha(text), [mirror().rulesUrl]: text });
+    await assert.rejects(fetchSourceRules(mirror()), /no providers/);
+  });
+
+  test("rejects rules with a regex that does not compile", async () => {
+    const text = JSON.stringify({ providers: { x: { urlPattern: "^https?:\\/\\/x\\.example", rules: ["[bad"] } } });
+    serve({ [mirror().hashUrl]: sha(text), [mirror().rulesUrl]: text });
+    await assert.rejects(fetchSourceRules(mirror()), /Rules failed validation: providers\.x\.rules\[0\]/);
+  });
+
+  test("loadBundledRules reads the snapshot shipped in rules/", async () => {
+    serve(bundledRulesRoutes());
+    const bundled = await loadBundledRules();
+    assert.ok(Object.keys(bundled.rules.providers).length > 0);
+    assert.match(bundled.hash, /^[0-9a-f]{64}$/);
+  });
+});
+
+describe("mergeSources", () => {
+  const bundled = DEFAULT_SOURCES[1];
+  const official = DEFAULT_SOURCES[0];
+
+  test("earlier sources win for the same provider name", () => {
+    const cache = {
+      mirror: { rules: rulesWith({ a: provider("mirror-a"), b: provider("mirror-b") }), hash: "m" },
+      clearurls: { rules: rulesWith({ a: provider("official-a"), c: provider("official-c") }), hash: "o" },
+    };
+    const merged = mergeSources([mirror(), official, bundled], cache);
+    assert.deepEqual(merged.rules.providers, {
+      a: provider("mirror-a"),
+      b: provider("mirror-b"),
+      c: provider("official-c"),
+    });
+    assert.deepEqual(merged.sources, ["mirror", "clearurls"]);
+    assert.equal(merged.hash, "mirror:m,clearurls:o");
+  });
+
+  test("a single source keeps its own hash", () => {
+    const cache = { clearurls: { rules: rulesWith({ a: provider("a") }), hash: "o" } };
+    assert.equal(mergeSources([official, bundled], cache).hash, "o");
+  });
+
+  test("the bundled snapshot is used only when no remote source has rules", () => {
+    const cache = { bundled: { rules: rulesWith({ z: provider("z") }), hash: "b" } };
+    assert.deepEqual(mergeSources([official, bundled], cache).sources, ["bundled"]);
+
+    cache.clearurls = { rules: rulesWith({ a: provider("a") }), hash: "o" };
+    assert.deepEqual(mergeSources([official, bundled], cache).sources, ["clearurls"]);
+  });
+
+  test("disabled sources are ignored", () => {
+    const cache = {
+      clearurls: { rules: rulesWith({ a: provider("a") }), hash: "o" },
+      bundled: { rules: rulesWith({ z: provider("z") }), hash: "b" },
+    };
+    assert.deepEqual(mergeSources([{ ...official, enabled: false }, bundled], cache).sources, ["bundled"]);
+    assert.equal(mergeSources([{ ...official, enabled: false }, { ...bundled, enabled: false }], cache), null);
+  });
+});
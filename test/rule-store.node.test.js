@@ -0,0 +1,135 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import { loadRulesFixture } from "./helpers/rules-fixture.js";
+import {
+  LAST_GOOD_KEY,
+  RULES_KEY,
+  RULES_VERSION,
+  inspectRulesStorage,
+  loadRulesPayload,
+  repairRulesStorage,
+  saveRulesPayload,
+  validatePayload,
+  validateRules,
+} from "../rule-store.js";
+
+const chrome = installChromeStub();
+
+const payload = (over = {}) => ({ rules: loadRulesFixture(), hash: "h1", ts: 1, sources: ["clearurls"], ...over });
+const stored = async (key) => (await chrome.storage.local.get(key))[key];
+
+beforeEach(async () => {
+  await chrome.storage.local.clear();
+});
+
+describe("validateRules / validatePayload", () => {
+  test("accepts the ClearURLs fixture", () => {
+    assert.deepEqual(validateRules(loadRulesFixture()), []);
+    assert.deepEqual(validatePayload({ ...payload(), version: RULES_VERSION }), []);
+  });
+
+  test("rejects missing or empty providers", () => {
+    for (const rules of [null, {}, { providers: [] }, { providers: {} }]) {
+      assert.deepEqual(validateRules(rules), ["Rules JSON has no providers"]);
+    }
+  });
+
+  test("compile-checks regexes unless asked for the shape only", () => {
+    const rules = { providers: { x: { urlPattern: "(", rules: ["ok"] } } };
+    assert.match(validateRules(rules)[0], /^providers\.x\.urlPattern: /);
+    assert.deepEqual(validateRules(rules, { checkRegex: false }), []);
+    assert.deepEqual(validateRules({ providers: { x: { urlPattern: "x", rules: "ok" } } }, { checkRegex: false }), [
+      "providers.x.rules: must be an array of strings",
+    ]);
+  });
+
+  test("checks the payload envelope", () => {
+    assert.deepEqual(validatePayload({ ...payload({ hash: "", ts: "1" }), version: 1 }), [
+      `version: expected ${RULES_VERSION}, got 1`,
+      "hash: required string",
+      "ts: required number",
+    ]);
+  });
+});
+
+describe("saveRulesPayload / loadRulesPayload", () => {
+  test("stores a versioned copy plus a last-known-good copy", async () => {
+    const saved = await saveRulesPayload(payload());
+    assert.equal(saved.version, RULES_VERSION);
+    assert.deepEqual(await stored(RULES_KEY), saved);
+    assert.deepEqual(await stored(LAST_GOOD_KEY), saved);
+    assert.deepEqual(await loadRulesPayload(), saved);
+  });
+
+  test("refuses invalid rules and keeps what was stored", async () => {
+    const good = await saveRulesPayload(payload());
+    const bad = payload({ hash: "h2", rules: { providers: { x: { urlPattern: "x", rules: ["[bad"] } } } });
+    await assert.rejects(saveRulesPayload(bad), /Rules failed validation: providers\.x\.rules\[0\]/);
+    assert.deepEqual(await loadRulesPayload(), good);
+  });
+
+  test("falls back to the last-known-good copy when the current one is damaged", async () => {
+    const good = await saveRulesPayload(payload());
+    await chrome.storage.local.set({ [RULES_KEY]: { ...good, rules: { providers: null } } });
+    assert.deepEqual(await loadRulesPayload(), good);
+  });
+
+  test("returns null when nothing usable is stored", async () => {
+    assert.equal(await loadRulesPayload(), null);
+    await chrome.storage.local.set({ [RULES_KEY]: "garbage" });
+    assert.equal(await loadRulesPayload(), null);
+  });
+
+  test("reads a v1 payload that hasn't been migrated yet", async () => {
+    const { rules } = payload();
+    await chrome.storage.local.set({ clearurls_rules_v1: { rules, ts: 5, hash: "old" } });
+    const loaded = await loadRulesPayload();
+    assert.equal(loaded.version, RULES_VERSION);
+    assert.equal(loaded.hash, "old");
+    assert.deepEqual(loaded.sources, ["clearurls"]);
+  });
+});
+
+describe("repairRulesStorage", () => {
+  test("migrates a v1 payload to the current key", async () => {
+    const { rules } = payload();
+    await chrome.storage.local.set({ clearurls_rules_v1: { rules, ts: 5, hash: "old", sources: ["mirror"] } });
+
+    assert.equal(await repairRulesStorage(), "migrated");
+    const migrated = await stored(RULES_KEY);
+    assert.equal(migrated.version, RULES_VERSION);
+    assert.deepEqual(migrated.sources, ["mirror"]);
+    assert.deepEqual(migrated.rules, rules);
+    assert.deepEqual(await stored(LAST_GOOD_KEY), migrated);
+    assert.equal(await stored("clearurls_rules_v1"), undefined);
+  });
+
+  test("restores a damaged current copy from the last-known-good one", async () => {
+    const good = await saveRulesPayload(payload());
+    await chrome.storage.local.set({ [RULES_KEY]: { version: RULES_VERSION, hash: "h1" } }); // truncated
+    assert.deepEqual((await inspectRulesStorage()).current, "damaged");
+
+    assert.equal(await repairRulesStorage(), "restored");
+    assert.deepEqual(await stored(RULES_KEY), good);
+    assert.equal((await inspectRulesStorage()).current, "ok");
+  });
+
+  test("leaves intact storage alone and drops leftover legacy keys", async () => {
+    await saveRulesPayload(payload());
+    await chrome.storage.local.set({ clearurls_rules_v1: { rules: {}, ts: 1, hash: "x" } });
+    assert.equal(await repairRulesStorage(), "ok");
+    assert.equal(await stored("clearurls_rules_v1"), undefined);
+  });
+
+  test("reports empty storage", async () => {
+    assert.equal(await repairRulesStorage(), "empty");
+    assert.deepEqual(await inspectRulesStorage(), {
+      version: RULES_VERSION,
+      current: "missing",
+      lastGood: "missing",
+      lastGoodHash: null,
+    });
+  });
+});
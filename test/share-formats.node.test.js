@@ -0,0 +1,28 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { linkText, toHtmlLink, toMarkdownLink } from "../share-formats.js";
+
+describe("share formats", () => {
+  test("link text is the tidied page title, else the URL", () => {
+    assert.equal(linkText("https://a.example/", "  Some\n  page  "), "Some page");
+    assert.equal(linkText("https://a.example/", ""), "https://a.example/");
+    assert.equal(linkText("https://a.example/"), "https://a.example/");
+  });
+
+  test("Markdown link escapes the title and the destination", () => {
+    assert.equal(toMarkdownLink("https://a.example/", "Docs"), "[Docs](https://a.example/)");
+    assert.equal(
+      toMarkdownLink("https://en.wikipedia.org/wiki/Foo_(bar)", "[Draft] *new* foo_bar"),
+      "[\\[Draft\\] \\*new\\* foo\\_bar](https://en.wikipedia.org/wiki/Foo_%28bar%29)"
+    );
+  });
+
+  test("HTML link escapes attribute and text", () => {
+    assert.equal(
+      toHtmlLink('https://a.example/?q="x"&y=1', "Tom & Jerry <3"),
+      '<a href="https://a.example/?q=&quot;x&quot;&amp;y=1">Tom &amp; Jerry &lt;3</a>'
+    );
+    assert.equal(toHtmlLink("https://a.example/"), '<a href="https://a.example/">https://a.example/</a>');
+  });
+});
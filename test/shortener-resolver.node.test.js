@@ -0,0 +1,217 @@
+import { test, describe, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import {
+  RESOLVE_CACHE_KEY,
+  RESOLVE_CACHE_TTL_MS,
+  addResolution,
+  cachedResolution,
+  clearResolveCache,
+  describeResolution,
+  isShortLink,
+  resolveShortLink,
+  saveResolution,
+  watchRedirects,
+} from "../shortener-resolver.js";
+
+const chrome = installChromeStub();
+
+// A local shortener: each route answers with a status and an optional Location.
+const routes = {
+  "/a": [301, "/b?utm_source=chain"],
+  "/b": [302, "/c"],
+  "/c": [307, "https://example.com/article?utm_medium=short&id=7"],
+  "/head-refused": [405, null, { GET: [302, "https://example.com/from-get"] }],
+  "/loop": [302, "/loop2"],
+  "/loop2": [302, "/loop"],
+  "/chain": [302, "/chain?n=1"],
+  "/dead": [404, null],
+};
+const requests = [];
+const server = createServer((req, res) => {
+  requests.push(`${req.method} ${req.url}`);
+  const path = new URL(req.url, "http://x").pathname;
+  const [status, location, byMethod] = routes[path] ?? [404, null];
+  const [s, l] = byMethod?.[req.method] ?? [status, location];
+  const next = path === "/chain" ? `/chain?n=${Number(new URL(req.url, "http://x").searchParams.get("n")) + 1}` : l;
+  res.writeHead(s, next ? { location: next } : {});
+  res.end();
+});
+
+let base = "";
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(async () => {
+  requests.length = 0;
+  await chrome.storage.local.clear();
+});
+
+const LOCAL = ["127.0.0.1"];
+// Stand-in for applyClearUrls: drop utm_* parameters
+const clean = (url) => {
+  const u = new URL(url);
+  for (const key of [...u.searchParams.keys()]) if (key.startsWith("utm_")) u.searchParams.delete(key);
+  return u.href;
+};
+
+describe("isShortLink", () => {
+  test("matches shortener hosts and their subdomains over http(s)", () => {
+    assert.equal(isShortLink("https://bit.ly/3abc"), true);
+    assert.equal(isShortLink("https://www.t.co/x"), true);
+    assert.equal(isShortLink("https://lnkd.in/eXyz"), true);
+    assert.equal(isShortLink("https://notbit.ly/x"), false);
+    assert.equal(isShortLink("https://example.com/"), false);
+    assert.equal(isShortLink("ftp://bit.ly/x"), false);
+    assert.equal(isShortLink("not a url"), false);
+  });
+});
+
+describe("resolveShortLink (local HTTP server)", () => {
+  test("follows the chain hop by hop, cleaning each hop, and stops before the target", async () => {
+    const res = await resolveShortLink(`${base}/a`, { clean, hosts: LOCAL });
+    assert.deepEqual(res, {
+      url: "https://example.com/article?id=7",
+      hops: [`${base}/a`, `${base}/b`, `${base}/c`, "https://example.com/article?id=7"],
+      stopped: null,
+    });
+    // Tracking added mid-chain is never sent on; the target host is never contacted
+    assert.deepEqual(requests, ["HEAD /a", "HEAD /b", "HEAD /c"]);
+  });
+
+  test("retries with GET when HEAD is refused", async () => {
+    const res = await resolveShortLink(`${base}/head-refused`, { hosts: LOCAL });
+    assert.equal(res.url, "https://example.com/from-get");
+    assert.deepEqual(requests, ["HEAD /head-refused", "GET /head-refused"]);
+  });
+
+  test("stops at loops and at the hop limit", async () => {
+    const loop = await resolveShortLink(`${base}/loop`, { hosts: LOCAL });
+    assert.equal(loop.stopped, "loop");
+    assert.deepEqual(loop.hops, [`${base}/loop`, `${base}/loop2`]);
+
+    const chain = await resolveShortLink(`${base}/chain`, { hosts: LOCAL, maxHops: 3 });
+    assert.equal(chain.stopped, "limit");
+    assert.equal(chain.hops.length, 4);
+    assert.equal(requests.filter((r) => r.includes("/chain")).length, 3);
+  });
+
+  test("a final response (even an error) ends the chain", async () => {
+    const res = await resolveShortLink(`${base}/dead`, { hosts: LOCAL });
+    assert.deepEqual(res, { url: `${base}/dead`, hops: [`${base}/dead`], stopped: null });
+  });
+
+  test("does not contact hosts that are not shorteners", async () => {
+    const res = await resolveShortLink(`${base}/a`, { hosts: ["bit.ly"] });
+    assert.deepEqual(res.hops, [`${base}/a`]);
+    assert.deepEqual(requests, []);
+  });
+
+  test("rejects when the shortener can't be reached", async () => {
+    const fetch = async () => {
+      throw new TypeError("fetch failed");
+    };
+    await assert.rejects(resolveShortLink("https://bit.ly/x", { fetch }), /fetch failed/);
+  });
+
+  test("stops at a redirect the browser hides instead of following it", async () => {
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push(`${init.redirect} ${url}`);
+      return { type: "opaqueredirect", status: 0, headers: new Headers() };
+    };
+    const res = await resolveShortLink("https://bit.ly/x", { fetch });
+    assert.deepEqual(res, { url: "https://bit.ly/x", hops: ["https://bit.ly/x"], stopped: "hidden" });
+    assert.deepEqual(calls, ["manual https://bit.ly/x"]);
+  });
+
+  test("reads hidden redirects from webRequest, cleaning each hop", async () => {
+    const chain = {
+      "https://bit.ly/x": "https://t.co/y?utm_source=bitly",
+      "https://t.co/y": "https://example.com/a?utm_medium=t&id=1",
+    };
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push(`${init.redirect} ${url}`);
+      chrome.webRequest.onHeadersReceived.dispatch({
+        url,
+        tabId: -1,
+        statusCode: 301,
+        responseHeaders: [{ name: "Location", value: chain[url] }],
+      });
+      return { type: "opaqueredirect", status: 0, headers: new Headers() };
+    };
+    const redirects = watchRedirects();
+    try {
+      const res = await resolveShortLink("https://bit.ly/x", { fetch, clean, redirects });
+      assert.deepEqual(res.hops, ["https://bit.ly/x", "https://t.co/y", "https://example.com/a?id=1"]);
+      assert.equal(res.stopped, null);
+    } finally {
+      redirects.stop();
+    }
+    assert.deepEqual(calls, ["manual https://bit.ly/x", "manual https://t.co/y"]);
+    assert.equal(chrome.webRequest.onHeadersReceived.listeners.length, 0);
+  });
+
+  test("the watcher ignores other tabs' requests and waits for a late report", async () => {
+    const redirects = watchRedirects();
+    const report = (tabId) =>
+      chrome.webRequest.onHeadersReceived.dispatch({
+        url: "https://bit.ly/late",
+        tabId,
+        statusCode: 302,
+        responseHeaders: [{ name: "location", value: "https://example.com/late" }],
+      });
+    try {
+      report(4);
+      const pending = redirects.locationOf("https://bit.ly/late#frag", 500);
+      setTimeout(() => report(-1), 10);
+      assert.equal(await pending, "https://example.com/late");
+    } finally {
+      redirects.stop();
+    }
+  });
+});
+
+describe("describeResolution", () => {
+  test("lists each followed redirect and why following stopped", () => {
+    assert.deepEqual(
+      describeResolution({ hops: ["https://bit.ly/x", "https://t.co/y", "https://example.com/"], stopped: "limit" }),
+      [
+        { kind: "resolve", text: "Followed bit.ly redirect to t.co" },
+        { kind: "resolve", text: "Followed t.co redirect to example.com" },
+        { kind: "skip", text: "Stopped at the redirect limit" },
+      ]
+    );
+    assert.deepEqual(describeResolution({ hops: ["https://bit.ly/x"], stopped: "hidden" }), [
+      { kind: "skip", text: "Stopped: the browser didn't reveal where bit.ly redirects" },
+    ]);
+  });
+});
+
+describe("cache", () => {
+  const resolution = { url: "https://example.com/", hops: ["https://bit.ly/x", "https://example.com/"], stopped: null };
+
+  test("addResolution drops expired entries and the oldest past the limit", () => {
+    let cache = {};
+    cache = addResolution(cache, "a", resolution, 1000);
+    cache = addResolution(cache, "b", resolution, 2000);
+    assert.deepEqual(Object.keys(addResolution(cache, "c", resolution, 3000, { limit: 2 })), ["c", "b"]);
+    assert.deepEqual(Object.keys(addResolution(cache, "c", resolution, 3000, { ttl: 1500 })), ["c", "b"]);
+  });
+
+  test("returns stored resolutions until they expire", async () => {
+    await saveResolution("https://bit.ly/x", resolution, 1000);
+    assert.deepEqual(await cachedResolution("https://bit.ly/x", 2000), resolution);
+    assert.equal(await cachedResolution("https://bit.ly/x", 1000 + RESOLVE_CACHE_TTL_MS), null);
+    assert.equal(await cachedResolution("https://bit.ly/other", 2000), null);
+
+    await clearResolveCache();
+    assert.equal((await chrome.storage.local.get(RESOLVE_CACHE_KEY))[RESOLVE_CACHE_KEY], undefined);
+  });
+});
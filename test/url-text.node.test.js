@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findUrls } from "../url-text.js";
+
+const urlsIn = (text) => findUrls(text).map((m) => m.url);
+
+test("finds URLs in free text with their offsets", () => {
+  const text = "Read https://example.com/a?utm_source=x now";
+  assert.deepEqual(findUrls(text), [{ url: "https://example.com/a?utm_source=x", start: 5, end: 39 }]);
+});
+
+test("drops sentence punctuation after a URL", () => {
+  assert.deepEqual(urlsIn("See https://a.com/x. Or https://b.com/y, https://c.com/z!"), [
+    "https://a.com/x",
+    "https://b.com/y",
+    "https://c.com/z",
+  ]);
+});
+
+test("keeps balanced brackets but drops unbalanced closing ones", () => {
+  assert.deepEqual(urlsIn("(see https://en.wikipedia.org/wiki/Foo_(bar))"), [
+    "https://en.wikipedia.org/wiki/Foo_(bar)",
+  ]);
+});
+
+test("stops at quotes and angle brackets", () => {
+  assert.deepEqual(urlsIn('<https://a.com/x> "https://b.com/y"'), ["https://a.com/x", "https://b.com/y"]);
+});
+
+test("returns nothing for text without URLs", () => {
+  assert.deepEqual(findUrls("no links here"), []);
+  assert.deepEqual(findUrls(undefined), []);
+});
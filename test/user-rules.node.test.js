@@ -0,0 +1,155 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installChromeStub } from "./helpers/chrome-stub.js";
+import { loadRulesFixture } from "./helpers/rules-fixture.js";
+import { applyClearUrls } from "../clearurls-apply.js";
+import {
+  USER_RULES_KEY,
+  allowlistEntriesFor,
+  hostException,
+  loadUserRules,
+  mergeUserRules,
+  normalizeHost,
+  saveUserRules,
+  validateProvider,
+  validateUserRules,
+} from "../user-rules.js";
+
+const chrome = installChromeStub();
+
+const crm = {
+  urlPattern: "^https?:\\/\\/(?:[a-z0-9-]+\\.)*?example\\.com",
+  rules: ["cid_x", "crm_[a-z]+"],
+};
+
+describe("validation", () => {
+  test("accepts a ClearURLs-shaped provider", () => {
+    assert.deepEqual(validateProvider("crm", crm), []);
+  });
+
+  test("reports regex compile errors with their path", () => {
+    const errors = validateProvider("crm", { urlPattern: "(", rules: ["ok", "[bad"], exceptions: "x" });
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /^providers\.crm\.urlPattern: /);
+    assert.match(errors[1], /^providers\.crm\.rules\[1\]: /);
+    assert.equal(errors[2], "providers.crm.exceptions: must be an array of strings");
+  });
+
+  test("requires urlPattern and checks boolean flags", () => {
+    assert.deepEqual(validateProvider("x", { forceRedirection: "yes" }), [
+      "providers.x.urlPattern: required string",
+      "providers.x.forceRedirection: must be a boolean",
+    ]);
+  });
+
+  test("normalizes and de-duplicates the allowlist", () => {
+    const { rules, errors } = validateUserRules({
+      allowlist: ["Example.com", "*.example.com", "https://shop.test/cart"],
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rules, { providers: {}, allowlist: ["example.com", "shop.test"] });
+  });
+
+  test("rejects non-objects and bad hosts", () => {
+    assert.equal(validateUserRules([]).rules, null);
+    assert.deepEqual(validateUserRules({ allowlist: ["not a host"] }).errors, [
+      "allowlist[0]: not a hostname: not a host",
+    ]);
+  });
+});
+
+describe("hosts", () => {
+  test("normalizeHost accepts hosts, wildcards and URLs", () => {
+    assert.equal(normalizeHost("WWW.Example.com"), "www.example.com");
+    assert.equal(normalizeHost("*.example.com"), "example.com");
+    assert.equal(normalizeHost("https://example.com:8080/x?y"), "example.com");
+    assert.equal(normalizeHost(""), null);
+  });
+
+  test("hostException matches the host and its subdomains only", () => {
+    const re = new RegExp(hostException("example.com"), "i");
+    assert.ok(re.test("https://example.com"));
+    assert.ok(re.test("https://a.b.example.com/x?y"));
+    assert.ok(re.test("http://example.com:8080/"));
+    assert.ok(!re.test("https://notexample.com/"));
+    assert.ok(!re.test("https://example.com.evil.net/"));
+  });
+
+  test("allowlistEntriesFor finds covering entries", () => {
+    assert.deepEqual(allowlistEntriesFor(["example.com", "other.org"], "www.example.com"), ["example.com"]);
+    assert.deepEqual(allowlistEntriesFor(["example.com"], "badexample.com"), []);
+  });
+});
+
+describe("mergeUserRules", () => {
+  const rules = loadRulesFixture();
+
+  test("returns the downloaded rules untouched when there is nothing to merge", () => {
+    assert.equal(mergeUserRules(rules, { providers: {}, allowlist: [] }), rules);
+  });
+
+  test("adds user providers under a prefix so they clean alongside ClearURLs", () => {
+    const merged = mergeUserRules(rules, { providers: { crm }, allowlist: [] });
+    assert.deepEqual(merged.providers["user:crm"], crm);
+    assert.ok(merged.providers.amazon);
+    const res = applyClearUrls("https://www.example.com/?cid_x=1&crm_src=2&utm_source=3&id=4", merged, {
+      explain: true,
+    });
+    assert.equal(res.url, "https://www.example.com/?id=4");
+    assert.deepEqual(
+      res.trace.params.map((p) => p.provider),
+      ["globalRules", "user:crm", "user:crm"]
+    );
+  });
+
+  test("allowlisted sites are never cleaned", () => {
+    const merged = mergeUserRules(rules, { providers: { crm }, allowlist: ["example.com"] });
+    const input = "https://shop.example.com/?cid_x=1&utm_source=3";
+    assert.deepEqual(applyClearUrls(input, merged), { url: input, changed: false });
+    assert.equal(
+      applyClearUrls("https://other.test/?utm_source=3", merged).url,
+      "https://other.test/"
+    );
+    assert.equal(rules.providers.amazon.exceptions.length, 2, "input is not mutated");
+  });
+
+  test("adds organization rules as org: providers, with both allowlists applied to all", () => {
+    const merged = mergeUserRules(
+      rules,
+      { providers: { crm }, allowlist: ["example.com"] },
+      { providers: { crm }, allowlist: ["intranet.test"] }
+    );
+    assert.deepEqual(merged.providers["org:crm"].urlPattern, crm.urlPattern);
+    assert.ok(merged.providers["user:crm"]);
+    for (const input of ["https://shop.example.com/?cid_x=1", "https://intranet.test/?utm_source=1"]) {
+      assert.equal(applyClearUrls(input, merged).changed, false, input);
+    }
+  });
+
+  test("works with user rules alone", () => {
+    const merged = mergeUserRules(null, { providers: { crm } });
+    assert.equal(applyClearUrls("https://example.com/?cid_x=1", merged).url, "https://example.com/");
+    assert.equal(mergeUserRules(null, null), null);
+  });
+});
+
+describe("storage", () => {
+  beforeEach(async () => {
+    await chrome.storage.sync.clear();
+  });
+
+  test("loadUserRules defaults to empty", async () => {
+    assert.deepEqual(await loadUserRules(), { providers: {}, allowlist: [] });
+  });
+
+  test("saveUserRules validates before persisting", async () => {
+    const bad = await saveUserRules({ providers: { crm: { urlPattern: "(" } } });
+    assert.equal(bad.ok, false);
+    assert.equal((await chrome.storage.sync.get(USER_RULES_KEY))[USER_RULES_KEY], undefined);
+
+    const good = await saveUserRules({ providers: { crm }, allowlist: ["Example.com"] });
+    assert.deepEqual(good, { ok: true, errors: [] });
+    assert.deepEqual(await loadUserRules(), { providers: { crm }, allowlist: ["example.com"] });
+  });
+});
@@ -0,0 +1,53 @@
+// url-text.js
+// Find URLs inside free text (selections, pasted messages).
+
+// Candidate run: scheme up to the first whitespace or obvious delimiter.
+const URL_CANDIDATE_RE = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+
+// Punctuation that usually ends a sentence rather than a URL
+const TRAILING_PUNCT_RE = /[.,;:!?*_~]+$/;
+
+const countOf = (s, ch) => s.split(ch).length - 1;
+
+/**
+ * Trim trailing punctuation and unbalanced closing brackets, so
+ * "(see https://x.com/a_(b)), ok" yields "https://x.com/a_(b)".
+ * @param {string} candidate
+ * @returns {string}
+ */
+const trimUrlEnd = (candidate) => {
+  let url = candidate;
+  for (;;) {
+    const before = url;
+    url = url.replace(TRAILING_PUNCT_RE, "");
+    for (const [open, close] of [["(", ")"], ["[", "]"], ["{", "}"]]) {
+      if (url.endsWith(close) && countOf(url, close) > countOf(url, open)) url = url.slice(0, -1);
+    }
+    if (url === before) return url;
+  }
+};
+
+/** True if the string parses as an absolute URL. */
+const canParse = (url) => {
+  try {
+    new URL(url);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Find every http(s) URL in a piece of text.
+ * @param {string} text
+ * @returns {Array<{url: string, start: number, end: number}>} offsets into text
+ */
+export const findUrls = (text) => {
+  const found = [];
+  for (const m of String(text ?? "").matchAll(URL_CANDIDATE_RE)) {
+    const url = trimUrlEnd(m[0]);
+    if (!canParse(url)) continue;
+    found.push({ url, start: m.index, end: m.index + url.length });
+  }
+  return found;
+};
@@ -0,0 +1,213 @@
+// user-rules.js
+// User-defined rules layer (chrome.storage.sync), merged with the downloaded
+// ClearURLs rules before cleaning:
+// - providers: same schema as ClearURLs (urlPattern, rules, referralMarketing,
+//   exceptions, redirections, rawRules), added as "user:<name>"
+// - allowlist: hosts that are never cleaned; each becomes an exception on every
+//   provider, so the engine, auto-clean (DNR allow rules) and explain traces all
+//   honour it without special cases.
+// Organization rules from an enterprise policy (managed-config.js) have the same
+// shape and are merged alongside, as "org:<name>".
+
+import { ext } from "./browser-api.js";
+
+export const USER_RULES_KEY = "nudelink_user_rules_v1";
+export const USER_PROVIDER_PREFIX = "user:";
+export const ORG_PROVIDER_PREFIX = "org:";
+
+export const EMPTY_USER_RULES = Object.freeze({ providers: {}, allowlist: [] });
+
+const REGEX_LIST_FIELDS = ["rules", "referralMarketing", "exceptions", "redirections", "rawRules"];
+const BOOLEAN_FIELDS = ["completeProvider", "forceRedirection"];
+
+/** Escape a literal string for use inside a RegExp source. */
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+
+/** Regex compile check; returns the error message or null. */
+const regexError = (source) => {
+  try {
+    new RegExp(source, "i");
+    return null;
+  } catch (e) {
+    return e?.message || String(e);
+  }
+};
+
+/**
+ * Normalize an allowlist entry to a bare lower-case hostname.
+ * Accepts "example.com", "*.example.com", "https://www.example.com/path".
+ * @param {string} input
+ * @returns {string|null} hostname, or null if it isn't one
+ */
+export const normalizeHost = (input) => {
+  const raw = String(input ?? "").trim().replace(/^\*\./, "");
+  if (!raw) return null;
+  try {
+    const host = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `http://${raw}`).hostname;
+    return /^(?:[a-z0-9-]+\.)*[a-z0-9-]+$/.test(host) ? host : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Allowlist entries that cover a host (the host itself or a parent domain).
+ * @param {string[]} allowlist - normalized hostnames
+ * @param {string} host
+ * @returns {string[]}
+ */
+export const allowlistEntriesFor = (allowlist, host) => {
+  const h = String(host ?? "").toLowerCase();
+  return (allowlist ?? []).filter((entry) => h === entry || h.endsWith(`.${entry}`));
+};
+
+/**
+ * Exception regex matching a host and all its subdomains.
+ * @param {string} host - normalized hostname
+ * @returns {string}
+ */
+export const hostException = (host) =>
+  `^https?:\\/\\/(?:[a-z0-9-]+\\.)*?${escapeRegExp(host)}(?::\\d+)?(?:[\\/?#]|$)`;
+
+/**
+ * Validate one provider against the ClearURLs schema.
+ * @param {string} name
+ * @param {unknown} provider
+ * @param {object} [opts]
+ * @param {boolean} [opts.checkRegex=true] - compile-check every regex (false: shape only)
+ * @returns {string[]} error messages, prefixed with the offending path
+ */
+export const validateProvider = (name, provider, { checkRegex = true } = {}) => {
+  const at = (field) => `providers.${name}${field ? `.${field}` : ""}`;
+  if (!provider || typeof provider !== "object" || Array.isArray(provider)) {
+    return [`${at()}: must be an object`];
+  }
+
+  const errors = [];
+  if (typeof provider.urlPattern !== "string" || !provider.urlPattern) {
+    errors.push(`${at("urlPattern")}: required string`);
+  } else if (checkRegex) {
+    const err = regexError(provider.urlPattern);
+    if (err) errors.push(`${at("urlPattern")}: ${err}`);
+  }
+
+  for (const field of REGEX_LIST_FIELDS) {
+    const list = provider[field];
+    if (list === undefined) continue;
+    if (!Array.isArray(list)) {
+      errors.push(`${at(field)}: must be an array of strings`);
+      continue;
+    }
+    list.forEach((entry, i) => {
+      if (typeof entry !== "string") errors.push(`${at(field)}[${i}]: must be a string`);
+      else if (checkRegex) {
+        const err = regexError(entry);
+        if (err) errors.push(`${at(field)}[${i}]: ${err}`);
+      }
+    });
+  }
+
+  for (const field of BOOLEAN_FIELDS) {
+    if (provider[field] !== undefined && typeof provider[field] !== "boolean") {
+      errors.push(`${at(field)}: must be a boolean`);
+    }
+  }
+  return errors;
+};
+
+/**
+ * Validate (and normalize) a user rules object, e.g. from an import.
+ * @param {unknown} value - {providers?: object, allowlist?: string[]}
+ * @returns {{rules: {providers: object, allowlist: string[]}|null, errors: string[]}}
+ */
+export const validateUserRules = (value) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { rules: null, errors: ["Expected an object with providers and/or allowlist"] };
+  }
+
+  const errors = [];
+  const providers = value.providers ?? {};
+  if (!providers || typeof providers !== "object" || Array.isArray(providers)) {
+    errors.push("providers: must be an object keyed by provider name");
+  } else {
+    for (const [name, provider] of Object.entries(providers)) {
+      errors.push(...validateProvider(name, provider));
+    }
+  }
+
+  const allowlist = [];
+  if (value.allowlist !== undefined && !Array.isArray(value.allowlist)) {
+    errors.push("allowlist: must be an array of hostnames");
+  } else {
+    (value.allowlist ?? []).forEach((entry, i) => {
+      const host = normalizeHost(entry);
+      if (!host) errors.push(`allowlist[${i}]: not a hostname: ${entry}`);
+      else if (!allowlist.includes(host)) allowlist.push(host);
+    });
+  }
+
+  return errors.length ? { rules: null, errors } : { rules: { providers, allowlist }, errors };
+};
+
+/**
+ * Merge user rules into downloaded ClearURLs rules (no input is mutated).
+ * User providers come after the downloaded ones, organization providers after
+ * those; allowlisted hosts (both lists) are added as exceptions to every provider.
+ *
+ * @param {object|null} rulesJson - downloaded ClearURLs rules
+ * @param {{providers?: object, allowlist?: string[]}|null} userRules
+ * @param {{providers?: object, allowlist?: string[]}|null} [orgRules] - from the managed policy
+ * @returns {object|null} merged rules, or null if none has providers
+ */
+export const mergeUserRules = (rulesJson, userRules, orgRules = null) => {
+  const userProviders = [
+    ...Object.entries(userRules?.providers ?? {}).map(([name, p]) => [`${USER_PROVIDER_PREFIX}${name}`, p]),
+    ...Object.entries(orgRules?.providers ?? {}).map(([name, p]) => [`${ORG_PROVIDER_PREFIX}${name}`, p]),
+  ];
+  const allowExceptions = [...new Set([...(userRules?.allowlist ?? []), ...(orgRules?.allowlist ?? [])])].map(
+    hostException
+  );
+  if (!rulesJson?.providers && !userProviders.length) return null;
+  if (!userProviders.length && !allowExceptions.length) return rulesJson;
+
+  const providers = {};
+  const add = (name, provider) => {
+    providers[name] = allowExceptions.length
+      ? { ...provider, exceptions: [...(provider.exceptions ?? []), ...allowExceptions] }
+      : provider;
+  };
+  for (const [name, provider] of Object.entries(rulesJson?.providers ?? {})) add(name, provider);
+  for (const [name, provider] of userProviders) add(name, provider);
+
+  return { ...rulesJson, providers };
+};
+
+/**
+ * Load user rules from chrome.storage.sync.
+ * @returns {Promise<{providers: object, allowlist: string[]}>}
+ */
+export const loadUserRules = async () => {
+  try {
+    const stored = (await ext.storage.sync.get(USER_RULES_KEY))?.[USER_RULES_KEY];
+    return { ...EMPTY_USER_RULES, ...stored };
+  } catch (e) {
+    console.warn("[Nudelink] loadUserRules failed:", e?.message || e);
+    return { ...EMPTY_USER_RULES };
+  }
+};
+
+/**
+ * Validate and persist user rules.
+ * @param {unknown} value
+ * @returns {Promise<{ok: boolean, errors: string[]}>}
+ */
+export const saveUserRules = async (value) => {
+  const { rules, errors } = validateUserRules(value);
+  if (!rules) return { ok: false, errors };
+  try {
+    await ext.storage.sync.set({ [USER_RULES_KEY]: rules });
+    return { ok: true, errors: [] };
+  } catch (e) {
+    return { ok: false, errors: [e?.message || String(e)] };
+  }
+};